@@ -0,0 +1,205 @@
+/**
+ * API-key auth for the operational endpoints (/sync-all, /sync-by-ids, /clear-cache, …).
+ * Keys are stored hashed (SHA-256 of the secret part) in a JSON file under DATA_DIR; the plaintext key is
+ * shown once when issued. Roles are ordered: feed (the product feed files only) < read (status / reports)
+ * < sync (run syncs, redrive, test email) < admin (cache clear, destructive ops, key management) — a key satisfies
+ * its own role and every lower one.
+ *
+ * Feed fetchers (Merchant Center, Meta Commerce Manager) cannot set headers, only a username and password, so a key
+ * is also accepted as the password of HTTP Basic auth.
+ *
+ * Key format: wfs_<id>_<secret>. The id is public (used in logs, revoke calls); only the secret is hashed.
+ * The file is re-read when its mtime changes, so keys issued or revoked by scripts/admin-keys.mjs apply
+ * without a restart.
+ */
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+export const ADMIN_ROLES = ["feed", "read", "sync", "admin"];
+
+const KEY_REGEX = /^wfs_([a-f0-9]{8})_([A-Za-z0-9_-]{20,})$/;
+const LABEL_MAX_CHARS = 80;
+
+function hashSecret(secret) {
+  return crypto.createHash("sha256").update(String(secret), "utf8").digest("hex");
+}
+
+export function adminRoleSatisfies(role, required) {
+  const have = ADMIN_ROLES.indexOf(role);
+  const need = ADMIN_ROLES.indexOf(required);
+  return have >= 0 && need >= 0 && have >= need;
+}
+
+/**
+ * Key from `Authorization: Bearer …`, `X-Admin-Key` or the password of `Authorization: Basic …` (never the query
+ * string — it ends up in access logs).
+ */
+export function adminKeyFromRequest(req) {
+  const auth = String(req.get?.("authorization") || req.headers?.authorization || "").trim();
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  const basic = auth.match(/^Basic\s+([A-Za-z0-9+/=]+)$/i);
+  if (basic) {
+    const decoded = Buffer.from(basic[1], "base64").toString("utf8");
+    return decoded.slice(decoded.indexOf(":") + 1).trim();
+  }
+  const header = req.get?.("x-admin-key") ?? req.headers?.["x-admin-key"];
+  return header ? String(header).trim() : "";
+}
+
+/** Public view of a key record (never includes the hash). */
+function publicKey(row) {
+  return {
+    id: row.id,
+    label: row.label,
+    role: row.role,
+    createdAt: row.createdAt,
+    createdBy: row.createdBy ?? null,
+    revokedAt: row.revokedAt ?? null,
+    revokedBy: row.revokedBy ?? null,
+  };
+}
+
+/**
+ * @param {{
+ *   filePath: string,
+ *   enabled?: boolean,
+ *   log?: (level: string, payload: object) => void,
+ * }} options
+ */
+export function createAdminAuth({ filePath, enabled = true, log = () => {} }) {
+  let keys = [];
+  let loadedMtimeMs = -1;
+
+  function reload() {
+    try {
+      const stat = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+      const mtimeMs = stat ? stat.mtimeMs : 0;
+      if (mtimeMs === loadedMtimeMs) return keys;
+      const parsed = stat ? JSON.parse(fs.readFileSync(filePath, "utf8")) : null;
+      keys = Array.isArray(parsed?.keys) ? parsed.keys : [];
+      loadedMtimeMs = mtimeMs;
+    } catch (err) {
+      log("error", { event: "admin_auth.load_failed", message: err.message });
+    }
+    return keys;
+  }
+
+  /** Write-then-rename; the file is readable by its owner only. */
+  function persist(next) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ keys: next }, null, 2), { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(tmp, filePath);
+    keys = next;
+    loadedMtimeMs = fs.statSync(filePath).mtimeMs;
+  }
+
+  /**
+   * Issue a key. Returns the plaintext key (only time it is available) and the stored record.
+   * @param {{ label: string, role: string, createdBy?: string | null }} input
+   */
+  function issue({ label, role, createdBy = null }) {
+    const cleanLabel = String(label || "").trim().slice(0, LABEL_MAX_CHARS);
+    if (!cleanLabel) throw new Error("label is required");
+    if (!ADMIN_ROLES.includes(role)) throw new Error(`role must be one of: ${ADMIN_ROLES.join(", ")}`);
+    const current = reload();
+    let id;
+    do {
+      id = crypto.randomBytes(4).toString("hex");
+    } while (current.some((k) => k.id === id));
+    const secret = crypto.randomBytes(32).toString("base64url");
+    const row = {
+      id,
+      label: cleanLabel,
+      role,
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      createdBy,
+    };
+    persist([...current, row]);
+    log("info", { event: "admin_auth.key_issued", keyId: id, label: cleanLabel, role, createdBy });
+    return { key: `wfs_${id}_${secret}`, ...publicKey(row) };
+  }
+
+  /** Revoke by id (record kept for the audit trail). Returns the record, or null when unknown. */
+  function revoke(id, { revokedBy = null } = {}) {
+    const current = reload();
+    const row = current.find((k) => k.id === String(id || "").trim());
+    if (!row) return null;
+    if (!row.revokedAt) {
+      const updated = { ...row, revokedAt: new Date().toISOString(), revokedBy };
+      persist(current.map((k) => (k === row ? updated : k)));
+      log("info", { event: "admin_auth.key_revoked", keyId: row.id, label: row.label, revokedBy });
+      return publicKey(updated);
+    }
+    return publicKey(row);
+  }
+
+  function list() {
+    return reload().map(publicKey);
+  }
+
+  /** Resolve a presented key to its active record (public view), or null. */
+  function authenticate(presented) {
+    const m = String(presented || "").match(KEY_REGEX);
+    if (!m) return null;
+    const row = reload().find((k) => k.id === m[1]);
+    if (!row || row.revokedAt) return null;
+    const a = Buffer.from(hashSecret(m[2]), "hex");
+    const b = Buffer.from(String(row.hash || ""), "hex");
+    if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) return null;
+    return publicKey(row);
+  }
+
+  /**
+   * Express middleware: 401 without a valid key, 403 when the key's role is too low. Every allowed call is
+   * logged with the key's id and label; the key is exposed to the handler as req.adminKey.
+   * realm: answer 401 with a Basic challenge, for clients that only send a username and password when asked.
+   */
+  function requireRole(required, { realm = null } = {}) {
+    if (!ADMIN_ROLES.includes(required)) throw new Error(`unknown admin role: ${required}`);
+    return (req, res, next) => {
+      if (!enabled) return next();
+      const key = authenticate(adminKeyFromRequest(req));
+      if (!key) {
+        log("warn", { event: "admin_auth.denied", reason: "invalid_key", method: req.method, path: req.path, required });
+        if (realm) res.set?.("WWW-Authenticate", `Basic realm="${realm}", charset="UTF-8"`);
+        return res.status(401).json({
+          error: "unauthorized",
+          message: "Send an admin API key as Authorization: Bearer <key> (or X-Admin-Key, or as the Basic auth password).",
+        });
+      }
+      if (!adminRoleSatisfies(key.role, required)) {
+        log("warn", {
+          event: "admin_auth.denied",
+          reason: "insufficient_role",
+          keyId: key.id,
+          label: key.label,
+          role: key.role,
+          required,
+          method: req.method,
+          path: req.path,
+        });
+        return res.status(403).json({ error: "forbidden", role: key.role, required });
+      }
+      req.adminKey = key;
+      log("info", {
+        event: "admin_auth.request",
+        keyId: key.id,
+        label: key.label,
+        role: key.role,
+        method: req.method,
+        path: req.path,
+      });
+      next();
+    };
+  }
+
+  function activeCount() {
+    return reload().filter((k) => !k.revokedAt).length;
+  }
+
+  return { issue, revoke, list, authenticate, requireRole, activeCount, enabled };
+}
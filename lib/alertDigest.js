@@ -0,0 +1,83 @@
+/**
+ * Alert digest: counts the warn/error log events since the last digest (per event: count, first/last seen, a few
+ * sample product ids and messages) so the scheduler can email one summary instead of someone reading the logs.
+ * Fed from webflowLog; kept in memory, so a restart starts a fresh period.
+ */
+
+/**
+ * @param {{ maxEvents?: number, maxSamples?: number, ignore?: string[], now?: () => number }} [options]
+ *   ignore: event-name prefixes left out (e.g. the digest's own send log lines)
+ */
+export function createAlertDigest({ maxEvents = 200, maxSamples = 3, ignore = [], now = Date.now } = {}) {
+  let since = new Date(now()).toISOString();
+  let events = new Map();
+  let dropped = 0;
+
+  function note(level, payload) {
+    if (level !== "warn" && level !== "error") return;
+    const event = String(payload?.event || "").trim();
+    if (!event || ignore.some((p) => event.startsWith(p))) return;
+    const at = new Date(now()).toISOString();
+    let row = events.get(event);
+    if (!row) {
+      if (events.size >= maxEvents) {
+        dropped++;
+        return;
+      }
+      row = { event, level, count: 0, firstAt: at, lastAt: at, samples: [] };
+      events.set(event, row);
+    }
+    row.count++;
+    row.lastAt = at;
+    if (level === "error") row.level = "error";
+    if (row.samples.length < maxSamples) {
+      const sample = {};
+      if (payload.shopifyProductId != null) sample.shopifyProductId = String(payload.shopifyProductId);
+      const message = payload.message ?? payload.error ?? payload.reason;
+      if (message != null) sample.message = String(message).slice(0, 300);
+      if (Object.keys(sample).length) row.samples.push(sample);
+    }
+  }
+
+  /** Current period without resetting it. Errors first, then by count. */
+  function peek() {
+    const rows = [...events.values()].sort((a, b) => (a.level === b.level ? b.count - a.count : a.level === "error" ? -1 : 1));
+    return {
+      since,
+      until: new Date(now()).toISOString(),
+      total: rows.reduce((n, r) => n + r.count, 0),
+      errors: rows.filter((r) => r.level === "error").reduce((n, r) => n + r.count, 0),
+      droppedEvents: dropped,
+      events: rows,
+    };
+  }
+
+  /** Current period, then start a new one. */
+  function drain() {
+    const out = peek();
+    since = out.until;
+    events = new Map();
+    dropped = 0;
+    return out;
+  }
+
+  return { note, peek, drain };
+}
+
+/** Plain-text email body for a digest. */
+export function formatAlertDigest(digest, { title = "Sync server alert digest" } = {}) {
+  const lines = [
+    title,
+    `${digest.since} → ${digest.until}`,
+    "",
+    digest.total ? `${digest.total} warnings/errors (${digest.errors} errors) across ${digest.events.length} event types.` : "No warnings or errors in this period.",
+  ];
+  for (const row of digest.events) {
+    lines.push("", `[${row.level}] ${row.event} × ${row.count} (first ${row.firstAt}, last ${row.lastAt})`);
+    for (const s of row.samples) {
+      lines.push(`  - ${[s.shopifyProductId && `product ${s.shopifyProductId}`, s.message].filter(Boolean).join(": ")}`);
+    }
+  }
+  if (digest.droppedEvents) lines.push("", `${digest.droppedEvents} more events of other types were not itemised.`);
+  return lines.join("\n");
+}
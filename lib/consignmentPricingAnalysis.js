@@ -49,11 +49,11 @@ import {
   filterSourcesToLiveLinks,
   verifyLinksLive,
 } from "./consignmentLinkVerify.js";
+import { getLlmClient } from "./llmClient.js";
 
 const VISION_URL = "https://vision.googleapis.com/v1/images:annotate";
 const CSE_URL = "https://www.googleapis.com/customsearch/v1";
 const GEMINI_URL = "https://generativelanguage.googleapis.com/v1beta/models";
-const OPENAI_URL = "https://api.openai.com/v1/chat/completions";
 
 const DEFAULT_OPENAI_MODEL = "gpt-5.2";
 const DEFAULT_OPENAI_FALLBACK_MODEL = "gpt-4.1";
@@ -1377,8 +1377,7 @@ function isOpenAiModelUnavailableError(err) {
 }
 
 async function callOpenAiFinal(context, geminiBrief, imageDataUrls, model) {
-  const key = String(process.env.OPENAI_API_KEY || "").trim();
-  if (!key) return null;
+  if (!getLlmClient().isConfigured()) return null;
 
   const userParts = [
     {
@@ -1403,28 +1402,20 @@ async function callOpenAiFinal(context, geminiBrief, imageDataUrls, model) {
     });
   }
 
-  const resp = await axios.post(
-    OPENAI_URL,
-    {
-      model,
-      temperature: 0.2,
-      ...openAiGenerationLimits(model),
-      response_format: { type: "json_object" },
-      messages: [
-        { role: "system", content: OPENAI_FINAL_SYSTEM },
-        { role: "user", content: userParts },
-      ],
-    },
-    {
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${key}`,
-      },
-      timeout: 28000,
-    }
-  );
+  const resp = await getLlmClient().chat({
+    purpose: "consignment_pricing",
+    model,
+    temperature: 0.2,
+    ...openAiGenerationLimits(model),
+    messages: [
+      { role: "system", content: OPENAI_FINAL_SYSTEM },
+      { role: "user", content: userParts },
+    ],
+    json: true,
+    timeoutMs: 28000,
+  });
 
-  const text = resp.data?.choices?.[0]?.message?.content || "";
+  const text = resp.content || "";
   return extractJsonFromLlmText(text);
 }
 
@@ -1566,7 +1557,7 @@ export function getPricingConfigStatus() {
   const hasSearch =
     Boolean(process.env.GOOGLE_API_KEY?.trim()) && Boolean(process.env.GOOGLE_CSE_ID?.trim());
   const hasGemini = Boolean(process.env.GEMINI_API_KEY?.trim());
-  const hasOpenAi = Boolean(process.env.OPENAI_API_KEY?.trim());
+  const hasOpenAi = getLlmClient().isConfigured();
   const hasLlm = hasGemini && hasOpenAi;
 
   return {
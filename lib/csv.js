@@ -0,0 +1,17 @@
+/**
+ * CSV export shared by the plan, reconciliation and Meta catalog downloads: RFC 4180 quoting, CRLF line ends,
+ * objects written as JSON.
+ */
+
+export function csvCell(value) {
+  if (value == null) return "";
+  const s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Header row of columns, then one line per row (column name → value). */
+export function renderCsv(columns, rows) {
+  const lines = [columns.join(",")];
+  for (const row of rows) lines.push(columns.map((c) => csvCell(row[c])).join(","));
+  return `${lines.join("\r\n")}\r\n`;
+}
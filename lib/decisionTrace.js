@@ -0,0 +1,46 @@
+/**
+ * Decision trace for /classify/explain. A classification run inside a trace collects, in order, the vertical and
+ * category decision log lines it emits (the same events the sync logs: evidence overrides, tag locks, category
+ * evidence / LLM use, post-overrides), so the endpoint can show which rules fired without a second code path.
+ * Outside a trace noteDecisionTraceEvent is a no-op.
+ */
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const traces = new AsyncLocalStorage();
+
+const TRACE_EVENT_PREFIXES = [
+  "vertical.",
+  "luxury_category.",
+  "furniture_category.",
+  "added_vertical_category.",
+  "ecommerce_taxonomy.",
+  "llm_vertical.",
+  "llm_category.",
+];
+const TRACE_MAX_STEPS = 100;
+
+/** Collect a log line into the active trace (scalar fields only; the product id/title repeat on every line). */
+export function noteDecisionTraceEvent(level, payload) {
+  const trace = traces.getStore();
+  const event = String(payload?.event || "");
+  if (!trace || !TRACE_EVENT_PREFIXES.some((p) => event.startsWith(p))) return;
+  if (trace.steps.length >= TRACE_MAX_STEPS) return;
+  const step = { event, level };
+  for (const [key, value] of Object.entries(payload)) {
+    if (key === "event" || key === "shopifyProductId" || key === "productTitle") continue;
+    if (value === undefined || typeof value === "function") continue;
+    step[key] = value;
+  }
+  trace.steps.push(step);
+}
+
+/**
+ * @template T
+ * @param {() => Promise<T>} fn
+ * @returns {Promise<{ result: T, steps: object[] }>}
+ */
+export async function runWithDecisionTrace(fn) {
+  const trace = { steps: [] };
+  const result = await traces.run(trace, fn);
+  return { result, steps: trace.steps };
+}
@@ -0,0 +1,168 @@
+/**
+ * Offline Google Shopping feed for the furniture offers: the same Content-API-shaped payloads the Merchant API push
+ * sends (buildGoogleFurnitureProductFromShopify / the Webflow out-of-stock builder), kept per offerId (kv namespace
+ * "google_feed") and rendered as an RSS 2.0 file with the g: namespace or as a tab-separated file. Either can be
+ * added in Merchant Center as a file data source when the API credentials break, and diffed when debugging pricing.
+ *
+ * The sync records each payload that passed the push guards and removes an offer when the push deletes it; the
+ * rendered files are cached until the next change.
+ */
+
+/** Feed attributes in output order: [feed attribute name, payload → string | string[] | null]. */
+const FEED_ATTRIBUTES = [
+  ["id", (p) => p.offerId],
+  ["title", (p) => p.title],
+  ["description", (p) => p.description],
+  ["link", (p) => p.link],
+  ["image_link", (p) => p.imageLink],
+  ["additional_image_link", (p) => p.additionalImageLinks],
+  ["availability", (p) => p.availability],
+  ["price", (p) => feedMoney(p.price)],
+  ["sale_price", (p) => feedMoney(p.salePrice)],
+  ["condition", (p) => p.condition],
+  ["brand", (p) => p.brand],
+  ["identifier_exists", (p) => (p.identifierExists === false ? "no" : null)],
+  ["google_product_category", (p) => p.googleProductCategory],
+  ["product_type", (p) => p.productTypes],
+  ["shipping_weight", (p) => feedMeasure(p.shippingWeight)],
+  ["shipping_length", (p) => feedMeasure(p.shippingLength)],
+  ["shipping_width", (p) => feedMeasure(p.shippingWidth)],
+  ["shipping_height", (p) => feedMeasure(p.shippingHeight)],
+];
+
+export const GOOGLE_FEED_COLUMNS = FEED_ATTRIBUTES.map(([name]) => name);
+
+/** { value: "12.50", currency: "USD" } → "12.50 USD". */
+function feedMoney(money) {
+  if (!money || money.value == null || money.value === "") return null;
+  return `${money.value} ${money.currency || "USD"}`;
+}
+
+function feedMeasure(measure) {
+  if (!measure || measure.value == null || measure.value === "") return null;
+  return `${measure.value} ${measure.unit || ""}`.trim();
+}
+
+/** One payload → attribute name → list of values (empty attributes left out). */
+export function googleFeedAttributes(payload) {
+  const out = {};
+  for (const [name, read] of FEED_ATTRIBUTES) {
+    const raw = read(payload);
+    const values = (Array.isArray(raw) ? raw : [raw]).map((v) => (v == null ? "" : String(v).trim())).filter(Boolean);
+    if (values.length) out[name] = values;
+  }
+  return out;
+}
+
+function xmlEscape(s) {
+  return String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;")
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "");
+}
+
+/**
+ * RSS 2.0 feed; attributes repeat for multiple values (additional_image_link, product_type).
+ * @param {object[]} payloads
+ * @param {{ title: string, link: string, description?: string }} channel
+ */
+export function renderGoogleFeedXml(payloads, channel) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">',
+    "<channel>",
+    `<title>${xmlEscape(channel.title)}</title>`,
+    `<link>${xmlEscape(channel.link)}</link>`,
+    `<description>${xmlEscape(channel.description ?? channel.title)}</description>`,
+  ];
+  for (const payload of payloads) {
+    lines.push("<item>");
+    for (const [name, values] of Object.entries(googleFeedAttributes(payload))) {
+      for (const v of values) lines.push(`<g:${name}>${xmlEscape(v)}</g:${name}>`);
+    }
+    lines.push("</item>");
+  }
+  lines.push("</channel>", "</rss>", "");
+  return lines.join("\n");
+}
+
+function tsvCell(values) {
+  return (values ?? []).map((v) => v.replace(/[\t\r\n]+/g, " ")).join(",");
+}
+
+/** Tab-separated feed: header row of GOOGLE_FEED_COLUMNS, multiple values comma-separated. */
+export function renderGoogleFeedTsv(payloads) {
+  const rows = [GOOGLE_FEED_COLUMNS.join("\t")];
+  for (const payload of payloads) {
+    const attrs = googleFeedAttributes(payload);
+    rows.push(GOOGLE_FEED_COLUMNS.map((name) => tsvCell(attrs[name])).join("\t"));
+  }
+  return `${rows.join("\n")}\n`;
+}
+
+/**
+ * @param {{
+ *   persist: { get: (key: string) => any, set: (key: string, value: any) => void, remove: (key: string) => void,
+ *     all: () => Record<string, any> },
+ *   channel: () => { title: string, link: string, description?: string },
+ *   now?: () => number,
+ * }} options
+ */
+export function createGoogleFeedStore({ persist, channel, now = Date.now }) {
+  let rendered = { xml: null, tsv: null };
+  let changedAt = null;
+
+  function invalidate() {
+    rendered = { xml: null, tsv: null };
+    changedAt = new Date(now()).toISOString();
+  }
+
+  /** Record the payload the push built (or would have built) for this offer. */
+  function upsert(payload, { shopifyProductId = null, reason = null } = {}) {
+    const offerId = String(payload?.offerId || "").trim();
+    if (!offerId) return false;
+    persist.set(offerId, { payload, shopifyProductId, reason, updatedAt: new Date(now()).toISOString() });
+    invalidate();
+    return true;
+  }
+
+  function remove(offerId) {
+    const key = String(offerId || "").trim();
+    if (!key || !persist.get(key)) return false;
+    persist.remove(key);
+    invalidate();
+    return true;
+  }
+
+  function payloads() {
+    return Object.values(persist.all())
+      .map((row) => row?.payload)
+      .filter(Boolean)
+      .sort((a, b) => (a.offerId < b.offerId ? -1 : a.offerId > b.offerId ? 1 : 0));
+  }
+
+  function xml() {
+    rendered.xml ??= renderGoogleFeedXml(payloads(), channel());
+    return rendered.xml;
+  }
+
+  function tsv() {
+    rendered.tsv ??= renderGoogleFeedTsv(payloads());
+    return rendered.tsv;
+  }
+
+  function stats() {
+    const rows = Object.values(persist.all());
+    return {
+      items: rows.length,
+      inStock: rows.filter((r) => r?.payload?.availability === "in stock").length,
+      lastUpdatedAt: rows.reduce((max, r) => (r?.updatedAt && (!max || r.updatedAt > max) ? r.updatedAt : max), null),
+      changedSinceBoot: changedAt,
+    };
+  }
+
+  return { upsert, remove, payloads, xml, tsv, stats };
+}
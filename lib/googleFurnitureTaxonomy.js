@@ -0,0 +1,101 @@
+/**
+ * Furniture category → Google product taxonomy mapping for Merchant offers. One Google category for the whole
+ * catalog put rugs, lamps and dining chairs side by side; the mapping (googleFurnitureTaxonomy.json, or the file in
+ * GOOGLE_FURNITURE_TAXONOMY_FILE) gives each resale category a Google taxonomy id and a productTypes breadcrumb,
+ * with optional keyword rules on the title for the finer Google categories (dining chairs vs. dining tables).
+ *
+ *   { "default": { "googleProductCategory": "436", "productType": "Furniture" },
+ *     "categories": {
+ *       "Dining Room": { "googleProductCategory": "436", "productType": "Furniture > Dining Room",
+ *         "rules": [{ "keywords": ["chair"], "googleProductCategory": "5886", "productType": "… > Dining Chairs" }] } } }
+ *
+ * Rules are tried in order; the first with a keyword in the title (whole words, any case) wins. Every id must be in
+ * the Google taxonomy list (googleProductTaxonomy.txt, Google's "id - path" format) and every category key must be
+ * a known resale category, so a typo fails at boot instead of miscategorizing the feed.
+ */
+
+/** Google's taxonomy-with-ids text ("436 - Furniture" per line, # comments) → Map id → path. */
+export function parseGoogleTaxonomyList(text) {
+  const out = new Map();
+  for (const line of String(text ?? "").split(/\r?\n/)) {
+    const m = /^\s*(\d+)\s+-\s+(.+?)\s*$/.exec(line);
+    if (m) out.set(m[1], m[2]);
+  }
+  return out;
+}
+
+function parseEntry(where, entry, taxonomy, withRules) {
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) return { error: `${where}: expected an object` };
+  const googleProductCategory = String(entry.googleProductCategory ?? "").trim();
+  if (!taxonomy.has(googleProductCategory)) {
+    return { error: `${where}: googleProductCategory ${JSON.stringify(entry.googleProductCategory)} is not in the Google taxonomy list` };
+  }
+  const productType = String(entry.productType ?? "").trim();
+  if (!productType) return { error: `${where}: productType is required` };
+  const out = { googleProductCategory, productType, rules: [] };
+  if (entry.rules == null) return { value: out };
+  if (!withRules || !Array.isArray(entry.rules)) return { error: `${where}: rules ${withRules ? "must be an array" : "are only allowed on categories"}` };
+  for (const [i, rule] of entry.rules.entries()) {
+    const parsed = parseEntry(`${where} rule ${i + 1}`, rule, taxonomy, false);
+    if (parsed.error) return parsed;
+    const keywords = Array.isArray(rule.keywords) ? rule.keywords.map((k) => String(k).trim().toLowerCase()).filter(Boolean) : [];
+    if (!keywords.length) return { error: `${where} rule ${i + 1}: keywords must be a non-empty array` };
+    out.rules.push({ keywords, googleProductCategory: parsed.value.googleProductCategory, productType: parsed.value.productType });
+  }
+  return { value: out };
+}
+
+/**
+ * Parse and validate the mapping JSON.
+ * @param {string} raw
+ * @param {{ taxonomy: Map<string, string>, categories: string[] }} options  taxonomy from parseGoogleTaxonomyList;
+ *   categories are the resale category labels the mapping may name
+ * @returns {{ value: { default: object, categories: Record<string, object> } | null, error: string | null }}
+ */
+export function parseGoogleFurnitureTaxonomy(raw, { taxonomy, categories }) {
+  let parsed;
+  try {
+    parsed = JSON.parse(String(raw ?? ""));
+  } catch (err) {
+    return { value: null, error: `not valid JSON: ${err.message}` };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { value: null, error: 'expected an object with "default" and "categories"' };
+  }
+  const def = parseEntry('"default"', parsed.default, taxonomy, false);
+  if (def.error) return { value: null, error: def.error };
+  const value = { default: def.value, categories: {} };
+  const known = new Set(categories);
+  for (const [label, entry] of Object.entries(parsed.categories ?? {})) {
+    if (!known.has(label)) return { value: null, error: `unknown furniture category "${label}" (expected one of: ${categories.join(", ")})` };
+    const out = parseEntry(`"${label}"`, entry, taxonomy, true);
+    if (out.error) return { value: null, error: out.error };
+    value.categories[label] = out.value;
+  }
+  return { value, error: null };
+}
+
+function titleHasKeyword(title, keyword) {
+  const hay = ` ${String(title ?? "").toLowerCase().replace(/[^a-z0-9]+/g, " ")} `;
+  return hay.includes(` ${keyword.replace(/[^a-z0-9]+/g, " ").trim()} `);
+}
+
+/**
+ * Google category + productTypes for one furniture listing. Unmapped categories get the default entry.
+ * @returns {{ googleProductCategory: string, productTypes: string[], source: string }}  source: "default",
+ *   the category label, or "<label> rule <n>"
+ */
+export function resolveGoogleFurnitureTaxonomy(mapping, category, title = "") {
+  const label = String(category ?? "").trim();
+  const entry = mapping.categories[label];
+  if (!entry) {
+    return { googleProductCategory: mapping.default.googleProductCategory, productTypes: [mapping.default.productType], source: "default" };
+  }
+  const index = entry.rules.findIndex((rule) => rule.keywords.some((k) => titleHasKeyword(title, k)));
+  const hit = index >= 0 ? entry.rules[index] : entry;
+  return {
+    googleProductCategory: hit.googleProductCategory,
+    productTypes: [hit.productType],
+    source: index >= 0 ? `${label} rule ${index + 1}` : label,
+  };
+}
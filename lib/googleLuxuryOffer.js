@@ -0,0 +1,182 @@
+/**
+ * Google Merchant offer builder for the luxury vertical (handbags, small leather goods, jewelry, watches).
+ * Apparel & accessories offers need more than furniture: gender, age group and color are required in the US, and
+ * material helps matching. Those are read from the listing title first, then the description; gender falls back
+ * to a configured default because most of the catalog is women's bags.
+ *
+ * Offer ids are "lux-<Shopify product id>": unlike the furniture slug ids they survive a listing rename, and the
+ * wrong-vertical cleanup can remove the offer knowing only the Shopify id.
+ * The payload has the same Content-API shape as the furniture builder, so googleMerchantInsertProduct takes both.
+ */
+
+/** Luxury category (Webflow / Shopify label) → Google product taxonomy id. */
+export const LUXURY_GOOGLE_PRODUCT_CATEGORIES = {
+  Handbags: "3032",
+  Totes: "3032",
+  Crossbody: "3032",
+  "Small Bags": "3032",
+  Backpacks: "100",
+  Wallets: "2668",
+  Luggage: "5181",
+  Scarves: "177",
+  Belts: "169",
+  Necklaces: "196",
+  Rings: "200",
+  Bracelets: "191",
+  Earrings: "194",
+  "Other Jewelry": "188",
+  Watches: "201",
+  Accessories: "167",
+  Other: "166",
+};
+
+const COLORS = [
+  ["multicolor", "Multicolor"],
+  ["multi-color", "Multicolor"],
+  ["black", "Black"],
+  ["white", "White"],
+  ["ivory", "Ivory"],
+  ["cream", "Cream"],
+  ["beige", "Beige"],
+  ["tan", "Tan"],
+  ["camel", "Camel"],
+  ["cognac", "Cognac"],
+  ["brown", "Brown"],
+  ["burgundy", "Burgundy"],
+  ["red", "Red"],
+  ["blush", "Pink"],
+  ["pink", "Pink"],
+  ["orange", "Orange"],
+  ["yellow", "Yellow"],
+  ["green", "Green"],
+  ["olive", "Green"],
+  ["navy", "Navy"],
+  ["blue", "Blue"],
+  ["purple", "Purple"],
+  ["gray", "Gray"],
+  ["grey", "Gray"],
+  ["gold", "Gold"],
+  ["silver", "Silver"],
+];
+
+/** Most specific first: "patent leather" before "leather", "sterling silver" before "silver". */
+const MATERIALS = [
+  ["patent leather", "Patent Leather"],
+  ["coated canvas", "Coated Canvas"],
+  ["leather", "Leather"],
+  ["suede", "Suede"],
+  ["canvas", "Canvas"],
+  ["nylon", "Nylon"],
+  ["silk", "Silk"],
+  ["cashmere", "Cashmere"],
+  ["wool", "Wool"],
+  ["cotton", "Cotton"],
+  ["denim", "Denim"],
+  ["raffia", "Raffia"],
+  ["straw", "Straw"],
+  ["velvet", "Velvet"],
+  ["satin", "Satin"],
+  ["platinum", "Platinum"],
+  ["18k gold", "18K Gold"],
+  ["14k gold", "14K Gold"],
+  ["10k gold", "10K Gold"],
+  ["sterling silver", "Sterling Silver"],
+  ["stainless steel", "Stainless Steel"],
+  ["titanium", "Titanium"],
+  ["gold", "Gold"],
+  ["silver", "Silver"],
+];
+
+function findTerm(terms, texts) {
+  for (const text of texts) {
+    const hay = ` ${String(text || "").toLowerCase().replace(/[^a-z0-9-]+/g, " ")} `;
+    for (const [term, label] of terms) {
+      if (hay.includes(` ${term} `)) return label;
+    }
+  }
+  return null;
+}
+
+/** First known color word in the title, else the description. */
+export function detectLuxuryColor(title, description = "") {
+  return findTerm(COLORS, [title, description]);
+}
+
+export function detectLuxuryMaterial(title, description = "") {
+  return findTerm(MATERIALS, [title, description]);
+}
+
+/** "male" | "female" | "unisex" from the text, else fallback. */
+export function detectLuxuryGender(title, description = "", fallback = "female") {
+  for (const text of [title, description]) {
+    const t = String(text || "").toLowerCase();
+    if (/\bunisex\b/.test(t)) return "unisex";
+    if (/\b(women'?s|womens|ladies'?|lady'?s)\b/.test(t)) return "female";
+    if (/\b(men'?s|mens|gentleman'?s|gents)\b/.test(t)) return "male";
+  }
+  return fallback;
+}
+
+/** Google category for a luxury listing; watches win over the stored category (they are filed under jewelry). */
+export function googleLuxuryProductCategory(category, { isWatch = false } = {}) {
+  if (isWatch) return LUXURY_GOOGLE_PRODUCT_CATEGORIES.Watches;
+  const key = String(category || "").trim();
+  return LUXURY_GOOGLE_PRODUCT_CATEGORIES[key] ?? LUXURY_GOOGLE_PRODUCT_CATEGORIES.Other;
+}
+
+export function googleLuxuryOfferId(shopifyProductId) {
+  return `lux-${String(shopifyProductId || "").trim()}`;
+}
+
+/**
+ * @param {{
+ *   shopifyProductId: string,
+ *   title: string,
+ *   description: string,
+ *   link: string | null,
+ *   images?: string[],
+ *   brand: string,
+ *   category?: string | null,
+ *   isWatch?: boolean,
+ *   availability?: string,
+ *   price: { value: string, currency: string } | null,
+ *   salePrice?: { value: string, currency: string } | null,
+ *   contentLanguage?: string,
+ *   targetCountry?: string,
+ *   defaultGender?: string,
+ *   shippingWeight?: { value: string, unit: string } | null,
+ * }} input
+ */
+export function buildGoogleLuxuryOffer(input) {
+  const title = String(input.title || "").trim();
+  const description = String(input.description || "").trim() || title;
+  const images = (input.images || []).filter(Boolean);
+  const category = String(input.category || "").trim();
+  const out = {
+    offerId: googleLuxuryOfferId(input.shopifyProductId),
+    title,
+    description,
+    link: input.link || null,
+    imageLink: images[0] || "",
+    additionalImageLinks: images.slice(1, 10),
+    contentLanguage: input.contentLanguage || "en",
+    targetCountry: input.targetCountry || "US",
+    channel: "online",
+    availability: input.availability || "in stock",
+    condition: "used",
+    price: input.price,
+    brand: String(input.brand || "").trim(),
+    identifierExists: false,
+    googleProductCategory: googleLuxuryProductCategory(category, { isWatch: input.isWatch }),
+    gender: detectLuxuryGender(title, description, input.defaultGender || "female"),
+    ageGroup: "adult",
+  };
+  const color = detectLuxuryColor(title, description);
+  if (color) out.color = color;
+  const material = detectLuxuryMaterial(title, description);
+  if (material) out.material = material;
+  if (category && LUXURY_GOOGLE_PRODUCT_CATEGORIES[category]) out.productTypes = [`Luxury Goods > ${category}`];
+  if (input.salePrice) out.salePrice = input.salePrice;
+  if (input.shippingWeight) out.shippingWeight = input.shippingWeight;
+  return out;
+}
@@ -0,0 +1,141 @@
+/**
+ * Merchant Center product statuses read back after the push: per offer, whether Google approved it for each
+ * destination and the item-level issues (price mismatch, image too small, landing page errors …). Rows come from
+ * the Merchant API products list (productStatus) or the Content API productstatuses list; both are normalized to
+ *   { offerId, title, status: "approved" | "pending" | "disapproved", destinations, issues }
+ * and stored per offerId (kv namespace "google_product_status"). Each stored issue keeps the time it was first
+ * seen, so ingest() can report only disapprovals that are new since the previous pull.
+ */
+
+const SEVERITIES = {
+  disapproved: "disapproved",
+  demoted: "demoted",
+  not_impacted: "not_impacted",
+  unaffected: "not_impacted",
+};
+
+function lowerSnake(v) {
+  return String(v ?? "").trim().toLowerCase().replace(/[\s-]+/g, "_");
+}
+
+function countries(list) {
+  return Array.isArray(list) ? list.map(String).filter(Boolean) : [];
+}
+
+/** Stable key for one issue on one offer. */
+export function googleIssueKey(issue) {
+  return issue.attribute ? `${issue.code}:${issue.attribute}` : issue.code;
+}
+
+/**
+ * One Merchant API product (products/v1, with productStatus) or Content API productstatus → normalized status.
+ * @returns {{ offerId: string, title: string | null, status: string, destinations: object[], issues: object[] } | null}
+ */
+export function normalizeGoogleProductStatus(row) {
+  if (!row || typeof row !== "object") return null;
+  const status = row.productStatus ?? row;
+  const offerId = String(
+    row.offerId ?? (typeof row.productId === "string" ? row.productId.split(":").slice(3).join(":") : "")
+  ).trim();
+  if (!offerId) return null;
+  const attrs = row.productAttributes ?? row.attributes ?? {};
+  const destinations = (status.destinationStatuses ?? []).map((d) => ({
+    context: lowerSnake(d.reportingContext ?? d.destination),
+    approved: countries(d.approvedCountries),
+    pending: countries(d.pendingCountries),
+    disapproved: countries(d.disapprovedCountries),
+  }));
+  const issues = (status.itemLevelIssues ?? []).map((i) => ({
+    code: String(i.code ?? "unknown"),
+    severity: SEVERITIES[lowerSnake(i.severity ?? i.servability)] ?? "not_impacted",
+    attribute: i.attribute ?? i.attributeName ?? null,
+    description: i.description ?? null,
+    detail: i.detail ?? null,
+    resolution: i.resolution ?? null,
+    documentation: i.documentation ?? null,
+    context: (i.reportingContext ?? i.destination) ? lowerSnake(i.reportingContext ?? i.destination) : null,
+    countries: countries(i.applicableCountries),
+  }));
+  const anyApproved = destinations.some((d) => d.approved.length);
+  const anyDisapproved = destinations.some((d) => d.disapproved.length) || issues.some((i) => i.severity === "disapproved");
+  return {
+    offerId,
+    title: attrs.title ?? row.title ?? null,
+    link: attrs.link ?? row.link ?? null,
+    status: anyDisapproved ? "disapproved" : anyApproved ? "approved" : "pending",
+    destinations,
+    issues,
+  };
+}
+
+/**
+ * @param {{
+ *   persist: { get: (key: string) => any, set: (key: string, value: any) => void, remove: (key: string) => void,
+ *     all: () => Record<string, any> },
+ *   now?: () => number,
+ * }} options
+ */
+export function createGoogleMerchantStatusStore({ persist, now = Date.now }) {
+  /**
+   * Store one pull. complete: the rows are the whole account, so offers not in it are dropped.
+   * @returns {{ offers: number, approved: number, pending: number, disapproved: number, issues: number,
+   *   removed: number, newDisapprovals: Array<{ offerId: string, title: string | null, link: string | null, issue: object }> }}
+   */
+  function ingest(rows, { complete = true } = {}) {
+    const checkedAt = new Date(now()).toISOString();
+    const out = { offers: 0, approved: 0, pending: 0, disapproved: 0, issues: 0, removed: 0, newDisapprovals: [] };
+    const seen = new Set();
+    for (const row of rows) {
+      const next = normalizeGoogleProductStatus(row);
+      if (!next || seen.has(next.offerId)) continue;
+      seen.add(next.offerId);
+      const prev = persist.get(next.offerId);
+      const prevIssues = new Map((prev?.issues ?? []).map((i) => [googleIssueKey(i), i]));
+      next.issues = next.issues.map((issue) => {
+        const before = prevIssues.get(googleIssueKey(issue));
+        if (issue.severity === "disapproved" && before?.severity !== "disapproved") {
+          out.newDisapprovals.push({ offerId: next.offerId, title: next.title, link: next.link, issue });
+        }
+        return { ...issue, firstSeenAt: before?.firstSeenAt ?? checkedAt };
+      });
+      const disapprovedSince = next.status === "disapproved" ? (prev?.status === "disapproved" && prev.disapprovedSince) || checkedAt : null;
+      persist.set(next.offerId, { ...next, disapprovedSince, checkedAt });
+      out.offers += 1;
+      out[next.status] += 1;
+      out.issues += next.issues.length;
+    }
+    if (complete) {
+      for (const offerId of Object.keys(persist.all())) {
+        if (seen.has(offerId)) continue;
+        persist.remove(offerId);
+        out.removed += 1;
+      }
+    }
+    return out;
+  }
+
+  function get(offerId) {
+    return persist.get(String(offerId ?? "")) ?? null;
+  }
+
+  /** Stored offers, disapproved first. severity keeps offers with at least one issue of that severity. */
+  function list({ status = null, severity = null } = {}) {
+    const rank = { disapproved: 0, pending: 1, approved: 2 };
+    return Object.values(persist.all())
+      .filter((o) => o && (!status || o.status === status))
+      .filter((o) => !severity || o.issues.some((i) => i.severity === severity))
+      .sort((a, b) => rank[a.status] - rank[b.status] || (a.offerId < b.offerId ? -1 : 1));
+  }
+
+  function summary() {
+    const out = { offers: 0, approved: 0, pending: 0, disapproved: 0, issuesByCode: {} };
+    for (const o of Object.values(persist.all())) {
+      out.offers += 1;
+      out[o.status] += 1;
+      for (const i of o.issues) out.issuesByCode[i.code] = (out.issuesByCode[i.code] || 0) + 1;
+    }
+    return out;
+  }
+
+  return { ingest, get, list, summary };
+}
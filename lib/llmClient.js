@@ -0,0 +1,228 @@
+/**
+ * Shared LLM chat client for every OpenAI-style call in the server (vertical/category classifiers, social captions,
+ * listing blurbs, package selection, Google weight/dimension completion, consignment pricing). Requests use the
+ * OpenAI chat-completions shape — text or image_url message parts, optional JSON mode — and the provider is picked
+ * by env:
+ *   openai             api.openai.com (OPENAI_API_KEY); LLM_BASE_URL points it at a proxy
+ *   openai-compatible  any local server speaking /chat/completions (LLM_BASE_URL, optional LLM_API_KEY, LLM_MODEL)
+ *   fixture            deterministic canned answers, no network (LLM_FIXTURES_FILE) — for tests and offline CI
+ *
+ * 429 / 5xx / connection resets are retried with backoff (Retry-After honoured). Failures are thrown as axios-shaped
+ * errors (err.response.status, err.response.data.error.message) so callers keep their existing catch blocks.
+ */
+import axios from "axios";
+import fs from "fs";
+
+export const LLM_PROVIDERS = ["openai", "openai-compatible", "fixture"];
+
+const OPENAI_BASE_URL = "https://api.openai.com/v1";
+const RETRYABLE_NETWORK_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "EAI_AGAIN", "EPIPE", "ETIMEDOUT"]);
+
+const sleepMs = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Error with the axios response shape, for fixture answers and config problems. */
+function llmHttpError(status, message, provider) {
+  const err = new Error(`LLM request failed with status code ${status}: ${message}`);
+  err.response = { status, data: { error: { message } }, headers: {} };
+  err.llmProvider = provider;
+  return err;
+}
+
+function messagesText(messages) {
+  return (messages || [])
+    .flatMap((m) => (Array.isArray(m.content) ? m.content.filter((p) => p?.type === "text").map((p) => p.text) : [m.content]))
+    .map((t) => String(t ?? ""))
+    .join("\n");
+}
+
+/**
+ * Fixture file: { "rules": [{ "purpose"?, "match"?, "content" | "error": { status, message } }], "default"? }
+ * The first rule whose purpose equals the call's purpose (when set) and whose match is a case-insensitive substring
+ * of the prompt text (when set) answers. Object content is returned as JSON text. Without a matching rule the answer
+ * is the file's default, else "{}" in JSON mode and "" otherwise — which every caller treats as "no usable answer".
+ */
+export function loadLlmFixtures(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return Array.isArray(parsed) ? { rules: parsed } : { rules: parsed.rules || [], default: parsed.default };
+}
+
+function fixtureAnswer(fixtures, { purpose, messages, json }) {
+  const text = messagesText(messages).toLowerCase();
+  const rule = (fixtures.rules || []).find(
+    (r) => (!r.purpose || r.purpose === purpose) && (!r.match || text.includes(String(r.match).toLowerCase()))
+  );
+  if (rule?.error) return { error: rule.error };
+  const content = rule ? rule.content : fixtures.default ?? (json ? "{}" : "");
+  return { content: typeof content === "string" ? content : JSON.stringify(content) };
+}
+
+/** Deterministic token estimate (~4 chars/token) so fixture runs still report usage. */
+const estimateTokens = (s) => Math.ceil(String(s || "").length / 4);
+
+/**
+ * @param {{
+ *   provider?: "openai" | "openai-compatible" | "fixture",
+ *   apiKey?: string,
+ *   baseUrl?: string,
+ *   modelOverride?: string,
+ *   fixtures?: { rules: object[], default?: any },
+ *   maxRetries?: number,
+ *   timeoutMs?: number,
+ *   retryBaseMs?: number,
+ *   log?: (level: string, payload: object) => void,
+ *   usage?: { check: (purpose: string) => { exceeded: boolean }, record: (call: object) => number } | null,
+ *   sleep?: (ms: number) => Promise<void>,
+ * }} options  usage: lib/llmUsage.js ledger; over-budget calls throw code "llm_budget_exceeded" without a request
+ */
+export function createLlmClient({
+  provider = "openai",
+  apiKey = "",
+  baseUrl = "",
+  modelOverride = "",
+  fixtures = { rules: [] },
+  maxRetries = 2,
+  timeoutMs = 30000,
+  retryBaseMs = 1000,
+  log = () => {},
+  usage = null,
+  sleep = sleepMs,
+} = {}) {
+  if (!LLM_PROVIDERS.includes(provider)) throw new Error(`Unknown LLM provider "${provider}" (expected ${LLM_PROVIDERS.join(", ")})`);
+  const key = String(apiKey || "").trim();
+  const root = String(baseUrl || (provider === "openai" ? OPENAI_BASE_URL : "")).replace(/\/+$/, "");
+
+  /** Whether calls can be made; replaces the per-caller OPENAI_API_KEY checks. */
+  function isConfigured() {
+    if (provider === "fixture") return true;
+    if (provider === "openai-compatible") return Boolean(root);
+    return Boolean(key);
+  }
+
+  /** Model a call for `model` is actually sent with (LLM_MODEL wins over the per-feature names). */
+  function resolveModel(model) {
+    return modelOverride || model;
+  }
+
+  /** Today's spend against the feature budget for this purpose ({ exceeded: false } without a ledger). */
+  function budgetStatus(purpose) {
+    return usage ? usage.check(purpose) : { feature: null, exceeded: false, spentUsd: 0, budgetUsd: null };
+  }
+
+  function retryDelayMs(err, attempt) {
+    const raw = err?.response?.headers?.["retry-after"];
+    const sec = raw != null ? parseInt(String(raw).trim(), 10) : NaN;
+    if (Number.isFinite(sec) && sec > 0) return Math.min(sec * 1000, 30_000);
+    return Math.min(retryBaseMs * 2 ** (attempt - 1), 30_000);
+  }
+
+  function isRetryable(err) {
+    const status = err?.response?.status;
+    if (status != null) return status === 429 || status >= 500;
+    return RETRYABLE_NETWORK_CODES.has(err?.code);
+  }
+
+  async function send(body, timeout) {
+    if (provider === "fixture") {
+      const answer = fixtureAnswer(fixtures, { purpose: body.__purpose, messages: body.messages, json: Boolean(body.response_format) });
+      if (answer.error) throw llmHttpError(answer.error.status ?? 500, answer.error.message ?? "fixture error", provider);
+      return {
+        model: body.model,
+        choices: [{ message: { role: "assistant", content: answer.content }, finish_reason: "stop" }],
+        usage: { prompt_tokens: estimateTokens(messagesText(body.messages)), completion_tokens: estimateTokens(answer.content) },
+      };
+    }
+    const { __purpose, ...payload } = body;
+    const headers = { "Content-Type": "application/json" };
+    if (key) headers.Authorization = `Bearer ${key}`;
+    const res = await axios.post(`${root}/chat/completions`, payload, { headers, timeout });
+    return res.data;
+  }
+
+  /**
+   * One chat completion. Extra fields (temperature, top_p, max_tokens, max_completion_tokens, …) are sent as-is.
+   * @param {{ purpose: string, model: string, messages: object[], json?: boolean, timeoutMs?: number, [param: string]: any }} request
+   * @returns {Promise<{ content: string, model: string, provider: string, usage: { promptTokens: number, completionTokens: number }, costUsd: number | null, attempts: number, data: object }>}
+   */
+  async function chat({ purpose = "unspecified", model, messages, json = false, timeoutMs: callTimeoutMs, ...params }) {
+    if (!isConfigured()) throw llmHttpError(401, `LLM provider "${provider}" is not configured`, provider);
+    const effectiveModel = resolveModel(model);
+    const budget = budgetStatus(purpose);
+    if (budget.exceeded) {
+      log("warn", { event: "llm.budget_exceeded", provider, purpose, model: effectiveModel, ...budget });
+      const err = new Error(`Daily LLM budget for ${budget.feature} is used up ($${budget.spentUsd} of $${budget.budgetUsd})`);
+      err.code = "llm_budget_exceeded";
+      err.status = 503;
+      err.budget = budget;
+      throw err;
+    }
+    const body = { model: effectiveModel, messages, ...params, __purpose: purpose };
+    if (json) body.response_format = { type: "json_object" };
+    const started = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const data = await send(body, callTimeoutMs ?? timeoutMs);
+        const tokens = {
+          promptTokens: data?.usage?.prompt_tokens ?? 0,
+          completionTokens: data?.usage?.completion_tokens ?? 0,
+        };
+        const costUsd = usage ? usage.record({ provider, purpose, model: effectiveModel, ...tokens }) : null;
+        log("info", { event: "llm.request", provider, purpose, model: effectiveModel, attempts: attempt, ms: Date.now() - started, ...tokens, costUsd });
+        return { content: data?.choices?.[0]?.message?.content ?? "", model: data?.model || effectiveModel, provider, usage: tokens, costUsd, attempts: attempt, data };
+      } catch (err) {
+        const status = err?.response?.status ?? null;
+        if (attempt <= maxRetries && isRetryable(err)) {
+          const waitMs = retryDelayMs(err, attempt);
+          log("warn", { event: "llm.retry", provider, purpose, model: effectiveModel, attempt, status, code: err?.code ?? null, waitMs });
+          await sleep(waitMs);
+          continue;
+        }
+        err.llmProvider ??= provider;
+        usage?.record({ provider, purpose, model: effectiveModel, failed: true });
+        log("warn", {
+          event: "llm.failed",
+          provider,
+          purpose,
+          model: effectiveModel,
+          attempts: attempt,
+          ms: Date.now() - started,
+          status,
+          code: err?.code ?? null,
+          message: err?.response?.data?.error?.message || err?.message || String(err),
+        });
+        throw err;
+      }
+    }
+  }
+
+  return { provider, isConfigured, resolveModel, budgetStatus, chat };
+}
+
+/**
+ * Client built from LLM_PROVIDER, LLM_BASE_URL, LLM_API_KEY / OPENAI_API_KEY, LLM_MODEL, LLM_FIXTURES_FILE,
+ * LLM_MAX_RETRIES, LLM_TIMEOUT_MS. `options` (log, sleep, …) are passed through to createLlmClient.
+ */
+export function createLlmClientFromEnv(env = process.env, options = {}) {
+  const provider = String(env.LLM_PROVIDER || "openai").trim().toLowerCase();
+  return createLlmClient({
+    provider,
+    // The OpenAI key never goes to a third-party base URL.
+    apiKey: provider === "openai" ? env.OPENAI_API_KEY : env.LLM_API_KEY,
+    baseUrl: String(env.LLM_BASE_URL || "").trim(),
+    modelOverride: String(env.LLM_MODEL || "").trim(),
+    fixtures: provider === "fixture" && env.LLM_FIXTURES_FILE ? loadLlmFixtures(env.LLM_FIXTURES_FILE) : { rules: [] },
+    maxRetries: Number.isFinite(parseInt(env.LLM_MAX_RETRIES, 10)) ? Math.max(0, parseInt(env.LLM_MAX_RETRIES, 10)) : 2,
+    timeoutMs: Math.max(1000, parseInt(env.LLM_TIMEOUT_MS || "30000", 10) || 30000),
+    ...options,
+  });
+}
+
+let sharedClient = null;
+
+/** Process-wide client used by the classifier and caption modules; built from env on first use unless set. */
+export function getLlmClient() {
+  return (sharedClient ||= createLlmClientFromEnv());
+}
+
+export function setLlmClient(client) {
+  sharedClient = client;
+}
@@ -0,0 +1,113 @@
+/**
+ * Persistent LLM decision cache for the vertical and category classifiers. A decision is keyed on the product,
+ * the classifier kind (vertical, or category per vertical), the model name, the prompt version and a digest of
+ * contentHashForLLM(product) — so clearing a sync cache row or a reclassify run reuses the earlier answer while
+ * the text is unchanged, and a prompt or model change misses naturally.
+ *
+ * Stored in the sync store kv table (namespace "llm_decisions"), key "<productId>|<kind>|<model>|<promptVersion>|<digest>",
+ * where model is the one the LLM client answers with, "<provider>:<model>" for providers other than OpenAI;
+ * value { result, cachedAt }. Entries older than ttlMs are dropped on read. Hit/miss counters are per process.
+ */
+import crypto from "crypto";
+
+/**
+ * @param {{
+ *   store: { maps: object, sets: object },
+ *   ns?: string,
+ *   ttlMs: number,
+ *   enabled?: boolean,
+ *   now?: () => number,
+ * }} options
+ */
+export function createLlmDecisionCache({ store, ns = "llm_decisions", ttlMs, enabled = true, now = Date.now }) {
+  const startedAt = new Date(now()).toISOString();
+  const counters = {};
+
+  function count(kind, field) {
+    const k = String(kind).split(":")[0];
+    const c = (counters[k] ||= { hits: 0, misses: 0, expired: 0, writes: 0 });
+    c[field]++;
+  }
+
+  function keyFor({ productId, kind, model, promptVersion, content }) {
+    const digest = crypto.createHash("sha256").update(JSON.stringify(content ?? null)).digest("hex").slice(0, 32);
+    return [productId, kind, model, promptVersion, digest].map((part) => String(part ?? "").replace(/\|/g, "_")).join("|");
+  }
+
+  /** Products without an id (e.g. a raw /classify/explain payload) are never cached. */
+  function usable(ref) {
+    return enabled && ref?.productId != null && String(ref.productId).trim() !== "";
+  }
+
+  /** @returns {{ result: any, cachedAt: string } | null} */
+  function get(ref) {
+    if (!usable(ref)) return null;
+    const key = keyFor(ref);
+    const entry = store.maps.get(ns, key);
+    if (!entry) {
+      count(ref.kind, "misses");
+      return null;
+    }
+    if (now() - Date.parse(entry.cachedAt) > ttlMs) {
+      store.maps.remove(ns, key);
+      count(ref.kind, "expired");
+      count(ref.kind, "misses");
+      return null;
+    }
+    count(ref.kind, "hits");
+    return entry;
+  }
+
+  function set(ref, result) {
+    if (!usable(ref)) return false;
+    store.maps.set(ns, keyFor(ref), { result, cachedAt: new Date(now()).toISOString() });
+    count(ref.kind, "writes");
+    return true;
+  }
+
+  /**
+   * @param {{ shopifyProductId?: string, model?: string, all?: boolean }} target  one of them (model with or without
+   *   its provider prefix)
+   * @returns {number} entries removed
+   */
+  function invalidate({ shopifyProductId, model, all = false } = {}) {
+    const productId = shopifyProductId != null ? String(shopifyProductId).trim() : "";
+    if (productId && model) throw new Error("invalidate by product or by model, not both");
+    let removed = 0;
+    if (all) {
+      removed = store.sets.removePrefix(ns, "");
+    } else if (productId) {
+      removed = store.sets.removePrefix(ns, `${productId}|`);
+    } else if (model) {
+      for (const key of store.sets.list(ns)) {
+        const keyModel = key.split("|")[2];
+        if (keyModel === model || keyModel.slice(keyModel.indexOf(":") + 1) === model) removed += store.maps.remove(ns, key);
+      }
+    } else {
+      throw new Error("shopifyProductId, model or all is required");
+    }
+    return removed;
+  }
+
+  function stats() {
+    const byKind = {};
+    const totals = { hits: 0, misses: 0, expired: 0, writes: 0 };
+    for (const [kind, c] of Object.entries(counters)) {
+      const lookups = c.hits + c.misses;
+      byKind[kind] = { ...c, hitRate: lookups ? Math.round((c.hits / lookups) * 1000) / 1000 : null };
+      for (const f of Object.keys(totals)) totals[f] += c[f];
+    }
+    const lookups = totals.hits + totals.misses;
+    return {
+      enabled,
+      ttlDays: Math.round((ttlMs / 86400000) * 100) / 100,
+      entries: store.sets.count(ns),
+      since: startedAt,
+      ...totals,
+      hitRate: lookups ? Math.round((totals.hits / lookups) * 1000) / 1000 : null,
+      byKind,
+    };
+  }
+
+  return { enabled, get, set, invalidate, stats };
+}
@@ -0,0 +1,174 @@
+/**
+ * LLM token and cost ledger with per-feature daily budgets. The shared LLM client (lib/llmClient.js) checks the budget
+ * before each call and records the tokens after it; every call's purpose maps to a feature (llm_vertical.* and
+ * llm_category → classifier, otherwise the purpose up to the first dot: social_caption, listing_blurb,
+ * package_assign, consignment_pricing, google_merchant).
+ *
+ * Stored in the sync store kv table (namespace "llm_usage"), key "<YYYY-MM-DD>|<feature>|<model>" (UTC day),
+ * value { calls, failures, promptTokens, completionTokens, costUsd, unpricedCalls }. Cost uses USD per 1M tokens
+ * from DEFAULT_LLM_PRICES plus overrides; calls to models without a price, and non-OpenAI providers, cost 0 and
+ * unpriced models are counted so the report can flag them.
+ */
+
+/** USD per 1M tokens. A dated snapshot ("gpt-4o-2024-08-06") is priced like its base model. */
+export const DEFAULT_LLM_PRICES = {
+  "gpt-4o": { input: 2.5, output: 10 },
+  "gpt-4o-mini": { input: 0.15, output: 0.6 },
+  "gpt-4.1": { input: 2, output: 8 },
+  "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  "gpt-4.1-nano": { input: 0.1, output: 0.4 },
+  // package-assign and consignment pricing default to gpt-5.2.
+  "gpt-5": { input: 1.25, output: 10 },
+  "gpt-5-mini": { input: 0.25, output: 2 },
+  "gpt-5-nano": { input: 0.05, output: 0.4 },
+  "gpt-5.2": { input: 1.75, output: 14 },
+};
+
+const FEATURE_BY_PURPOSE = { llm_vertical: "classifier", llm_category: "classifier" };
+
+export function llmFeatureForPurpose(purpose) {
+  const head = String(purpose || "unspecified").split(".")[0];
+  return FEATURE_BY_PURPOSE[head] || head;
+}
+
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+/**
+ * @param {{
+ *   store: { maps: object, sets: object },
+ *   ns?: string,
+ *   prices?: Record<string, { input: number, output: number }>,
+ *   budgets?: Record<string, number>,
+ *   now?: () => number,
+ * }} options  budgets: feature → USD per UTC day
+ */
+export function createLlmUsageLedger({ store, ns = "llm_usage", prices = {}, budgets = {}, now = Date.now }) {
+  const priceTable = { ...DEFAULT_LLM_PRICES, ...prices };
+  /** Today's spend per feature, rebuilt from the store when the UTC day changes. */
+  let today = { date: null, spent: {} };
+
+  const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+  function priceFor(model) {
+    const m = String(model || "");
+    if (priceTable[m]) return priceTable[m];
+    const base = m.replace(/-\d{4}-\d{2}-\d{2}$/, "");
+    return priceTable[base] || null;
+  }
+
+  function todaySpend() {
+    const date = dayOf(now());
+    if (today.date !== date) {
+      const spent = {};
+      for (const [key, row] of Object.entries(store.maps.all(ns))) {
+        const [day, feature] = key.split("|");
+        if (day === date) spent[feature] = (spent[feature] || 0) + (row?.costUsd || 0);
+      }
+      today = { date, spent };
+    }
+    return today.spent;
+  }
+
+  /** @returns {{ feature: string, exceeded: boolean, spentUsd: number, budgetUsd: number | null }} */
+  function check(purpose) {
+    const feature = llmFeatureForPurpose(purpose);
+    const budgetUsd = feature in budgets && Number.isFinite(Number(budgets[feature])) ? Number(budgets[feature]) : null;
+    const spentUsd = round6(todaySpend()[feature] || 0);
+    return { feature, exceeded: budgetUsd != null && spentUsd >= budgetUsd, spentUsd, budgetUsd };
+  }
+
+  /**
+   * @param {{ provider: string, purpose: string, model: string, promptTokens?: number, completionTokens?: number, failed?: boolean }} call
+   * @returns {number} estimated cost in USD
+   */
+  function record({ provider, purpose, model, promptTokens = 0, completionTokens = 0, failed = false }) {
+    const feature = llmFeatureForPurpose(purpose);
+    const price = provider === "openai" ? priceFor(model) : null;
+    const costUsd = price ? (promptTokens * price.input + completionTokens * price.output) / 1e6 : 0;
+    const spent = todaySpend();
+    const key = [dayOf(now()), feature, model].map((part) => String(part ?? "").replace(/\|/g, "_")).join("|");
+    const row = store.maps.get(ns, key) || emptyTotals();
+    row.calls++;
+    if (failed) row.failures++;
+    row.promptTokens += promptTokens;
+    row.completionTokens += completionTokens;
+    row.costUsd = round6(row.costUsd + costUsd);
+    if (provider === "openai" && !price && !failed) row.unpricedCalls++;
+    store.maps.set(ns, key, row);
+    spent[feature] = (spent[feature] || 0) + costUsd;
+    return costUsd;
+  }
+
+  const TOTAL_FIELDS = ["calls", "failures", "promptTokens", "completionTokens", "costUsd", "unpricedCalls"];
+
+  function emptyTotals() {
+    return Object.fromEntries(TOTAL_FIELDS.map((f) => [f, 0]));
+  }
+
+  function add(into, row) {
+    for (const f of TOTAL_FIELDS) into[f] += row?.[f] || 0;
+    into.costUsd = round6(into.costUsd);
+    return into;
+  }
+
+  /**
+   * Daily rows for the last `days` UTC days and monthly rows for the last `months` months (newest first), each with
+   * a per-feature and per-model split, plus today's budget status per feature.
+   */
+  function report({ days = 30, months = 12 } = {}) {
+    const from = dayOf(now() - (days - 1) * 86400000);
+    const first = new Date(now());
+    first.setUTCDate(1);
+    first.setUTCMonth(first.getUTCMonth() - (months - 1));
+    const fromMonth = first.toISOString().slice(0, 7);
+    const byDay = new Map();
+    const byMonth = new Map();
+    const unpricedModels = new Set();
+    for (const [key, row] of Object.entries(store.maps.all(ns))) {
+      const [day, feature, model] = key.split("|");
+      if (row?.unpricedCalls) unpricedModels.add(model);
+      const month = day.slice(0, 7);
+      if (month < fromMonth) continue;
+      for (const [map, period] of [[byMonth, month], ...(day >= from ? [[byDay, day]] : [])]) {
+        const bucket = map.get(period) || { ...emptyTotals(), byFeature: {}, byModel: {} };
+        add(bucket, row);
+        add((bucket.byFeature[feature] ||= emptyTotals()), row);
+        add((bucket.byModel[model] ||= emptyTotals()), row);
+        map.set(period, bucket);
+      }
+    }
+    const sorted = (map, field) => [...map.entries()].sort(([a], [b]) => (a < b ? 1 : -1)).map(([period, v]) => ({ [field]: period, ...v }));
+    const features = new Set([...Object.keys(budgets), ...Object.keys(todaySpend())]);
+    const budgetStatus = {};
+    for (const feature of [...features].sort()) {
+      const { spentUsd, budgetUsd, exceeded } = check(feature);
+      budgetStatus[feature] = {
+        spentUsd,
+        budgetUsd,
+        remainingUsd: budgetUsd == null ? null : round6(Math.max(0, budgetUsd - spentUsd)),
+        exceeded,
+      };
+    }
+    return {
+      today: dayOf(now()),
+      budgets: budgetStatus,
+      daily: sorted(byDay, "date"),
+      monthly: sorted(byMonth, "month"),
+      unpricedModels: [...unpricedModels].sort(),
+    };
+  }
+
+  return { check, record, report };
+}
+
+/** LLM_PRICES_JSON / LLM_DAILY_BUDGETS_USD values: the parsed object, or {} plus the error when unparsable. */
+export function parseLlmUsageEnvJson(raw) {
+  if (!String(raw || "").trim()) return { value: {} };
+  try {
+    const value = JSON.parse(raw);
+    if (!value || typeof value !== "object" || Array.isArray(value)) throw new Error("expected a JSON object");
+    return { value };
+  } catch (err) {
+    return { value: {}, error: err.message };
+  }
+}
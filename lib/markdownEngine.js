@@ -0,0 +1,158 @@
+/**
+ * Automatic markdowns for consigned items: the longer a listing has been up (Shopify created_at), the bigger the
+ * discount, per vertical / category policy (e.g. 10% after 30 days, 20% after 60). The new price is written to
+ * Shopify with the original price as compare-at; the regular product sync then carries it to the Webflow SKU
+ * compare-at and the Google sale price.
+ *
+ * Every step is taken off the original price, never off the previous markdown. The original is remembered per
+ * product (kv namespace "markdowns") together with the price we last wrote; when Shopify shows another price, staff
+ * changed it by hand and the plan starts over from that price (or its compare-at when that is higher).
+ *
+ * Policies (MARKDOWN_POLICIES_JSON), most specific key wins, [] or null switches markdowns off for that scope:
+ *   { "default": [{ "days": 30, "percent": 10 }, { "days": 60, "percent": 20 }],
+ *     "luxury": [{ "days": 45, "percent": 10 }],
+ *     "furniture/Rugs": [] }
+ */
+
+/** @typedef {{ days: number, percent: number }} MarkdownStep */
+
+/**
+ * Parse and validate the policy JSON. Steps are sorted by days; percents must be above 0 and below 100.
+ * @returns {{ value: Record<string, MarkdownStep[]>, error: string | null }}
+ */
+export function parseMarkdownPolicies(raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return { value: {}, error: null };
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    return { value: {}, error: `not valid JSON: ${err.message}` };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { value: {}, error: "expected an object of policy key → steps" };
+  }
+  const value = {};
+  for (const [key, steps] of Object.entries(parsed)) {
+    const scope = normalizePolicyKey(key);
+    if (steps == null) {
+      value[scope] = [];
+      continue;
+    }
+    if (!Array.isArray(steps)) return { value: {}, error: `"${key}": expected an array of { days, percent }` };
+    const out = [];
+    for (const step of steps) {
+      const days = Number(step?.days);
+      const percent = Number(step?.percent);
+      if (!Number.isFinite(days) || days < 0) return { value: {}, error: `"${key}": bad days ${JSON.stringify(step?.days)}` };
+      if (!Number.isFinite(percent) || percent <= 0 || percent >= 100) {
+        return { value: {}, error: `"${key}": percent must be between 0 and 100, got ${JSON.stringify(step?.percent)}` };
+      }
+      out.push({ days, percent });
+    }
+    value[scope] = out.sort((a, b) => a.days - b.days);
+  }
+  return { value, error: null };
+}
+
+function normalizePolicyKey(key) {
+  return String(key ?? "")
+    .split("/")
+    .map((s) => s.trim().toLowerCase())
+    .join("/");
+}
+
+/** Steps for a listing: "vertical/category", then "vertical", then "default". Null when no key matches. */
+export function markdownStepsFor(policies, vertical, category) {
+  const v = String(vertical ?? "").trim().toLowerCase();
+  const c = String(category ?? "").trim();
+  // Keys are normalized per "/" segment, so "Art / Mirrors" must be too.
+  for (const key of [v && c ? normalizePolicyKey(`${v}/${c}`) : null, v || null, "default"]) {
+    if (key && Object.prototype.hasOwnProperty.call(policies, key)) return { key, steps: policies[key] };
+  }
+  return null;
+}
+
+/** Percent off the original, rounded down to a multiple of roundToCents (1 = exact cents). */
+export function markdownPriceCents(originalCents, percent, roundToCents = 100) {
+  const raw = Math.floor((originalCents * (100 - percent)) / 100);
+  const step = Math.max(1, Math.floor(roundToCents));
+  return Math.floor(raw / step) * step;
+}
+
+/**
+ * @param {{
+ *   policies: Record<string, MarkdownStep[]>,
+ *   excludeTag?: string,
+ *   roundToCents?: number,
+ *   persist: { get: (key: string) => any, set: (key: string, value: any) => void },
+ *   now?: () => number,
+ * }} options
+ */
+export function createMarkdownEngine({ policies, excludeTag = "no-markdown", roundToCents = 100, persist, now = Date.now }) {
+  const excludeLower = String(excludeTag || "").trim().toLowerCase();
+
+  /**
+   * Decide one listing. The caller has already left out sold and unlisted products.
+   * @param {{
+   *   shopifyProductId: string,
+   *   variantId: string | null,
+   *   variantCount?: number,
+   *   title?: string | null,
+   *   tags?: string[],
+   *   listedAt: string | null,
+   *   vertical: string | null,
+   *   category?: string | null,
+   *   priceCents: number | null,
+   *   compareAtCents?: number | null,
+   * }} input
+   * @returns {object} plan item; action "markdown" (with toPriceCents / compareAtCents) or "skip" (with reason)
+   */
+  function plan(input) {
+    const { shopifyProductId, variantId, variantCount = 1, title = null, tags = [], listedAt, vertical, category = null, priceCents } = input;
+    const compareAtCents = input.compareAtCents ?? null;
+    const item = { shopifyProductId: String(shopifyProductId), variantId, title, vertical, category, listedAt, priceCents, compareAtCents };
+    const skip = (reason, extra = {}) => ({ ...item, ...extra, action: "skip", reason });
+
+    if (excludeLower && tags.some((t) => String(t).trim().toLowerCase() === excludeLower)) return skip("excluded_tag");
+    if (variantCount !== 1 || !variantId) return skip("multi_variant");
+    if (priceCents == null || priceCents <= 0) return skip("no_price");
+    const policy = markdownStepsFor(policies, vertical, category);
+    if (!policy || !policy.steps.length) return skip("no_policy", { policy: policy?.key ?? null });
+    const listedMs = Date.parse(listedAt ?? "");
+    if (!Number.isFinite(listedMs)) return skip("no_listing_date", { policy: policy.key });
+    const ageDays = Math.floor((now() - listedMs) / 86400000);
+    const step = policy.steps.filter((s) => s.days <= ageDays).pop();
+    if (!step) return skip("too_new", { policy: policy.key, ageDays, nextStep: policy.steps[0] });
+
+    const state = persist.get(item.shopifyProductId);
+    const ours = state && state.variantId === variantId && state.priceCents === priceCents;
+    const originalPriceCents = ours
+      ? state.originalPriceCents
+      : compareAtCents != null && compareAtCents > priceCents
+        ? compareAtCents
+        : priceCents;
+    const toPriceCents = markdownPriceCents(originalPriceCents, step.percent, roundToCents);
+    const nextStep = policy.steps.find((s) => s.days > ageDays) ?? null;
+    const detail = { policy: policy.key, ageDays, step, nextStep, originalPriceCents, manualPriceChange: Boolean(state && !ours) };
+    if (toPriceCents <= 0) return skip("price_too_low", detail);
+    if (priceCents <= toPriceCents) return skip("at_or_below_step", detail);
+    return { ...item, ...detail, action: "markdown", reason: null, toPriceCents, compareAtCents: originalPriceCents };
+  }
+
+  /** Remember a markdown written to Shopify (the next plan builds on its original price). */
+  function record(item) {
+    const entry = {
+      variantId: item.variantId,
+      originalPriceCents: item.originalPriceCents,
+      priceCents: item.toPriceCents,
+      percent: item.step.percent,
+      stepDays: item.step.days,
+      appliedAt: new Date(now()).toISOString(),
+    };
+    persist.set(item.shopifyProductId, entry);
+    return entry;
+  }
+
+  return { plan, record, excludeTag: excludeLower || null, roundToCents, policies };
+}
@@ -0,0 +1,167 @@
+/**
+ * Meta (Facebook / Instagram) Commerce Manager catalog feed for both verticals, as CSV. The caller builds one row
+ * per listed product from what the Google push already uses (listing title, Webflow listing URL, Shopify images,
+ * inventory, sale pricing, brand detection); this module adds Meta's categories and custom labels and renders the
+ * file with Meta's column names.
+ *
+ * Custom labels (META_FEED_CUSTOM_LABELS_JSON) are set per scope and merged from broad to specific, so
+ * "vertical/category" overrides "vertical" which overrides "default":
+ *   { "default": { "custom_label_2": "resale" },
+ *     "furniture": { "custom_label_3": "local pickup" },
+ *     "luxury/Handbags": { "custom_label_3": "ships free" } }
+ * custom_label_0 is the vertical and custom_label_1 the category unless a scope sets them.
+ */
+import { renderCsv } from "./csv.js";
+
+export const META_CUSTOM_LABELS = ["custom_label_0", "custom_label_1", "custom_label_2", "custom_label_3", "custom_label_4"];
+
+export const META_FEED_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "availability",
+  "condition",
+  "price",
+  "sale_price",
+  "link",
+  "image_link",
+  "additional_image_link",
+  "brand",
+  "google_product_category",
+  "fb_product_category",
+  "product_type",
+  ...META_CUSTOM_LABELS,
+];
+
+/** Category label → Meta product category, per vertical; "*" is the vertical's fallback. */
+export const META_FB_PRODUCT_CATEGORIES = {
+  furniture: {
+    "*": "furniture",
+    Rugs: "home",
+    "Art / Mirrors": "home",
+    Accessories: "home",
+    Lighting: "home",
+  },
+  luxury: {
+    "*": "bags & luggage",
+    Necklaces: "jewelry & watches",
+    Rings: "jewelry & watches",
+    Bracelets: "jewelry & watches",
+    Earrings: "jewelry & watches",
+    "Other Jewelry": "jewelry & watches",
+    Watches: "jewelry & watches",
+    Scarves: "clothing & accessories",
+    Belts: "clothing & accessories",
+    Accessories: "clothing & accessories",
+    Other: "clothing & accessories",
+  },
+};
+
+const VERTICAL_LABELS = { furniture: "Furniture", luxury: "Luxury" };
+
+function normalizeScope(key) {
+  return String(key ?? "")
+    .split("/")
+    .map((s) => s.trim().toLowerCase())
+    .join("/");
+}
+
+/**
+ * Parse and validate the custom label JSON (scope → { custom_label_N: string }).
+ * @returns {{ value: Record<string, Record<string, string>>, error: string | null }}
+ */
+export function parseMetaCustomLabels(raw) {
+  const text = String(raw ?? "").trim();
+  if (!text) return { value: {}, error: null };
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    return { value: {}, error: `not valid JSON: ${err.message}` };
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    return { value: {}, error: "expected an object of scope → { custom_label_N: value }" };
+  }
+  const value = {};
+  for (const [scope, labels] of Object.entries(parsed)) {
+    if (!labels || typeof labels !== "object" || Array.isArray(labels)) return { value: {}, error: `"${scope}": expected an object` };
+    const out = {};
+    for (const [name, label] of Object.entries(labels)) {
+      if (!META_CUSTOM_LABELS.includes(name)) return { value: {}, error: `"${scope}": unknown column "${name}" (custom_label_0 … custom_label_4)` };
+      if (label != null && typeof label !== "string") return { value: {}, error: `"${scope}".${name}: expected a string` };
+      out[name] = label ?? "";
+    }
+    value[normalizeScope(scope)] = out;
+  }
+  return { value, error: null };
+}
+
+/** custom_label_0..4 for one listing: vertical / category defaults, then default → vertical → vertical/category. */
+export function metaCustomLabelsFor(labels, vertical, category) {
+  const v = String(vertical ?? "").trim().toLowerCase();
+  const c = String(category ?? "").trim();
+  const out = { custom_label_0: VERTICAL_LABELS[v] ?? v, custom_label_1: c };
+  for (const scope of ["default", v, v && c ? normalizeScope(`${v}/${c}`) : null]) {
+    if (scope && labels[scope]) Object.assign(out, labels[scope]);
+  }
+  return out;
+}
+
+export function metaFbProductCategory(vertical, category) {
+  const map = META_FB_PRODUCT_CATEGORIES[String(vertical ?? "").trim().toLowerCase()];
+  if (!map) return null;
+  return map[String(category ?? "").trim()] ?? map["*"];
+}
+
+/** { value: "12.50", currency: "USD" } → "12.50 USD". */
+function metaMoney(money) {
+  if (!money || money.value == null || money.value === "") return "";
+  return `${money.value} ${money.currency || "USD"}`;
+}
+
+/**
+ * @param {{
+ *   id: string,
+ *   vertical: "furniture" | "luxury",
+ *   category?: string | null,
+ *   title: string,
+ *   description?: string,
+ *   inStock: boolean,
+ *   price: { value: string, currency: string } | null,
+ *   salePrice?: { value: string, currency: string } | null,
+ *   link: string,
+ *   images?: string[],
+ *   brand: string,
+ *   googleProductCategory?: string | null,
+ *   productType?: string | null,
+ * }} input
+ * @param {{ customLabels?: Record<string, Record<string, string>> }} [options]
+ * @returns {Record<string, string>} one value per META_FEED_COLUMNS entry
+ */
+export function buildMetaCatalogRow(input, { customLabels = {} } = {}) {
+  const title = String(input.title || "").trim();
+  const images = (input.images || []).filter(Boolean);
+  return {
+    id: String(input.id),
+    // Meta caps titles at 200 characters and descriptions at 9999.
+    title: title.slice(0, 200),
+    description: (String(input.description || "").trim() || title).slice(0, 9999),
+    availability: input.inStock ? "in stock" : "out of stock",
+    condition: "used",
+    price: metaMoney(input.price),
+    sale_price: metaMoney(input.salePrice),
+    link: input.link,
+    image_link: images[0] || "",
+    additional_image_link: images.slice(1, 20).join(","),
+    brand: String(input.brand || "").trim(),
+    google_product_category: input.googleProductCategory ?? "",
+    fb_product_category: metaFbProductCategory(input.vertical, input.category) ?? "",
+    product_type: input.productType ?? "",
+    ...metaCustomLabelsFor(customLabels, input.vertical, input.category),
+  };
+}
+
+/** Header row of META_FEED_COLUMNS, then one line per row. */
+export function renderMetaCatalogCsv(rows) {
+  return renderCsv(META_FEED_COLUMNS, rows);
+}
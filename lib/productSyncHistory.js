@@ -0,0 +1,266 @@
+/**
+ * Per-product sync history (audit trail) for GET /products/:shopifyId/history.
+ * One JSON file per Shopify product under DATA_DIR/product_history, newest entry last; every append
+ * trims entries older than retentionDays and caps the file at maxEntries.
+ *
+ * A sync of one product runs inside a history session (AsyncLocalStorage): decision log lines and
+ * Webflow / Shopify / Google writes made while it runs are collected and appended as a single entry
+ * when the sync finishes, so a timeline row reads "what happened on that sync" instead of raw logs.
+ */
+import fs from "fs";
+import path from "path";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+const sessions = new AsyncLocalStorage();
+
+const SHOPIFY_ID_REGEX = /^[0-9]{1,20}$/;
+/** Per-session caps so one pathological sync cannot produce a multi-MB history row. */
+const SESSION_MAX_EVENTS = 80;
+const SESSION_MAX_WRITES = 40;
+const VALUE_MAX_CHARS = 200;
+
+/** Log events worth keeping in the timeline (decisions, not transport noise). */
+const HISTORY_EVENT_PREFIXES = [
+  "sync_product.",
+  "vertical.",
+  "luxury_category.",
+  "furniture_category.",
+  "ecommerce_taxonomy.",
+  "llm_vertical.",
+  "cleanup.",
+  "sweep.",
+  "create.",
+  "markAsSold.",
+  "google_merchant.",
+];
+
+function clampValue(value) {
+  if (value == null) return null;
+  const s = typeof value === "string" ? value : JSON.stringify(value);
+  return s.length > VALUE_MAX_CHARS ? `${s.slice(0, VALUE_MAX_CHARS)}…` : value;
+}
+
+/** Keep scalar fields only (ids, reasons, verticals); drop the product id/title that every line repeats. */
+function compactEvent(level, payload) {
+  const out = { event: payload.event, level };
+  for (const [key, value] of Object.entries(payload)) {
+    if (key === "event" || key === "shopifyProductId" || key === "productTitle") continue;
+    if (value == null || typeof value === "object" || typeof value === "function") continue;
+    out[key] = typeof value === "string" ? clampValue(value) : value;
+  }
+  return out;
+}
+
+export function isProductHistoryEvent(event) {
+  const e = String(event || "");
+  return HISTORY_EVENT_PREFIXES.some((p) => e.startsWith(p));
+}
+
+/** Collect a log line into the active session (no-op outside one or for non-decision events). */
+export function noteProductHistoryEvent(level, payload) {
+  const session = sessions.getStore();
+  if (!session || !payload || !isProductHistoryEvent(payload.event)) return;
+  if (session.events.length >= SESSION_MAX_EVENTS) {
+    session.droppedEvents++;
+    return;
+  }
+  session.events.push(compactEvent(level, payload));
+}
+
+/**
+ * Collect a write (same type/detail as the dry-run guard). Returns false when no session is active so the
+ * caller can decide to log it as a standalone entry.
+ */
+export function noteProductHistoryWrite(type, detail = {}) {
+  const session = sessions.getStore();
+  if (!session) return false;
+  if (session.writes.length >= SESSION_MAX_WRITES) return true;
+  session.writes.push(historyWrite(type, detail));
+  return true;
+}
+
+function historyWrite(type, detail = {}) {
+  const { shopifyProductId, diff, ...rest } = detail;
+  const write = { type };
+  for (const [key, value] of Object.entries(rest)) {
+    if (value === undefined) continue;
+    write[key] = clampValue(value);
+  }
+  if (Array.isArray(diff)) {
+    write.fields = diff.map((d) => d.field);
+    write.diff = diff.map((d) => ({ field: d.field, from: clampValue(d.from), to: clampValue(d.to) }));
+  }
+  return write;
+}
+
+function changed(from, to) {
+  return JSON.stringify(from ?? null) !== JSON.stringify(to ?? null);
+}
+
+/**
+ * Sync cache entry before → after as history fields. Hashes are objects rebuilt on every sync (even when
+ * nothing changed), so they are compared by value.
+ */
+export function cacheEntryChanges(before, after) {
+  const beforeCategory = before?.resolvedCategory ?? null;
+  return {
+    vertical: { from: before?.vertical ?? null, to: after?.vertical ?? before?.vertical ?? null },
+    category: { from: beforeCategory, to: after?.resolvedCategory ?? beforeCategory },
+    qty: { from: before?.lastQty ?? null, to: after?.lastQty ?? before?.lastQty ?? null },
+    hashChanged: !!after?.hash && changed(before?.hash, after.hash),
+    contentChanged: !!after?.contentHash && changed(before?.contentHash, after.contentHash),
+  };
+}
+
+/** One-line human summary of an entry for the timeline view. */
+export function summarizeHistoryEntry(entry) {
+  const parts = [`${entry.trigger || "sync"}: ${entry.operation || "unknown"}`];
+  if (entry.vertical?.to) {
+    parts.push(
+      entry.vertical.from && entry.vertical.from !== entry.vertical.to
+        ? `vertical ${entry.vertical.from} → ${entry.vertical.to}`
+        : `vertical ${entry.vertical.to}`
+    );
+  }
+  if (entry.category && changed(entry.category.from, entry.category.to)) {
+    parts.push(`category ${entry.category.from ?? "none"} → ${entry.category.to ?? "none"}`);
+  }
+  if (entry.qty && changed(entry.qty.from, entry.qty.to)) parts.push(`qty ${entry.qty.from ?? "?"} → ${entry.qty.to ?? "?"}`);
+  if (entry.hashChanged) parts.push("shopify changed");
+  const fields = [...new Set((entry.writes || []).flatMap((w) => w.fields || []))];
+  const writeTypes = [...new Set((entry.writes || []).map((w) => w.type))];
+  if (writeTypes.length) parts.push(`writes: ${writeTypes.join(", ")}`);
+  if (fields.length) parts.push(`fields: ${fields.join(", ")}`);
+  if (entry.error) parts.push(`error: ${entry.error}`);
+  return parts.join(" · ");
+}
+
+/**
+ * @param {{
+ *   dir: string,
+ *   retentionDays?: number,
+ *   maxEntries?: number,
+ *   log?: (level: string, payload: object) => void,
+ * }} options
+ */
+export function createProductSyncHistory({ dir, retentionDays = 90, maxEntries = 200, log = () => {} }) {
+  const retentionMs = retentionDays * 86400000;
+
+  function fileFor(shopifyProductId) {
+    const id = String(shopifyProductId ?? "").trim();
+    return SHOPIFY_ID_REGEX.test(id) ? path.join(dir, `${id}.json`) : null;
+  }
+
+  function readFile(file) {
+    try {
+      if (!fs.existsSync(file)) return [];
+      const parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      log("error", { event: "product_history.load_failed", file, message: err.message });
+      return [];
+    }
+  }
+
+  function trim(entries, now = Date.now()) {
+    const kept = entries.filter((e) => now - (Date.parse(e.at) || 0) <= retentionMs);
+    return kept.length > maxEntries ? kept.slice(kept.length - maxEntries) : kept;
+  }
+
+  function writeFile(file, entries) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(entries, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  /** Append one entry (summary filled in) and trim that product's file. */
+  function append(shopifyProductId, entry) {
+    const file = fileFor(shopifyProductId);
+    if (!file) return null;
+    const row = { at: new Date().toISOString(), ...entry };
+    row.summary = summarizeHistoryEntry(row);
+    try {
+      fs.mkdirSync(dir, { recursive: true });
+      writeFile(file, trim([...readFile(file), row]));
+    } catch (err) {
+      log("error", { event: "product_history.save_failed", shopifyProductId, message: err.message });
+    }
+    return row;
+  }
+
+  /** Standalone entry for a write made outside a product sync (e.g. orphan sweep / disappeared mark-sold). */
+  function appendWrite(shopifyProductId, type, detail = {}, extra = {}) {
+    return append(shopifyProductId, { ...extra, operation: type, writes: [historyWrite(type, detail)], events: [] });
+  }
+
+  /** Newest first. */
+  function read(shopifyProductId, { limit = 0 } = {}) {
+    const file = fileFor(shopifyProductId);
+    if (!file) return [];
+    const entries = trim(readFile(file)).reverse();
+    return limit > 0 ? entries.slice(0, limit) : entries;
+  }
+
+  /** Drop expired entries across every product; files left empty are removed. */
+  function prune() {
+    let filesRemoved = 0;
+    let entriesRemoved = 0;
+    if (!fs.existsSync(dir)) return { filesRemoved, entriesRemoved };
+    const now = Date.now();
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(dir, name);
+      const entries = readFile(file);
+      const kept = trim(entries, now);
+      if (kept.length === entries.length) continue;
+      entriesRemoved += entries.length - kept.length;
+      try {
+        if (kept.length) writeFile(file, kept);
+        else {
+          fs.unlinkSync(file);
+          filesRemoved++;
+        }
+      } catch (err) {
+        log("error", { event: "product_history.prune_failed", file, message: err.message });
+      }
+    }
+    if (filesRemoved || entriesRemoved) {
+      log("info", { event: "product_history.pruned", filesRemoved, entriesRemoved, retentionDays });
+    }
+    return { filesRemoved, entriesRemoved };
+  }
+
+  /**
+   * Run one product sync inside a history session. `describe(result, error)` returns the entry fields
+   * known only to the caller (operation, vertical/category/qty before → after, …); collected events and
+   * writes are attached automatically.
+   * @template T
+   * @param {string} shopifyProductId
+   * @param {() => Promise<T>} fn
+   * @param {(result: T | undefined, error: unknown) => object} describe
+   * @returns {Promise<T>}
+   */
+  async function record(shopifyProductId, fn, describe) {
+    const session = { events: [], writes: [], droppedEvents: 0 };
+    const startedAt = Date.now();
+    let result;
+    let error = null;
+    try {
+      result = await sessions.run(session, fn);
+      return result;
+    } catch (err) {
+      error = err;
+      throw err;
+    } finally {
+      append(shopifyProductId, {
+        durationMs: Date.now() - startedAt,
+        ...describe(result, error),
+        writes: session.writes,
+        events: session.events,
+        ...(session.droppedEvents ? { droppedEvents: session.droppedEvents } : {}),
+      });
+    }
+  }
+
+  return { append, appendWrite, read, prune, record, retentionDays, maxEntries };
+}
@@ -0,0 +1,173 @@
+/**
+ * Three-way catalog reconciliation: Shopify (source of truth) vs Webflow (luxury CMS + furniture ecommerce)
+ * vs Google Merchant offers. Read-only — it lists drift for the team to work through; fixes stay with
+ * /sync-all, /sync-by-ids and the sold sweep.
+ *
+ * Inputs are normalized by server.js (which owns the Shopify / Webflow / Google field conventions), so this
+ * module only joins and compares:
+ *   shopify: { id, title, status, qty, priceCents, imageCount, vertical }   (vertical = last synced, from cache)
+ *   webflow: { vertical, webflowId, shopifyProductId, name, slug, sold, archived, priceCents, hasImage, offerId }
+ *            (offerId = the Google offer the sync pushes for this listing: furniture slug id or luxury "lux-" id; null when none)
+ *   google:  { offerId, inStock, priceCents } — or null when Google Merchant is not configured
+ */
+import { renderCsv } from "./csv.js";
+
+export const RECONCILIATION_MISMATCH_TYPES = [
+  "missing_in_webflow",
+  "webflow_without_shopify",
+  "duplicate_placement",
+  "wrong_vertical",
+  "sold_state",
+  "inventory",
+  "price",
+  "missing_images",
+  "google_offer_for_sold",
+  "google_price",
+  "google_offer_orphan",
+  "missing_in_google",
+];
+
+function shopifySold(p) {
+  if (!p) return true;
+  if (String(p.status || "active").toLowerCase() !== "active") return true;
+  return p.qty != null && Number(p.qty) <= 0;
+}
+
+/**
+ * @param {{
+ *   shopify: Array<object>,
+ *   webflow: Array<object>,
+ *   google?: Array<object> | null,
+ *   cacheQtyById?: Map<string, number | null>,
+ * }} input
+ */
+export function reconcileCatalogs({ shopify, webflow, google = null, cacheQtyById = new Map() }) {
+  const mismatches = [];
+  const shopifyById = new Map((shopify || []).map((p) => [String(p.id), p]));
+  const webflowByShopifyId = new Map();
+  for (const item of webflow || []) {
+    if (item.archived) continue;
+    const sid = item.shopifyProductId ? String(item.shopifyProductId) : "";
+    if (!webflowByShopifyId.has(sid)) webflowByShopifyId.set(sid, []);
+    webflowByShopifyId.get(sid).push(item);
+  }
+  const googleByOfferId = google ? new Map(google.map((o) => [String(o.offerId), o])) : null;
+  const matchedOffers = new Set();
+
+  const add = (type, { product = null, item = null, offer = null, detail = null, shopifyValue, webflowValue, googleValue } = {}) => {
+    mismatches.push({
+      type,
+      shopifyProductId: product?.id != null ? String(product.id) : item?.shopifyProductId ?? null,
+      title: product?.title ?? item?.name ?? null,
+      vertical: item?.vertical ?? product?.vertical ?? null,
+      webflowId: item?.webflowId ?? null,
+      offerId: offer?.offerId ?? item?.offerId ?? null,
+      shopify: shopifyValue ?? null,
+      webflow: webflowValue ?? null,
+      google: googleValue ?? null,
+      detail,
+    });
+  };
+
+  for (const product of shopify || []) {
+    const sid = String(product.id);
+    const items = webflowByShopifyId.get(sid) || [];
+    const sold = shopifySold(product);
+    if (!items.length) {
+      if (!sold) add("missing_in_webflow", { product, detail: "active, in-stock Shopify product has no Webflow listing" });
+      continue;
+    }
+    if (new Set(items.map((i) => i.vertical)).size > 1) {
+      add("duplicate_placement", {
+        product,
+        webflowValue: items.map((i) => `${i.vertical}:${i.webflowId}`).join(" "),
+        detail: "listed in both the luxury and furniture collections",
+      });
+    }
+    const cachedQty = cacheQtyById.get(sid);
+    if (cachedQty != null && product.qty != null && Number(cachedQty) !== Number(product.qty)) {
+      add("inventory", { product, shopifyValue: product.qty, webflowValue: cachedQty, detail: "last synced qty differs from Shopify" });
+    }
+    for (const item of items) {
+      if (product.vertical && item.vertical !== product.vertical) {
+        add("wrong_vertical", {
+          product,
+          item,
+          shopifyValue: product.vertical,
+          webflowValue: item.vertical,
+          detail: "listing is in a different collection than the product's synced vertical",
+        });
+      }
+      if (sold !== !!item.sold) {
+        add("sold_state", {
+          product,
+          item,
+          shopifyValue: sold ? "sold" : "available",
+          webflowValue: item.sold ? "sold" : "available",
+        });
+      }
+      if (!sold && product.priceCents != null && item.priceCents != null && product.priceCents !== item.priceCents) {
+        add("price", { product, item, shopifyValue: product.priceCents, webflowValue: item.priceCents, detail: "cents" });
+      }
+      if (!sold && product.imageCount > 0 && !item.hasImage) {
+        add("missing_images", { product, item, shopifyValue: product.imageCount, webflowValue: 0 });
+      }
+      if (!googleByOfferId || !item.offerId) continue;
+      const offer = googleByOfferId.get(String(item.offerId));
+      if (offer && offer.inStock && (sold || item.sold)) {
+        add("google_offer_for_sold", { product, item, offer, shopifyValue: sold ? "sold" : "available", googleValue: "in stock" });
+      } else if (offer && !sold && offer.priceCents != null && product.priceCents != null && offer.priceCents !== product.priceCents) {
+        add("google_price", { product, item, offer, shopifyValue: product.priceCents, googleValue: offer.priceCents, detail: "cents" });
+      } else if (!offer && !sold && !item.sold) {
+        add("missing_in_google", { product, item, detail: `in-stock ${item.vertical} listing has no Google offer` });
+      }
+    }
+  }
+
+  for (const [sid, items] of webflowByShopifyId) {
+    if (sid && shopifyById.has(sid)) continue;
+    for (const item of items) {
+      const offer = item.offerId ? googleByOfferId?.get(String(item.offerId)) : null;
+      if (offer?.inStock) add("google_offer_for_sold", { item, offer, shopifyValue: "missing", googleValue: "in stock" });
+      if (item.sold) continue;
+      add("webflow_without_shopify", {
+        item,
+        detail: sid ? "Shopify product id not in the Shopify catalog" : "listing has no shopify-product-id",
+      });
+    }
+  }
+  // Offers not tied to any current listing (archived listings count as gone).
+  for (const items of webflowByShopifyId.values()) {
+    for (const item of items) {
+      if (item.offerId) matchedOffers.add(String(item.offerId));
+    }
+  }
+  for (const offer of google || []) {
+    if (matchedOffers.has(String(offer.offerId))) continue;
+    add("google_offer_orphan", {
+      offer,
+      googleValue: offer.inStock ? "in stock" : "out of stock",
+      detail: "no Webflow listing for this offer id",
+    });
+  }
+
+  const byType = {};
+  for (const m of mismatches) byType[m.type] = (byType[m.type] || 0) + 1;
+  return {
+    summary: {
+      shopifyProducts: (shopify || []).length,
+      webflowItems: (webflow || []).filter((i) => !i.archived).length,
+      googleOffers: google ? google.length : null,
+      mismatches: mismatches.length,
+      byType,
+    },
+    mismatches,
+  };
+}
+
+const CSV_COLUMNS = ["type", "shopifyProductId", "title", "vertical", "webflowId", "offerId", "shopify", "webflow", "google", "detail"];
+
+/** One CSV line per mismatch. */
+export function reconciliationToCsv(report) {
+  return renderCsv(CSV_COLUMNS, report?.mismatches || []);
+}
@@ -0,0 +1,269 @@
+/**
+ * In-process scheduler for the recurring jobs that used to need an external cron (sync-all, retention sweep,
+ * Google full push, alert digest). Each job has a 5-field cron expression (minute hour day-of-month month
+ * day-of-week, evaluated in one IANA time zone) from env or from an admin override kept in the sync store.
+ *
+ * A tick (default every 30 s) starts every job whose next run time has passed. A job never overlaps itself, and
+ * jobs marked `exclusive` (the ones that walk the catalog) are skipped — recorded as status "skipped" — while
+ * isBusy() reports another catalog run (a /sync-all in flight) or another exclusive job is running. Missed runs
+ * are not replayed after a restart: the next run is computed from boot time.
+ */
+
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"] },
+  { name: "dayOfWeek", min: 0, max: 7, names: ["sun", "mon", "tue", "wed", "thu", "fri", "sat"] },
+];
+
+const CRON_MACROS = { "@hourly": "0 * * * *", "@daily": "0 0 * * *", "@weekly": "0 0 * * 0", "@monthly": "0 0 1 * *" };
+
+function parseCronValue(raw, field) {
+  const name = field.names?.indexOf(raw.toLowerCase());
+  if (name != null && name >= 0) return name + (field.name === "month" ? 1 : 0);
+  if (!/^\d+$/.test(raw)) throw new Error(`cron ${field.name}: "${raw}" is not a number`);
+  const n = Number(raw);
+  if (n < field.min || n > field.max) throw new Error(`cron ${field.name}: ${n} is outside ${field.min}-${field.max}`);
+  return n;
+}
+
+/**
+ * @param {string} expression  "m h dom mon dow" with *, lists, ranges, steps and month/day names, or @hourly / @daily / @weekly / @monthly
+ * @returns {{ expression: string, minute: Set<number>, hour: Set<number>, dayOfMonth: Set<number>, month: Set<number>, dayOfWeek: Set<number>, anyDayOfMonth: boolean, anyDayOfWeek: boolean }}
+ */
+export function parseCronExpression(expression) {
+  const text = String(expression || "").trim();
+  const parts = (CRON_MACROS[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== 5) throw new Error(`cron expression needs 5 fields, got "${text}"`);
+  const out = { expression: text };
+  parts.forEach((part, i) => {
+    const field = CRON_FIELDS[i];
+    const values = new Set();
+    for (const item of part.split(",")) {
+      const [range, stepRaw] = item.split("/");
+      const step = stepRaw == null ? 1 : Number(stepRaw);
+      if (!Number.isInteger(step) || step < 1) throw new Error(`cron ${field.name}: bad step in "${item}"`);
+      let lo;
+      let hi;
+      if (range === "*") {
+        lo = field.min;
+        hi = field.max;
+      } else if (range.includes("-")) {
+        const [a, b] = range.split("-");
+        lo = parseCronValue(a, field);
+        hi = parseCronValue(b, field);
+        if (hi < lo) throw new Error(`cron ${field.name}: range "${range}" runs backwards`);
+      } else {
+        lo = parseCronValue(range, field);
+        hi = stepRaw == null ? lo : field.max;
+      }
+      for (let v = lo; v <= hi; v += step) values.add(field.name === "dayOfWeek" && v === 7 ? 0 : v);
+    }
+    out[field.name] = values;
+  });
+  out.anyDayOfMonth = parts[2] === "*";
+  out.anyDayOfWeek = parts[4] === "*";
+  return out;
+}
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const formatters = new Map();
+
+function wallClock(ms, timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      weekday: "short",
+    });
+    formatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(new Date(ms)).map((x) => [x.type, x.value]));
+  return { month: Number(p.month), day: Number(p.day), hour: Number(p.hour), minute: Number(p.minute), weekday: WEEKDAYS[p.weekday] };
+}
+
+/**
+ * First minute strictly after `afterMs` that matches the cron schedule in `timeZone` (day-of-month and day-of-week
+ * both restricted → either may match, as in cron). Null when nothing matches within ~4 years (e.g. Feb 31).
+ */
+export function nextCronRun(cron, afterMs, timeZone = "UTC") {
+  const schedule = typeof cron === "string" ? parseCronExpression(cron) : cron;
+  let t = Math.floor(afterMs / 60000) * 60000 + 60000;
+  const limit = afterMs + 4 * 366 * 86400000;
+  while (t <= limit) {
+    const w = wallClock(t, timeZone);
+    const domOk = schedule.dayOfMonth.has(w.day);
+    const dowOk = schedule.dayOfWeek.has(w.weekday);
+    const dayOk =
+      schedule.anyDayOfMonth || schedule.anyDayOfWeek ? domOk && dowOk : domOk || dowOk;
+    if (!schedule.month.has(w.month) || !dayOk) {
+      t += ((23 - w.hour) * 60 + (60 - w.minute)) * 60000;
+    } else if (!schedule.hour.has(w.hour)) {
+      t += (60 - w.minute) * 60000;
+    } else if (!schedule.minute.has(w.minute)) {
+      t += 60000;
+    } else {
+      return t;
+    }
+  }
+  return null;
+}
+
+/**
+ * @param {{
+ *   jobs: Record<string, { run: () => Promise<any>, exclusive?: boolean, description?: string }>,
+ *   schedules: Record<string, string | null>,
+ *   persist?: { get: (key: string) => any, set: (key: string, value: any) => void },
+ *   timeZone?: string,
+ *   isBusy?: () => boolean,
+ *   tickMs?: number,
+ *   log?: (level: string, payload: object) => void,
+ *   now?: () => number,
+ * }} options  schedules: job name → env cron expression (null/empty = off). persist keeps admin overrides
+ *   ("override:<job>" → { cron }, winning over env) and the last run of each job ("lastRun:<job>") across restarts.
+ */
+export function createScheduler({
+  jobs,
+  schedules,
+  persist = { get: () => null, set: () => {} },
+  timeZone = "UTC",
+  isBusy = () => false,
+  tickMs = 30_000,
+  log = () => {},
+  now = Date.now,
+}) {
+  new Intl.DateTimeFormat("en-US", { timeZone }); // throws RangeError on an unknown zone
+  const state = {};
+  let timer = null;
+  let started = false;
+
+  function resolve(name) {
+    const override = persist.get(`override:${name}`);
+    const raw = override ? override.cron : schedules[name];
+    const expression = String(raw || "").trim();
+    const source = override ? "admin" : "env";
+    if (!expression) return { cron: null, source, error: null, schedule: null };
+    try {
+      return { cron: expression, source, error: null, schedule: parseCronExpression(expression) };
+    } catch (err) {
+      return { cron: expression, source, error: err.message, schedule: null };
+    }
+  }
+
+  for (const name of Object.keys(jobs)) {
+    state[name] = { ...resolve(name), nextRunAt: null, running: false, lastRun: persist.get(`lastRun:${name}`) ?? null };
+    if (state[name].error) log("error", { event: "scheduler.invalid_cron", job: name, cron: state[name].cron, message: state[name].error });
+  }
+
+  function plan(name, fromMs = now()) {
+    const s = state[name];
+    s.nextRunAt = started && s.schedule ? nextCronRun(s.schedule, fromMs, timeZone) : null;
+  }
+
+  /** Name of the exclusive job running now, or null; callers outside the scheduler wait for it too. */
+  function runningExclusiveJob() {
+    return Object.keys(state).find((name) => state[name].running && jobs[name].exclusive) ?? null;
+  }
+
+  /** Run one job now (scheduled tick or manual trigger). Resolves with the recorded lastRun. */
+  async function runJob(name, trigger = "schedule") {
+    const s = state[name];
+    const job = jobs[name];
+    const startedAt = new Date(now()).toISOString();
+    if (s.running || (job.exclusive && (isBusy() || runningExclusiveJob()))) {
+      const reason = s.running ? "already_running" : "catalog_busy";
+      s.lastRun = { trigger, status: "skipped", reason, startedAt, finishedAt: startedAt };
+      persist.set(`lastRun:${name}`, s.lastRun);
+      log("warn", { event: "scheduler.job_skipped", job: name, trigger, reason });
+      return s.lastRun;
+    }
+    s.running = true;
+    log("info", { event: "scheduler.job_start", job: name, trigger });
+    const t0 = now();
+    try {
+      const result = await job.run();
+      s.lastRun = { trigger, status: "ok", startedAt, finishedAt: new Date(now()).toISOString(), durationMs: now() - t0, result: result ?? null };
+      log("info", { event: "scheduler.job_done", job: name, trigger, durationMs: s.lastRun.durationMs });
+    } catch (err) {
+      s.lastRun = { trigger, status: "error", startedAt, finishedAt: new Date(now()).toISOString(), durationMs: now() - t0, error: err?.message || String(err) };
+      log("error", { event: "scheduler.job_failed", job: name, trigger, message: s.lastRun.error });
+    } finally {
+      s.running = false;
+      persist.set(`lastRun:${name}`, s.lastRun);
+    }
+    return s.lastRun;
+  }
+
+  function tick() {
+    const t = now();
+    for (const name of Object.keys(jobs)) {
+      const s = state[name];
+      if (s.nextRunAt == null || t < s.nextRunAt) continue;
+      plan(name, t);
+      runJob(name);
+    }
+  }
+
+  function start() {
+    if (started) return;
+    started = true;
+    for (const name of Object.keys(jobs)) plan(name);
+    timer = setInterval(tick, tickMs);
+    timer.unref?.();
+    const active = Object.entries(state).filter(([, s]) => s.schedule);
+    log("info", { event: "scheduler.started", timeZone, jobs: active.map(([name, s]) => `${name}=${s.cron}`) });
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+    started = false;
+  }
+
+  /**
+   * Admin change: a cron expression, null to switch the job off, or reset: true to go back to the env schedule.
+   * Throws on an unknown job or an invalid expression (nothing is stored then).
+   */
+  function configure(name, { cron, reset = false } = {}) {
+    if (!jobs[name]) throw new Error(`unknown job "${name}"`);
+    if (reset) {
+      persist.set(`override:${name}`, null);
+    } else {
+      const expression = cron == null ? null : String(cron).trim() || null;
+      if (expression) parseCronExpression(expression);
+      persist.set(`override:${name}`, { cron: expression });
+    }
+    Object.assign(state[name], resolve(name));
+    plan(name);
+    log("info", { event: "scheduler.configured", job: name, cron: state[name].cron, source: state[name].source });
+    return snapshot().jobs.find((j) => j.name === name);
+  }
+
+  function snapshot() {
+    return {
+      started,
+      timeZone,
+      jobs: Object.entries(state).map(([name, s]) => ({
+        name,
+        description: jobs[name].description ?? null,
+        cron: s.cron,
+        source: s.source,
+        enabled: Boolean(s.schedule),
+        error: s.error,
+        exclusive: Boolean(jobs[name].exclusive),
+        running: s.running,
+        nextRunAt: s.nextRunAt == null ? null : new Date(s.nextRunAt).toISOString(),
+        lastRun: s.lastRun,
+      })),
+    };
+  }
+
+  return { start, stop, tick, runJob, configure, snapshot, runningExclusiveJob, has: (name) => Boolean(jobs[name]) };
+}
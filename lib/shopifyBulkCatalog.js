@@ -0,0 +1,340 @@
+/**
+ * Full Shopify catalog via a GraphQL bulk operation instead of paging REST products.json.
+ * One bulkOperationRunQuery, poll currentBulkOperation until it completes, then stream the JSONL result
+ * (one object per line; variants, images and metafields arrive as their own lines with __parentId) and
+ * reassemble each product into the REST Admin shape the sync already uses (numeric ids, snake_case,
+ * tags as one comma-joined string, images[].src). Metafields are attached as product.metafields in the
+ * REST metafields.json shape, so no per-product metafield call is needed.
+ */
+import readline from "readline";
+
+/**
+ * Bulk products query. updatedSince (ISO timestamp) limits the export to products updated after it
+ * (incremental /sync-all); omit for the full catalog.
+ */
+export function shopifyBulkProductsQuery({ updatedSince = null } = {}) {
+  const filter = updatedSince ? `(query: ${JSON.stringify(`updated_at:>'${updatedSince}'`)})` : "";
+  return `
+{
+  products${filter} {
+    edges {
+      node {
+        id
+        title
+        descriptionHtml
+        vendor
+        productType
+        handle
+        status
+        tags
+        templateSuffix
+        createdAt
+        updatedAt
+        publishedAt
+        options { name position values }
+        variants {
+          edges {
+            node {
+              id
+              title
+              price
+              compareAtPrice
+              sku
+              barcode
+              position
+              inventoryQuantity
+              inventoryPolicy
+              weight
+              weightUnit
+              selectedOptions { name value }
+              inventoryItem { id tracked }
+              createdAt
+              updatedAt
+            }
+          }
+        }
+        images {
+          edges {
+            node { id url altText width height }
+          }
+        }
+        metafields {
+          edges {
+            node { id namespace key value type createdAt updatedAt }
+          }
+        }
+      }
+    }
+  }
+}
+`;
+}
+
+export const SHOPIFY_BULK_PRODUCTS_QUERY = shopifyBulkProductsQuery();
+
+const TERMINAL_STATUSES = new Set(["COMPLETED", "FAILED", "CANCELED", "EXPIRED"]);
+
+const WEIGHT_UNITS = { KILOGRAMS: "kg", GRAMS: "g", POUNDS: "lb", OUNCES: "oz" };
+
+/** gid://shopify/Product/123 → 123 (numbers, like the REST API); non-gid values pass through. */
+export function shopifyGidToId(gid) {
+  const m = String(gid || "").match(/^gid:\/\/shopify\/[A-Za-z]+\/(\d+)/);
+  return m ? Number(m[1]) : gid ?? null;
+}
+
+function gidType(gid) {
+  const m = String(gid || "").match(/^gid:\/\/shopify\/([A-Za-z]+)\//);
+  return m ? m[1] : null;
+}
+
+function lower(s) {
+  return s == null ? null : String(s).toLowerCase();
+}
+
+function restProduct(node) {
+  return {
+    id: shopifyGidToId(node.id),
+    title: node.title ?? "",
+    body_html: node.descriptionHtml ?? "",
+    vendor: node.vendor ?? "",
+    product_type: node.productType ?? "",
+    handle: node.handle ?? "",
+    status: lower(node.status) ?? "active",
+    tags: Array.isArray(node.tags) ? node.tags.join(", ") : node.tags ?? "",
+    template_suffix: node.templateSuffix ?? null,
+    created_at: node.createdAt ?? null,
+    updated_at: node.updatedAt ?? null,
+    published_at: node.publishedAt ?? null,
+    options: (node.options || []).map((o) => ({ name: o.name, position: o.position, values: o.values || [] })),
+    variants: [],
+    images: [],
+    image: null,
+    metafields: [],
+  };
+}
+
+function weightToGrams(value, unit) {
+  if (unit === "KILOGRAMS") return value * 1000;
+  if (unit === "POUNDS") return value * 453.59237;
+  if (unit === "OUNCES") return value * 28.349523125;
+  return value;
+}
+
+function restVariant(node, productId) {
+  const options = node.selectedOptions || [];
+  const grams = node.weight != null ? weightToGrams(Number(node.weight), node.weightUnit) : null;
+  return {
+    id: shopifyGidToId(node.id),
+    product_id: productId,
+    title: node.title ?? "",
+    price: node.price ?? null,
+    compare_at_price: node.compareAtPrice ?? null,
+    sku: node.sku ?? "",
+    barcode: node.barcode ?? null,
+    position: node.position ?? null,
+    inventory_quantity: node.inventoryQuantity ?? null,
+    inventory_policy: lower(node.inventoryPolicy),
+    inventory_management: node.inventoryItem?.tracked === false ? null : "shopify",
+    inventory_item_id: node.inventoryItem?.id ? shopifyGidToId(node.inventoryItem.id) : null,
+    weight: node.weight ?? null,
+    weight_unit: WEIGHT_UNITS[node.weightUnit] ?? lower(node.weightUnit),
+    grams: grams != null && Number.isFinite(grams) ? Math.round(grams) : null,
+    option1: options[0]?.value ?? null,
+    option2: options[1]?.value ?? null,
+    option3: options[2]?.value ?? null,
+    created_at: node.createdAt ?? null,
+    updated_at: node.updatedAt ?? null,
+  };
+}
+
+function restImage(node, productId, position) {
+  return {
+    id: shopifyGidToId(node.id),
+    product_id: productId,
+    position,
+    src: node.url ?? node.src ?? null,
+    alt: node.altText ?? null,
+    width: node.width ?? null,
+    height: node.height ?? null,
+  };
+}
+
+function restMetafield(node, productId) {
+  return {
+    id: shopifyGidToId(node.id),
+    namespace: node.namespace,
+    key: node.key,
+    value: node.value,
+    type: node.type ?? null,
+    owner_id: productId,
+    owner_resource: "product",
+    created_at: node.createdAt ?? null,
+    updated_at: node.updatedAt ?? null,
+  };
+}
+
+function attachChild(product, row) {
+  const type = gidType(row.id);
+  if (type === "ProductVariant") product.variants.push(restVariant(row, product.id));
+  else if (type === "ProductImage" || type === "MediaImage" || type === "Image") {
+    product.images.push(restImage(row, product.id, product.images.length + 1));
+  } else if (type === "Metafield") product.metafields.push(restMetafield(row, product.id));
+}
+
+/**
+ * Reassemble bulk JSONL lines into REST-shaped products (in result order).
+ * Children normally follow their parent; any that arrive first are held until the parent line shows up.
+ * @param {AsyncIterable<string> | Iterable<string>} lines
+ * @returns {Promise<{ products: object[], lineCount: number, skippedLines: number }>}
+ */
+export async function readShopifyBulkProducts(lines) {
+  const byGid = new Map();
+  const products = [];
+  const early = new Map();
+  let lineCount = 0;
+  let skippedLines = 0;
+  for await (const raw of lines) {
+    const line = String(raw || "").trim();
+    if (!line) continue;
+    lineCount++;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch {
+      skippedLines++;
+      continue;
+    }
+    if (row.__parentId) {
+      const parent = byGid.get(row.__parentId);
+      if (parent) attachChild(parent, row);
+      else {
+        if (!early.has(row.__parentId)) early.set(row.__parentId, []);
+        early.get(row.__parentId).push(row);
+      }
+      continue;
+    }
+    if (gidType(row.id) !== "Product") {
+      skippedLines++;
+      continue;
+    }
+    const product = restProduct(row);
+    byGid.set(row.id, product);
+    products.push(product);
+    for (const child of early.get(row.id) || []) attachChild(product, child);
+    early.delete(row.id);
+  }
+  for (const rows of early.values()) skippedLines += rows.length;
+  for (const p of products) {
+    p.variants.sort((a, b) => (a.position ?? 0) - (b.position ?? 0));
+    p.image = p.images[0] ?? null;
+  }
+  return { products, lineCount, skippedLines };
+}
+
+/**
+ * @param {{
+ *   graphql: (body: { query: string, variables?: object }, op: string) => Promise<{ data?: object, errors?: Array<{ message: string }> }>,
+ *   openResultStream: (url: string) => Promise<import("stream").Readable>,
+ *   pollIntervalMs?: number,
+ *   timeoutMs?: number,
+ *   sleep?: (ms: number) => Promise<void>,
+ *   log?: (level: string, payload: object) => void,
+ * }} options
+ */
+export function createShopifyBulkCatalog({
+  graphql,
+  openResultStream,
+  pollIntervalMs = 3000,
+  timeoutMs = 15 * 60 * 1000,
+  sleep = (ms) => new Promise((r) => setTimeout(r, ms)),
+  log = () => {},
+}) {
+  function graphqlErrors(res, op) {
+    if (res?.errors?.length) {
+      throw new Error(`Shopify ${op} failed: ${res.errors.map((e) => e.message).join("; ")}`);
+    }
+  }
+
+  async function startExport({ updatedSince = null } = {}) {
+    const res = await graphql(
+      {
+        query: `mutation BulkProducts($query: String!) {
+          bulkOperationRunQuery(query: $query) {
+            bulkOperation { id status }
+            userErrors { field message }
+          }
+        }`,
+        variables: { query: shopifyBulkProductsQuery({ updatedSince }) },
+      },
+      "bulkOperationRunQuery"
+    );
+    graphqlErrors(res, "bulkOperationRunQuery");
+    const payload = res?.data?.bulkOperationRunQuery;
+    const userErrors = payload?.userErrors || [];
+    if (userErrors.length) {
+      throw new Error(`Shopify bulkOperationRunQuery: ${userErrors.map((e) => e.message).join("; ")}`);
+    }
+    if (!payload?.bulkOperation?.id) throw new Error("Shopify bulkOperationRunQuery returned no operation");
+    log("info", { event: "shopify_bulk.started", operationId: payload.bulkOperation.id, updatedSince });
+    return payload.bulkOperation;
+  }
+
+  /** Poll until the operation is terminal; returns the finished operation (url is null for an empty catalog). */
+  async function waitForExport(operationId) {
+    const startedAt = Date.now();
+    for (;;) {
+      const res = await graphql(
+        {
+          query: `query {
+            currentBulkOperation {
+              id status errorCode objectCount fileSize url partialDataUrl createdAt completedAt
+            }
+          }`,
+        },
+        "currentBulkOperation"
+      );
+      graphqlErrors(res, "currentBulkOperation");
+      const op = res?.data?.currentBulkOperation;
+      if (!op || op.id !== operationId) {
+        throw new Error(`Shopify bulk operation ${operationId} is no longer the current operation`);
+      }
+      if (TERMINAL_STATUSES.has(op.status)) {
+        if (op.status !== "COMPLETED") {
+          throw new Error(`Shopify bulk operation ${op.status.toLowerCase()}${op.errorCode ? ` (${op.errorCode})` : ""}`);
+        }
+        log("info", {
+          event: "shopify_bulk.completed",
+          operationId,
+          objectCount: Number(op.objectCount) || 0,
+          fileSize: op.fileSize != null ? Number(op.fileSize) : null,
+          durationMs: Date.now() - startedAt,
+        });
+        return op;
+      }
+      if (Date.now() - startedAt >= timeoutMs) {
+        throw new Error(`Shopify bulk operation still ${String(op.status).toLowerCase()} after ${timeoutMs}ms`);
+      }
+      await sleep(pollIntervalMs);
+    }
+  }
+
+  /** Run the export end to end and return REST-shaped products with metafields attached. */
+  async function fetchAllProducts({ updatedSince = null } = {}) {
+    const started = await startExport({ updatedSince });
+    const finished = await waitForExport(started.id);
+    if (!finished.url) return [];
+    const stream = await openResultStream(finished.url);
+    const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+    const { products, lineCount, skippedLines } = await readShopifyBulkProducts(lines);
+    log(skippedLines ? "warn" : "info", {
+      event: "shopify_bulk.parsed",
+      operationId: started.id,
+      productCount: products.length,
+      lineCount,
+      skippedLines,
+    });
+    return products;
+  }
+
+  return { startExport, waitForExport, fetchAllProducts };
+}
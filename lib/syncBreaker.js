@@ -0,0 +1,129 @@
+/**
+ * Mass-change circuit breaker for /sync-all. A partial Shopify catalog or a token that lost scopes makes hundreds
+ * of listings look gone in one run, so the destructive steps are planned first and handed to check() per category:
+ *   sold             — disappeared-product, Webflow sold-sweep and qty→0 mark-sold
+ *   delete           — sold retention and the one-time sold backfill
+ *   vertical_switch  — FH/LG tag moves between Furniture and Luxury, and classifier moves on reclassify runs
+ * A category whose planned count is over the limit (more than maxActions, or more than maxPercent of the catalog)
+ * is held: the run skips those actions and a hold with the item list is stored (kv namespace "sync_breaker").
+ * Held actions only go through on a run started by confirm(), which lets that category through as long as it is
+ * not bigger than what was confirmed (plus the normal limit for anything new).
+ */
+
+/**
+ * @param {{
+ *   maxActions?: number,
+ *   maxPercent?: number,
+ *   persist: { get: (key: string) => any, set: (key: string, value: any) => void, all: () => Record<string, any> },
+ *   maxItems?: number,
+ *   now?: () => number,
+ * }} options  maxActions / maxPercent 0 turns that threshold off; maxItems caps the item list stored per hold
+ */
+export function createSyncBreaker({ maxActions = 100, maxPercent = 10, persist, maxItems = 500, now = Date.now }) {
+  /** Largest allowed count for a catalog of this size, or null when both thresholds are off. */
+  function limitFor(catalogSize) {
+    const limits = [];
+    if (maxActions > 0) limits.push(maxActions);
+    if (maxPercent > 0 && catalogSize > 0) limits.push(Math.floor((catalogSize * maxPercent) / 100));
+    return limits.length ? Math.min(...limits) : null;
+  }
+
+  /**
+   * @param {{
+   *   jobId: string,
+   *   category: string,
+   *   items: Array<{ shopifyProductId?: string | null, webflowId?: string | null, vertical?: string | null } & Record<string, unknown>>,
+   *   catalogSize: number,
+   *   confirmedHold?: object | null,
+   *   dryRun?: boolean,
+   * }} input  dryRun: evaluate only (no hold stored)
+   * @returns {{ category: string, planned: number, limit: number | null, held: boolean, hold: object | null, confirmedHoldId: string | null }}
+   */
+  function check({ jobId, category, items, catalogSize, confirmedHold = null, dryRun = false }) {
+    const planned = items.length;
+    const limit = limitFor(catalogSize);
+    const out = { category, planned, limit, held: false, hold: null, confirmedHoldId: null };
+    const confirmed = confirmedHold?.category === category ? confirmedHold : null;
+    const allowed = limit == null || planned <= limit + (confirmed ? confirmed.planned : 0);
+    if (allowed) {
+      if (confirmed) {
+        out.confirmedHoldId = confirmed.id;
+        if (!dryRun) persist.set(confirmed.id, { ...get(confirmed.id), status: "applied", appliedAt: new Date(now()).toISOString(), appliedJobId: jobId });
+      }
+      return out;
+    }
+    out.held = true;
+    if (dryRun) return out;
+    out.hold = {
+      id: `${jobId}-${category}`,
+      jobId,
+      category,
+      status: "pending",
+      createdAt: new Date(now()).toISOString(),
+      planned,
+      limit,
+      catalogSize,
+      items: items.slice(0, maxItems),
+      truncated: planned > maxItems,
+    };
+    persist.set(out.hold.id, out.hold);
+    return out;
+  }
+
+  function get(id) {
+    return persist.get(String(id ?? "")) ?? null;
+  }
+
+  /** Holds newest first, without their item lists unless withItems. */
+  function list({ status = null, withItems = false } = {}) {
+    return Object.values(persist.all())
+      .filter((h) => h && (!status || h.status === status))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1))
+      .map((h) => (withItems ? h : { ...h, items: undefined, itemCount: h.items?.length ?? 0 }));
+  }
+
+  function transition(id, status, extra) {
+    const hold = get(id);
+    if (!hold) throw Object.assign(new Error(`unknown hold "${id}"`), { code: "not_found" });
+    if (hold.status !== "pending") {
+      throw Object.assign(new Error(`hold "${id}" is ${hold.status}, not pending`), { code: "not_pending" });
+    }
+    const next = { ...hold, status, ...extra };
+    persist.set(hold.id, next);
+    return next;
+  }
+
+  /** Approve a pending hold; the caller then starts the run that applies it. */
+  function confirm(id, { by = null } = {}) {
+    return transition(id, "confirmed", { confirmedAt: new Date(now()).toISOString(), confirmedBy: by });
+  }
+
+  /** Drop a pending hold (the planned changes were wrong; the next run plans again). */
+  function dismiss(id, { by = null } = {}) {
+    return transition(id, "dismissed", { dismissedAt: new Date(now()).toISOString(), dismissedBy: by });
+  }
+
+  return { limitFor, check, get, list, confirm, dismiss, maxActions, maxPercent };
+}
+
+/** Plain-text email body listing a hold's items. */
+export function formatSyncBreakerHold(hold, { confirmPath = `/sync-all/breaker/${hold.id}/confirm` } = {}) {
+  const lines = [
+    `Sync-all job ${hold.jobId} planned ${hold.planned} "${hold.category}" changes; the limit is ${hold.limit} (catalog ${hold.catalogSize}).`,
+    "These changes were NOT made. Check the list; if it is right, confirm to run them:",
+    `  POST ${confirmPath}`,
+    "",
+  ];
+  for (const item of hold.items) {
+    const parts = [
+      item.shopifyProductId && `shopify ${item.shopifyProductId}`,
+      item.webflowId && `webflow ${item.webflowId}`,
+      item.vertical,
+      item.title && `"${item.title}"`,
+      item.reason,
+    ].filter(Boolean);
+    lines.push(`- ${parts.join(" · ")}`);
+  }
+  if (hold.truncated) lines.push(`… and ${hold.planned - hold.items.length} more.`);
+  return lines.join("\n");
+}
@@ -0,0 +1,191 @@
+/**
+ * Dry-run / plan mode for /sync-all.
+ * The whole run executes inside an AsyncLocalStorage context. Every Shopify / Webflow / Google write
+ * helper in server.js goes through recordDryRunWrite() first (via interceptSyncWrite) and returns early
+ * when it reports true, so classification, hashing and Webflow lookups still run but nothing is written.
+ * Webhook syncs that happen to run concurrently are outside the context and keep writing normally.
+ *
+ * The plan is one row per Shopify product (create / update with field diff / vertical switch /
+ * mark sold / retention delete / orphan mark-sold …) and can be exported as JSON or CSV.
+ */
+import { AsyncLocalStorage } from "node:async_hooks";
+import { renderCsv } from "./csv.js";
+
+const storage = new AsyncLocalStorage();
+
+/** Diff values longer than this are truncated in the plan (descriptions, rich text). */
+const PLAN_VALUE_MAX_CHARS = 500;
+
+export function createSyncPlan({ jobId = null, reclassifyAll = false, reclassifyCount = 0 } = {}) {
+  return {
+    jobId,
+    dryRun: true,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    options: { reclassifyAll: !!reclassifyAll, reclassifyCount: Number(reclassifyCount) || 0 },
+    products: new Map(),
+  };
+}
+
+/** Run fn with dry-run active for everything it awaits. */
+export function runWithSyncPlan(plan, fn) {
+  return storage.run({ plan, shopifyProductId: null, phase: null }, fn);
+}
+
+/** Attribute writes inside fn to one product / phase. No-op outside a dry run. */
+export function withDryRunScope(scope, fn) {
+  const current = storage.getStore();
+  if (!current) return fn();
+  return storage.run({ ...current, ...scope }, fn);
+}
+
+export function isSyncDryRun() {
+  return storage.getStore() != null;
+}
+
+function planRow(plan, shopifyProductId) {
+  const id = shopifyProductId != null && String(shopifyProductId).trim() ? String(shopifyProductId).trim() : "";
+  let row = plan.products.get(id);
+  if (!row) {
+    row = {
+      shopifyProductId: id || null,
+      title: null,
+      operation: null,
+      vertical: null,
+      previousVertical: null,
+      verticalSwitch: false,
+      error: null,
+      actions: [],
+    };
+    plan.products.set(id, row);
+  }
+  return row;
+}
+
+function clampPlanValue(value) {
+  if (value == null) return null;
+  if (typeof value === "string") {
+    return value.length > PLAN_VALUE_MAX_CHARS ? `${value.slice(0, PLAN_VALUE_MAX_CHARS)}…` : value;
+  }
+  if (typeof value === "object") {
+    const json = JSON.stringify(value);
+    return json.length > PLAN_VALUE_MAX_CHARS ? `${json.slice(0, PLAN_VALUE_MAX_CHARS)}…` : value;
+  }
+  return value;
+}
+
+/**
+ * Write guard. Outside a dry run returns false (caller performs the write).
+ * Inside one, records the planned action against the current product and returns true (caller skips the write).
+ * @param {string} type - e.g. "webflow.update", "webflow.mark_sold", "shopify.metafields"
+ * @param {{ shopifyProductId?: string, webflowId?: string, diff?: Array<{ field: string, from: unknown, to: unknown }> } & Record<string, unknown>} [detail]
+ */
+export function recordDryRunWrite(type, detail = {}) {
+  const store = storage.getStore();
+  if (!store) return false;
+  const { shopifyProductId, diff, ...rest } = detail;
+  const row = planRow(store.plan, shopifyProductId ?? store.shopifyProductId);
+  const action = { type, ...(store.phase ? { phase: store.phase } : {}), ...rest };
+  if (Array.isArray(diff)) {
+    action.diff = diff.map((d) => ({ field: d.field, from: clampPlanValue(d.from), to: clampPlanValue(d.to) }));
+  }
+  row.actions.push(action);
+  return true;
+}
+
+/** Record the per-product outcome (operation / vertical) once its sync finishes or fails. */
+export function recordDryRunProductOutcome(plan, shopifyProductId, outcome = {}) {
+  const row = planRow(plan, shopifyProductId);
+  for (const key of ["title", "operation", "vertical", "previousVertical", "error"]) {
+    if (outcome[key] !== undefined) row[key] = outcome[key];
+  }
+  row.verticalSwitch =
+    row.verticalSwitch ||
+    (!!row.previousVertical && !!row.vertical && row.previousVertical !== row.vertical);
+  return row;
+}
+
+function summarizeRows(rows) {
+  const summary = { products: rows.length, changed: 0, actions: {}, operations: {}, verticalSwitches: 0, failed: 0 };
+  for (const row of rows) {
+    if (row.actions.length) summary.changed++;
+    if (row.verticalSwitch) summary.verticalSwitches++;
+    if (row.error) summary.failed++;
+    const op = row.operation || "none";
+    summary.operations[op] = (summary.operations[op] || 0) + 1;
+    for (const a of row.actions) summary.actions[a.type] = (summary.actions[a.type] || 0) + 1;
+  }
+  return summary;
+}
+
+/** Plain JSON form (products as an array, summary counts) for the API and the on-disk copy. */
+export function serializeSyncPlan(plan) {
+  const rows = [...plan.products.values()];
+  return {
+    jobId: plan.jobId,
+    dryRun: true,
+    startedAt: plan.startedAt,
+    finishedAt: plan.finishedAt,
+    options: plan.options,
+    summary: summarizeRows(rows),
+    products: rows,
+  };
+}
+
+const CSV_COLUMNS = [
+  "shopifyProductId",
+  "title",
+  "operation",
+  "vertical",
+  "previousVertical",
+  "verticalSwitch",
+  "action",
+  "phase",
+  "webflowId",
+  "field",
+  "from",
+  "to",
+  "detail",
+  "error",
+];
+
+/**
+ * CSV export of a serialized plan: one line per field diff (updates), one per other action,
+ * and one bare line for products with nothing to do.
+ */
+export function syncPlanToCsv(serialized) {
+  const rows = [];
+  const push = (row, extra = {}) => {
+    rows.push({
+      shopifyProductId: row.shopifyProductId,
+      title: row.title,
+      operation: row.operation,
+      vertical: row.vertical,
+      previousVertical: row.previousVertical,
+      verticalSwitch: row.verticalSwitch ? "yes" : "",
+      error: row.error,
+      ...extra,
+    });
+  };
+  for (const row of serialized?.products || []) {
+    if (!row.actions?.length) {
+      push(row);
+      continue;
+    }
+    for (const action of row.actions) {
+      const { type, phase, webflowId, diff, ...rest } = action;
+      const base = {
+        action: type,
+        phase,
+        webflowId,
+        detail: Object.keys(rest).length ? rest : null,
+      };
+      if (Array.isArray(diff) && diff.length) {
+        for (const d of diff) push(row, { ...base, field: d.field, from: d.from, to: d.to });
+      } else {
+        push(row, base);
+      }
+    }
+  }
+  return renderCsv(CSV_COLUMNS, rows);
+}
@@ -0,0 +1,280 @@
+/**
+ * Embedded transactional store for sync state (SQLite via node:sqlite, WAL mode).
+ * Replaces lastSync.json and the sidecar JSON files that were each rewritten in full on every save:
+ *   - sync_cache: one row per Shopify product (the old lastSync.json entries, stored as JSON)
+ *   - kv: small keyed state grouped by namespace — "sets" (dedupe ids, value NULL) and "maps" (JSON values)
+ *
+ * Writes are per row and atomic. cache.saveChanges() only writes rows that differ from what that caller
+ * loaded, in one transaction, so a long /sync-all no longer overwrites rows a webhook sync updated meanwhile.
+ * migrateFromJson() imports the legacy files once (per source) and renames them to *.migrated.
+ */
+import fs from "fs";
+import path from "path";
+import { DatabaseSync } from "node:sqlite";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sync_cache (
+    shopify_id TEXT PRIMARY KEY,
+    row TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS kv (
+    ns TEXT NOT NULL,
+    key TEXT NOT NULL,
+    value TEXT,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (ns, key)
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+function parseJson(raw, fallback = null) {
+  if (raw == null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * @param {{ file: string, log?: (level: string, payload: object) => void }} options
+ */
+export function openSyncStore({ file, log = () => {} }) {
+  if (file !== ":memory:") fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new DatabaseSync(file);
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL; PRAGMA busy_timeout = 5000;");
+  db.exec(SCHEMA);
+
+  const stmt = {
+    cacheAll: db.prepare("SELECT shopify_id, row FROM sync_cache"),
+    cacheGet: db.prepare("SELECT row FROM sync_cache WHERE shopify_id = ?"),
+    cachePut: db.prepare(
+      `INSERT INTO sync_cache (shopify_id, row, updated_at) VALUES (?, ?, ?)
+       ON CONFLICT(shopify_id) DO UPDATE SET row = excluded.row, updated_at = excluded.updated_at`
+    ),
+    cacheDelete: db.prepare("DELETE FROM sync_cache WHERE shopify_id = ?"),
+    cacheCount: db.prepare("SELECT COUNT(*) AS n FROM sync_cache"),
+    kvGet: db.prepare("SELECT value FROM kv WHERE ns = ? AND key = ?"),
+    kvHas: db.prepare("SELECT 1 AS hit FROM kv WHERE ns = ? AND key = ?"),
+    kvPut: db.prepare(
+      `INSERT INTO kv (ns, key, value, updated_at) VALUES (?, ?, ?, ?)
+       ON CONFLICT(ns, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`
+    ),
+    kvDelete: db.prepare("DELETE FROM kv WHERE ns = ? AND key = ?"),
+    kvDeletePrefix: db.prepare("DELETE FROM kv WHERE ns = ? AND substr(key, 1, length(?)) = ?"),
+    kvAll: db.prepare("SELECT key, value FROM kv WHERE ns = ? ORDER BY key"),
+    kvCount: db.prepare("SELECT COUNT(*) AS n FROM kv WHERE ns = ?"),
+    metaGet: db.prepare("SELECT value FROM meta WHERE key = ?"),
+    metaPut: db.prepare(
+      "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value"
+    ),
+  };
+
+  /** Snapshot of row JSON per cache object handed out by cache.loadAll() (what that caller started from). */
+  const baselines = new WeakMap();
+
+  /** Run fn in one transaction (nested calls join the outer one). */
+  function transaction(fn) {
+    if (db.isTransaction) return fn();
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      const out = fn();
+      db.exec("COMMIT");
+      return out;
+    } catch (err) {
+      db.exec("ROLLBACK");
+      throw err;
+    }
+  }
+
+  const now = () => new Date().toISOString();
+
+  const cache = {
+    /** Every row as the plain object sync code mutates (`cache[id] = …`, `delete cache[id]`). */
+    loadAll() {
+      const out = {};
+      const baseline = new Map();
+      for (const { shopify_id: id, row } of stmt.cacheAll.all()) {
+        const parsed = parseJson(row);
+        if (parsed == null) continue;
+        out[id] = parsed;
+        baseline.set(id, row);
+      }
+      baselines.set(out, baseline);
+      return out;
+    },
+    get(shopifyId) {
+      const hit = stmt.cacheGet.get(String(shopifyId));
+      return hit ? parseJson(hit.row) : null;
+    },
+    put(shopifyId, row) {
+      stmt.cachePut.run(String(shopifyId), JSON.stringify(row), now());
+    },
+    remove(shopifyId) {
+      stmt.cacheDelete.run(String(shopifyId));
+    },
+    count() {
+      return Number(stmt.cacheCount.get().n) || 0;
+    },
+    /**
+     * Persist what changed in a cache object since loadAll() (or the previous saveChanges) — upserts for new or
+     * modified rows, deletes for removed ones — in one transaction. Objects not from loadAll() are upserted in full.
+     * @returns {{ upserted: number, deleted: number }}
+     */
+    saveChanges(cacheObj) {
+      const baseline = baselines.get(cacheObj);
+      const next = new Map();
+      let upserted = 0;
+      let deleted = 0;
+      transaction(() => {
+        const ts = now();
+        for (const [id, row] of Object.entries(cacheObj || {})) {
+          if (row === undefined) continue;
+          const json = JSON.stringify(row);
+          next.set(id, json);
+          if (baseline?.get(id) === json) continue;
+          stmt.cachePut.run(id, json, ts);
+          upserted++;
+        }
+        if (baseline) {
+          for (const id of baseline.keys()) {
+            if (next.has(id)) continue;
+            stmt.cacheDelete.run(id);
+            deleted++;
+          }
+        }
+      });
+      if (cacheObj && typeof cacheObj === "object") baselines.set(cacheObj, next);
+      return { upserted, deleted };
+    },
+  };
+
+  const sets = {
+    has(ns, key) {
+      return stmt.kvHas.get(ns, String(key)) != null;
+    },
+    add(ns, key) {
+      stmt.kvPut.run(ns, String(key), null, now());
+    },
+    remove(ns, key) {
+      return Number(stmt.kvDelete.run(ns, String(key)).changes) || 0;
+    },
+    /** Remove every key starting with prefix (e.g. all dedupe keys of one product). */
+    removePrefix(ns, prefix) {
+      const p = String(prefix);
+      return Number(stmt.kvDeletePrefix.run(ns, p, p).changes) || 0;
+    },
+    list(ns) {
+      return stmt.kvAll.all(ns).map((r) => r.key);
+    },
+    count(ns) {
+      return Number(stmt.kvCount.get(ns).n) || 0;
+    },
+  };
+
+  const maps = {
+    get(ns, key) {
+      const hit = stmt.kvGet.get(ns, String(key));
+      return hit ? parseJson(hit.value) : null;
+    },
+    set(ns, key, value) {
+      stmt.kvPut.run(ns, String(key), JSON.stringify(value ?? null), now());
+    },
+    remove(ns, key) {
+      return Number(stmt.kvDelete.run(ns, String(key)).changes) || 0;
+    },
+    all(ns) {
+      const out = {};
+      for (const { key, value } of stmt.kvAll.all(ns)) out[key] = parseJson(value);
+      return out;
+    },
+  };
+
+  /**
+   * One maps namespace as the { get, set, remove, all } persist adapter the lib/ stores take; set(key, null)
+   * removes the key.
+   */
+  function namespace(ns) {
+    return {
+      get: (key) => maps.get(ns, key),
+      set: (key, value) => (value == null ? maps.remove(ns, key) : maps.set(ns, key, value)),
+      remove: (key) => maps.remove(ns, key),
+      all: () => maps.all(ns),
+    };
+  }
+
+  /** Import one legacy JSON file inside a transaction; returns row count, or null when absent / already done. */
+  function importFile(marker, filePath, importRows) {
+    if (!filePath || stmt.metaGet.get(marker)) return null;
+    if (!fs.existsSync(filePath)) return null;
+    let parsed;
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (err) {
+      log("error", { event: "sync_store.migrate_parse_failed", file: filePath, message: err.message });
+      return null;
+    }
+    const rows = transaction(() => {
+      const n = importRows(parsed);
+      stmt.metaPut.run(marker, JSON.stringify({ file: filePath, rows: n, migratedAt: now() }));
+      return n;
+    });
+    try {
+      fs.renameSync(filePath, `${filePath}.migrated`);
+    } catch (err) {
+      log("warn", { event: "sync_store.migrate_rename_failed", file: filePath, message: err.message });
+    }
+    log("info", { event: "sync_store.migrated", source: marker, file: filePath, rows });
+    return rows;
+  }
+
+  /**
+   * One-time import of the legacy JSON files. Each source is tracked separately in meta, so a file that
+   * fails to parse is retried on the next boot without re-importing the others.
+   * @param {{ cacheFile?: string, sets?: Record<string, string>, maps?: Record<string, string> }} sources
+   *   sets/maps: namespace → legacy file path (JSON array of ids / JSON object)
+   */
+  function migrateFromJson({ cacheFile, sets: setFiles = {}, maps: mapFiles = {} } = {}) {
+    const summary = {};
+    const cacheRows = importFile("migrated:sync_cache", cacheFile, (parsed) => {
+      const ts = now();
+      let n = 0;
+      for (const [id, row] of Object.entries(parsed && typeof parsed === "object" ? parsed : {})) {
+        if (row == null) continue;
+        stmt.cachePut.run(String(id), JSON.stringify(row), ts);
+        n++;
+      }
+      return n;
+    });
+    if (cacheRows != null) summary.sync_cache = cacheRows;
+    for (const [ns, filePath] of Object.entries(setFiles)) {
+      const n = importFile(`migrated:${ns}`, filePath, (parsed) => {
+        const ts = now();
+        const keys = Array.isArray(parsed) ? parsed : [];
+        for (const key of keys) stmt.kvPut.run(ns, String(key), null, ts);
+        return keys.length;
+      });
+      if (n != null) summary[ns] = n;
+    }
+    for (const [ns, filePath] of Object.entries(mapFiles)) {
+      const n = importFile(`migrated:${ns}`, filePath, (parsed) => {
+        const ts = now();
+        const entries = Object.entries(parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {});
+        for (const [key, value] of entries) stmt.kvPut.run(ns, String(key), JSON.stringify(value ?? null), ts);
+        return entries.length;
+      });
+      if (n != null) summary[ns] = n;
+    }
+    return summary;
+  }
+
+  function close() {
+    db.close();
+  }
+
+  return { cache, sets, maps, namespace, transaction, migrateFromJson, close };
+}
@@ -0,0 +1,164 @@
+/**
+ * Vertical registry — every storefront vertical (luxury, furniture, and any added later) declares its Webflow
+ * target, department, category map, keyword tables, sold behavior and retention policy here instead of in
+ * `=== "furniture"` branches across server.js.
+ *
+ * Definition shape (see lib/verticals/*.js):
+ *   id, label, department              e.g. "furniture", "Furniture", "Furniture & Home"
+ *   pipeline                           "cms" | "ecommerce" (added verticals: "cms" — a CMS collection with the
+ *                                      luxury field layout, so they reuse the luxury create/update/sold path)
+ *   webflow                            { collectionId, skuCollectionId, token, siteId } → env var names, first set wins
+ *   ecommerceTag                       Shopify tag that places a product in this vertical (FH, LG, …)
+ *   categories, fallbackCategory       classifier key → Shopify/Webflow category label
+ *   categoryRefEnvPrefix               env prefix for category ItemRef ids (ecommerce), or null
+ *   keywords                           { strong, weak } keyword tables for the vertical's classifier
+ *   sold                               { fields, dateFieldEnv, dateField, nameSuffix } — PATCHed by markAsSold
+ *   retention                          { daysEnv, defaultDays } — sold listings removed after N days; null = keep
+ *   claim(product, { tags })           added verticals only: reason string when the product belongs here, else null
+ *   classifyCategory(product, ctx)     added verticals only: async → classifier key (mapped through categories)
+ */
+
+const WEBFLOW_KEYS = ["collectionId", "skuCollectionId", "token", "siteId"];
+
+function firstEnv(env, names) {
+  for (const name of names || []) {
+    const v = env[name];
+    if (v != null && String(v).trim() !== "") return String(v).trim();
+  }
+  return undefined;
+}
+
+function validateDefinition(def, builtinIds) {
+  const where = `vertical ${def?.id ? `"${def.id}"` : "(no id)"}`;
+  if (!def || typeof def.id !== "string" || !/^[a-z][a-z0-9-]*$/.test(def.id)) {
+    throw new Error(`${where}: id must be a lowercase slug`);
+  }
+  if (!def.department) throw new Error(`${where}: department is required`);
+  if (!["cms", "ecommerce"].includes(def.pipeline)) throw new Error(`${where}: pipeline must be "cms" or "ecommerce"`);
+  for (const key of WEBFLOW_KEYS) {
+    if (!Array.isArray(def.webflow?.[key])) throw new Error(`${where}: webflow.${key} must be a list of env var names`);
+  }
+  if (!def.webflow.collectionId.length && !def.webflow.siteId.length) {
+    throw new Error(`${where}: webflow needs a collectionId or siteId env var`);
+  }
+  if (!def.categories || typeof def.categories !== "object") throw new Error(`${where}: categories map is required`);
+  if (!def.sold?.fields || typeof def.sold.fields !== "object") throw new Error(`${where}: sold.fields is required`);
+  if (builtinIds.has(def.id)) return;
+  if (def.pipeline !== "cms") throw new Error(`${where}: added verticals must use the "cms" pipeline`);
+  if (typeof def.claim !== "function") throw new Error(`${where}: claim(product) is required`);
+  if (typeof def.classifyCategory !== "function") throw new Error(`${where}: classifyCategory(product) is required`);
+}
+
+/**
+ * @param {{
+ *   builtin: object[],
+ *   extra?: object[],
+ *   defaultVertical?: string,
+ *   cmsLayout?: string,
+ *   env?: Record<string, string | undefined>,
+ * }} options  cmsLayout = built-in vertical whose listing layout added (CMS) verticals reuse
+ */
+export function createVerticalRegistry({ builtin, extra = [], defaultVertical = "luxury", cmsLayout = "luxury", env = process.env }) {
+  const builtinIds = new Set(builtin.map((d) => d.id));
+  const byId = new Map();
+  for (const def of [...builtin, ...extra]) {
+    validateDefinition(def, builtinIds);
+    if (byId.has(def.id)) throw new Error(`vertical "${def.id}" is registered twice`);
+    const isBuiltin = builtinIds.has(def.id);
+    byId.set(def.id, Object.freeze({ ...def, builtin: isBuiltin, layout: isBuiltin ? def.id : cmsLayout }));
+  }
+  for (const id of [defaultVertical, cmsLayout]) {
+    if (!builtinIds.has(id)) throw new Error(`vertical "${id}" is not a built-in vertical`);
+  }
+  const added = [...byId.values()].filter((d) => !d.builtin);
+
+  /** Unknown ids resolve to the default vertical (same as the old two-way `=== "furniture"` checks). */
+  function get(id) {
+    return byId.get(id) || byId.get(defaultVertical);
+  }
+
+  function webflowConfig(id) {
+    const { webflow } = get(id);
+    const config = {};
+    for (const key of WEBFLOW_KEYS) config[key] = webflow[key].length ? firstEnv(env, webflow[key]) : null;
+    return config;
+  }
+
+  function mapCategory(id, key) {
+    const def = get(id);
+    if (key != null && Object.prototype.hasOwnProperty.call(def.categories, key)) return def.categories[key];
+    return def.fallbackCategory ?? null;
+  }
+
+  function categoryRefEnvKey(id, label) {
+    const prefix = get(id).categoryRefEnvPrefix;
+    if (!prefix || !label) return null;
+    const key = String(label).replace(/\s*\/\s*/g, "_").replace(/\s+/g, "_").toUpperCase().replace(/[^A-Z0-9_]/g, "");
+    return `${prefix}${key}`;
+  }
+
+  function soldDateField(id) {
+    const { sold } = get(id);
+    const t = String((sold.dateFieldEnv && env[sold.dateFieldEnv]) || sold.dateField || "").trim();
+    return t || sold.dateField || null;
+  }
+
+  /** Sold-state fieldData on top of the listing's current fieldData (date-sold and name suffix are added by the caller). */
+  function soldFieldData(id, base) {
+    return { ...(base || {}), ...get(id).sold.fields };
+  }
+
+  /** Days a sold listing stays up before the retention sweep removes it; null when the vertical keeps sold listings. */
+  function retentionDays(id) {
+    const { retention } = get(id);
+    if (!retention) return null;
+    const raw = (retention.daysEnv || []).map((name) => env[name]?.trim()).find(Boolean) || String(retention.defaultDays);
+    const n = parseInt(raw, 10);
+    return Math.max(1, Number.isFinite(n) ? n : retention.defaultDays);
+  }
+
+  /**
+   * First added vertical that claims the product: its ecommerce tag, then its claim() hook.
+   * Built-in luxury/furniture placement is the evidence cascade in server.js; this only answers "does an
+   * added vertical own this product?".
+   * @returns {{ vertical: string, reason: string } | null}
+   */
+  function claim(product, { tags = [] } = {}) {
+    const upper = new Set(tags.map((t) => String(t).trim().toUpperCase()));
+    for (const def of added) {
+      if (def.ecommerceTag && upper.has(String(def.ecommerceTag).toUpperCase())) {
+        return { vertical: def.id, reason: `ecommerce_vertical_tag_${String(def.ecommerceTag).toLowerCase()}` };
+      }
+      const reason = def.claim(product, { tags });
+      if (reason) return { vertical: def.id, reason: typeof reason === "string" ? reason : `claimed_by_${def.id}` };
+    }
+    return null;
+  }
+
+  /** Category label for an added vertical via its classifier module. */
+  async function classifyCategory(id, product, ctx = {}) {
+    const def = get(id);
+    if (typeof def.classifyCategory !== "function") return def.fallbackCategory ?? null;
+    const key = await def.classifyCategory(product, { ...ctx, keywords: def.keywords, categories: def.categories });
+    return mapCategory(id, key);
+  }
+
+  return {
+    get,
+    has: (id) => byId.has(id),
+    ids: () => [...byId.keys()],
+    list: () => [...byId.values()],
+    isBuiltin: (id) => !!byId.get(id)?.builtin,
+    layoutOf: (id) => get(id).layout,
+    department: (id) => get(id).department,
+    departments: () => [...byId.values()].map((d) => d.department),
+    webflowConfig,
+    mapCategory,
+    categoryRefEnvKey,
+    soldDateField,
+    soldFieldData,
+    retentionDays,
+    claim,
+    classifyCategory,
+  };
+}
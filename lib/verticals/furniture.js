@@ -0,0 +1,47 @@
+/**
+ * Furniture & Home — resale site. Webflow Ecommerce products + SKUs when the resale site id is set
+ * (FURNITURE_USE_ECOMMERCE_API=0 falls back to the CMS Products collection).
+ * Sold listings get sold=true and are removed by the retention sweep after N days.
+ */
+import { CATEGORY_KEYWORDS_FURNITURE, CATEGORY_KEYWORDS_FURNITURE_WEAK } from "../../categoryKeywordsFurniture.js";
+import { ECOMMERCE_VERTICAL_TAG_FURNITURE } from "../../ecommerceTags.js";
+
+export default {
+  id: "furniture",
+  label: "Furniture",
+  department: "Furniture & Home",
+  pipeline: "ecommerce",
+  webflow: {
+    collectionId: ["RESALE_Products_Collection_ID", "WEBFLOW_RESALE_COLLECTION_ID"],
+    skuCollectionId: ["RESALE_SKUs_Collection_ID", "WEBFLOW_RESALE_SKUS_COLLECTION_ID"],
+    token: ["RESALE_TOKEN", "WEBFLOW_RESALE_TOKEN"],
+    siteId: ["RESALE_WEBFLOW_SITE_ID", "WEBFLOW_RESALE_SITE_ID"],
+  },
+  ecommerceTag: ECOMMERCE_VERTICAL_TAG_FURNITURE,
+  /** Classifier keys → Shopify/Webflow category labels. */
+  categories: {
+    LivingRoom: "Living Room",
+    DiningRoom: "Dining Room",
+    OfficeDen: "Office Den",
+    Rugs: "Rugs",
+    ArtMirrors: "Art / Mirrors",
+    Bedroom: "Bedroom",
+    Accessories: "Accessories",
+    OutdoorPatio: "Outdoor / Patio",
+    Lighting: "Lighting",
+  },
+  fallbackCategory: "Accessories",
+  /** Ecommerce category ItemRef fallback: FURNITURE_CATEGORY_<LABEL> (e.g. FURNITURE_CATEGORY_ART_MIRRORS). */
+  categoryRefEnvPrefix: "FURNITURE_CATEGORY_",
+  keywords: { strong: CATEGORY_KEYWORDS_FURNITURE, weak: CATEGORY_KEYWORDS_FURNITURE_WEAK },
+  sold: {
+    fields: { sold: true },
+    dateFieldEnv: "FURNITURE_SOLD_SINCE_FIELD_SLUG",
+    dateField: "date-sold",
+    nameSuffix: true,
+  },
+  retention: {
+    daysEnv: ["FURNITURE_SOLD_RETENTION_DAYS", "SOLD_RETENTION_DAYS"],
+    defaultDays: 3,
+  },
+};
@@ -0,0 +1,29 @@
+/**
+ * Vertical definitions. Luxury and furniture are built in; further verticals are modules in this directory
+ * (lib/verticals/<id>.js, default export = definition) enabled with VERTICALS=<id>[,<id>…].
+ * See lib/verticalRegistry.js for the definition shape.
+ */
+import luxury from "./luxury.js";
+import furniture from "./furniture.js";
+
+export const BUILTIN_VERTICALS = [luxury, furniture];
+
+/**
+ * Import the definitions named in VERTICALS (comma-separated ids). Built-in ids are ignored.
+ * @param {string | undefined} raw
+ * @returns {Promise<object[]>}
+ */
+export async function loadVerticalModules(raw) {
+  const builtin = new Set(BUILTIN_VERTICALS.map((v) => v.id));
+  const ids = String(raw || "")
+    .split(",")
+    .map((s) => s.trim().toLowerCase())
+    .filter((id) => id && !builtin.has(id));
+  const definitions = [];
+  for (const id of new Set(ids)) {
+    if (!/^[a-z][a-z0-9-]*$/.test(id)) throw new Error(`VERTICALS: invalid vertical id "${id}"`);
+    const mod = await import(`./${id}.js`);
+    definitions.push(mod.default);
+  }
+  return definitions;
+}
@@ -0,0 +1,49 @@
+/**
+ * Luxury Goods — Webflow CMS Products collection (no SKU collection, no ecommerce API).
+ * Sold listings stay up: moved to "Recently Sold" and hidden; never removed by the retention sweep.
+ */
+import { CATEGORY_KEYWORDS } from "../../categoryKeywords.js";
+import { ECOMMERCE_VERTICAL_TAG_LUXURY } from "../../ecommerceTags.js";
+
+export default {
+  id: "luxury",
+  label: "Luxury",
+  department: "Luxury Goods",
+  pipeline: "cms",
+  webflow: {
+    collectionId: ["WEBFLOW_COLLECTION_ID"],
+    skuCollectionId: [],
+    token: ["WEBFLOW_TOKEN"],
+    siteId: [],
+  },
+  ecommerceTag: ECOMMERCE_VERTICAL_TAG_LUXURY,
+  /** Luxury categories are already the Webflow/Shopify labels. */
+  categories: {
+    Handbags: "Handbags",
+    Totes: "Totes",
+    Crossbody: "Crossbody",
+    Backpacks: "Backpacks",
+    "Small Bags": "Small Bags",
+    Wallets: "Wallets",
+    Luggage: "Luggage",
+    Scarves: "Scarves",
+    Belts: "Belts",
+    Necklaces: "Necklaces",
+    Rings: "Rings",
+    Bracelets: "Bracelets",
+    Earrings: "Earrings",
+    "Other Jewelry": "Other Jewelry",
+    Accessories: "Accessories",
+    Other: "Other ",
+  },
+  fallbackCategory: "Other ",
+  categoryRefEnvPrefix: null,
+  keywords: { strong: CATEGORY_KEYWORDS, weak: null },
+  sold: {
+    fields: { category: "Recently Sold", "show-on-webflow": false },
+    dateFieldEnv: "LUXURY_SOLD_SINCE_FIELD_SLUG",
+    dateField: "date-sold",
+    nameSuffix: true,
+  },
+  retention: null,
+};
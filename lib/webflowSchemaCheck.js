@@ -0,0 +1,130 @@
+/**
+ * Webflow collection schema drift check.
+ * The sync writes fixed field slugs per collection (date-sold, image-N gallery slots, compare-at-price,
+ * ec-product-type options …). When a field is renamed or deleted in the Designer, every PATCH that sends the
+ * old slug fails, one product at a time. compareCollectionSchema() diffs the expected field map against the
+ * live `GET /v2/collections/:id` fields so the problem is reported once, up front.
+ * Expected slugs are fixed in server.js; expected Option choices come from the last schema that passed
+ * (optionsSnapshot), since the choices themselves are edited in the Designer.
+ */
+
+/**
+ * @typedef {{
+ *   slug: string,
+ *   label?: string,
+ *   types?: string[],
+ *   options?: string[],
+ * }} ExpectedWebflowField
+ * types: accepted Webflow field types (omit to check presence only).
+ * options: Option field that must have choices; listed names must still exist.
+ */
+
+function normalizeName(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "");
+}
+
+/** Option names from a Webflow Option field (validations.options as strings or { name, id }). */
+export function webflowFieldOptionNames(field) {
+  const options = field?.validations?.options ?? [];
+  return options
+    .map((o) => {
+      if (typeof o === "string") return o;
+      if (o?.name) return String(o.name);
+      if (o?.id) return String(o.id);
+      return null;
+    })
+    .filter(Boolean);
+}
+
+/** Live field that looks like the expected one after a rename: same display name, or slug with a -2 style suffix. */
+function findRenameCandidate(expected, liveFields, expectedSlugs) {
+  const label = normalizeName(expected.label || expected.slug);
+  const typeOk = (f) => !expected.types?.length || expected.types.includes(f.type);
+  return (
+    liveFields.find(
+      (f) =>
+        f?.slug &&
+        !expectedSlugs.has(f.slug) &&
+        typeOk(f) &&
+        (normalizeName(f.displayName) === label || new RegExp(`^${expected.slug}-\\d+$`).test(f.slug))
+    ) || null
+  );
+}
+
+/**
+ * Diff expected fields against a live collection schema.
+ * @param {ExpectedWebflowField[]} expected
+ * @param {Array<{ slug: string, displayName?: string, type?: string, validations?: object }>} liveFields
+ * @returns {{ ok: boolean, fieldCount: number, issues: Array<Record<string, unknown>> }}
+ */
+export function compareCollectionSchema(expected, liveFields) {
+  const live = Array.isArray(liveFields) ? liveFields : [];
+  const bySlug = new Map(live.filter((f) => f?.slug).map((f) => [f.slug, f]));
+  const expectedSlugs = new Set(expected.map((e) => e.slug));
+  const issues = [];
+  for (const e of expected) {
+    const field = bySlug.get(e.slug);
+    if (!field) {
+      const candidate = findRenameCandidate(e, live, expectedSlugs);
+      issues.push({
+        slug: e.slug,
+        ...(e.label ? { label: e.label } : {}),
+        problem: candidate ? "renamed" : "missing",
+        ...(e.types?.length ? { expectedTypes: e.types } : {}),
+        ...(candidate ? { liveSlug: candidate.slug, liveDisplayName: candidate.displayName ?? null } : {}),
+      });
+      continue;
+    }
+    if (e.types?.length && !e.types.includes(field.type)) {
+      issues.push({ slug: e.slug, problem: "wrong_type", expectedTypes: e.types, actualType: field.type ?? null });
+      continue;
+    }
+    if (Array.isArray(e.options)) {
+      const names = webflowFieldOptionNames(field);
+      if (!names.length) {
+        issues.push({ slug: e.slug, problem: "no_options" });
+      } else {
+        const removed = e.options.filter((o) => !names.includes(o));
+        if (removed.length) issues.push({ slug: e.slug, problem: "options_removed", options: removed });
+      }
+    }
+  }
+  return { ok: issues.length === 0, fieldCount: live.length, issues };
+}
+
+/**
+ * Option names per option-checked slug in a live schema, to store as the known-good choices for the next check.
+ * @param {ExpectedWebflowField[]} expected
+ * @param {Array<{ slug: string, validations?: object }>} liveFields
+ * @returns {Record<string, string[]>}
+ */
+export function optionsSnapshot(expected, liveFields) {
+  const bySlug = new Map((Array.isArray(liveFields) ? liveFields : []).filter((f) => f?.slug).map((f) => [f.slug, f]));
+  const out = {};
+  for (const e of expected) {
+    if (Array.isArray(e.options) && bySlug.has(e.slug)) out[e.slug] = webflowFieldOptionNames(bySlug.get(e.slug));
+  }
+  return out;
+}
+
+/** One line per issue for logs and the sync-all block message. */
+export function describeSchemaIssues(collections) {
+  const lines = [];
+  for (const c of collections || []) {
+    if (c.error) {
+      lines.push(`${c.collection}: schema fetch failed (${c.error})`);
+      continue;
+    }
+    for (const i of c.issues || []) {
+      if (i.problem === "renamed") lines.push(`${c.collection}.${i.slug}: renamed? live field is ${i.liveSlug}`);
+      else if (i.problem === "wrong_type") {
+        lines.push(`${c.collection}.${i.slug}: type ${i.actualType}, expected ${i.expectedTypes.join(" | ")}`);
+      } else if (i.problem === "options_removed") {
+        lines.push(`${c.collection}.${i.slug}: options removed: ${i.options.join(", ")}`);
+      } else lines.push(`${c.collection}.${i.slug}: ${i.problem.replace(/_/g, " ")}`);
+    }
+  }
+  return lines;
+}
@@ -0,0 +1,145 @@
+/**
+ * Snapshots of Webflow furniture ecommerce products taken right before the sync deletes or archives them
+ * (sold retention, the one-time sold backfill, duplicate / wrong-vertical cleanup), so a listing removed by a bad
+ * cutoff or date-sold value can be recreated with POST /webflow/restore.
+ *
+ * One JSON file per snapshot under DATA_DIR/webflow_snapshots: the full product and SKU payloads as returned by
+ * GET /sites/{site}/products/{id}, plus why it was taken. Snapshots older than retentionDays are pruned.
+ */
+import fs from "fs";
+import path from "path";
+
+const SNAPSHOT_ID_REGEX = /^[a-f0-9]{24}-[0-9]{13}$/i;
+
+/**
+ * @param {{
+ *   dir: string,
+ *   retentionDays?: number,
+ *   log?: (level: string, payload: object) => void,
+ *   now?: () => number,
+ * }} options
+ */
+export function createWebflowSnapshots({ dir, retentionDays = 90, log = () => {}, now = Date.now }) {
+  const retentionMs = retentionDays * 86400000;
+
+  function fileFor(id) {
+    const s = String(id ?? "").trim();
+    return SNAPSHOT_ID_REGEX.test(s) ? path.join(dir, `${s}.json`) : null;
+  }
+
+  function readFile(file) {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") log("error", { event: "webflow_snapshot.load_failed", file, message: err.message });
+      return null;
+    }
+  }
+
+  function writeFile(file, snapshot) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(snapshot, null, 2), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  function summary(s) {
+    const fd = s.product?.fieldData || {};
+    return {
+      id: s.id,
+      takenAt: s.takenAt,
+      reason: s.reason,
+      siteId: s.siteId,
+      webflowId: s.webflowId,
+      shopifyProductId: s.shopifyProductId,
+      name: fd.name ?? null,
+      slug: fd.slug ?? null,
+      isArchived: s.product?.isArchived === true,
+      skuCount: s.skus.length,
+      restoredAt: s.restoredAt ?? null,
+      restoredWebflowId: s.restoredWebflowId ?? null,
+    };
+  }
+
+  /**
+   * Store the product as fetched from Webflow. Throws when the file cannot be written — callers treat that as
+   * "do not delete".
+   * @param {{ siteId: string, reason: string, product: { id: string, fieldData?: object, skus?: object[] } }} input
+   */
+  function save({ siteId, reason, product }) {
+    const at = now();
+    const { skus = [], ...rest } = product;
+    const snapshot = {
+      id: `${product.id}-${at}`,
+      takenAt: new Date(at).toISOString(),
+      reason: reason || "delete",
+      siteId,
+      webflowId: product.id,
+      shopifyProductId: rest.fieldData?.["shopify-product-id"] ? String(rest.fieldData["shopify-product-id"]) : null,
+      product: rest,
+      skus,
+    };
+    fs.mkdirSync(dir, { recursive: true });
+    writeFile(path.join(dir, `${snapshot.id}.json`), snapshot);
+    log("info", {
+      event: "webflow_snapshot.saved",
+      snapshotId: snapshot.id,
+      webflowId: snapshot.webflowId,
+      shopifyProductId: snapshot.shopifyProductId,
+      reason: snapshot.reason,
+    });
+    return summary(snapshot);
+  }
+
+  /** Full snapshot (payloads included) or null. */
+  function get(id) {
+    const file = fileFor(id);
+    return file ? readFile(file) : null;
+  }
+
+  /** Record that a snapshot was restored (kept so a second restore can be refused). */
+  function markRestored(id, restoredWebflowId) {
+    const file = fileFor(id);
+    const snapshot = file ? readFile(file) : null;
+    if (!snapshot) return null;
+    snapshot.restoredAt = new Date(now()).toISOString();
+    snapshot.restoredWebflowId = restoredWebflowId;
+    writeFile(file, snapshot);
+    return summary(snapshot);
+  }
+
+  /** Summaries, newest first. Filter by Webflow or Shopify product id. */
+  function list({ webflowId = null, shopifyProductId = null, limit = 0 } = {}) {
+    if (!fs.existsSync(dir)) return [];
+    const out = [];
+    for (const name of fs.readdirSync(dir)) {
+      if (!name.endsWith(".json")) continue;
+      if (webflowId && !name.startsWith(`${webflowId}-`)) continue;
+      const s = readFile(path.join(dir, name));
+      if (!s || (shopifyProductId && s.shopifyProductId !== String(shopifyProductId))) continue;
+      out.push(summary(s));
+    }
+    out.sort((a, b) => (a.takenAt < b.takenAt ? 1 : -1));
+    return limit > 0 ? out.slice(0, limit) : out;
+  }
+
+  /** Delete snapshots older than retentionDays (by the timestamp in the file name). */
+  function prune() {
+    let removed = 0;
+    if (!fs.existsSync(dir)) return { removed };
+    const cutoff = now() - retentionMs;
+    for (const name of fs.readdirSync(dir)) {
+      const id = name.replace(/\.json$/, "");
+      if (!SNAPSHOT_ID_REGEX.test(id) || Number(id.split("-")[1]) >= cutoff) continue;
+      try {
+        fs.unlinkSync(path.join(dir, name));
+        removed++;
+      } catch (err) {
+        log("error", { event: "webflow_snapshot.prune_failed", file: name, message: err.message });
+      }
+    }
+    if (removed) log("info", { event: "webflow_snapshot.pruned", removed, retentionDays });
+    return { removed };
+  }
+
+  return { save, get, list, markRestored, prune, retentionDays };
+}
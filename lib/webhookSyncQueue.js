@@ -0,0 +1,313 @@
+/**
+ * Durable queue for Shopify product webhook syncs.
+ * Jobs are persisted to a JSON file under DATA_DIR, so a Render restart or OOM in the middle of a
+ * webhook burst replays them on boot instead of dropping updates until the next /sync-all.
+ *
+ * One job per Shopify product id: webhooks inside the debounce window collapse into one run, and a
+ * webhook that lands while that product is syncing queues exactly one follow-up run (never two
+ * concurrent runs for the same id). Failed runs retry with exponential backoff; after maxAttempts the
+ * job moves to a dead-letter list that can be inspected and re-driven.
+ */
+import fs from "fs";
+import path from "path";
+
+const EMPTY_STATE = () => ({ jobs: {}, deadLetter: [] });
+
+/** Backoff for the Nth failed attempt (1-based): base, 2×base, 4×base … capped at maxMs. */
+export function webhookSyncRetryDelayMs(attempt, baseMs, maxMs) {
+  const n = Math.max(1, Number(attempt) || 1);
+  return Math.min(maxMs, baseMs * 2 ** (n - 1));
+}
+
+function mergePaths(...lists) {
+  return [...new Set(lists.flat().filter(Boolean).map(String))];
+}
+
+function pathLabelFor(paths) {
+  if (!paths.length) return "webhook_queue.replay";
+  return paths.length > 1 ? paths.join("+") : paths[0];
+}
+
+/**
+ * @param {{
+ *   filePath: string,
+ *   runJob: (shopifyProductId: string, pathLabel: string) => Promise<unknown>,
+ *   debounceMs?: number,
+ *   maxAttempts?: number,
+ *   retryBaseMs?: number,
+ *   retryMaxMs?: number,
+ *   deadLetterMax?: number,
+ *   log?: (level: string, payload: object) => void,
+ * }} options
+ */
+export function createWebhookSyncQueue({
+  filePath,
+  runJob,
+  debounceMs = 3500,
+  maxAttempts = 5,
+  retryBaseMs = 30_000,
+  retryMaxMs = 30 * 60_000,
+  deadLetterMax = 500,
+  log = () => {},
+}) {
+  const timers = new Map();
+  const running = new Set();
+  const inflight = new Map();
+  let state = loadState();
+
+  function loadState() {
+    try {
+      if (!fs.existsSync(filePath)) return EMPTY_STATE();
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      return {
+        jobs:
+          parsed?.jobs && typeof parsed.jobs === "object" && !Array.isArray(parsed.jobs) ? parsed.jobs : {},
+        deadLetter: Array.isArray(parsed?.deadLetter) ? parsed.deadLetter : [],
+      };
+    } catch (err) {
+      log("error", { event: "webhook_queue.load_failed", message: err.message });
+      return EMPTY_STATE();
+    }
+  }
+
+  /** Write-then-rename so a crash mid-write never leaves a truncated queue file. */
+  function persist() {
+    try {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmp = `${filePath}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf8");
+      fs.renameSync(tmp, filePath);
+    } catch (err) {
+      log("error", { event: "webhook_queue.save_failed", message: err.message });
+    }
+  }
+
+  function schedule(id) {
+    const job = state.jobs[id];
+    if (!job || running.has(id)) return;
+    const prev = timers.get(id);
+    if (prev) clearTimeout(prev);
+    const waitMs = Math.max(0, (Date.parse(job.runAt) || 0) - Date.now());
+    const timer = setTimeout(() => {
+      timers.delete(id);
+      const p = execute(id);
+      inflight.set(id, p);
+      p.finally(() => {
+        if (inflight.get(id) === p) inflight.delete(id);
+      });
+    }, waitMs);
+    timers.set(id, timer);
+  }
+
+  function removeDeadLetter(id) {
+    const before = state.deadLetter.length;
+    state.deadLetter = state.deadLetter.filter((row) => row.shopifyProductId !== id);
+    return before - state.deadLetter.length;
+  }
+
+  async function execute(id) {
+    const job = state.jobs[id];
+    if (!job || running.has(id)) return;
+    running.add(id);
+    const paths = mergePaths(job.paths);
+    job.status = "running";
+    job.runningPaths = paths;
+    job.paths = [];
+    job.rerun = false;
+    job.attempts = (Number(job.attempts) || 0) + 1;
+    job.startedAt = new Date().toISOString();
+    persist();
+    log("info", {
+      event: "webhook_queue.run",
+      shopifyProductId: id,
+      paths,
+      attempt: job.attempts,
+      maxAttempts,
+    });
+
+    let error = null;
+    try {
+      await runJob(id, pathLabelFor(paths));
+    } catch (err) {
+      error = err;
+    }
+    running.delete(id);
+
+    const current = state.jobs[id];
+    if (!current) {
+      persist();
+      return;
+    }
+    delete current.runningPaths;
+    delete current.startedAt;
+
+    if (!error) {
+      if (current.rerun) {
+        current.status = "pending";
+        current.attempts = 0;
+        current.lastError = null;
+        current.rerun = false;
+        persist();
+        schedule(id);
+        return;
+      }
+      delete state.jobs[id];
+      persist();
+      return;
+    }
+
+    const message = error?.message || String(error);
+    current.lastError = message;
+    current.lastFailedAt = new Date().toISOString();
+    current.paths = mergePaths(paths, current.paths);
+
+    if (current.attempts >= maxAttempts) {
+      delete state.jobs[id];
+      removeDeadLetter(id);
+      state.deadLetter.unshift({
+        shopifyProductId: id,
+        paths: current.paths,
+        attempts: current.attempts,
+        lastError: message,
+        enqueuedAt: current.enqueuedAt,
+        deadLetteredAt: new Date().toISOString(),
+      });
+      state.deadLetter = state.deadLetter.slice(0, deadLetterMax);
+      persist();
+      log("error", {
+        event: "webhook_queue.dead_lettered",
+        shopifyProductId: id,
+        attempts: current.attempts,
+        message,
+      });
+      return;
+    }
+
+    const delayMs = current.rerun ? debounceMs : webhookSyncRetryDelayMs(current.attempts, retryBaseMs, retryMaxMs);
+    current.status = "retrying";
+    current.rerun = false;
+    current.runAt = new Date(Date.now() + delayMs).toISOString();
+    persist();
+    log("warn", {
+      event: "webhook_queue.retry_scheduled",
+      shopifyProductId: id,
+      attempt: current.attempts,
+      maxAttempts,
+      delayMs,
+      message,
+    });
+    schedule(id);
+  }
+
+  /** Queue (or re-debounce) a sync for one product. Returns the persisted job row. */
+  function enqueue(shopifyProductId, triggerPath) {
+    const id = String(shopifyProductId ?? "").trim();
+    if (!id) return null;
+    const now = Date.now();
+    const prev = state.jobs[id];
+    const job = {
+      ...(prev || {}),
+      shopifyProductId: id,
+      paths: mergePaths(prev?.paths || [], triggerPath),
+      enqueuedAt: prev?.enqueuedAt || new Date(now).toISOString(),
+      runAt: new Date(now + debounceMs).toISOString(),
+      attempts: Number(prev?.attempts) || 0,
+      lastError: prev?.lastError ?? null,
+      status: prev?.status || "pending",
+    };
+    if (running.has(id)) job.rerun = true;
+    state.jobs[id] = job;
+    removeDeadLetter(id);
+    persist();
+    schedule(id);
+    return job;
+  }
+
+  /** Boot: schedule every persisted job. Jobs that were mid-run when the process died run first. */
+  function replayPending() {
+    const ids = Object.keys(state.jobs);
+    const nowIso = new Date().toISOString();
+    let interrupted = 0;
+    for (const id of ids) {
+      const job = state.jobs[id];
+      if (job.status === "running") {
+        interrupted++;
+        job.paths = mergePaths(job.runningPaths || [], job.paths || []);
+        job.status = "pending";
+        job.runAt = nowIso;
+        delete job.runningPaths;
+        delete job.startedAt;
+      }
+    }
+    if (ids.length) persist();
+    for (const id of ids) schedule(id);
+    log("info", {
+      event: "webhook_queue.replay",
+      pending: ids.length,
+      interrupted,
+      deadLetter: state.deadLetter.length,
+    });
+    return ids.length;
+  }
+
+  /**
+   * Move dead-lettered jobs back into the queue (attempts reset).
+   * @param {string[] | null} [ids] - Shopify product ids; null/empty = every dead-lettered job.
+   */
+  function redrive(ids = null) {
+    const wanted = Array.isArray(ids) && ids.length ? new Set(ids.map((id) => String(id).trim())) : null;
+    const nowIso = new Date().toISOString();
+    const redriven = [];
+    const keep = [];
+    for (const row of state.deadLetter) {
+      if (wanted && !wanted.has(row.shopifyProductId)) {
+        keep.push(row);
+        continue;
+      }
+      if (!state.jobs[row.shopifyProductId]) {
+        state.jobs[row.shopifyProductId] = {
+          shopifyProductId: row.shopifyProductId,
+          paths: mergePaths(row.paths || [], "webhook_queue.redrive"),
+          enqueuedAt: nowIso,
+          runAt: nowIso,
+          attempts: 0,
+          lastError: row.lastError ?? null,
+          status: "pending",
+        };
+      }
+      redriven.push(row.shopifyProductId);
+    }
+    state.deadLetter = keep;
+    persist();
+    for (const id of redriven) schedule(id);
+    if (redriven.length) {
+      log("info", { event: "webhook_queue.redrive", count: redriven.length, shopifyProductIds: redriven });
+    }
+    return redriven;
+  }
+
+  function snapshot() {
+    const pending = Object.values(state.jobs).sort(
+      (a, b) => (Date.parse(a.runAt) || 0) - (Date.parse(b.runAt) || 0)
+    );
+    return {
+      pendingCount: pending.length,
+      runningCount: running.size,
+      deadLetterCount: state.deadLetter.length,
+      pending,
+      deadLetter: state.deadLetter,
+    };
+  }
+
+  /** Wait for every job currently executing (tests / graceful shutdown). */
+  async function drain() {
+    await Promise.allSettled([...inflight.values()]);
+  }
+
+  function close() {
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+
+  return { enqueue, replayPending, redrive, snapshot, drain, close };
+}
@@ -4,15 +4,20 @@
  *   Rules: jewelry subcategories; watches → Accessories; shoes → Other; miscellaneous luxury items (straps, pouches, charms, etc.) → Accessories; Other only for footwear or truly uncategorizable.
  * - Furniture: LivingRoom, DiningRoom, OfficeDen, Rugs, ArtMirrors, Bedroom, Accessories, OutdoorPatio, Lighting
  *   Rules: art/paintings/photographs/framed → ArtMirrors; umbrellas/patio → OutdoorPatio.
- * Uses same OPENAI_API_KEY as vertical classifier. Falls back to null on failure so caller can use keyword logic.
+ * Uses the shared LLM client (lib/llmClient.js) like the vertical classifier. Falls back to null on failure so caller can use keyword logic.
  *
  * Subcategory LLM runs only when evidence confidence is below LLM_CATEGORY_CONFIDENCE_THRESHOLD (default 0.8); see server.js detectCategoryFurnitureEvidence / detectLuxuryCategoryEvidence.
  */
 
-import axios from "axios";
+import { getLlmClient } from "./lib/llmClient.js";
 
-const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
 const DEFAULT_MODEL = "gpt-4o-mini";
+/** Bump when the category prompts change: it keys the LLM decision cache in server.js. */
+export const CATEGORY_PROMPT_VERSION = 1;
+
+export function getCategoryClassifierModel() {
+  return (process.env.OPENAI_CATEGORY_MODEL || process.env.OPENAI_VERTICAL_MODEL || DEFAULT_MODEL).trim() || DEFAULT_MODEL;
+}
 
 function stripHtml(html) {
   if (!html || typeof html !== "string") return "";
@@ -149,12 +154,19 @@ function parseResponse(rawContent, allowedCategories) {
  * @returns {Promise<{ category: string, confidence: number, reasoning: string } | null>} Null if disabled, no key, or parse failure (caller should use keyword fallback).
  */
 export async function classifyCategoryWithLLM(product, vertical, logPayload = {}, logFn = null) {
-  const openaiKey = process.env.OPENAI_API_KEY;
-  const model = (process.env.OPENAI_CATEGORY_MODEL || process.env.OPENAI_VERTICAL_MODEL || DEFAULT_MODEL).trim() || DEFAULT_MODEL;
+  const llmConfigured = getLlmClient().isConfigured();
+  const model = getCategoryClassifierModel();
   const useLLMCategory = process.env.LLM_CATEGORY_ENABLED !== "false" && process.env.LLM_CATEGORY_ENABLED !== "0";
 
-  if (!useLLMCategory || !openaiKey || typeof openaiKey !== "string" || !openaiKey.trim()) {
-    if (logFn && !openaiKey) logFn("info", { event: "llm_category.skipped", reason: "OPENAI_API_KEY missing or LLM_CATEGORY_ENABLED=false" });
+  if (!useLLMCategory || !llmConfigured) {
+    if (logFn && !llmConfigured) logFn("info", { event: "llm_category.skipped", reason: "OPENAI_API_KEY missing or LLM_CATEGORY_ENABLED=false" });
+    logPayload.skipped = true;
+    return null;
+  }
+
+  const budget = getLlmClient().budgetStatus("llm_category");
+  if (budget.exceeded) {
+    if (logFn) logFn("info", { event: "llm_category.skipped", reason: "budget_exceeded", spentUsd: budget.spentUsd, budgetUsd: budget.budgetUsd });
     logPayload.skipped = true;
     return null;
   }
@@ -164,27 +176,19 @@ export async function classifyCategoryWithLLM(product, vertical, logPayload = {}
   const userPrompt = buildUserPrompt(product);
 
   try {
-    const res = await axios.post(
-      OPENAI_API_URL,
-      {
-        model,
-        messages: [
-          { role: "system", content: systemPrompt },
-          { role: "user", content: userPrompt },
-        ],
-        temperature: 0,
-        max_tokens: 150,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${openaiKey}`,
-        },
-        timeout: 15000,
-      }
-    );
-
-    const rawContent = res.data?.choices?.[0]?.message?.content;
+    const res = await getLlmClient().chat({
+      purpose: "llm_category",
+      model,
+      messages: [
+        { role: "system", content: systemPrompt },
+        { role: "user", content: userPrompt },
+      ],
+      temperature: 0,
+      max_tokens: 150,
+      timeoutMs: 15000,
+    });
+
+    const rawContent = res.content;
     logPayload.raw = rawContent;
 
     const parsed = parseResponse(rawContent, allowedCategories);
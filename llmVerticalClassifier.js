@@ -6,7 +6,7 @@
  * Never returns UNKNOWN; defaults to HOME_INTERIOR on low confidence or failure.
  */
 
-import axios from "axios";
+import { getLlmClient } from "./lib/llmClient.js";
 import { productLooksLikeFurnitureTrap, productTitleLooksLikeWearableJewelry } from "./vertical.js";
 import {
   getHardFhLgVerticalLockFromProduct,
@@ -14,8 +14,13 @@ import {
   ECOMMERCE_VERTICAL_TAG_LUXURY,
 } from "./ecommerceTags.js";
 
-const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
 const DEFAULT_MODEL = "gpt-4o-mini";
+/** Bump when the prompts or the pre-LLM overrides below change: it keys the LLM decision cache in server.js. */
+export const VERTICAL_PROMPT_VERSION = 2;
+
+export function getVerticalClassifierModel() {
+  return (process.env.OPENAI_VERTICAL_MODEL || DEFAULT_MODEL).trim() || DEFAULT_MODEL;
+}
 
 /** Strong furniture indicators: if present, force HOME_INTERIOR unless clearly wearable/jewelry. */
 const FURNITURE_INDICATORS = [
@@ -693,7 +698,7 @@ function shouldRunVisionUncertainTextConfidence(product, textConfidence) {
 /**
  * Vision-only vertical check (GPT-4o multimodal). Used when text classifier likely wrong for luxury footwear/bags.
  */
-async function classifyVerticalWithVision(product, openaiKey, logPayload = {}, logFn = null, conflictMode = false) {
+async function classifyVerticalWithVision(product, logPayload = {}, logFn = null, conflictMode = false) {
   const urls = getProductImageUrls(product, 4);
   if (!urls.length) return null;
 
@@ -732,26 +737,18 @@ Reply with JSON only: {"category":"LUXURY" or "HOME_INTERIOR","confidence":0-1,"
   }
 
   try {
-    const res = await axios.post(
-      OPENAI_API_URL,
-      {
-        model: (process.env.OPENAI_VERTICAL_VISION_MODEL || "gpt-4o").trim() || "gpt-4o",
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: userContent },
-        ],
-        temperature: 0,
-        max_tokens: 200,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${openaiKey}`,
-        },
-        timeout: 45000,
-      }
-    );
-    const raw = res.data?.choices?.[0]?.message?.content;
+    const res = await getLlmClient().chat({
+      purpose: "llm_vertical.vision",
+      model: (process.env.OPENAI_VERTICAL_VISION_MODEL || "gpt-4o").trim() || "gpt-4o",
+      messages: [
+        { role: "system", content: system },
+        { role: "user", content: userContent },
+      ],
+      temperature: 0,
+      max_tokens: 200,
+      timeoutMs: 45000,
+    });
+    const raw = res.content;
     if (logPayload) {
       logPayload.visionRaw = raw;
     }
@@ -823,33 +820,25 @@ function parseModelOutput(rawContent) {
 /**
  * Second validation pass: ask model to re-evaluate. If disagreement with first pass, choose HOME_INTERIOR.
  */
-async function secondPassCheck(product, firstCategory, openaiKey, model, logPayload) {
+async function secondPassCheck(product, firstCategory, model, logPayload) {
   const userPrompt = `Re-evaluate. Is this product truly LUXURY (wearable/prestige goods) or is it premium home decor / furniture?
 Product: ${(product.title || "").slice(0, 200)}. Type: ${product.product_type || ""}.
 First classification was: ${firstCategory}.
 Reply with JSON only: {"category": "LUXURY" or "HOME_INTERIOR", "confidence": 0-1, "reasoning": "brief"}`;
   try {
-    const res = await axios.post(
-      OPENAI_API_URL,
-      {
-        model,
-        messages: [
-          { role: "system", content: "You re-evaluate product category. Output only valid JSON." },
-          { role: "user", content: userPrompt },
-        ],
-        temperature: 0,
-        top_p: 0,
-        max_tokens: 200,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${openaiKey}`,
-        },
-        timeout: 15000,
-      }
-    );
-    const raw = res.data?.choices?.[0]?.message?.content;
+    const res = await getLlmClient().chat({
+      purpose: "llm_vertical.second_pass",
+      model,
+      messages: [
+        { role: "system", content: "You re-evaluate product category. Output only valid JSON." },
+        { role: "user", content: userPrompt },
+      ],
+      temperature: 0,
+      top_p: 0,
+      max_tokens: 200,
+      timeoutMs: 15000,
+    });
+    const raw = res.content;
     const second = parseModelOutput(raw);
     if (second && second.category !== firstCategory) {
       if (logPayload) {
@@ -871,13 +860,13 @@ Reply with JSON only: {"category": "LUXURY" or "HOME_INTERIOR", "confidence": 0-
  * Never returns UNKNOWN. Log payload can be passed in for audit logging.
  *
  * @param {object} product - Shopify product { title, product_type, vendor, tags, body_html }
- * @param {object} [logPayload] - Optional object to attach raw/parsed/overrides for logging
+ * @param {object} [logPayload] - Optional object to attach raw/parsed/overrides for logging; `fallback: true` when the
+ *   default answer stands in for a model answer (no API key, budget, request or parse failure) and must not be cached
  * @param {Function} [logFn] - Optional logger(message, data)
  * @returns {Promise<{ category: "LUXURY" | "HOME_INTERIOR", confidence: number, reasoning: string }>}
  */
 export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
-  const openaiKey = process.env.OPENAI_API_KEY;
-  const model = (process.env.OPENAI_VERTICAL_MODEL || DEFAULT_MODEL).trim() || DEFAULT_MODEL;
+  const model = getVerticalClassifierModel();
   const useSecondPass = process.env.LLM_VERTICAL_SECOND_PASS === "true" || process.env.LLM_VERTICAL_SECOND_PASS === "1";
 
   const defaultResult = {
@@ -886,12 +875,13 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
     reasoning: "fallback: no API key or classification failure",
   };
 
-  if (!openaiKey || typeof openaiKey !== "string" || !openaiKey.trim()) {
-    if (logFn) logFn("warn", { event: "llm_vertical.no_api_key", message: "OPENAI_API_KEY missing" });
+  if (!getLlmClient().isConfigured()) {
+    if (logFn) logFn("warn", { event: "llm_vertical.no_api_key", message: "OPENAI_API_KEY missing (or LLM_PROVIDER not configured)" });
     logPayload.raw = null;
     logPayload.parsed = null;
     logPayload.final = defaultResult;
     logPayload.override = "no_api_key";
+    logPayload.fallback = true;
     return defaultResult;
   }
 
@@ -1098,31 +1088,34 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
     }
   }
 
+  const budget = getLlmClient().budgetStatus("llm_vertical");
+  if (budget.exceeded) {
+    if (logFn) logFn("warn", { event: "llm_vertical.budget_exceeded", spentUsd: budget.spentUsd, budgetUsd: budget.budgetUsd });
+    logPayload.raw = null;
+    logPayload.parsed = null;
+    logPayload.final = defaultResult;
+    logPayload.override = "budget_exceeded";
+    logPayload.fallback = true;
+    return defaultResult;
+  }
+
   const userPrompt = buildUserPrompt(product);
 
   try {
-    const res = await axios.post(
-      OPENAI_API_URL,
-      {
-        model,
-        messages: [
-          { role: "system", content: SYSTEM_PROMPT },
-          { role: "user", content: userPrompt },
-        ],
-        temperature: 0,
-        top_p: 0,
-        max_tokens: 300,
-      },
-      {
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${openaiKey}`,
-        },
-        timeout: 20000,
-      }
-    );
-
-    const rawContent = res.data?.choices?.[0]?.message?.content;
+    const res = await getLlmClient().chat({
+      purpose: "llm_vertical",
+      model,
+      messages: [
+        { role: "system", content: SYSTEM_PROMPT },
+        { role: "user", content: userPrompt },
+      ],
+      temperature: 0,
+      top_p: 0,
+      max_tokens: 300,
+      timeoutMs: 20000,
+    });
+
+    const rawContent = res.content;
     logPayload.raw = rawContent;
 
     let parsed = parseModelOutput(rawContent);
@@ -1130,6 +1123,7 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
       logPayload.parsed = null;
       logPayload.final = defaultResult;
       logPayload.override = "parse_failed";
+      logPayload.fallback = true;
       if (logFn) logFn("warn", { event: "llm_vertical.parse_failed", raw: rawContent?.slice(0, 200) });
       return defaultResult;
     }
@@ -1146,7 +1140,7 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
 
     // Optional second pass: if first said LUXURY and second disagrees → HOME_INTERIOR
     if (useSecondPass && category === "LUXURY") {
-      category = await secondPassCheck(product, category, openaiKey, model, logPayload);
+      category = await secondPassCheck(product, category, model, logPayload);
       if (category === "HOME_INTERIOR" && logPayload.secondPassOverride) override = "second_pass_disagreement";
     }
 
@@ -1186,7 +1180,7 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
 
     // Footwear-looking token vs signed/fine-art copy: vision + description breaks ties (e.g. "Boots II Signed Art").
     if (verticalHardSignalAmbiguity(product) && getProductImageUrls(product).length > 0) {
-      const visionConflict = await classifyVerticalWithVision(product, openaiKey, logPayload, logFn, true);
+      const visionConflict = await classifyVerticalWithVision(product, logPayload, logFn, true);
       if (visionConflict && typeof visionConflict.confidence === "number" && visionConflict.confidence >= 0.45) {
         final = {
           category: visionConflict.category,
@@ -1210,7 +1204,7 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
     }
 
     if (shouldRunVisionUncertainTextConfidence(product, final.confidence)) {
-      const visionUncertain = await classifyVerticalWithVision(product, openaiKey, logPayload, logFn, false);
+      const visionUncertain = await classifyVerticalWithVision(product, logPayload, logFn, false);
       if (visionUncertain && typeof visionUncertain.confidence === "number" && visionUncertain.confidence >= 0.5) {
         final = {
           category: visionUncertain.category,
@@ -1234,7 +1228,7 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
     }
 
     if (shouldRunVisionVerticalFallback(product, final) && !verticalHardSignalAmbiguity(product)) {
-      const vision = await classifyVerticalWithVision(product, openaiKey, logPayload, logFn, false);
+      const vision = await classifyVerticalWithVision(product, logPayload, logFn, false);
       if (vision && vision.category === "LUXURY" && vision.confidence >= 0.5) {
         final = {
           category: "LUXURY",
@@ -1274,6 +1268,7 @@ export async function classifyWithLLM(product, logPayload = {}, logFn = null) {
     logPayload.parsed = null;
     logPayload.final = defaultResult;
     logPayload.override = "request_failed";
+    logPayload.fallback = true;
     logPayload.error = message;
     return defaultResult;
   }
@@ -0,0 +1,59 @@
+/**
+ * Issue / revoke / list admin API keys (same store the server reads: DATA_DIR/admin_keys.json, or ADMIN_KEYS_FILE).
+ * Run from the server's working directory so DATA_DIR resolves the same way:
+ *   node scripts/admin-keys.mjs issue --label "render cron" --role sync
+ *   node scripts/admin-keys.mjs revoke <keyId>
+ *   node scripts/admin-keys.mjs list
+ * Roles: feed (feed files only), read (status / history / plans), sync (run syncs, redrive, test email), admin (cache clear, key management).
+ */
+import dotenv from "dotenv";
+import { ADMIN_ROLES, createAdminAuth } from "../lib/adminAuth.js";
+
+dotenv.config();
+
+const DATA_DIR = process.env.DATA_DIR || "./data";
+const filePath = process.env.ADMIN_KEYS_FILE || `${DATA_DIR}/admin_keys.json`;
+const auth = createAdminAuth({ filePath });
+
+function flag(args, name) {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args[i + 1] : undefined;
+}
+
+function usage() {
+  console.error(
+    [
+      "usage:",
+      `  node scripts/admin-keys.mjs issue --label <label> --role <${ADMIN_ROLES.join("|")}>`,
+      "  node scripts/admin-keys.mjs revoke <keyId>",
+      "  node scripts/admin-keys.mjs list",
+    ].join("\n")
+  );
+  process.exit(1);
+}
+
+const [command, ...args] = process.argv.slice(2);
+
+if (command === "issue") {
+  try {
+    const issued = auth.issue({ label: flag(args, "label"), role: flag(args, "role"), createdBy: "cli" });
+    console.log(`Issued ${issued.role} key "${issued.label}" (id ${issued.id}). Store it now, it is not shown again:`);
+    console.log(issued.key);
+  } catch (err) {
+    console.error(err.message);
+    usage();
+  }
+} else if (command === "revoke") {
+  const revoked = args[0] ? auth.revoke(args[0], { revokedBy: "cli" }) : null;
+  if (!revoked) {
+    console.error(`No key with id ${args[0] || "(missing)"} in ${filePath}`);
+    process.exit(1);
+  }
+  console.log(`Revoked key ${revoked.id} "${revoked.label}" at ${revoked.revokedAt}`);
+} else if (command === "list") {
+  for (const k of auth.list()) {
+    console.log(`${k.id}  ${k.role.padEnd(5)}  ${k.revokedAt ? `revoked ${k.revokedAt}` : "active"}  ${k.label}`);
+  }
+} else {
+  usage();
+}
@@ -0,0 +1,54 @@
+/**
+ * Golden-dataset classification regression run (see lib/classificationHarness.js):
+ *   node scripts/classification-harness.mjs                    report accuracy, confusion matrix, diff vs baseline
+ *   node scripts/classification-harness.mjs --update-baseline  write the current results as the new baseline
+ *   node scripts/classification-harness.mjs --json             machine-readable output
+ *   --cases <file.jsonl>  --baseline <file.json>              override the fixture paths
+ * Exits 1 when a case that passed in the baseline fails now. No Shopify/Webflow/OpenAI calls are made.
+ */
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  baselineFromResults,
+  compareWithBaseline,
+  formatClassificationReport,
+  readGoldenCases,
+  runClassificationCases,
+  summarizeClassification,
+} from "../lib/classificationHarness.js";
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 ? args[i + 1] : undefined;
+};
+const casesPath = flag("cases") || "tests/fixtures/classification-golden.jsonl";
+const baselinePath = flag("baseline") || "tests/fixtures/classification-baseline.json";
+
+// Load server.js for its classifiers only: no HTTP listener, throwaway data dir, LLMs stubbed per case.
+process.env.SYNC_SERVER_NO_LISTEN = "1";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "classification-harness-"));
+process.env.LOG_LEVEL ||= "error";
+const { classifyProductDecision } = await import("../server.js");
+
+const cases = readGoldenCases(casesPath);
+const results = await runClassificationCases(cases, classifyProductDecision);
+const summary = summarizeClassification(results);
+const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, "utf8")) : null;
+const diff = baseline ? compareWithBaseline(results, baseline) : null;
+
+if (args.includes("--json")) {
+  console.log(JSON.stringify({ summary, diff, results }, null, 2));
+} else {
+  console.log(formatClassificationReport({ summary, results, diff }));
+  if (!baseline) console.log(`\nNo baseline at ${baselinePath}; run with --update-baseline to record one.`);
+}
+
+if (args.includes("--update-baseline")) {
+  fs.writeFileSync(baselinePath, `${JSON.stringify(baselineFromResults(results), null, 2)}\n`);
+  console.log(`\nBaseline written to ${baselinePath}`);
+}
+
+fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+process.exit(diff?.regressed.length && !args.includes("--update-baseline") ? 1 : 0);
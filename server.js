@@ -17,8 +17,6 @@ import {
   sendInternalNotification,
   sendMissingFieldsEmailGroupNotification,
 } from "./emailService.js";
-import { CATEGORY_KEYWORDS } from "./categoryKeywords.js";
-import { CATEGORY_KEYWORDS_FURNITURE, CATEGORY_KEYWORDS_FURNITURE_WEAK } from "./categoryKeywordsFurniture.js";
 import { detectBrandFromProduct } from "./brand.js";
 import { detectBrandFromProductFurniture } from "./brandFurniture.js";
 import {
@@ -33,17 +31,61 @@ import {
   productIsWearableJewelryPendant,
   mirroredCaseGoodsVersusBagWearableConflict,
   verticalHardSignalAmbiguity,
+  getVerticalClassifierModel,
+  VERTICAL_PROMPT_VERSION,
 } from "./llmVerticalClassifier.js";
-import { classifyCategoryWithLLM } from "./llmCategoryClassifier.js";
+import { classifyCategoryWithLLM, getCategoryClassifierModel, CATEGORY_PROMPT_VERSION } from "./llmCategoryClassifier.js";
 import {
   createConsignmentCorsMiddleware,
   isAllowedConsignmentOrigin,
 } from "./lib/consignmentCors.js";
 import { parseSetCountFromTitle, parseDimsFromTitle, parseDimsFromDescription } from "./lib/freightPalletize.js";
-import { stripNoLongerAvailableSuffix, listingLooksSold } from "./lib/listingTitleDisplay.js";
+import { stripNoLongerAvailableSuffix, listingLooksSold, customerFacingTitle } from "./lib/listingTitleDisplay.js";
 import consignmentRouter from "./routes/consignmentSubmission.js";
 import freightQuoteRouter from "./routes/freightQuote.js";
 import { recoverStaleConsignmentIntakes } from "./lib/consignmentIntakeRecovery.js";
+import { createWebhookSyncQueue } from "./lib/webhookSyncQueue.js";
+import { openSyncStore } from "./lib/syncStore.js";
+import { createAdminAuth } from "./lib/adminAuth.js";
+import { reconcileCatalogs, reconciliationToCsv } from "./lib/reconciliation.js";
+import { compareCollectionSchema, describeSchemaIssues, optionsSnapshot, webflowFieldOptionNames } from "./lib/webflowSchemaCheck.js";
+import { createShopifyBulkCatalog } from "./lib/shopifyBulkCatalog.js";
+import { createVerticalRegistry } from "./lib/verticalRegistry.js";
+import { BUILTIN_VERTICALS, loadVerticalModules } from "./lib/verticals/index.js";
+import { noteDecisionTraceEvent, runWithDecisionTrace } from "./lib/decisionTrace.js";
+import { createLlmDecisionCache } from "./lib/llmDecisionCache.js";
+import { createLlmClientFromEnv, setLlmClient } from "./lib/llmClient.js";
+import { createLlmUsageLedger, parseLlmUsageEnvJson } from "./lib/llmUsage.js";
+import { createScheduler } from "./lib/scheduler.js";
+import { createAlertDigest, formatAlertDigest } from "./lib/alertDigest.js";
+import { createWebflowSnapshots } from "./lib/webflowSnapshots.js";
+import { createSyncBreaker, formatSyncBreakerHold } from "./lib/syncBreaker.js";
+import { createMarkdownEngine, parseMarkdownPolicies } from "./lib/markdownEngine.js";
+import { buildGoogleLuxuryOffer, googleLuxuryOfferId, googleLuxuryProductCategory } from "./lib/googleLuxuryOffer.js";
+import { createGoogleMerchantStatusStore, googleIssueKey } from "./lib/googleMerchantStatus.js";
+import { createGoogleFeedStore } from "./lib/googleFeed.js";
+import { buildMetaCatalogRow, parseMetaCustomLabels, renderMetaCatalogCsv } from "./lib/metaCatalogFeed.js";
+import {
+  parseGoogleFurnitureTaxonomy,
+  parseGoogleTaxonomyList,
+  resolveGoogleFurnitureTaxonomy,
+} from "./lib/googleFurnitureTaxonomy.js";
+import {
+  cacheEntryChanges,
+  createProductSyncHistory,
+  noteProductHistoryEvent,
+  noteProductHistoryWrite,
+} from "./lib/productSyncHistory.js";
+import {
+  createSyncPlan,
+  isSyncDryRun,
+  recordDryRunProductOutcome,
+  recordDryRunWrite,
+  runWithSyncPlan,
+  serializeSyncPlan,
+  syncPlanToCsv,
+  withDryRunScope,
+} from "./lib/syncDryRun.js";
 import { registerSocialCaptionRoute } from "./socialCaption.js";
 import {
   productLooksLikeFurnitureTrap,
@@ -82,6 +124,7 @@ async function sendDuplicatePlacementEmail(conflictLog, duplicateEmailSentFor) {
   } = conflictLog;
   const removedId = webflowItemIdRemoved || webflowIdArchived;
   const id = String(shopifyProductId ?? "");
+  if (interceptSyncWrite("email.duplicate_placement", { shopifyProductId: id, previousVertical, detectedVertical })) return;
   if (duplicateEmailSentFor && duplicateEmailSentFor.has(id)) {
     webflowLog("info", { event: "duplicate_placement.email_skipped", reason: "already_sent_this_run", shopifyProductId: id });
     return;
@@ -190,6 +233,7 @@ async function sendShopifyWriteFailureEmail(detail, perRunDedupeSet) {
   const op = String(detail?.op ?? "shopify_write");
   const dedupeKey = `${productId}:${op}`;
   if (perRunDedupeSet?.has(dedupeKey)) return;
+  if (interceptSyncWrite("email.shopify_write_failure", { shopifyProductId: productId, op })) return;
 
   if (!isResendConfigured()) {
     webflowLog("warn", { event: "shopify_write.email_skipped", reason: "missing_env", shopifyProductId: productId || null, op });
@@ -242,6 +286,8 @@ const LOG_ERROR = LOG_LEVEL === "error" || LOG_LEVEL === "warn" || LOG_LEVEL ===
 const LOG_WARN = LOG_LEVEL === "warn" || LOG_LEVEL === "info";
 const LOG_INFO = LOG_LEVEL === "info";
 const LOG_REQUESTS = LOG_INFO; // skip per-request logs unless info
+/** Warn/error events since the last alert digest (scheduler job "alert-digest"); counted at every LOG_LEVEL. */
+const alertDigest = createAlertDigest({ ignore: ["alert_digest."] });
 // Default strict: do not touch Webflow when Shopify snapshot is unchanged.
 const WEBFLOW_STRICT_NOOP_UPDATES = process.env.WEBFLOW_STRICT_NOOP_UPDATES !== "false";
 
@@ -252,6 +298,10 @@ let syncStartTime = null;
 const syncAllJobState = {
   running: false,
   jobId: null,
+  dryRun: false,
+  mode: null,
+  requestedMode: null,
+  trigger: null,
   startedAt: null,
   finishedAt: null,
   result: null,
@@ -404,6 +454,10 @@ async function getGoogleMerchantAccessToken() {
 }
 
 function webflowLog(level, payload) {
+  // Before the level filter: per-product history keeps decisions even when LOG_LEVEL=error.
+  noteProductHistoryEvent(level, payload);
+  noteDecisionTraceEvent(level, payload);
+  alertDigest.note(level, payload);
   if (level === "error" && !LOG_ERROR) return;
   if (level === "warn" && !LOG_WARN) return;
   if (level === "info" && !LOG_INFO) return;
@@ -454,6 +508,10 @@ let webflowRequestChain = Promise.resolve();
 
 axios.interceptors.request.use(async (config) => {
   if (!config.url || !String(config.url).startsWith(WEBFLOW_ORIGIN)) return config;
+  // Dry-run safety net: write helpers return before reaching axios; anything that slips through fails loudly.
+  if (isSyncDryRun() && String(config.method || "get").toLowerCase() !== "get") {
+    throw new Error(`Dry run: blocked Webflow ${String(config.method).toUpperCase()} ${config.url}`);
+  }
   const waitTurn = webflowRequestChain.then(async () => {
     const now = Date.now();
     const elapsed = now - lastWebflowRequestTime;
@@ -508,34 +566,22 @@ axios.interceptors.response.use(
 );
 
 /* ======================================================
-   DUAL-PIPELINE: WEBFLOW ENV CONFIG
-   Luxury = existing. Furniture = new env vars.
+   VERTICAL REGISTRY + WEBFLOW ENV CONFIG
+   Luxury (CMS) and furniture (ecommerce) are built in; VERTICALS=<id>,… adds lib/verticals/<id>.js.
+   Collection/site env vars, department, categories, keyword tables, sold fields and retention come from the
+   definitions — see lib/verticalRegistry.js.
 ====================================================== */
-function resaleEnv(primary, legacy) {
-  const v = process.env[primary];
-  if (v != null && String(v).trim() !== "") return String(v).trim();
-  if (legacy) {
-    const alt = process.env[legacy];
-    if (alt != null && String(alt).trim() !== "") return String(alt).trim();
-  }
-  return undefined;
-}
+const verticalRegistry = createVerticalRegistry({
+  builtin: BUILTIN_VERTICALS,
+  extra: await loadVerticalModules(process.env.VERTICALS),
+});
+
+const CATEGORY_KEYWORDS = verticalRegistry.get("luxury").keywords.strong;
+const CATEGORY_KEYWORDS_FURNITURE = verticalRegistry.get("furniture").keywords.strong;
+const CATEGORY_KEYWORDS_FURNITURE_WEAK = verticalRegistry.get("furniture").keywords.weak;
 
 function getWebflowConfig(vertical) {
-  if (vertical === "furniture") {
-    return {
-      collectionId: resaleEnv("RESALE_Products_Collection_ID", "WEBFLOW_RESALE_COLLECTION_ID"),
-      skuCollectionId: resaleEnv("RESALE_SKUs_Collection_ID", "WEBFLOW_RESALE_SKUS_COLLECTION_ID"),
-      token: resaleEnv("RESALE_TOKEN", "WEBFLOW_RESALE_TOKEN"),
-      siteId: resaleEnv("RESALE_WEBFLOW_SITE_ID", "WEBFLOW_RESALE_SITE_ID"),
-    };
-  }
-  return {
-    collectionId: process.env.WEBFLOW_COLLECTION_ID,
-    skuCollectionId: null,
-    token: process.env.WEBFLOW_TOKEN,
-    siteId: null,
-  };
+  return verticalRegistry.webflowConfig(vertical);
 }
 
 /** Webflow Ecommerce [Products] rejects POST /collections/.../items (403). Use /sites/.../products when resale siteId is set. */
@@ -561,6 +607,7 @@ function cmsItemIndexForConfig(config) {
 }
 
 function registerCmsItemInRunIndex(config, item) {
+  if (isSyncDryRun()) return;
   const idx = cmsItemIndexForConfig(config);
   if (!item?.id || !idx) return;
   const fd = item.fieldData || {};
@@ -576,6 +623,7 @@ function registerCmsItemInRunIndex(config, item) {
 
 /** Keep warm furniture ecommerce index in sync after creates (avoids duplicate create races). */
 function registerFurnitureEcommerceProductInIndex(product, skus = []) {
+  if (isSyncDryRun()) return;
   if (!product?.id || !furnitureProductIndex?.byShopifyId) return;
   const fd = product.fieldData || {};
   const entry = { ...product, skus: Array.isArray(skus) ? skus : [] };
@@ -600,7 +648,7 @@ async function findExistingFurnitureItem(shopifyProductId, shopifyUrl, slug, con
 async function removeFurnitureWebflowItem(config, itemId) {
   if (!config?.token || !itemId) return;
   if (furnitureUsesEcommerceApi(config)) {
-    await deleteWebflowEcommerceProduct(config.siteId, itemId, config.token);
+    await deleteWebflowEcommerceProduct(config.siteId, itemId, config.token, { reason: "duplicate_cleanup" });
     return;
   }
   if (config.collectionId) {
@@ -769,13 +817,14 @@ app.post("/shopify/order", async (req, res) => {
    HTTP 200 first (Shopify timeout); work continues in background.
    Debounce: Shopify sends products/create and products/update back-to-back for new SKUs; one wait collapses them
    into a single sync so we do not run two full passes (major cause of duplicate Webflow rows).
+   Jobs go through the durable webhook queue (DATA_DIR/webhook_sync_queue.json): replayed on boot after a
+   restart/OOM, retried with backoff, dead-lettered after WEBHOOK_SYNC_MAX_ATTEMPTS (see GET /webhook-queue).
    WEBHOOK_PRODUCT_DEBOUNCE_MS: default 3500; set 0 to disable debounce.
 ====================================================== */
 const WEBHOOK_PRODUCT_DEBOUNCE_MS = Math.max(
   0,
   parseInt(process.env.WEBHOOK_PRODUCT_DEBOUNCE_MS || "3500", 10) || 3500
 );
-const productWebhookDebounceTimers = new Map();
 /** Skip full webhook sync briefly after /set-categories (metafield write would otherwise re-trigger heavy sync). */
 const categoryOnlyWebhookSuppress = new Map();
 const CATEGORY_ONLY_WEBHOOK_SUPPRESS_MS = Math.max(
@@ -801,28 +850,15 @@ function isWebhookSyncSuppressed(shopifyProductId) {
 }
 
 function scheduleDebouncedProductWebhookSync(shopifyProductId, triggerPath) {
-  const id = String(shopifyProductId ?? "").trim();
-  if (!id) return;
-  if (WEBHOOK_PRODUCT_DEBOUNCE_MS <= 0) {
-    void runWebhookSingleProductSync(id, triggerPath);
-    return;
-  }
-  const prev = productWebhookDebounceTimers.get(id);
-  if (prev?.timer) clearTimeout(prev.timer);
-  const paths = prev?.paths ? [...prev.paths, triggerPath] : [triggerPath];
-  const timer = setTimeout(() => {
-    productWebhookDebounceTimers.delete(id);
-    const uniquePaths = [...new Set(paths)];
-    const pathLabel = uniquePaths.length > 1 ? uniquePaths.join("+") : uniquePaths[0];
-    webflowLog("info", {
-      event: "shopify.webhook.product_debounced",
-      shopifyProductId: id,
-      paths: uniquePaths,
-      waitMs: WEBHOOK_PRODUCT_DEBOUNCE_MS,
-    });
-    void runWebhookSingleProductSync(id, pathLabel);
-  }, WEBHOOK_PRODUCT_DEBOUNCE_MS);
-  productWebhookDebounceTimers.set(id, { timer, paths });
+  const job = webhookSyncQueue.enqueue(shopifyProductId, triggerPath);
+  if (!job) return;
+  webflowLog("info", {
+    event: "shopify.webhook.product_queued",
+    shopifyProductId: job.shopifyProductId,
+    paths: job.paths,
+    waitMs: WEBHOOK_PRODUCT_DEBOUNCE_MS,
+    ...(job.rerun && { rerunAfterCurrent: true }),
+  });
 }
 
 function scheduleProductWebhookSync(req, res) {
@@ -859,6 +895,8 @@ app.post("/webhook/products/update", verifyShopifyHmac, scheduleProductWebhookSy
 ====================================================== */
 // Persist across deploys (e.g. mount a volume at DATA_DIR) so we don't re-call the LLM for every product after a new build.
 const DATA_DIR = process.env.DATA_DIR || "./data";
+/** Embedded SQLite store (sync cache + email dedupe / price state). Legacy JSON files below are imported once, then renamed *.migrated. */
+const SYNC_DB_FILE = process.env.SYNC_DB_FILE || `${DATA_DIR}/sync.db`;
 const CACHE_FILE = `${DATA_DIR}/lastSync.json`;
 const DUPLICATE_EMAIL_SENT_FILE = `${DATA_DIR}/duplicate_placement_emails_sent.json`;
 const WEIGHT_MISSING_EMAIL_SENT_FILE = `${DATA_DIR}/weight_missing_emails_sent.json`;
@@ -867,6 +905,18 @@ const GOOGLE_GUARD_EMAIL_SENT_FILE = `${DATA_DIR}/google_guard_emails_sent.json`
 const GOOGLE_MERCHANT_PRICE_STATE_FILE = `${DATA_DIR}/google_merchant_price_state.json`;
 const SKU_IMAGE_FAIL_EMAIL_LAST_FILE = `${DATA_DIR}/sku_image_fail_email_last.json`;
 const SKU_IMAGE_IMPORT_BLOCKED_FILE = `${DATA_DIR}/sku_image_import_blocked.json`;
+const WEBHOOK_SYNC_QUEUE_FILE = `${DATA_DIR}/webhook_sync_queue.json`;
+const PRODUCT_HISTORY_DIR = `${DATA_DIR}/product_history`;
+/** Furniture product + SKU payloads saved before each delete / archive (POST /webflow/restore). */
+const WEBFLOW_SNAPSHOTS_DIR = `${DATA_DIR}/webflow_snapshots`;
+/** Hashed admin API keys (issue with scripts/admin-keys.mjs or POST /admin/keys). */
+const ADMIN_KEYS_FILE = process.env.ADMIN_KEYS_FILE || `${DATA_DIR}/admin_keys.json`;
+/** Dry-run plans from POST /sync-all { dryRun: true } (one JSON file per job; oldest pruned). */
+const SYNC_PLANS_DIR = `${DATA_DIR}/sync_plans`;
+const SYNC_PLANS_KEEP = Math.max(1, parseInt(process.env.SYNC_PLANS_KEEP || "20", 10) || 20);
+/** Latest Shopify ↔ Webflow ↔ Google reconciliation report (POST /reports/reconciliation). */
+const RECONCILIATION_REPORT_FILE = `${DATA_DIR}/reconciliation_report.json`;
+const META_FEED_FILE = `${DATA_DIR}/meta_catalog.csv`;
 const WEBFLOW_SKU_IMAGE_MAX_ATTEMPTS = 5;
 const WEBFLOW_SKU_IMAGE_BACKOFF_MS = 5000;
 /** One-time sold backfill marker (delete file to re-run archive for on/before cutoff). */
@@ -878,6 +928,144 @@ const FURNITURE_DIMENSION_ALERT_KEYS = ["width", "height", "length", "weight"];
 /** When true (default), missing-fields emails only on new listings — not sync-all backlog. Set false for a one-time sweep. Requires allowMissingFieldsAlert on the sync call. */
 const MISSING_FIELDS_EMAIL_NEW_ONLY = process.env.MISSING_FIELDS_EMAIL_NEW_ONLY !== "false";
 
+/** Queue key of an inventory_levels/update job (the webhook names the inventory item, not the product). */
+const INVENTORY_ITEM_JOB_PREFIX = "inventory_item:";
+
+const webhookSyncQueue = createWebhookSyncQueue({
+  filePath: WEBHOOK_SYNC_QUEUE_FILE,
+  runJob: (key, triggerPath) =>
+    key.startsWith(INVENTORY_ITEM_JOB_PREFIX)
+      ? runInventoryLevelWebhook(key.slice(INVENTORY_ITEM_JOB_PREFIX.length), triggerPath)
+      : runWebhookSingleProductSync(key, triggerPath),
+  debounceMs: WEBHOOK_PRODUCT_DEBOUNCE_MS,
+  maxAttempts: Math.max(1, parseInt(process.env.WEBHOOK_SYNC_MAX_ATTEMPTS || "5", 10) || 5),
+  retryBaseMs: Math.max(1000, parseInt(process.env.WEBHOOK_SYNC_RETRY_BASE_MS || "30000", 10) || 30_000),
+  retryMaxMs: Math.max(1000, parseInt(process.env.WEBHOOK_SYNC_RETRY_MAX_MS || "1800000", 10) || 1_800_000),
+  log: webflowLog,
+});
+
+const productSyncHistory = createProductSyncHistory({
+  dir: PRODUCT_HISTORY_DIR,
+  retentionDays: Math.max(1, parseInt(process.env.PRODUCT_HISTORY_RETENTION_DAYS || "90", 10) || 90),
+  maxEntries: Math.max(10, parseInt(process.env.PRODUCT_HISTORY_MAX_ENTRIES || "200", 10) || 200),
+  log: webflowLog,
+});
+
+const webflowSnapshots = createWebflowSnapshots({
+  dir: WEBFLOW_SNAPSHOTS_DIR,
+  retentionDays: Math.max(1, parseInt(process.env.WEBFLOW_SNAPSHOT_RETENTION_DAYS || "90", 10) || 90),
+  log: webflowLog,
+});
+
+const adminAuth = createAdminAuth({
+  filePath: ADMIN_KEYS_FILE,
+  enabled: process.env.ADMIN_AUTH_DISABLED !== "true",
+  log: webflowLog,
+});
+
+const syncStore = openSyncStore({ file: SYNC_DB_FILE, log: webflowLog });
+/** kv namespaces in syncStore (sets: dedupe ids; maps: JSON per key). */
+const STORE_NS = {
+  duplicatePlacementSent: "duplicate_placement_emails_sent",
+  weightMissingSent: "weight_missing_emails_sent",
+  googleGuardSent: "google_guard_emails_sent",
+  googleMerchantPriceState: "google_merchant_price_state",
+  skuImageFailEmailLast: "sku_image_fail_email_last",
+  skuImageImportBlocked: "sku_image_import_blocked",
+  syncAllState: "sync_all_state",
+  syncRepairIds: "sync_repair_ids",
+  llmDecisions: "llm_decisions",
+  llmUsage: "llm_usage",
+  scheduler: "scheduler",
+  syncBreaker: "sync_breaker",
+  markdowns: "markdowns",
+  googleProductStatus: "google_product_status",
+  googleFeed: "google_feed",
+  webflowSchema: "webflow_schema",
+};
+{
+  const migrated = syncStore.migrateFromJson({
+    cacheFile: CACHE_FILE,
+    sets: {
+      [STORE_NS.duplicatePlacementSent]: DUPLICATE_EMAIL_SENT_FILE,
+      [STORE_NS.weightMissingSent]: WEIGHT_MISSING_EMAIL_SENT_FILE,
+      [STORE_NS.googleGuardSent]: GOOGLE_GUARD_EMAIL_SENT_FILE,
+    },
+    maps: {
+      [STORE_NS.googleMerchantPriceState]: GOOGLE_MERCHANT_PRICE_STATE_FILE,
+      [STORE_NS.skuImageFailEmailLast]: SKU_IMAGE_FAIL_EMAIL_LAST_FILE,
+      [STORE_NS.skuImageImportBlocked]: SKU_IMAGE_IMPORT_BLOCKED_FILE,
+    },
+  });
+  if (Object.keys(migrated).length) {
+    webflowLog("info", { event: "sync_store.migration_complete", file: SYNC_DB_FILE, rows: migrated });
+  }
+}
+
+const llmDecisionCache = createLlmDecisionCache({
+  store: syncStore,
+  ns: STORE_NS.llmDecisions,
+  ttlMs: Math.max(1, parseInt(process.env.LLM_DECISION_CACHE_TTL_DAYS || "30", 10) || 30) * 86400000,
+  enabled: process.env.LLM_DECISION_CACHE !== "false" && process.env.LLM_DECISION_CACHE !== "0",
+});
+
+const llmPrices = parseLlmUsageEnvJson(process.env.LLM_PRICES_JSON);
+const llmDailyBudgets = parseLlmUsageEnvJson(process.env.LLM_DAILY_BUDGETS_USD);
+for (const [name, parsed] of [["LLM_PRICES_JSON", llmPrices], ["LLM_DAILY_BUDGETS_USD", llmDailyBudgets]]) {
+  if (parsed.error) webflowLog("warn", { event: "llm_usage.env_invalid", name, message: parsed.error });
+}
+const llmUsage = createLlmUsageLedger({
+  store: syncStore,
+  ns: STORE_NS.llmUsage,
+  prices: llmPrices.value,
+  budgets: llmDailyBudgets.value,
+});
+
+/** Mass sold / delete / vertical-switch guard for /sync-all (0 turns a threshold off). */
+const syncBreaker = createSyncBreaker({
+  maxActions: Math.max(0, parseInt(process.env.SYNC_BREAKER_MAX_ACTIONS ?? "100", 10) || 0),
+  maxPercent: Math.max(0, parseFloat(process.env.SYNC_BREAKER_MAX_PERCENT ?? "10") || 0),
+  persist: syncStore.namespace(STORE_NS.syncBreaker),
+});
+
+const markdownPolicies = parseMarkdownPolicies(process.env.MARKDOWN_POLICIES_JSON);
+if (markdownPolicies.error) {
+  webflowLog("error", { event: "markdown.policies_invalid", message: markdownPolicies.error });
+}
+/** Age-based price markdowns written to Shopify (no policies = off). */
+const markdownEngine = createMarkdownEngine({
+  policies: markdownPolicies.value,
+  excludeTag: process.env.MARKDOWN_EXCLUDE_TAG ?? "no-markdown",
+  roundToCents: Math.max(1, parseInt(process.env.MARKDOWN_ROUND_TO_CENTS || "100", 10) || 100),
+  persist: syncStore.namespace(STORE_NS.markdowns),
+});
+
+/** Shared LLM client (LLM_PROVIDER openai | openai-compatible | fixture); the classifier modules pick it up via getLlmClient(). */
+const llmClient = createLlmClientFromEnv(process.env, { log: webflowLog, usage: llmUsage });
+setLlmClient(llmClient);
+
+/** Model part of an LLM decision cache key: the model the client really answers with, provider-prefixed off OpenAI. */
+function llmDecisionCacheModel(model) {
+  const effective = llmClient.resolveModel(model);
+  return llmClient.provider === "openai" ? effective : `${llmClient.provider}:${effective}`;
+}
+
+/**
+ * Every Shopify / Webflow / Google write helper calls this first. Dry run: the write is recorded on the
+ * plan and true is returned (caller skips the write). Otherwise the write goes on the product's history
+ * (session of the current product sync, or a standalone entry when the product id is known).
+ */
+function interceptSyncWrite(type, detail = {}) {
+  if (recordDryRunWrite(type, detail)) return true;
+  if (!noteProductHistoryWrite(type, detail) && detail.shopifyProductId) {
+    productSyncHistory.appendWrite(detail.shopifyProductId, type, detail, {
+      trigger: syncAllJobState.running ? "sync-all" : "direct",
+      jobId: syncRequestId,
+    });
+  }
+  return false;
+}
+
 function ensureDataDir() {
   if (!fs.existsSync(DATA_DIR)) {
     fs.mkdirSync(DATA_DIR, { recursive: true });
@@ -887,21 +1075,16 @@ function ensureDataDir() {
 /** IDs we've already sent a duplicate-placement email for (across runs). If they don't fix it, we won't email again unless a significant change happens. */
 function loadDuplicatePlacementSentIds() {
   try {
-    if (!fs.existsSync(DUPLICATE_EMAIL_SENT_FILE)) return new Set();
-    const raw = fs.readFileSync(DUPLICATE_EMAIL_SENT_FILE, "utf8");
-    const arr = JSON.parse(raw);
-    return new Set(Array.isArray(arr) ? arr : []);
+    return new Set(syncStore.sets.list(STORE_NS.duplicatePlacementSent));
   } catch (err) {
     return new Set();
   }
 }
 
 function saveDuplicatePlacementSentId(id) {
+  if (isSyncDryRun()) return;
   try {
-    ensureDataDir();
-    const set = loadDuplicatePlacementSentIds();
-    set.add(String(id));
-    fs.writeFileSync(DUPLICATE_EMAIL_SENT_FILE, JSON.stringify([...set], null, 2), "utf8");
+    syncStore.sets.add(STORE_NS.duplicatePlacementSent, String(id));
   } catch (err) {
     webflowLog("error", { event: "duplicate_placement_sent.save_failed", message: err.message });
   }
@@ -909,38 +1092,29 @@ function saveDuplicatePlacementSentId(id) {
 
 function loadWeightMissingEmailSentIds() {
   try {
-    if (!fs.existsSync(WEIGHT_MISSING_EMAIL_SENT_FILE)) return new Set();
-    const raw = fs.readFileSync(WEIGHT_MISSING_EMAIL_SENT_FILE, "utf8");
-    const arr = JSON.parse(raw);
-    return new Set(Array.isArray(arr) ? arr : []);
+    return new Set(syncStore.sets.list(STORE_NS.weightMissingSent));
   } catch {
     return new Set();
   }
 }
 
-function saveWeightMissingEmailSentIds(set) {
-  try {
-    ensureDataDir();
-    fs.writeFileSync(WEIGHT_MISSING_EMAIL_SENT_FILE, JSON.stringify([...set], null, 2), "utf8");
-  } catch (err) {
-    webflowLog("error", { event: "weight_missing_sent.save_failed", message: err.message });
-  }
-}
-
-function pruneDimensionsAlertSentForProduct(set, shopifyProductId) {
+/** Drop every dedupe key of one product (legacy bare id and `id|missing,keys`) in one transaction. */
+function pruneDimensionsAlertSentForProduct(shopifyProductId) {
   const pid = String(shopifyProductId || "").trim();
   if (!pid) return;
-  const prefix = `${pid}|`;
-  for (const k of [...set]) {
-    if (k === pid || k.startsWith(prefix)) set.delete(k);
-  }
+  syncStore.transaction(() => {
+    syncStore.sets.remove(STORE_NS.weightMissingSent, pid);
+    syncStore.sets.removePrefix(STORE_NS.weightMissingSent, `${pid}|`);
+  });
 }
 
 function clearWeightMissingEmailSentId(shopifyProductId) {
-  const set = loadWeightMissingEmailSentIds();
-  const before = set.size;
-  pruneDimensionsAlertSentForProduct(set, shopifyProductId);
-  if (set.size !== before) saveWeightMissingEmailSentIds(set);
+  if (isSyncDryRun()) return;
+  try {
+    pruneDimensionsAlertSentForProduct(shopifyProductId);
+  } catch (err) {
+    webflowLog("error", { event: "weight_missing_sent.save_failed", message: err.message });
+  }
 }
 
 function dimensionsAlertDedupeKey(shopifyProductId, missingKeys) {
@@ -962,21 +1136,18 @@ function shouldEmailMissingFieldsForProduct(shopifyProductId, cacheEntry, vertic
   return !luxuryItemIndex?.byShopifyId?.has(id);
 }
 
-function loadGoogleGuardEmailSentIds() {
+function hasGoogleGuardEmailSent(issueKey) {
   try {
-    if (!fs.existsSync(GOOGLE_GUARD_EMAIL_SENT_FILE)) return new Set();
-    const raw = fs.readFileSync(GOOGLE_GUARD_EMAIL_SENT_FILE, "utf8");
-    const arr = JSON.parse(raw);
-    return new Set(Array.isArray(arr) ? arr : []);
+    return syncStore.sets.has(STORE_NS.googleGuardSent, issueKey);
   } catch {
-    return new Set();
+    return false;
   }
 }
 
-function saveGoogleGuardEmailSentIds(set) {
+function saveGoogleGuardEmailSentId(issueKey) {
+  if (isSyncDryRun()) return;
   try {
-    ensureDataDir();
-    fs.writeFileSync(GOOGLE_GUARD_EMAIL_SENT_FILE, JSON.stringify([...set], null, 2), "utf8");
+    syncStore.sets.add(STORE_NS.googleGuardSent, issueKey);
   } catch (err) {
     webflowLog("error", { event: "google_guard_sent.save_failed", message: err.message });
   }
@@ -986,57 +1157,18 @@ function googleGuardIssueKey(shopifyProductId, issue) {
   return `${String(shopifyProductId || "").trim()}:${String(issue || "").trim()}`;
 }
 
+/** In-memory mirror of the google_merchant_price_state rows (read on every feed build); writes go through per row. */
 let googleMerchantPriceStateCache = null;
-let googleMerchantPriceStateDirty = false;
-let googleMerchantPriceStateSaveTimer = null;
 
 function loadGoogleMerchantPriceStateMap() {
   if (googleMerchantPriceStateCache) return googleMerchantPriceStateCache;
   try {
-    if (!fs.existsSync(GOOGLE_MERCHANT_PRICE_STATE_FILE)) {
-      googleMerchantPriceStateCache = {};
-      return googleMerchantPriceStateCache;
-    }
-    const raw = fs.readFileSync(GOOGLE_MERCHANT_PRICE_STATE_FILE, "utf8");
-    const parsed = JSON.parse(raw);
-    googleMerchantPriceStateCache =
-      parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
-  } catch {
-    googleMerchantPriceStateCache = {};
-  }
-  return googleMerchantPriceStateCache;
-}
-
-function saveGoogleMerchantPriceStateMap(map) {
-  try {
-    ensureDataDir();
-    googleMerchantPriceStateCache = map && typeof map === "object" ? map : {};
-    fs.writeFileSync(
-      GOOGLE_MERCHANT_PRICE_STATE_FILE,
-      JSON.stringify(googleMerchantPriceStateCache, null, 2),
-      "utf8"
-    );
-    googleMerchantPriceStateDirty = false;
+    googleMerchantPriceStateCache = syncStore.maps.all(STORE_NS.googleMerchantPriceState);
   } catch (err) {
-    webflowLog("error", { event: "google_merchant.price_state_save_failed", message: err.message });
-  }
-}
-
-function flushGoogleMerchantPriceState() {
-  if (googleMerchantPriceStateSaveTimer) {
-    clearTimeout(googleMerchantPriceStateSaveTimer);
-    googleMerchantPriceStateSaveTimer = null;
+    webflowLog("error", { event: "google_merchant.price_state_load_failed", message: err.message });
+    return {};
   }
-  if (!googleMerchantPriceStateDirty || !googleMerchantPriceStateCache) return;
-  saveGoogleMerchantPriceStateMap(googleMerchantPriceStateCache);
-}
-
-function scheduleGoogleMerchantPriceStateSave() {
-  if (googleMerchantPriceStateSaveTimer) return;
-  googleMerchantPriceStateSaveTimer = setTimeout(() => {
-    googleMerchantPriceStateSaveTimer = null;
-    flushGoogleMerchantPriceState();
-  }, 1000);
+  return googleMerchantPriceStateCache;
 }
 
 function getGoogleMerchantPriceState(shopifyProductId) {
@@ -1048,14 +1180,18 @@ function getGoogleMerchantPriceState(shopifyProductId) {
 }
 
 function setGoogleMerchantPriceState(shopifyProductId, state) {
+  if (isSyncDryRun()) return;
   const pid = String(shopifyProductId || "").trim();
   if (!pid) return;
   const map = loadGoogleMerchantPriceStateMap();
   if (!state || typeof state !== "object") {
     if (map[pid]) {
       delete map[pid];
-      googleMerchantPriceStateDirty = true;
-      scheduleGoogleMerchantPriceStateSave();
+      try {
+        syncStore.maps.remove(STORE_NS.googleMerchantPriceState, pid);
+      } catch (err) {
+        webflowLog("error", { event: "google_merchant.price_state_save_failed", message: err.message });
+      }
     }
     return;
   }
@@ -1084,8 +1220,11 @@ function setGoogleMerchantPriceState(shopifyProductId, state) {
   }
   next.updatedAt = new Date().toISOString();
   map[pid] = next;
-  googleMerchantPriceStateDirty = true;
-  scheduleGoogleMerchantPriceStateSave();
+  try {
+    syncStore.maps.set(STORE_NS.googleMerchantPriceState, pid, next);
+  } catch (err) {
+    webflowLog("error", { event: "google_merchant.price_state_save_failed", message: err.message });
+  }
 }
 
 /** Cache mirror of Google sale-price state (survives typical cache row rewrites via cacheSyncMeta). */
@@ -1113,15 +1252,12 @@ function googleMerchantPriceCacheFields(cacheEntry, shopifyProductId = null) {
 function clearGoogleGuardEmailSentIds(shopifyProductId) {
   const pid = String(shopifyProductId || "").trim();
   if (!pid) return;
-  const set = loadGoogleGuardEmailSentIds();
-  let changed = false;
-  for (const key of [...set]) {
-    if (key.startsWith(`${pid}:`)) {
-      set.delete(key);
-      changed = true;
-    }
+  if (isSyncDryRun()) return;
+  try {
+    syncStore.sets.removePrefix(STORE_NS.googleGuardSent, `${pid}:`);
+  } catch (err) {
+    webflowLog("error", { event: "google_guard_sent.save_failed", message: err.message });
   }
-  if (changed) saveGoogleGuardEmailSentIds(set);
 }
 
 /** One email per product per missing-dimension set; uses same Resend setup as duplicate-placement alerts. */
@@ -1132,6 +1268,7 @@ async function sendMissingDimensionsAlertEmail(product, dimensions, verticalLabe
     ? missingKeys
     : getMissingFurnitureDimensionKeys(dimensions);
   if (!missing.length) return;
+  if (interceptSyncWrite("email.missing_dimensions", { shopifyProductId, missing })) return;
 
   const sent = loadWeightMissingEmailSentIds();
   const dedupeKey = dimensionsAlertDedupeKey(shopifyProductId, missing);
@@ -1192,9 +1329,10 @@ async function sendMissingDimensionsAlertEmail(product, dimensions, verticalLabe
       subject: `[Webflow Sync] Missing fields (${subjectMissing}) - ${title.slice(0, 45)}${title.length > 45 ? "…" : ""}`,
       text: body,
     });
-    pruneDimensionsAlertSentForProduct(sent, shopifyProductId);
-    sent.add(dedupeKey);
-    saveWeightMissingEmailSentIds(sent);
+    syncStore.transaction(() => {
+      pruneDimensionsAlertSentForProduct(shopifyProductId);
+      syncStore.sets.add(STORE_NS.weightMissingSent, dedupeKey);
+    });
     webflowLog("info", {
       event: "dimensions_missing.email_sent",
       shopifyProductId,
@@ -1218,7 +1356,10 @@ async function sendGoogleFeedDataIssueEmail({
   canonicalSlug = "",
   shippingWeight = null,
   reason = "google_sync_guard",
+  kind = "guard",
+  details = [],
 }) {
+  if (interceptSyncWrite("email.google_feed_issue", { shopifyProductId: String(product?.id || "").trim(), issue })) return;
   if (!isResendConfigured()) {
     webflowLog("warn", { event: "google_merchant.guard_email_skipped", issue, reason: "missing_env" });
     return;
@@ -1226,8 +1367,7 @@ async function sendGoogleFeedDataIssueEmail({
   const recipients = parseRecipients(process.env.INTERNAL_NOTIFY_EMAIL);
   const shopifyProductId = String(product?.id || "").trim();
   const issueKey = googleGuardIssueKey(shopifyProductId, issue);
-  const sent = loadGoogleGuardEmailSentIds();
-  if (shopifyProductId && sent.has(issueKey)) {
+  if (shopifyProductId && hasGoogleGuardEmailSent(issueKey)) {
     webflowLog("info", {
       event: "google_merchant.guard_email_skipped",
       issue,
@@ -1241,19 +1381,27 @@ async function sendGoogleFeedDataIssueEmail({
   const adminUrl = store && shopifyProductId
     ? `https://admin.shopify.com/store/${store}/products/${shopifyProductId}`
     : "";
+  const disapproval = kind === "disapproval";
   const body = [
-    "Google Merchant sync skipped this product because a feed guardrail failed.",
+    disapproval
+      ? "Google Merchant Center disapproved this product; it is not showing in Shopping until the issue is fixed."
+      : "Google Merchant sync skipped this product because a feed guardrail failed.",
     "",
     "What failed",
     `- Issue: ${issue}`,
     `- Reason: ${reason}`,
+    ...details.map((line) => `- ${line}`),
     "",
     "Product",
     `- Title: ${title}`,
     `- Shopify product ID: ${shopifyProductId || "(unknown)"}`,
     canonicalSlug ? `- Canonical slug: ${canonicalSlug}` : "",
     listingUrl ? `- Listing URL: ${listingUrl}` : "",
-    shippingWeight ? `- Shipping weight: ${shippingWeight.value || "?"} ${shippingWeight.unit || ""}`.trim() : "- Shipping weight: (missing)",
+    disapproval
+      ? ""
+      : shippingWeight
+        ? `- Shipping weight: ${shippingWeight.value || "?"} ${shippingWeight.unit || ""}`.trim()
+        : "- Shipping weight: (missing)",
     adminUrl ? `- Traxia admin: ${adminUrl}` : "",
     "",
     "Action required",
@@ -1268,13 +1416,10 @@ async function sendGoogleFeedDataIssueEmail({
     .join("\n");
   try {
     await sendInternalNotification({
-      subject: `[Webflow Sync] Google guard: ${issue} - ${title.slice(0, 60)}${title.length > 60 ? "…" : ""}`,
+      subject: `[Webflow Sync] ${disapproval ? "Google disapproved" : "Google guard"}: ${issue} - ${title.slice(0, 60)}${title.length > 60 ? "…" : ""}`,
       text: body,
     });
-    if (shopifyProductId) {
-      sent.add(issueKey);
-      saveGoogleGuardEmailSentIds(sent);
-    }
+    if (shopifyProductId) saveGoogleGuardEmailSentId(issueKey);
     webflowLog("info", { event: "google_merchant.guard_email_sent", issue, shopifyProductId: shopifyProductId || null, to: recipients });
   } catch (err) {
     webflowLog("error", { event: "google_merchant.guard_email_failed", issue, message: err.message });
@@ -1285,20 +1430,18 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function loadSkuImageFailEmailLast() {
+function getSkuImageFailEmailLast(key) {
   try {
-    ensureDataDir();
-    if (!fs.existsSync(SKU_IMAGE_FAIL_EMAIL_LAST_FILE)) return {};
-    return JSON.parse(fs.readFileSync(SKU_IMAGE_FAIL_EMAIL_LAST_FILE, "utf8"));
+    return syncStore.maps.get(STORE_NS.skuImageFailEmailLast, key);
   } catch {
-    return {};
+    return null;
   }
 }
 
-function saveSkuImageFailEmailLast(map) {
+function saveSkuImageFailEmailLast(key, sentAt) {
+  if (isSyncDryRun()) return;
   try {
-    ensureDataDir();
-    fs.writeFileSync(SKU_IMAGE_FAIL_EMAIL_LAST_FILE, JSON.stringify(map, null, 2), "utf8");
+    syncStore.maps.set(STORE_NS.skuImageFailEmailLast, key, sentAt);
   } catch (err) {
     webflowLog("error", { event: "sku_image_fail_email_last.save_failed", message: err.message });
   }
@@ -1308,20 +1451,10 @@ function skuImageFailEmailKey(siteId, productId) {
   return `${siteId || "?"}:${productId || "?"}`;
 }
 
-function loadSkuImageImportBlocked() {
-  try {
-    ensureDataDir();
-    if (!fs.existsSync(SKU_IMAGE_IMPORT_BLOCKED_FILE)) return {};
-    return JSON.parse(fs.readFileSync(SKU_IMAGE_IMPORT_BLOCKED_FILE, "utf8"));
-  } catch {
-    return {};
-  }
-}
-
-function saveSkuImageImportBlocked(map) {
+function saveSkuImageImportBlocked(key, row) {
+  if (isSyncDryRun()) return;
   try {
-    ensureDataDir();
-    fs.writeFileSync(SKU_IMAGE_IMPORT_BLOCKED_FILE, JSON.stringify(map, null, 2), "utf8");
+    syncStore.maps.set(STORE_NS.skuImageImportBlocked, key, row);
   } catch (err) {
     webflowLog("error", { event: "sku_image_import_blocked.save_failed", message: err.message });
   }
@@ -1329,14 +1462,16 @@ function saveSkuImageImportBlocked(map) {
 
 function isSkuImageImportBlocked(siteId, productId) {
   const key = skuImageFailEmailKey(siteId, productId);
-  return Boolean(loadSkuImageImportBlocked()[key]);
+  try {
+    return Boolean(syncStore.maps.get(STORE_NS.skuImageImportBlocked, key));
+  } catch {
+    return false;
+  }
 }
 
 function recordSkuImageImportBlocked(siteId, productId, meta = {}) {
   const key = skuImageFailEmailKey(siteId, productId);
-  const map = loadSkuImageImportBlocked();
-  map[key] = { blockedAt: new Date().toISOString(), ...meta };
-  saveSkuImageImportBlocked(map);
+  saveSkuImageImportBlocked(key, { blockedAt: new Date().toISOString(), ...meta });
   webflowLog("info", {
     event: "sku_image_import.blocked",
     siteId,
@@ -1348,8 +1483,8 @@ function recordSkuImageImportBlocked(siteId, productId, meta = {}) {
 /** After remote import fails, alert at most once per product (sync continues without images). */
 async function sendSkuImageImportFailureEmail({ siteId, productId, skuId, op, productTitle, attempts, lastError, dedupeKey }) {
   const key = dedupeKey || skuImageFailEmailKey(siteId, productId);
-  const lastMap = loadSkuImageFailEmailLast();
-  if (lastMap[key] != null) {
+  if (interceptSyncWrite("email.sku_image_import_failure", { webflowId: productId })) return;
+  if (getSkuImageFailEmailLast(key) != null) {
     webflowLog("info", {
       event: "sku_image_import.email_skipped",
       reason: "already_emailed_once",
@@ -1407,8 +1542,7 @@ async function sendSkuImageImportFailureEmail({ siteId, productId, skuId, op, pr
       subject: `[Webflow Sync] SKU images failed after ${attempts} tries - ${(productTitle || productId || "product").toString().slice(0, 55)}`,
       text: body,
     });
-    lastMap[key] = Date.now();
-    saveSkuImageFailEmailLast(lastMap);
+    saveSkuImageFailEmailLast(key, Date.now());
     webflowLog("info", { event: "sku_image_import.email_sent", to: recipients, productId, siteId });
   } catch (err) {
     webflowLog("error", { event: "sku_image_import.email_failed", productId, message: err.message });
@@ -1433,28 +1567,75 @@ function isWebflowSkuImagePayloadRetryableError(err) {
   return s === 429 || s === 502 || s === 503;
 }
 
-/** Load cache from disk. Must persist across deploys so we only call LLM for new products or when name/description change. */
+/** Load cache from the sync store. Must persist across deploys so we only call LLM for new products or when name/description change. */
 function loadCache() {
   try {
-    ensureDataDir();
-    if (!fs.existsSync(CACHE_FILE)) return {};
-    const raw = fs.readFileSync(CACHE_FILE, "utf8");
-    return JSON.parse(raw);
+    return syncStore.cache.loadAll();
   } catch (err) {
     webflowLog("error", { event: "cache.load_failed", message: err.message });
     return {};
   }
 }
 
+/**
+ * Persist rows this caller added, changed or deleted since its loadCache() — one transaction, per row —
+ * so concurrent webhook syncs and /sync-all no longer overwrite each other's rows.
+ */
 function saveCache(cache) {
+  if (isSyncDryRun()) return;
   try {
-    ensureDataDir();
-    fs.writeFileSync(CACHE_FILE, JSON.stringify(cache, null, 2), "utf8");
+    syncStore.cache.saveChanges(cache);
   } catch (err) {
     webflowLog("error", { event: "cache.save_failed", message: err.message });
   }
 }
 
+const SYNC_PLAN_JOB_ID_REGEX = /^[a-z0-9-]{1,64}$/i;
+
+function syncPlanFilePath(jobId) {
+  const id = String(jobId || "").trim();
+  return SYNC_PLAN_JOB_ID_REGEX.test(id) ? path.join(SYNC_PLANS_DIR, `${id}.json`) : null;
+}
+
+/** Persist a serialized dry-run plan and prune to the newest SYNC_PLANS_KEEP files. */
+function saveSyncPlan(serialized) {
+  const file = syncPlanFilePath(serialized?.jobId);
+  if (!file) return;
+  try {
+    fs.mkdirSync(SYNC_PLANS_DIR, { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(serialized, null, 2), "utf8");
+    const files = fs
+      .readdirSync(SYNC_PLANS_DIR)
+      .filter((f) => f.endsWith(".json"))
+      .map((f) => ({ f, mtimeMs: fs.statSync(path.join(SYNC_PLANS_DIR, f)).mtimeMs }))
+      .sort((a, b) => b.mtimeMs - a.mtimeMs);
+    for (const { f } of files.slice(SYNC_PLANS_KEEP)) fs.unlinkSync(path.join(SYNC_PLANS_DIR, f));
+  } catch (err) {
+    webflowLog("error", { event: "sync_plan.save_failed", jobId: serialized?.jobId, message: err.message });
+  }
+}
+
+/** @param {string | null} jobId - null = newest plan on disk */
+function loadSyncPlan(jobId) {
+  try {
+    let file = jobId ? syncPlanFilePath(jobId) : null;
+    if (!jobId) {
+      if (!fs.existsSync(SYNC_PLANS_DIR)) return null;
+      const newest = fs
+        .readdirSync(SYNC_PLANS_DIR)
+        .filter((f) => f.endsWith(".json"))
+        .map((f) => ({ f, mtimeMs: fs.statSync(path.join(SYNC_PLANS_DIR, f)).mtimeMs }))
+        .sort((a, b) => b.mtimeMs - a.mtimeMs)[0];
+      file = newest ? path.join(SYNC_PLANS_DIR, newest.f) : null;
+    }
+    if (!file || !fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    webflowLog("error", { event: "sync_plan.load_failed", jobId, message: err.message });
+    return null;
+  }
+}
+
 /**
  * Normalize old cache entries (legacy hash-only or without vertical)
  */
@@ -1504,7 +1685,8 @@ async function getWebflowItemById(itemId, config) {
    WEBFLOW ECOMMERCE API (Furniture — uses site_id, not collection_id)
    Required: ecommerce:write scope. Products collection is ecommerce.
 ====================================================== */
-async function getWebflowEcommerceProductById(siteId, productId, token) {
+/** null on 404 (and, unless throwOnError, on any other failure — logged). */
+async function getWebflowEcommerceProductById(siteId, productId, token, { throwOnError = false } = {}) {
   if (!siteId || !productId || !token) return null;
   try {
     const url = `https://api.webflow.com/v2/sites/${siteId}/products/${productId}`;
@@ -1519,6 +1701,7 @@ async function getWebflowEcommerceProductById(siteId, productId, token) {
   } catch (err) {
     if (err.response?.status === 404) return null;
     webflowLog("error", { event: "getWebflowEcommerceProductById.error", siteId, productId, message: err.message, responseData: err.response?.data });
+    if (throwOnError) throw err;
     return null;
   }
 }
@@ -1647,6 +1830,15 @@ async function findExistingWebflowEcommerceProduct(shopifyProductId, slug, confi
 const WEBFLOW_ITEM_REF_REGEX = /^[a-f0-9]{24}$/i;
 
 async function createWebflowEcommerceProduct(siteId, productFieldData, skuFieldData, token) {
+  if (
+    interceptSyncWrite("webflow.create", {
+      vertical: "furniture",
+      name: productFieldData?.name || null,
+      slug: productFieldData?.slug || null,
+    })
+  ) {
+    return { product: { id: "dry-run" } };
+  }
   const url = `https://api.webflow.com/v2/sites/${siteId}/products`;
   const productData = sanitizeCategoryForWebflow({ ...productFieldData });
   const skuData = sanitizeCategoryForWebflow({ ...skuFieldData });
@@ -1897,6 +2089,14 @@ async function updateWebflowEcommerceProduct(siteId, productId, fieldData, token
     });
     return;
   }
+  if (
+    interceptSyncWrite("webflow.update", {
+      webflowId: productId,
+      diff: fieldDataDiff(data, currentProductFieldData),
+    })
+  ) {
+    return;
+  }
   let skuFieldData = current?.skus?.[0]?.fieldData;
   if (skuFieldData == null || typeof skuFieldData !== "object") {
     webflowLog("info", { event: "product.patch.sku_empty_after_prefetch", productId });
@@ -2030,6 +2230,14 @@ async function updateWebflowEcommerceSku(siteId, productId, skuId, fieldData, to
   }
   const url = `https://api.webflow.com/v2/sites/${siteId}/products/${productId}/skus/${skuId}`;
   const fullFd = sanitizeSkuNumericFields({ ...fieldData });
+  if (
+    interceptSyncWrite("webflow.sku_update", {
+      webflowId: productId,
+      diff: fieldDataDiff(fullFd, context.webflowProduct?.skus?.find((sku) => sku.id === skuId)?.fieldData),
+    })
+  ) {
+    return;
+  }
   const patchHeaders = { Authorization: `Bearer ${token}`, "Content-Type": "application/json" };
   webflowLog("info", { event: "sku.patch.calling", method: "PATCH", url, productId, skuId, bodyKeys: ["sku"] });
 
@@ -2135,6 +2343,7 @@ async function syncFurnitureEcommerceSku(product, webflowProductId, config, cont
   }
   const price = product.variants?.[0]?.price;
   const priceCents = price != null && price !== "" ? Math.round(parseFloat(price) * 100) : null;
+  const shopifyCompareAtCents = shopifyMoneyToCents(product.variants?.[0]?.compare_at_price);
   const dimensions = getDimensionsFromProduct(product);
   const allImages = (product.images || []).map((img) => img.src);
   const mainImageUrl = allImages[0] || null;
@@ -2158,6 +2367,7 @@ async function syncFurnitureEcommerceSku(product, webflowProductId, config, cont
     priceCents,
     previousPriceCents,
     existingCompareAtCents,
+    shopifyCompareAtCents,
     {
       webflowProductId,
       shopifyProductId: product?.id,
@@ -2204,8 +2414,11 @@ async function syncFurnitureEcommerceSku(product, webflowProductId, config, cont
   return pricingHints;
 }
 
-/** Archive an ecommerce product (soft-delete) so it no longer appears in the furniture store. */
-async function archiveWebflowEcommerceProduct(siteId, productId, token) {
+/**
+ * Archive an ecommerce product (soft-delete) so it no longer appears in the furniture store.
+ * Snapshots the product first unless the caller (delete fallback) already did.
+ */
+async function archiveWebflowEcommerceProduct(siteId, productId, token, { reason = "archive", snapshot = true } = {}) {
   if (!siteId || !productId || !token) return;
   const full = await getWebflowEcommerceProductById(siteId, productId, token);
   if (!full) return;
@@ -2213,6 +2426,8 @@ async function archiveWebflowEcommerceProduct(siteId, productId, token) {
     webflowLog("info", { event: "archive.ecommerce_skip_already_archived", productId });
     return;
   }
+  if (interceptSyncWrite("webflow.archive", { webflowId: productId, vertical: "furniture" })) return;
+  if (snapshot) webflowSnapshots.save({ siteId, reason, product: full });
   const productFieldData = full.fieldData || {};
   const skuFieldData = full?.skus?.[0]?.fieldData ?? {};
   const url = `https://api.webflow.com/v2/sites/${siteId}/products/${productId}`;
@@ -2235,6 +2450,9 @@ async function unarchiveWebflowEcommerceProduct(siteId, productId, token) {
     webflowLog("info", { event: "unarchive.ecommerce_skip_not_archived", productId });
     return full;
   }
+  if (interceptSyncWrite("webflow.unarchive", { webflowId: productId, vertical: "furniture" })) {
+    return { ...full, isArchived: false };
+  }
   const productFieldData = full.fieldData || {};
   const skuFieldData = full?.skus?.[0]?.fieldData ?? {};
   const url = `https://api.webflow.com/v2/sites/${siteId}/products/${productId}`;
@@ -2280,21 +2498,23 @@ async function reactivateArchivedFurnitureIfNeeded({
 }
 
 /**
- * Remove a Furniture ecommerce product (duplicate / wrong-vertical cleanup).
+ * Remove a Furniture ecommerce product (duplicate / wrong-vertical cleanup, sold retention).
  * Tries DELETE first; on failure (405/501/network, etc.) falls back to archive (known to work on Webflow).
- * 404 on DELETE = already removed.
+ * 404 on DELETE = already removed. The product is snapshotted first (reason = why it is removed); if it cannot
+ * be read (anything but a 404: 429, 5xx, network) or the snapshot cannot be written, nothing is deleted and the
+ * error is thrown. Only a 404 on the read goes ahead without a snapshot.
  */
-async function deleteWebflowEcommerceProduct(siteId, productId, token) {
+async function deleteWebflowEcommerceProduct(siteId, productId, token, { reason = "delete" } = {}) {
   if (!siteId || !productId || !token) return;
+  if (interceptSyncWrite("webflow.delete", { webflowId: productId, vertical: "furniture" })) return;
   const url = `https://api.webflow.com/v2/sites/${siteId}/products/${productId}`;
   let googleOfferId = null;
-  try {
-    const pre = await getWebflowEcommerceProductById(siteId, productId, token);
-    const fd = pre?.fieldData || {};
+  const pre = await getWebflowEcommerceProductById(siteId, productId, token, { throwOnError: true });
+  if (pre) {
+    webflowSnapshots.save({ siteId, reason, product: pre });
+    const fd = pre.fieldData || {};
     const slug = String(fd["shopify-slug-2"] || fd.slug || "").trim();
     googleOfferId = googleOfferIdFromSlugOrHandle(slug, fd["shopify-product-id"] || productId);
-  } catch {
-    googleOfferId = null;
   }
   try {
     await axios.delete(url, {
@@ -2322,7 +2542,7 @@ async function deleteWebflowEcommerceProduct(siteId, productId, token) {
         productId,
         message: "DELETE returned 404 but product still exists; falling back to archive",
       });
-      await archiveWebflowEcommerceProduct(siteId, productId, token);
+      await archiveWebflowEcommerceProduct(siteId, productId, token, { snapshot: !pre });
       if (googleOfferId) await deleteGoogleMerchantFurnitureByOfferId(googleOfferId, "webflow_archive_fallback_404");
       return;
     }
@@ -2333,7 +2553,7 @@ async function deleteWebflowEcommerceProduct(siteId, productId, token) {
       status: status ?? null,
       message: msg,
     });
-    await archiveWebflowEcommerceProduct(siteId, productId, token);
+    await archiveWebflowEcommerceProduct(siteId, productId, token, { reason, snapshot: !pre });
     if (googleOfferId) await deleteGoogleMerchantFurnitureByOfferId(googleOfferId, "webflow_archive_fallback");
   }
 }
@@ -2341,6 +2561,7 @@ async function deleteWebflowEcommerceProduct(siteId, productId, token) {
 /** Delete a CMS collection item (e.g. remove from Luxury when product is actually furniture). */
 async function deleteWebflowCollectionItem(collectionId, itemId, token) {
   if (!collectionId || !itemId || !token) return;
+  if (interceptSyncWrite("webflow.delete", { webflowId: itemId, collectionId })) return;
   const url = `https://api.webflow.com/v2/collections/${collectionId}/items/${itemId}`;
   webflowLog("info", { event: "delete.cms_item", collectionId, itemId, message: "Removing duplicate from other vertical" });
   await axios.delete(url, {
@@ -2478,6 +2699,7 @@ async function getPublicationIds() {
 }
 
 async function publishToSalesChannels(productId) {
+  if (interceptSyncWrite("shopify.publish", { shopifyProductId: String(productId) })) return;
   const pubIds = await getPublicationIds();
   for (const publicationId of pubIds) {
     const mutation = `
@@ -2521,6 +2743,17 @@ const FURNITURE_AND_HOME_NAMESPACE = (process.env.FURNITURE_AND_HOME_METAFIELD_N
 const FURNITURE_AND_HOME_KEY = (process.env.FURNITURE_AND_HOME_METAFIELD_KEY || "furniture_category").trim() || "furniture_category";
 
 async function updateShopifyMetafields(productId, { department, category, vertical, dimensionsStatus }) {
+  if (
+    interceptSyncWrite("shopify.metafields", {
+      shopifyProductId: String(productId),
+      department: department ?? null,
+      category: category ?? null,
+      vertical: vertical ?? null,
+      dimensionsStatus: dimensionsStatus ?? null,
+    })
+  ) {
+    return;
+  }
   const ownerId = `gid://shopify/Product/${productId}`;
   const dept = department ?? "";
   const cat = category ?? "";
@@ -2614,13 +2847,65 @@ async function deleteShopifyMetafields(productId, keys) {
   }
 }
 
+/* ======================================================
+   SHOPIFY — WRITE VARIANT PRICE (markdown engine)
+   Price and compare-at are written together so the original stays visible as the "was" price.
+====================================================== */
+function centsToShopifyMoney(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+function shopifyMoneyToCents(raw) {
+  if (raw == null || raw === "") return null;
+  const n = parseFloat(raw);
+  return Number.isFinite(n) ? Math.round(n * 100) : null;
+}
+
+async function updateShopifyVariantPrice(productId, variantId, { priceCents, compareAtCents }) {
+  if (
+    interceptSyncWrite("shopify.variant_price", {
+      shopifyProductId: String(productId),
+      variantId: String(variantId),
+      priceCents,
+      compareAtCents: compareAtCents ?? null,
+    })
+  ) {
+    return;
+  }
+  const mutation = `
+    mutation VariantPrice($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants { id price compareAtPrice }
+        userErrors { field message }
+      }
+    }
+  `;
+  const variants = [
+    {
+      id: `gid://shopify/ProductVariant/${variantId}`,
+      price: centsToShopifyMoney(priceCents),
+      compareAtPrice: compareAtCents != null ? centsToShopifyMoney(compareAtCents) : null,
+    },
+  ];
+  const res = await postShopifyGraphqlWithRetry(
+    { query: mutation, variables: { productId: `gid://shopify/Product/${productId}`, variants } },
+    "productVariantsBulkUpdate",
+    { productId }
+  );
+  const errors = res.data?.data?.productVariantsBulkUpdate?.userErrors ?? [];
+  if (errors.length > 0) {
+    const msg = errors.map((e) => `${e.field}: ${e.message}`).join("; ");
+    throw new Error(`Shopify productVariantsBulkUpdate failed: ${msg}`);
+  }
+}
+
 /* ======================================================
    SHOPIFY — WRITE our logic TO Shopify (vendor, productType, tags)
    Ecommerce tags (FH/LG + category letters) decide taxonomy; we WRITE the resolved
    department/category back to Shopify so Shopify matches Webflow. Tags = department + category.
    The Traxia ecommerce tags themselves (FH, LG, E COMMERCE …) are never touched.
 ====================================================== */
-const SYNC_DEPARTMENT_TAGS = ["Furniture & Home", "Luxury Goods"];
+const SYNC_DEPARTMENT_TAGS = verticalRegistry.departments();
 /** Shorthand tags merchants or old setups use — we strip these whenever we rewrite department/category so they do not fight automation (e.g. "Luxury" vs "Luxury Goods"). */
 const LEGACY_VERTICAL_SHORTHAND_TAGS = ["Luxury", "Furniture"];
 const SYNC_CATEGORY_TAGS = [
@@ -2629,6 +2914,7 @@ const SYNC_CATEGORY_TAGS = [
   "Necklaces", "Rings", "Bracelets", "Earrings", "Other Jewelry", "Jewelry",
   "Small Bags", "Other ", "Other",
   "Recently Sold",
+  ...verticalRegistry.list().filter((v) => !v.builtin).flatMap((v) => Object.values(v.categories)),
 ];
 function mergeProductTagsForSync(existingTags, department, category) {
   const existing = Array.isArray(existingTags) ? existingTags : (typeof existingTags === "string" ? existingTags.split(",").map((s) => s.trim()).filter(Boolean) : []);
@@ -2650,6 +2936,17 @@ function mergeProductTagsForSync(existingTags, department, category) {
 }
 
 async function updateShopifyVendorAndType(productId, brandValue, productType, existingTags, department, category, descriptionHtml) {
+  if (
+    interceptSyncWrite("shopify.product_update", {
+      shopifyProductId: String(productId),
+      vendor: brandValue ?? null,
+      productType: productType ?? null,
+      department: department ?? null,
+      category: category ?? null,
+    })
+  ) {
+    return;
+  }
   const mutation = `
     mutation UpdateProduct($input: ProductInput!) {
       productUpdate(input: $input) {
@@ -2814,6 +3111,8 @@ async function removeConditionOptionIfFurniture(product) {
     }
   `;
 
+  if (interceptSyncWrite("shopify.remove_condition_option", { shopifyProductId: productId })) return;
+
   const variables = {
     productId: `gid://shopify/Product/${productId}`,
     option: {
@@ -3256,6 +3555,11 @@ function getExistingPlacedCategory(product, vertical) {
     return value || null;
   }
 
+  return furnitureCategoryFromRef(raw);
+}
+
+/** Furniture category label for a Webflow fieldData.category ItemRef (string id or { id }), or null. */
+function furnitureCategoryFromRef(raw) {
   const ref =
     typeof raw === "string"
       ? raw.trim()
@@ -4061,20 +4365,8 @@ function detectCategoryFurniture(title, descriptionHtml, tags, dimensions) {
   return detectCategoryFurnitureEvidence(title, descriptionHtml, tags, dimensions).category;
 }
 
-const FURNITURE_CATEGORY_TO_SHOPIFY = {
-  LivingRoom: "Living Room",
-  DiningRoom: "Dining Room",
-  OfficeDen: "Office Den",
-  Rugs: "Rugs",
-  ArtMirrors: "Art / Mirrors",
-  Bedroom: "Bedroom",
-  Accessories: "Accessories",
-  OutdoorPatio: "Outdoor / Patio",
-  Lighting: "Lighting",
-};
-
 function mapFurnitureCategoryForShopify(category) {
-  return FURNITURE_CATEGORY_TO_SHOPIFY[category] ?? "Accessories";
+  return verticalRegistry.mapCategory("furniture", category);
 }
 
 /* ======================================================
@@ -4311,10 +4603,14 @@ function productMustStayInLuxuryVertical(product) {
 
 function resolveVerticalFromEvidence(product, llmDetectedVertical) {
   const tags = getProductTagsArray(product);
+  const hardTag = getHardFhLgVerticalLock(product);
+  // Verticals added through the registry (VERTICALS=…) claim their products before the luxury/furniture evidence
+  // (FH/LG still win) — same rule as the final placement in syncSingleProductCore.
+  const claimed = hardTag ? null : verticalRegistry.claim(product, { tags });
+  if (claimed) return claimed;
   if (productIsLuxuryScarf(product)) {
     return { vertical: "luxury", reason: "luxury_scarf_always" };
   }
-  const hardTag = getHardFhLgVerticalLock(product);
   if (hardTag) {
     return { vertical: hardTag.vertical, reason: `ecommerce_vertical_tag_${hardTag.tag.toLowerCase()}` };
   }
@@ -4732,7 +5028,8 @@ function textSuggestsFurnitureRingHardware(text) {
     /\bring\s+pulls?\b/i.test(lower) ||
     /\bring\s+pull\s+hardware\b/i.test(lower) ||
     /\b(drop|decorative)\s+ring\s+pulls?\b/i.test(lower) ||
-    /\bpulls?\s+with\s+(chrome|brass|bronze|nickel)?\s*rings?\b/i.test(lower)
+    /\bpulls?\s+with\s+(chrome|brass|bronze|nickel)?\s*rings?\b/i.test(lower) ||
+    /\b(towel|napkin|curtain|shower)\s+rings?\b/i.test(lower)
   );
 }
 
@@ -4931,15 +5228,7 @@ function parseEcProductTypeOptionsFromCollectionFields(fields) {
   if (!Array.isArray(fields)) return [];
   const field = fields.find((f) => f?.slug === "ec-product-type");
   if (!field) return [];
-  const options = field.validations?.options ?? [];
-  return options
-    .map((o) => {
-      if (typeof o === "string") return o;
-      if (o?.name) return String(o.name);
-      if (o?.id) return String(o.id);
-      return null;
-    })
-    .filter(Boolean);
+  return webflowFieldOptionNames(field);
 }
 
 async function loadFurnitureEcProductTypeAllowlist() {
@@ -5001,8 +5290,7 @@ function cacheEntryAfterCreateOnlySkip(product, cacheEntry, currentHash, current
 /** Fetch Categories collection from Webflow and build name/slug -> item ID map so we don't need env vars. */
 async function loadFurnitureCategoryMap() {
   if (furnitureCategoryMapCache) return furnitureCategoryMapCache;
-  const siteId = resaleEnv("RESALE_WEBFLOW_SITE_ID", "WEBFLOW_RESALE_SITE_ID");
-  const token = resaleEnv("RESALE_TOKEN", "WEBFLOW_RESALE_TOKEN");
+  const { siteId, token } = getWebflowConfig("furniture");
   if (!siteId || !token) {
     webflowLog("info", { event: "furniture_categories.skip", reason: "missing RESALE_WEBFLOW_SITE_ID or RESALE_TOKEN" });
     return {};
@@ -5288,9 +5576,7 @@ function resolveFurnitureCategoryRef(displayCategory) {
   if (furnitureCategoryMapCache && furnitureCategoryMapCache[displayCategory]) {
     return furnitureCategoryMapCache[displayCategory];
   }
-  const key = displayCategory.replace(/\s*\/\s*/g, "_").replace(/\s+/g, "_").toUpperCase().replace(/[^A-Z0-9_]/g, "");
-  const envKey = `FURNITURE_CATEGORY_${key}`;
-  const id = process.env[envKey];
+  const id = process.env[verticalRegistry.categoryRefEnvKey("furniture", displayCategory)];
   const trimmed = id && String(id).trim();
   if (!trimmed) return null;
   if (!/^[a-f0-9]{24}$/i.test(trimmed)) return null;
@@ -5559,7 +5845,50 @@ function parseNextPageUrl(linkHeader) {
   return null;
 }
 
-async function fetchAllShopifyProducts() {
+/**
+ * SHOPIFY_CATALOG_FETCH=bulk: one GraphQL bulk operation instead of ~N/250 REST pages. Products come back in the
+ * REST shape with metafields attached (custom.width / height / length feed getDimensionsFromProduct).
+ * If the bulk run fails (another bulk query in progress, timeout, …) the REST pager is used for that run.
+ */
+const SHOPIFY_CATALOG_FETCH = String(process.env.SHOPIFY_CATALOG_FETCH || "rest").trim().toLowerCase();
+const SHOPIFY_BULK_POLL_MS = Math.max(1000, parseInt(process.env.SHOPIFY_BULK_POLL_MS || "3000", 10) || 3000);
+const SHOPIFY_BULK_TIMEOUT_MS = Math.max(60_000, parseInt(process.env.SHOPIFY_BULK_TIMEOUT_MS || "900000", 10) || 900_000);
+
+const shopifyBulkCatalog = createShopifyBulkCatalog({
+  graphql: async (body, op) => (await postShopifyGraphqlWithRetry(body, op)).data,
+  openResultStream: async (url) => (await axios.get(url, { responseType: "stream" })).data,
+  pollIntervalMs: SHOPIFY_BULK_POLL_MS,
+  timeoutMs: SHOPIFY_BULK_TIMEOUT_MS,
+  sleep,
+  log: webflowLog,
+});
+
+/** updatedSince (ISO): only products updated after it (incremental /sync-all). */
+async function fetchAllShopifyProducts({ updatedSince = null } = {}) {
+  if (SHOPIFY_CATALOG_FETCH === "bulk") {
+    const startedAt = Date.now();
+    try {
+      const products = await shopifyBulkCatalog.fetchAllProducts({ updatedSince });
+      webflowLog("info", {
+        event: "shopify.fetch_all.bulk",
+        productCount: products.length,
+        updatedSince,
+        durationMs: Date.now() - startedAt,
+      });
+      return products;
+    } catch (err) {
+      webflowLog("warn", {
+        event: "shopify.fetch_all.bulk_failed",
+        message: (err?.message || "").slice(0, 280),
+        status: err?.response?.status ?? null,
+        fallback: "rest",
+      });
+    }
+  }
+  return fetchAllShopifyProductsRest({ updatedSince });
+}
+
+async function fetchAllShopifyProductsRest({ updatedSince = null } = {}) {
   const store = process.env.SHOPIFY_STORE;
   const token = process.env.SHOPIFY_ACCESS_TOKEN;
   const headers = {
@@ -5569,6 +5898,7 @@ async function fetchAllShopifyProducts() {
 
   const allProducts = [];
   let url = `https://${store}.myshopify.com/admin/api/2024-01/products.json?limit=250`;
+  if (updatedSince) url += `&updated_at_min=${encodeURIComponent(updatedSince)}`;
 
   while (url) {
     const response = await axios.get(url, { headers });
@@ -6146,6 +6476,16 @@ async function syncFurnitureSku(product, webflowProductId, config) {
     config.token
   );
 
+  if (
+    interceptSyncWrite(existingSku ? "webflow.sku_update" : "webflow.sku_create", {
+      shopifyProductId: String(product.id),
+      webflowId: existingSku?.id || webflowProductId,
+      ...(existingSku ? { diff: fieldDataDiff(skuFieldData, existingSku.fieldData) } : {}),
+    })
+  ) {
+    return;
+  }
+
   const headers = {
     Authorization: `Bearer ${config.token}`,
     "Content-Type": "application/json",
@@ -6178,14 +6518,12 @@ async function syncFurnitureSku(product, webflowProductId, config) {
 
 /** Furniture ecommerce DateTime slug for “sold at” (retention + UI). Override with FURNITURE_SOLD_SINCE_FIELD_SLUG. */
 function getFurnitureSoldSinceFieldSlug() {
-  const t = (process.env.FURNITURE_SOLD_SINCE_FIELD_SLUG || "date-sold").trim();
-  return t || "date-sold";
+  return verticalRegistry.soldDateField("furniture");
 }
 
 /** Luxury CMS DateTime slug for “Date sold”. Matches Webflow field “Date Sold” → `date-sold`. Override with LUXURY_SOLD_SINCE_FIELD_SLUG. */
 function getLuxurySoldSinceFieldSlug() {
-  const t = (process.env.LUXURY_SOLD_SINCE_FIELD_SLUG || "date-sold").trim();
-  return t || "date-sold";
+  return verticalRegistry.soldDateField("luxury");
 }
 
 /** Business timezone for sold-date stamping (default Arizona). */
@@ -6239,6 +6577,8 @@ function isFurnitureSaleRestored(listCents, currentCents, minDropCents = GOOGLE_
  * Markdown-only compare-at: set when price drops by more than $0.99.
  * Keep the original “was” price across further markdowns and partial raise-backs.
  * Clear only when price is within $5 of the original, the same, or higher.
+ * A Shopify compare-at more than $0.99 above the price (markdown engine or a sale set in Shopify) is the
+ * original, so it is used as-is when the SKU has no compare-at yet.
  */
 function applyFurnitureSkuCompareAtField(
   fieldData,
@@ -6246,13 +6586,27 @@ function applyFurnitureSkuCompareAtField(
   priceCents,
   previousPriceCents,
   existingCompareAtCents,
+  shopifyCompareAtCents = null,
   logMeta = {}
 ) {
-  if (priceCents == null || previousPriceCents == null || previousPriceCents <= 0) return;
+  if (priceCents == null) return;
 
-  const dropCents = previousPriceCents - priceCents;
   const hasExistingCompareAt =
     existingCompareAtCents != null && existingCompareAtCents > 0;
+  if (!hasExistingCompareAt && shopifyCompareAtCents != null && shopifyCompareAtCents - priceCents > COMPARE_AT_MIN_DROP_CENTS) {
+    fieldData[compareSlug] = { value: shopifyCompareAtCents, unit: "USD" };
+    webflowLog("info", {
+      event: "syncFurnitureEcommerceSku.shopify_compare_at",
+      shopifyCompareAtCents,
+      previousPriceCents,
+      newPriceCents: priceCents,
+      ...logMeta,
+    });
+    return;
+  }
+  if (previousPriceCents == null || previousPriceCents <= 0) return;
+
+  const dropCents = previousPriceCents - priceCents;
 
   if (hasExistingCompareAt) {
     if (isFurnitureSaleRestored(existingCompareAtCents, priceCents)) {
@@ -6343,7 +6697,8 @@ function titleMissingNoLongerAvailableSuffix(existing) {
 ====================================================== */
 async function markAsSold(existing, vertical, config) {
   if (!existing || !config?.token) return;
-  if (vertical === "furniture" && furnitureUsesEcommerceApi(config)) {
+  const usesEcommerce = verticalRegistry.layoutOf(vertical) === "furniture" && furnitureUsesEcommerceApi(config);
+  if (usesEcommerce) {
     if (existing.isArchived === true) {
       webflowLog("info", {
         event: "markAsSold.skip_archived_furniture",
@@ -6365,34 +6720,33 @@ async function markAsSold(existing, vertical, config) {
     }
   }
   const alreadySoldInWebflow = webflowListingLooksSold(existing, vertical);
-  const base = { ...(existing.fieldData || {}) };
-  const fieldData =
-    vertical === "furniture"
-      ? { ...base, sold: true }
-      : { ...base, category: "Recently Sold", "show-on-webflow": false };
+  // Sold fields per vertical definition: furniture `sold: true`; luxury "Recently Sold" + hidden.
+  const fieldData = verticalRegistry.soldFieldData(vertical, existing.fieldData);
 
-  const luxurySoldSinceSlug = getLuxurySoldSinceFieldSlug();
-  const furnitureSoldSinceSlug = getFurnitureSoldSinceFieldSlug();
-  const soldDate = getBusinessDateSoldString();
-  // Luxury: fill Date sold when missing or unparsable (same idea as furniture), plus category + show-on-webflow above.
-  if (vertical === "luxury" && luxurySoldSinceSlug) {
-    if (parseSoldTimestampMsFromWebflowField(fieldData, luxurySoldSinceSlug) == null) {
-      fieldData[luxurySoldSinceSlug] = soldDate;
-    }
-  }
-  // Furniture: every sold listing must have a parseable `date-sold` for retention; keep existing if coerce succeeds.
-  if (vertical === "furniture" && furnitureSoldSinceSlug) {
-    if (parseSoldTimestampMsFromWebflowField(fieldData, furnitureSoldSinceSlug) == null) {
-      fieldData[furnitureSoldSinceSlug] = soldDate;
-    }
+  // Every sold listing gets a parseable Date sold (retention anchor for furniture); keep existing if coerce succeeds.
+  const soldSinceSlug = verticalRegistry.soldDateField(vertical);
+  if (soldSinceSlug && parseSoldTimestampMsFromWebflowField(fieldData, soldSinceSlug) == null) {
+    fieldData[soldSinceSlug] = getBusinessDateSoldString();
   }
-  // Furniture + luxury: append "(No Longer Available)" to product name once (same PATCH as sold + date-sold).
-  if (vertical === "furniture" || vertical === "luxury") {
+  // Append "(No Longer Available)" to product name once (same PATCH as sold + date-sold).
+  if (verticalRegistry.get(vertical).sold.nameSuffix) {
     const withSuffix = appendNoLongerAvailableToTitle(fieldData.name);
     if (withSuffix != null) fieldData.name = withSuffix;
   }
 
-  if (vertical === "furniture" && furnitureUsesEcommerceApi(config)) {
+  if (
+    interceptSyncWrite("webflow.mark_sold", {
+      shopifyProductId: existing.fieldData?.["shopify-product-id"] || undefined,
+      webflowId: existing.id,
+      vertical,
+      alreadySold: alreadySoldInWebflow,
+      diff: fieldDataDiff(fieldData, existing.fieldData),
+    })
+  ) {
+    return;
+  }
+
+  if (usesEcommerce) {
     // Ecommerce PATCH requires { product: { fieldData }, sku: { fieldData } }; reuse shared updater
     await updateWebflowEcommerceProduct(config.siteId, existing.id, fieldData, config.token, existing);
     await syncGoogleMerchantFurnitureOutOfStockFromWebflow(existing, "mark_sold");
@@ -6410,9 +6764,60 @@ async function markAsSold(existing, vertical, config) {
   );
   if (vertical === "furniture") {
     await syncGoogleMerchantFurnitureOutOfStockFromWebflow(existing, "mark_sold");
+  } else if (vertical === "luxury") {
+    await syncGoogleMerchantLuxuryOutOfStockFromWebflow(existing, "mark_sold");
   }
 }
 
+/**
+ * Webflow listing for a Shopify product: cached webflowId first, then a lookup in the cached vertical, then the
+ * other vertical. Returns { existing, vertical, config } (existing null when nothing is listed).
+ */
+async function locateWebflowListingForShopifyProduct(shopifyProductId, entry) {
+  // No cache (or unknown vertical): do not assume luxury — otherwise delete/disappeared only scans the
+  // luxury CMS and misses Furniture ecommerce (match_scan on CMS → not_found → no Webflow sold).
+  let vertical = entry?.vertical ?? null;
+  let config = vertical ? getWebflowConfig(vertical) : null;
+  let existing = null;
+
+  if (entry?.webflowId && config) {
+    if (vertical === "furniture" && furnitureUsesEcommerceApi(config)) {
+      existing = await getWebflowEcommerceProductById(config.siteId, entry.webflowId, config.token);
+    } else if (config.collectionId) {
+      existing = await getWebflowItemById(entry.webflowId, config);
+    }
+  }
+  if (!existing && vertical === "furniture" && config?.token) {
+    existing = await findExistingFurnitureItem(shopifyProductId, null, null, config);
+  }
+  if (!existing && vertical && verticalRegistry.layoutOf(vertical) === "luxury" && config?.collectionId) {
+    existing = await findExistingWebflowItem(shopifyProductId, null, null, config);
+  }
+  if (!existing) {
+    const furn = getWebflowConfig("furniture");
+    if (furn?.token && vertical !== "furniture") {
+      const e = await findExistingFurnitureItem(shopifyProductId, null, null, furn);
+      if (e) {
+        existing = e;
+        vertical = "furniture";
+        config = furn;
+      }
+    }
+  }
+  if (!existing) {
+    const lux = getWebflowConfig("luxury");
+    if (lux?.collectionId && lux?.token && vertical !== "luxury") {
+      const e = await findExistingWebflowItem(shopifyProductId, null, null, lux);
+      if (e) {
+        existing = e;
+        vertical = "luxury";
+        config = lux;
+      }
+    }
+  }
+  return { existing, vertical, config };
+}
+
 /**
  * Same path as sync-all "disappeared" handling: confirm Shopify is not active, mark Webflow sold, remove cache.
  * @param {string} goneId - Shopify product id
@@ -6452,47 +6857,7 @@ async function processDisappearedShopifyProduct(goneId, cache, options = {}) {
     return "skip_unknown_status";
   }
   const entry = getCacheEntry(cache, goneId);
-  // No cache (or unknown vertical): do not assume luxury — otherwise delete/disappeared only scans the
-  // luxury CMS and misses Furniture ecommerce (match_scan on CMS → not_found → no Webflow sold).
-  let vertical = entry?.vertical ?? null;
-  let config = vertical ? getWebflowConfig(vertical) : null;
-  let existing = null;
-
-  if (entry?.webflowId && config) {
-    if (vertical === "furniture" && furnitureUsesEcommerceApi(config)) {
-      existing = await getWebflowEcommerceProductById(config.siteId, entry.webflowId, config.token);
-    } else if (config.collectionId) {
-      existing = await getWebflowItemById(entry.webflowId, config);
-    }
-  }
-  if (!existing && vertical === "furniture" && config?.token) {
-    existing = await findExistingFurnitureItem(goneId, null, null, config);
-  }
-  if (!existing && vertical === "luxury" && config?.collectionId) {
-    existing = await findExistingWebflowItem(goneId, null, null, config);
-  }
-  if (!existing) {
-    const furn = getWebflowConfig("furniture");
-    if (furn?.token && vertical !== "furniture") {
-      const e = await findExistingFurnitureItem(goneId, null, null, furn);
-      if (e) {
-        existing = e;
-        vertical = "furniture";
-        config = furn;
-      }
-    }
-  }
-  if (!existing) {
-    const lux = getWebflowConfig("luxury");
-    if (lux?.collectionId && lux?.token && vertical !== "luxury") {
-      const e = await findExistingWebflowItem(goneId, null, null, lux);
-      if (e) {
-        existing = e;
-        vertical = "luxury";
-        config = lux;
-      }
-    }
-  }
+  const { existing, vertical, config } = await locateWebflowListingForShopifyProduct(goneId, entry);
 
   if (existing) {
     webflowLog("info", {
@@ -6525,7 +6890,7 @@ async function processDisappearedShopifyProduct(goneId, cache, options = {}) {
 
 function webflowListingLooksSold(existing, vertical) {
   const fd = existing?.fieldData || {};
-  if (vertical === "furniture") {
+  if (verticalRegistry.layoutOf(vertical) === "furniture") {
     const s = fd.sold;
     return s === true || s === 1 || s === "1" || (typeof s === "string" && s.toLowerCase() === "true");
   }
@@ -6620,7 +6985,7 @@ function needsWebflowSoldRepair(existing, vertical, qty) {
 
 /** Sold furniture or luxury listing must also carry "(No Longer Available)" once in the title. */
 function needsNoLongerAvailableRepair(existing, vertical, qty) {
-  if (vertical !== "furniture" && vertical !== "luxury") return false;
+  if (!verticalRegistry.has(vertical) || !verticalRegistry.get(vertical).sold.nameSuffix) return false;
   return shopifyQtySaysSold(qty) && titleMissingNoLongerAvailableSuffix(existing);
 }
 
@@ -6669,17 +7034,14 @@ function cacheSyncMeta(product, cacheEntry, lastQty) {
   };
 }
 
-function getSoldRetentionDaysFromEnv() {
-  const raw =
-    process.env.FURNITURE_SOLD_RETENTION_DAYS?.trim() ||
-    process.env.SOLD_RETENTION_DAYS?.trim() ||
-    "3";
-  const n = parseInt(raw, 10);
-  return Math.max(1, Number.isFinite(n) ? n : 3);
+/** Furniture retention (FURNITURE_SOLD_RETENTION_DAYS / SOLD_RETENTION_DAYS); other verticals pass their id. */
+function getSoldRetentionDaysFromEnv(vertical = "furniture") {
+  return verticalRegistry.retentionDays(vertical);
 }
 
-function getSoldRetentionMs() {
-  return getSoldRetentionDaysFromEnv() * 86400000;
+function getSoldRetentionMs(vertical = "furniture") {
+  const days = getSoldRetentionDaysFromEnv(vertical);
+  return days == null ? null : days * 86400000;
 }
 
 /** Webflow DateTime fields may be ISO strings or nested objects (`date`, `value`, etc.). */
@@ -6780,9 +7142,10 @@ function getSoldRetentionAnchorMs(entity, cacheEntry, vertical) {
   return webflowEntityAnchorMs(entity);
 }
 
-/** Luxury CMS: archive (same v2 item PATCH as updates; removes from site when published). */
-async function archiveWebflowCollectionItem(collectionId, itemId, token) {
+/** Luxury CMS: archive (same v2 item PATCH as updates; removes from site when published) and drop its lux- offer. */
+async function archiveWebflowCollectionItem(collectionId, itemId, token, { shopifyProductId = null } = {}) {
   if (!collectionId || !itemId || !token) return;
+  if (interceptSyncWrite("webflow.archive", { webflowId: itemId, collectionId })) return;
   const url = `https://api.webflow.com/v2/collections/${collectionId}/items/${itemId}`;
   webflowLog("info", { event: "archive.cms_item", collectionId, itemId });
   await axios.patch(
@@ -6796,6 +7159,7 @@ async function archiveWebflowCollectionItem(collectionId, itemId, token) {
       },
     }
   );
+  if (shopifyProductId) await deleteGoogleMerchantLuxuryOffer(shopifyProductId, "webflow_archive");
 }
 
 /**
@@ -6804,8 +7168,9 @@ async function archiveWebflowCollectionItem(collectionId, itemId, token) {
  *     Luxury is not touched here — sold luxury stays in Recently Sold (CMS category + hidden).
  * (2) Ongoing: furniture sold ≥ SOLD_RETENTION_DAYS from date-sold — **delete** ecommerce product; archive only as fallback.
  *     Never skip a row because the *list* says isArchived — only GET /products/{id} decides.
+ * Removals are planned first; `guard(items)` (the sync-all circuit breaker) returning false holds all of them.
  */
-async function archiveLongSoldWebflowListings(cache) {
+async function archiveLongSoldWebflowListings(cache, { guard = null } = {}) {
   if (process.env.SOLD_RETENTION_DISABLE === "1" || process.env.SOLD_RETENTION_DISABLE === "true") {
     return { archived: 0, soldBackfillArchived: 0 };
   }
@@ -6814,8 +7179,10 @@ async function archiveLongSoldWebflowListings(cache) {
   const now = Date.now();
   let archived = 0;
   let soldBackfillArchived = 0;
-  /** Furniture Webflow product ids archived this run (in-memory index is stale until next sync). */
+  /** Furniture Webflow product ids planned for removal this run (in-memory index is stale until next sync). */
   const skipRetentionFurnitureIds = new Set();
+  /** Planned removals; run only after the guard (sync-all circuit breaker) has seen the whole list. */
+  const removals = [];
   const furnitureConfig = getWebflowConfig("furniture");
 
   const touchSoldClock = (shopifyId) => {
@@ -6892,53 +7259,37 @@ async function archiveLongSoldWebflowListings(cache) {
           continue;
         }
         if (anchorMs > cutoffEndMs) continue;
-        try {
-          await deleteWebflowEcommerceProduct(furnitureConfig.siteId, pid, furnitureConfig.token);
-          delete cache[shopifyId];
-          skipRetentionFurnitureIds.add(String(pid));
-          soldBackfillArchived++;
-          archived++;
-          webflowLog("info", {
-            event: "sold_retention.backfill_removed",
-            vertical: "furniture",
-            shopifyProductId: shopifyId,
-            webflowId: pid,
-            anchorMs,
-            message: "delete first, archive if delete unsupported",
-          });
-        } catch (err) {
-          webflowLog("error", {
-            event: "sold_retention.backfill_remove_failed",
-            vertical: "furniture",
-            shopifyProductId: shopifyId,
-            webflowId: pid,
-            message: err.message,
-          });
-        }
-      }
-    }
-
-    try {
-      fs.writeFileSync(
-        SOLD_BACKFILL_DONE_FILE,
-        JSON.stringify(
-          {
-            completedAt: new Date().toISOString(),
-            cutoffEndMs,
-            archivedInBackfill: soldBackfillArchived,
+        skipRetentionFurnitureIds.add(String(pid));
+        removals.push({
+          item: { shopifyProductId: shopifyId, webflowId: pid, vertical: "furniture", title: entityBf.fieldData?.name ?? null, reason: "sold_backfill" },
+          remove: async () => {
+            try {
+              await withDryRunScope({ shopifyProductId: shopifyId, phase: "sold_backfill" }, () =>
+                deleteWebflowEcommerceProduct(furnitureConfig.siteId, pid, furnitureConfig.token, { reason: "sold_backfill" })
+              );
+              delete cache[shopifyId];
+              soldBackfillArchived++;
+              archived++;
+              webflowLog("info", {
+                event: "sold_retention.backfill_removed",
+                vertical: "furniture",
+                shopifyProductId: shopifyId,
+                webflowId: pid,
+                anchorMs,
+                message: "delete first, archive if delete unsupported",
+              });
+            } catch (err) {
+              webflowLog("error", {
+                event: "sold_retention.backfill_remove_failed",
+                vertical: "furniture",
+                shopifyProductId: shopifyId,
+                webflowId: pid,
+                message: err.message,
+              });
+            }
           },
-          null,
-          2
-        ),
-        "utf8"
-      );
-      webflowLog("info", {
-        event: "sold_retention.backfill_marker_written",
-        path: SOLD_BACKFILL_DONE_FILE,
-        soldBackfillArchived,
-      });
-    } catch (err) {
-      webflowLog("error", { event: "sold_retention.backfill_marker_failed", message: err.message });
+        });
+      }
     }
   }
 
@@ -6974,30 +7325,114 @@ async function archiveLongSoldWebflowListings(cache) {
       }
       if (now - soldAtMs < retentionMs) continue;
 
+      removals.push({
+        item: { shopifyProductId: shopifyId, webflowId: pid, vertical: "furniture", title: entityForRetention.fieldData?.name ?? null, reason: "sold_retention" },
+        remove: async () => {
+          try {
+            await withDryRunScope({ shopifyProductId: shopifyId, phase: "sold_retention" }, () =>
+              deleteWebflowEcommerceProduct(furnitureConfig.siteId, pid, furnitureConfig.token, { reason: "sold_retention" })
+            );
+            delete cache[shopifyId];
+            archived++;
+            webflowLog("info", {
+              event: "sold_retention.removed",
+              vertical: "furniture",
+              shopifyProductId: shopifyId,
+              webflowId: pid,
+              message: "delete first, archive if delete unsupported",
+            });
+          } catch (err) {
+            webflowLog("error", {
+              event: "sold_retention.remove_failed",
+              vertical: "furniture",
+              shopifyProductId: shopifyId,
+              webflowId: pid,
+              message: err.message,
+            });
+          }
+        },
+      });
+    }
+  }
+
+  // Added (CMS) verticals with a retention policy: sold listings known to the cache, anchored on their Date sold field.
+  for (const def of verticalRegistry.list()) {
+    if (def.builtin || !def.retention) continue;
+    const config = getWebflowConfig(def.id);
+    const verticalRetentionMs = getSoldRetentionMs(def.id);
+    if (!config?.collectionId || !config?.token || verticalRetentionMs == null) continue;
+    for (const [shopifyId, entry] of Object.entries(cache)) {
+      if (entry?.vertical !== def.id || !entry.webflowId || !entry.soldMarkedAt) continue;
+      const item = await getWebflowItemById(entry.webflowId, config);
+      if (!item || !webflowListingLooksSold(item, def.id)) continue;
+      const soldAtMs =
+        parseSoldTimestampMsFromWebflowField(item.fieldData || {}, verticalRegistry.soldDateField(def.id)) ??
+        getSoldInstantMs(item, entry, def.id);
+      if (soldAtMs == null || now - soldAtMs < verticalRetentionMs) continue;
+      removals.push({
+        item: { shopifyProductId: shopifyId, webflowId: item.id, vertical: def.id, title: item.fieldData?.name ?? null, reason: "sold_retention" },
+        remove: async () => {
+          try {
+            await withDryRunScope({ shopifyProductId: shopifyId, phase: "sold_retention" }, async () => {
+              await deleteWebflowCollectionItem(config.collectionId, item.id, config.token);
+              // Luxury-layout verticals are pushed to Google as lux- offers; do not leave the offer live.
+              if (verticalRegistry.layoutOf(def.id) === "luxury") await deleteGoogleMerchantLuxuryOffer(shopifyId, "sold_retention");
+            });
+            delete cache[shopifyId];
+            archived++;
+            webflowLog("info", { event: "sold_retention.removed", vertical: def.id, shopifyProductId: shopifyId, webflowId: item.id });
+          } catch (err) {
+            webflowLog("error", {
+              event: "sold_retention.remove_failed",
+              vertical: def.id,
+              shopifyProductId: shopifyId,
+              webflowId: item.id,
+              message: err.message,
+            });
+          }
+        },
+      });
+    }
+  }
+
+  if (guard && !(await guard(removals.map((r) => r.item)))) {
+    webflowLog("warn", { event: "sold_retention.held", planned: removals.length, message: "Circuit breaker held every removal this run" });
+    return { archived, soldBackfillArchived, held: removals.length };
+  }
+  for (const removal of removals) await removal.remove();
+
+  // The backfill marker is written only once its removals have actually run (a held backfill plans again next time).
+  if (runOneTimeBackfill) {
+    const cutoffEndMs = getSoldBackfillCutoffEndMs();
+    if (isSyncDryRun()) {
+      webflowLog("info", { event: "sold_retention.backfill_marker_skipped", reason: "dry_run" });
+    } else {
       try {
-        await deleteWebflowEcommerceProduct(furnitureConfig.siteId, pid, furnitureConfig.token);
-        delete cache[shopifyId];
-        archived++;
+        fs.writeFileSync(
+          SOLD_BACKFILL_DONE_FILE,
+          JSON.stringify(
+            {
+              completedAt: new Date().toISOString(),
+              cutoffEndMs,
+              archivedInBackfill: soldBackfillArchived,
+            },
+            null,
+            2
+          ),
+          "utf8"
+        );
         webflowLog("info", {
-          event: "sold_retention.removed",
-          vertical: "furniture",
-          shopifyProductId: shopifyId,
-          webflowId: pid,
-          message: "delete first, archive if delete unsupported",
+          event: "sold_retention.backfill_marker_written",
+          path: SOLD_BACKFILL_DONE_FILE,
+          soldBackfillArchived,
         });
       } catch (err) {
-        webflowLog("error", {
-          event: "sold_retention.remove_failed",
-          vertical: "furniture",
-          shopifyProductId: shopifyId,
-          webflowId: pid,
-          message: err.message,
-        });
+        webflowLog("error", { event: "sold_retention.backfill_marker_failed", message: err.message });
       }
     }
   }
 
-  return { archived, soldBackfillArchived };
+  return { archived, soldBackfillArchived, held: 0 };
 }
 
 function firstVariantInventoryQty(product) {
@@ -7008,8 +7443,10 @@ function firstVariantInventoryQty(product) {
  * Every Webflow listing with a Shopify product id: if Shopify says 0 inventory (first variant), mark sold.
  * If that id is not in this run's product.json crawl, GET the product once — gone/archived/draft → mark sold;
  * still active with stock → skip (id was missing from crawl for another reason).
+ * Reads only: returns the planned mark-sold actions so the circuit breaker can see them before
+ * applyWebflowSoldSweep writes anything.
  */
-async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
+async function planWebflowSoldSweep(products) {
   const productById = new Map((products || []).map((p) => [String(p.id), p]));
   /** @type {{ shopifyId: string, vertical: string, existing: object }[]} */
   const jobs = [];
@@ -7035,7 +7472,7 @@ async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
 
   if (jobs.length === 0) {
     webflowLog("info", { event: "sync-all.webflow_sold_sweep", candidates: 0, markedSold: 0 });
-    return 0;
+    return [];
   }
 
   webflowLog("info", {
@@ -7045,57 +7482,21 @@ async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
   });
 
   const sweepConc = Math.min(10, Math.max(3, jobs.length));
-  let markedSold = 0;
+  /** @type {{ shopifyId: string, vertical: string, existing: object, reason: string, shopifyProduct?: object, qty?: number, shopifyStatus?: string }[]} */
+  const actions = [];
 
   for (let i = 0; i < jobs.length; i += sweepConc) {
     const chunk = jobs.slice(i, i + sweepConc);
     const results = await Promise.all(
       chunk.map(async ({ shopifyId, vertical, existing }) => {
-        const config = getWebflowConfig(vertical);
         const p = productById.get(shopifyId);
 
         if (p) {
           const qty = firstVariantInventoryQty(p);
           if (qty !== null && qty <= 0) {
-            try {
-              webflowLog("info", {
-                event: "sync-all.webflow_sold_sweep_qty_zero",
-                shopifyProductId: shopifyId,
-                webflowId: existing.id,
-                vertical,
-                qty,
-              });
-              await markAsSold(existing, vertical, config);
-              const prevEntry = getCacheEntry(cache, shopifyId) || {};
-              cache[shopifyId] = {
-                hash: shopifyHash(p),
-                contentHash: contentHashForLLM(p),
-                webflowId: existing.id,
-                lastQty: qty,
-                vertical,
-                ...cacheSyncMeta(p, prevEntry, qty),
-              };
-              webflowLog("info", {
-                event: "cache.mutated",
-                shopifyProductId: shopifyId,
-                op: "sold",
-                webflowId: existing.id,
-                vertical,
-                reason: "webflow_sold_sweep_qty_zero",
-              });
-              return 1;
-            } catch (err) {
-              webflowLog("error", {
-                event: "sync-all.webflow_sold_sweep_qty_zero_failed",
-                shopifyProductId: shopifyId,
-                webflowId: existing.id,
-                vertical,
-                message: err.message,
-              });
-              return 0;
-            }
+            return { shopifyId, vertical, existing, reason: "webflow_sold_sweep_qty_zero", shopifyProduct: p, qty };
           }
-          return 0;
+          return null;
         }
 
         const confirmed = await fetchShopifyProductStatus(shopifyId);
@@ -7107,49 +7508,19 @@ async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
             webflowId: existing.id,
             reason: "fetch_failed_or_unknown",
           });
-          return 0;
+          return null;
         }
         if (confirmed.status === "active") {
           const pq = firstVariantInventoryQty(confirmed.product);
           if (pq !== null && pq <= 0) {
-            try {
-              webflowLog("info", {
-                event: "sync-all.webflow_sold_sweep_qty_zero",
-                shopifyProductId: shopifyId,
-                webflowId: existing.id,
-                vertical,
-                qty: pq,
-                source: "shopify_fetch_one",
-              });
-              await markAsSold(existing, vertical, config);
-              const prevEntry = getCacheEntry(cache, shopifyId) || {};
-              cache[shopifyId] = {
-                hash: shopifyHash(confirmed.product),
-                contentHash: contentHashForLLM(confirmed.product),
-                webflowId: existing.id,
-                lastQty: pq,
-                vertical,
-                ...cacheSyncMeta(confirmed.product, prevEntry, pq),
-              };
-              webflowLog("info", {
-                event: "cache.mutated",
-                shopifyProductId: shopifyId,
-                op: "sold",
-                webflowId: existing.id,
-                vertical,
-                reason: "webflow_sold_sweep_qty_zero_not_in_bulk_list",
-              });
-              return 1;
-            } catch (err) {
-              webflowLog("error", {
-                event: "sync-all.webflow_sold_sweep_qty_zero_failed",
-                shopifyProductId: shopifyId,
-                webflowId: existing.id,
-                vertical,
-                message: err.message,
-              });
-              return 0;
-            }
+            return {
+              shopifyId,
+              vertical,
+              existing,
+              reason: "webflow_sold_sweep_qty_zero_not_in_bulk_list",
+              shopifyProduct: confirmed.product,
+              qty: pq,
+            };
           }
           webflowLog("info", {
             event: "sync-all.webflow_orphan_skip_still_active",
@@ -7158,7 +7529,7 @@ async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
             webflowId: existing.id,
             reason: "product_still_active_in_shopify",
           });
-          return 0;
+          return null;
         }
         if (confirmed.status !== "gone" && confirmed.status !== "archived" && confirmed.status !== "draft") {
           webflowLog("info", {
@@ -7168,15 +7539,75 @@ async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
             webflowId: existing.id,
             status: confirmed.status,
           });
-          return 0;
+          return null;
+        }
+        return { shopifyId, vertical, existing, reason: "webflow_orphan_shopify_inactive", shopifyStatus: confirmed.status };
+      })
+    );
+    for (const action of results) if (action) actions.push(action);
+  }
+  return actions;
+}
+
+/** Mark sold the listings planned by planWebflowSoldSweep. Returns how many were marked. */
+async function applyWebflowSoldSweep(actions, cache) {
+  const sweepConc = Math.min(10, Math.max(3, actions.length));
+  let markedSold = 0;
+
+  for (let i = 0; i < actions.length; i += sweepConc) {
+    const chunk = actions.slice(i, i + sweepConc);
+    const results = await Promise.all(
+      chunk.map(async ({ shopifyId, vertical, existing, reason, shopifyProduct, qty, shopifyStatus }) => {
+        const config = getWebflowConfig(vertical);
+
+        if (shopifyProduct) {
+          try {
+            webflowLog("info", {
+              event: "sync-all.webflow_sold_sweep_qty_zero",
+              shopifyProductId: shopifyId,
+              webflowId: existing.id,
+              vertical,
+              qty,
+              ...(reason === "webflow_sold_sweep_qty_zero_not_in_bulk_list" ? { source: "shopify_fetch_one" } : {}),
+            });
+            await markAsSold(existing, vertical, config);
+            const prevEntry = getCacheEntry(cache, shopifyId) || {};
+            cache[shopifyId] = {
+              hash: shopifyHash(shopifyProduct),
+              contentHash: contentHashForLLM(shopifyProduct),
+              webflowId: existing.id,
+              lastQty: qty,
+              vertical,
+              ...cacheSyncMeta(shopifyProduct, prevEntry, qty),
+            };
+            webflowLog("info", {
+              event: "cache.mutated",
+              shopifyProductId: shopifyId,
+              op: "sold",
+              webflowId: existing.id,
+              vertical,
+              reason,
+            });
+            return 1;
+          } catch (err) {
+            webflowLog("error", {
+              event: "sync-all.webflow_sold_sweep_qty_zero_failed",
+              shopifyProductId: shopifyId,
+              webflowId: existing.id,
+              vertical,
+              message: err.message,
+            });
+            return 0;
+          }
         }
+
         try {
           webflowLog("info", {
             event: "sync-all.webflow_orphan_mark_sold",
             shopifyProductId: shopifyId,
             webflowId: existing.id,
             vertical,
-            shopifyStatus: confirmed.status,
+            shopifyStatus,
           });
           await markAsSold(existing, vertical, config);
           delete cache[shopifyId];
@@ -7184,7 +7615,7 @@ async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
             event: "cache.mutated",
             shopifyProductId: shopifyId,
             op: "deleted",
-            reason: "webflow_orphan_shopify_inactive",
+            reason,
           });
           return 1;
         } catch (err) {
@@ -7202,7 +7633,7 @@ async function sweepWebflowOrphansAgainstShopifyCatalog(products, cache) {
     markedSold += results.reduce((a, b) => a + b, 0);
   }
 
-  webflowLog("info", { event: "sync-all.webflow_sold_sweep_done", candidates: jobs.length, markedSold });
+  webflowLog("info", { event: "sync-all.webflow_sold_sweep_done", candidates: actions.length, markedSold });
   return markedSold;
 }
 
@@ -7231,297 +7662,860 @@ function runSerializedByShopifyProductId(shopifyProductId, fn) {
   return next;
 }
 
-async function syncSingleProductCore(product, cache, options = {}) {
-  const shopifyProductId = String(product.id);
-  const cacheEntry = getCacheEntry(cache, shopifyProductId);
-  const ecommerceClassification = getEcommerceClassification(product);
-  const ecommerceFingerprintChanged =
-    cacheEntry?.ecommerceClassificationFingerprint !== ecommerceClassification.fingerprint;
-  const taggedTaxonomyNeedsInitialization =
-    ecommerceClassification.tagged &&
-    !ecommerceClassification.conflicts.length &&
-    ecommerceFingerprintChanged;
-  const duplicateEmailSentFor = options.duplicateEmailSentFor ?? null;
-  const shopifyWriteEmailSentFor = options.shopifyWriteEmailSentFor ?? null;
-
-  const currentHash = shopifyHash(product);
-  const currentContentHash = contentHashForLLM(product);
-  const previousContentHash = cacheEntry?.contentHash ?? null;
-  const previousHashForEarlyExit = cacheEntry?.hash ?? null;
-  const shopifyDataUnchangedForCache =
-    previousHashForEarlyExit != null &&
-    JSON.stringify(currentHash) === JSON.stringify(previousHashForEarlyExit);
-  const previousQty = cacheEntry?.lastQty ?? null;
-  const qty = getPrimaryVariantInventoryQuantity(product);
-  // Skip LLM only when classification inputs match cache (title, body, product_type, tags + taxonomy stamps), Shopify snapshot hash matches, and evidence agrees with cached vertical.
-  const nameOrDescriptionUnchanged =
-    (previousContentHash && JSON.stringify(currentContentHash) === JSON.stringify(previousContentHash)) ||
-    (cacheEntry?.webflowId && previousContentHash == null);
-  const forceReclassify = options.forceReclassify === true;
-  const createOnly = options.createOnly === true;
-  const syncTrigger =
-    options.syncTrigger ||
-    (options.fromWebhook === true ? "webhook" : "sync-all");
-  const allowVerticalSwitch = shouldAllowVerticalSwitch(product, cacheEntry, {
-    ...options,
-    syncTrigger,
-    forceReclassify,
-  });
-  const cachedVerticalForSkip = cacheEntry?.vertical ?? "luxury";
-  const manualLockForSkip = getManualEcommerceVerticalLock(product);
-  const evidenceVsCache = manualLockForSkip
-    ? { vertical: manualLockForSkip.vertical, reason: `ecommerce_lock_${manualLockForSkip.tag}` }
-    : resolveVerticalFromEvidence(product, cachedVerticalForSkip);
-  const verticalNeedsCorrection =
-    allowVerticalSwitch && evidenceVsCache.vertical !== cachedVerticalForSkip;
+/**
+ * Classifier vertical → detected vertical: evidence guards (resolveVerticalFromEvidence), the FH/LG tag, then the hard
+ * luxury / furniture / fine-art / jewelry guards. No I/O; shared by sync and the classification regression harness.
+ */
+function detectVerticalWithEvidenceGuards(product, llmDetectedVertical, { manualEcommerceLock, ecommerceVerticalTag }) {
+  const evidenceVertical = resolveVerticalFromEvidence(product, llmDetectedVertical);
+  let detectedVertical = evidenceVertical.vertical;
+  if (ecommerceVerticalTag?.vertical === "luxury") {
+    detectedVertical = "luxury";
+  } else if (ecommerceVerticalTag?.vertical === "furniture") {
+    detectedVertical = "furniture";
+  }
+  if (!manualEcommerceLock && isLockedLuxuryProduct(product)) {
+    detectedVertical = "luxury";
+  }
+  // Hard guard: wristwatches/timepieces are always Luxury (never furniture bedroom/other).
+  if (!manualEcommerceLock && productLooksLikeWristwatchLuxury(product)) {
+    detectedVertical = "luxury";
+  }
+  if (
+    !manualEcommerceLock &&
+    !productMustBeFurnitureVertical(product) &&
+    productMustBeLuxuryVertical(product) &&
+    !hasExplicitFurnitureVerticalTag(product)
+  ) {
+    detectedVertical = "luxury";
+  }
+  if (
+    !manualEcommerceLock &&
+    productMustBeFurnitureVertical(product) &&
+    !productIsLuxuryScarf(product) &&
+    !productMustStayInLuxuryVertical(product)
+  ) {
+    detectedVertical = "furniture";
+  }
+  if (!manualEcommerceLock && productIsFineArtFurnitureVertical(product) && !productIsLuxuryScarf(product)) {
+    detectedVertical = "furniture";
+  }
+  // Hard guard: jewelry cues must always live under Luxury Goods in Shopify/Webflow (never overrides books/media, boxes, or lamps).
+  if (
+    !manualEcommerceLock &&
+    !productLooksLikeBookFilmOrMedia(product) &&
+    !productLooksLikeFurnitureHomeDecorVessel(product) &&
+    !productLooksLikeLightingFixture(product) &&
+    !productLooksLikeFurnitureTrap(product) &&
+    !productLooksLikeHomeDecorTray(product) &&
+    isJewelryProduct(product?.title || "", product?.body_html || "", product)
+  ) {
+    detectedVertical = "luxury";
+  }
+  return { evidenceVertical, detectedVertical };
+}
 
-  if (ecommerceClassification.conflicts.length) {
-    webflowLog("error", {
-      event: "ecommerce_taxonomy.conflict",
+/**
+ * Place the product from the detected vertical and its cached vertical: correct a wrong cached placement, otherwise
+ * keep the cached vertical unless a hard guard (wristwatch, wearable, furniture, fine art) applies.
+ */
+function placeVerticalAfterClassifier(product, { detectedVertical, cacheEntry, manualEcommerceLock, shopifyProductId }) {
+  const correctedToLuxury =
+    !manualEcommerceLock &&
+    !productMustBeFurnitureVertical(product) &&
+    cacheEntry?.vertical === "furniture" &&
+    detectedVertical === "luxury" &&
+    !productLooksLikeFurnitureTrap(product) &&
+    !productIsFineArtFurnitureVertical(product);
+  const correctedToFurniture =
+    !manualEcommerceLock &&
+    !isLockedLuxuryProduct(product) &&
+    !productMustStayInLuxuryVertical(product) &&
+    !productIsLuxuryScarf(product) &&
+    cacheEntry?.vertical === "luxury" &&
+    detectedVertical === "furniture";
+  let vertical = correctedToLuxury
+    ? "luxury"
+    : correctedToFurniture
+      ? "furniture"
+      : productMustStayInLuxuryVertical(product)
+        ? "luxury"
+        : productMustBeFurnitureVertical(product) || productLooksLikeFurnitureTrap(product)
+          ? "furniture"
+          : (cacheEntry?.vertical ?? detectedVertical);
+  let verticalCorrected = correctedToLuxury;
+  if (!manualEcommerceLock && productLooksLikeWristwatchLuxury(product)) {
+    if (vertical !== "luxury") {
+      verticalCorrected = cacheEntry?.vertical === "furniture";
+      webflowLog("info", {
+        event: "vertical.override_wristwatch_cache",
+        shopifyProductId,
+        cacheVertical: cacheEntry?.vertical ?? null,
+        previousVertical: vertical,
+      });
+    }
+    vertical = "luxury";
+    detectedVertical = "luxury";
+  }
+  if (
+    !manualEcommerceLock &&
+    !productMustBeFurnitureVertical(product) &&
+    productMustBeLuxuryVertical(product) &&
+    !hasExplicitFurnitureVerticalTag(product)
+  ) {
+    if (vertical !== "luxury") {
+      verticalCorrected = cacheEntry?.vertical === "furniture";
+      webflowLog("info", {
+        event: "vertical.override_wearable_cache",
+        shopifyProductId,
+        productTitle: product.title || "",
+        cacheVertical: cacheEntry?.vertical ?? null,
+        previousVertical: vertical,
+      });
+    }
+    vertical = "luxury";
+    detectedVertical = "luxury";
+  }
+  if (
+    !manualEcommerceLock &&
+    productMustBeFurnitureVertical(product) &&
+    !productIsLuxuryScarf(product) &&
+    !productMustStayInLuxuryVertical(product)
+  ) {
+    if (vertical !== "furniture") {
+      verticalCorrected = cacheEntry?.vertical === "luxury";
+      webflowLog("info", {
+        event: "vertical.override_furniture_hard_guard",
+        shopifyProductId,
+        productTitle: product.title || "",
+        cacheVertical: cacheEntry?.vertical ?? null,
+        previousVertical: vertical,
+      });
+    }
+    vertical = "furniture";
+    detectedVertical = "furniture";
+  }
+  if (
+    !manualEcommerceLock &&
+    productIsFineArtFurnitureVertical(product) &&
+    !productMustStayInLuxuryVertical(product)
+  ) {
+    if (vertical !== "furniture") {
+      verticalCorrected = cacheEntry?.vertical === "luxury";
+      webflowLog("info", {
+        event: "vertical.override_fine_art_cache",
+        shopifyProductId,
+        productTitle: product.title || "",
+        cacheVertical: cacheEntry?.vertical ?? null,
+        previousVertical: vertical,
+      });
+    }
+    vertical = "furniture";
+    detectedVertical = "furniture";
+  }
+  return { vertical, detectedVertical, verticalCorrected, correctedToLuxury, correctedToFurniture };
+}
+
+/** Last vertical pass after classification or recovery: FH/LG tag and the hard guards that must win over the cache. */
+function applyFinalVerticalOverrides(product, placement, { ecommerceVerticalTag, hardFhLgLock, manualEcommerceLock, shopifyProductId }) {
+  let { vertical, detectedVertical, verticalCorrected } = placement;
+  if (!manualEcommerceLock && !ecommerceVerticalTag && productLooksLikeWristwatchLuxury(product) && vertical !== "luxury") {
+    webflowLog("info", {
+      event: "vertical.override_wristwatch_final",
       shopifyProductId,
       productTitle: product.title || "",
-      fingerprint: ecommerceClassification.fingerprint,
-      conflicts: ecommerceClassification.conflicts,
-      message: "Conflicting ecommerce tags; preserving existing taxonomy",
+      previousVertical: vertical,
     });
+    vertical = "luxury";
+    detectedVertical = "luxury";
+  }
+  if (!ecommerceVerticalTag && productLooksLikeFurnitureTrap(product) && vertical !== "furniture") {
+    webflowLog("info", {
+      event: "vertical.override_furniture_trap_final",
+      shopifyProductId,
+      productTitle: product.title || "",
+      previousVertical: vertical,
+    });
+    vertical = "furniture";
+    detectedVertical = "furniture";
+  }
+  if (!ecommerceVerticalTag && productLooksLikeFurnitureHomeGlassware(product) && vertical !== "furniture") {
+    webflowLog("info", {
+      event: "vertical.override_furniture_glassware_final",
+      shopifyProductId,
+      productTitle: product.title || "",
+      previousVertical: vertical,
+    });
+    vertical = "furniture";
+    detectedVertical = "furniture";
   }
-
-  // Do NOT lock vertical from cache when webflowId is missing and qty is 0 — wrong vertical (e.g. luxury) blocked
-  // Webflow index lookup + sold heuristic, causing skip_create_sold while the live listing stays on Furniture unpublished/sold.
-
-  let recoveredFromWebflow = null;
-
-  // Never no-touch skip when Shopify says sold out — stale cache (lastQty/hash already 0) used to skip Webflow sold repair.
-  const shopifySoldBlocksNoTouch =
-    shopifyQtySaysSold(qty) || shouldMarkSoldTransition(previousQty, qty);
-
   if (
-    WEBFLOW_STRICT_NOOP_UPDATES &&
-    !recoveredFromWebflow &&
-    nameOrDescriptionUnchanged &&
-    shopifyDataUnchangedForCache &&
-    cacheEntry?.webflowId &&
-    !verticalNeedsCorrection &&
-    !taggedTaxonomyNeedsInitialization &&
-    !forceReclassify &&
-    !shopifySoldBlocksNoTouch
+    !ecommerceVerticalTag &&
+    (productLooksLikeHomeClock(product) ||
+      productLooksLikeFurnitureCurio(product) ||
+      productLooksLikeFurnitureDoll(product)) &&
+    vertical !== "furniture"
   ) {
-    const vertical = cachedVerticalForSkip;
-    cache[shopifyProductId] = {
-      hash: currentHash,
-      contentHash: currentContentHash,
-      webflowId: cacheEntry.webflowId,
-      lastQty: qty,
-      vertical,
-      ...cacheSyncMeta(product, cacheEntry, qty),
-    };
     webflowLog("info", {
-      event: "sync_product.skip_unchanged_no_touch",
+      event: "vertical.override_furniture_home_goods_final",
       shopifyProductId,
-      productTitle: product.title,
-      webflowId: cacheEntry.webflowId,
-      vertical,
-      message: "Shopify snapshot unchanged; skipping all Webflow read/write touch",
+      productTitle: product.title || "",
+      previousVertical: vertical,
+      homeClock: productLooksLikeHomeClock(product),
+      curio: productLooksLikeFurnitureCurio(product),
+      doll: productLooksLikeFurnitureDoll(product),
     });
-    return { operation: "skip", id: cacheEntry.webflowId };
+    vertical = "furniture";
+    detectedVertical = "furniture";
+  }
+  if (
+    !ecommerceVerticalTag &&
+    vertical === "furniture" &&
+    isJewelryProduct(product?.title || "", product?.body_html || "", product) &&
+    !productLooksLikeFurnitureTrap(product) &&
+    !productLooksLikeHomeDecorTray(product) &&
+    !productLooksLikeFurnitureHomeDecorVessel(product) &&
+    !productLooksLikeLightingFixture(product) &&
+    !productLooksLikeBookFilmOrMedia(product)
+  ) {
+    webflowLog("info", {
+      event: "vertical.override_jewelry_final",
+      shopifyProductId,
+      productTitle: product.title || "",
+      previousVertical: vertical,
+      message: "Wearable jewelry in title; not Furniture & Home despite home-decor marketing copy",
+    });
+    vertical = "luxury";
+    detectedVertical = "luxury";
   }
 
   if (
-    !recoveredFromWebflow &&
-    nameOrDescriptionUnchanged &&
-    shopifyDataUnchangedForCache &&
-    cacheEntry?.webflowId &&
-    !verticalNeedsCorrection &&
-    !forceReclassify
+    productMustBeFurnitureVertical(product) &&
+    !productIsLuxuryScarf(product) &&
+    !hardFhLgLock &&
+    !productHasLuxuryEcommerceTag(product) &&
+    vertical !== "furniture"
   ) {
-    const vertical = cacheEntry.vertical ?? "luxury";
-    const config = getWebflowConfig(vertical);
-    let existing = null;
-    if (vertical === "furniture" && furnitureUsesEcommerceApi(config)) {
-      existing = await getWebflowEcommerceProductById(config.siteId, cacheEntry.webflowId, config.token);
-    } else if (config?.collectionId && config?.token) {
-      existing = await getWebflowItemById(cacheEntry.webflowId, config);
-    }
-    if (existing) {
-      if (vertical === "furniture" && furnitureUsesEcommerceApi(config) && existing.isArchived === true) {
-        const { existing: reactivated, reactivated: didUnarchive } = await reactivateArchivedFurnitureIfNeeded({
-          config,
-          existing,
-          shopifyProductId,
-          productTitle: product.title,
-          qty,
-        });
-        if (!didUnarchive) {
-          cache[shopifyProductId] = {
-            hash: currentHash,
-            contentHash: currentContentHash,
-            webflowId: existing.id,
-            lastQty: qty,
-            vertical,
-            ...cacheSyncMeta(product, cacheEntry, qty),
-          };
-          webflowLog("info", {
-            event: "sync_product.skip_unchanged_archived",
-            shopifyProductId,
-            productTitle: product.title,
-            webflowId: existing.id,
-            message: "Furniture listing is archived; no Webflow PATCH",
-          });
-          return { operation: "skip", id: existing.id };
-        }
-        existing = reactivated;
-        cache[shopifyProductId] = {
-          hash: currentHash,
-          contentHash: currentContentHash,
-          webflowId: existing.id,
-          lastQty: qty,
-          vertical,
-          ...cacheSyncMeta(product, cacheEntry, qty),
-        };
-        return { operation: "update", id: existing.id };
-      }
-      const repairSold = needsWebflowSoldRepair(existing, vertical, qty);
-      const repairNoLongerAvailable = needsNoLongerAvailableRepair(existing, vertical, qty);
-      const mustMarkSold = shouldMarkSoldTransition(previousQty, qty) || repairSold || repairNoLongerAvailable;
-      if (mustMarkSold) {
-        const fromQtyDrop =
-          !repairSold &&
-          !repairNoLongerAvailable &&
-          previousQty != null &&
-          Number(previousQty) > 0 &&
-          shopifyQtySaysSold(qty);
+    webflowLog("info", {
+      event: "vertical.override_furniture_hard_guard_final",
+      shopifyProductId,
+      productTitle: product.title || "",
+      previousVertical: vertical,
+      ecommerceTag: ecommerceVerticalTag?.tag ?? null,
+    });
+    vertical = "furniture";
+    detectedVertical = "furniture";
+    verticalCorrected = false;
+  }
+
+  if (ecommerceVerticalTag && !hardFhLgLock) {
+    const prevVertical = vertical;
+    vertical = ecommerceVerticalTag.vertical;
+    detectedVertical = ecommerceVerticalTag.vertical;
+    webflowLog("info", {
+      event: "vertical.override_ecommerce_vertical_tag",
+      shopifyProductId,
+      productTitle: product.title || "",
+      tag: ecommerceVerticalTag.tag,
+      previousVertical: prevVertical,
+      vertical: ecommerceVerticalTag.vertical,
+      message:
+        ecommerceVerticalTag.tag === ECOMMERCE_VERTICAL_TAG_FURNITURE
+          ? "Tag FH forces Furniture & Home"
+          : "Tag LG forces Luxury Goods",
+    });
+  }
+
+  return { vertical, detectedVertical, verticalCorrected };
+}
+
+/**
+ * classifyWithLLM through the LLM decision cache: unchanged classification text, prompt version and model return
+ * the stored answer without an OpenAI call. Fallback answers (logPayload.fallback: no API key, daily budget used up,
+ * failed request, unparseable reply) are not stored; dry runs and write: false (/classify/explain) read the cache but
+ * never write it.
+ */
+async function classifyWithLLMCached(product, logPayload = {}, logFn = webflowLog, { write = true } = {}) {
+  const ref = {
+    productId: product?.id,
+    kind: "vertical",
+    model: llmDecisionCacheModel(getVerticalClassifierModel()),
+    promptVersion: VERTICAL_PROMPT_VERSION,
+    content: contentHashForLLM(product),
+  };
+  const hit = llmDecisionCache.get(ref);
+  if (hit) {
+    logPayload.final = hit.result;
+    logPayload.cache = { hit: true, cachedAt: hit.cachedAt };
+    return hit.result;
+  }
+  const result = await classifyWithLLM(product, logPayload, logFn);
+  if (write && !logPayload.fallback && !isSyncDryRun()) llmDecisionCache.set(ref, result);
+  return result;
+}
+
+/** classifyCategoryWithLLM through the LLM decision cache (keyed per vertical); null answers are not stored. */
+async function classifyCategoryWithLLMCached(product, vertical, logPayload = {}, logFn = webflowLog, { write = true } = {}) {
+  const ref = {
+    productId: product?.id,
+    kind: `category:${vertical}`,
+    model: llmDecisionCacheModel(getCategoryClassifierModel()),
+    promptVersion: CATEGORY_PROMPT_VERSION,
+    content: contentHashForLLM(product),
+  };
+  const hit = llmDecisionCache.get(ref);
+  if (hit) {
+    logPayload.cache = { hit: true, cachedAt: hit.cachedAt };
+    return hit.result;
+  }
+  const result = await classifyCategoryWithLLM(product, vertical, logPayload, logFn);
+  if (write && result && !logPayload.error && !isSyncDryRun()) llmDecisionCache.set(ref, result);
+  return result;
+}
+
+function getCategoryConfidenceThreshold() {
+  const raw = parseFloat(process.env.LLM_CATEGORY_CONFIDENCE_THRESHOLD ?? "0.8");
+  return Number.isFinite(raw) ? Math.min(1, Math.max(0, raw)) : 0.8;
+}
+
+/**
+ * Category for a luxury/furniture product on the classifier path (manual category tags, keyword evidence, LLM
+ * below the confidence threshold, then the jewelry/accessory/belt post-rules). The sync core applies the
+ * wristwatch and ecommerce-tag authoritative overrides on top.
+ */
+async function resolveCategoryForVertical(
+  product,
+  vertical,
+  {
+    name,
+    description,
+    productTags,
+    dimensions,
+    soldNow = false,
+    shopifyProductId = null,
+    confidenceThreshold: categoryConfidenceThreshold,
+    classifyCategory = classifyCategoryWithLLMCached,
+  }
+) {
+  const furnitureCategoryManualOverride = vertical === "furniture"
+    ? getFurnitureCategoryManualOverride(productTags, product)
+    : null;
+  const luxuryEcommerceOverride = vertical === "luxury"
+    ? getLuxuryCategoryOverrideFromEcommerceTags(productTags)
+    : null;
+  let categoryForMetafield;
+  if (vertical === "furniture") {
+    if (isWristwatchProduct(name, description, product)) {
+      categoryForMetafield = "Accessories";
+      webflowLog("warn", {
+        event: "furniture_category.blocked_wristwatch",
+        shopifyProductId,
+        message: "Wristwatch must not use furniture category; forcing Accessories",
+      });
+    } else if (furnitureCategoryManualOverride) {
+      categoryForMetafield = furnitureCategoryManualOverride.category;
+      webflowLog("info", {
+        event: "furniture_category.override_tag",
+        shopifyProductId,
+        letter: furnitureCategoryManualOverride.letter,
+        source: furnitureCategoryManualOverride.source,
+        resolved: categoryForMetafield,
+      });
+    } else {
+      const evidence = detectCategoryFurnitureEvidence(name, description, productTags, dimensions);
+      let resolved = evidence.category;
+      if (evidence.confidence < categoryConfidenceThreshold) {
+        const llmPayload = {};
+        const llmCategory = await classifyCategory(product, "furniture", llmPayload, webflowLog);
+        if (llmCategory?.category) resolved = llmCategory.category;
         webflowLog("info", {
-          event: repairSold || repairNoLongerAvailable ? "sync_product.repair_sold" : "sync_product.newly_sold",
+          event: "furniture_category.subcategory",
           shopifyProductId,
-          productTitle: product.title,
-          webflowId: existing.id,
-          vertical,
-          previousQty,
-          currentQty: qty,
-          ...(fromQtyDrop ? { reason: "inventory_1_to_0_or_in_stock_to_sold" } : {}),
+          evidenceConfidence: evidence.confidence,
+          evidenceReason: evidence.reason,
+          threshold: categoryConfidenceThreshold,
+          bestScore: evidence.bestScore,
+          secondBest: evidence.secondBest,
+          usedLlm: true,
+          resolved,
         });
-        await markAsSold(existing, vertical, config);
-        cache[shopifyProductId] = {
-          hash: currentHash,
-          contentHash: currentContentHash,
-          webflowId: existing.id,
-          lastQty: qty,
-          vertical,
-          ...cacheSyncMeta(product, cacheEntry, qty),
-        };
-        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "sold", webflowId: existing.id, vertical });
-        return { operation: "sold", id: existing.id };
-      }
-      // Already sold in Webflow + Shopify qty 0, but we never PATCH date-sold (e.g. manual SOLD toggle or pre–date-sold deploy) → retention sees no clock; fix without full LLM/write.
-      if (
-        vertical === "furniture" &&
-        webflowListingLooksSold(existing, "furniture") &&
-        shopifyQtySaysSold(qty)
-      ) {
-        const furnSlug = getFurnitureSoldSinceFieldSlug();
-        if (parseSoldTimestampMsFromWebflowField(existing.fieldData || {}, furnSlug) == null) {
-          webflowLog("info", {
-            event: "sync_product.skip_unchanged.patch_missing_date_sold",
-            shopifyProductId,
-            productTitle: product.title,
-            webflowId: existing.id,
-            message: "Sold in Webflow but date-sold empty; patching for retention",
-          });
-          await markAsSold(existing, vertical, config);
-          cache[shopifyProductId] = {
-            hash: currentHash,
-            contentHash: currentContentHash,
-            webflowId: existing.id,
-            lastQty: qty,
-            vertical,
-            ...cacheSyncMeta(product, cacheEntry, qty),
-          };
-          return { operation: "update", id: existing.id };
-        }
-      }
-      if (vertical === "furniture" && furnitureUsesEcommerceApi(config) && furnitureEcommerceNeedsImageRepairFromShopify(product, existing)) {
+      } else {
         webflowLog("info", {
-          event: "sync_product.skip_unchanged.repair_missing_images",
+          event: "furniture_category.subcategory",
           shopifyProductId,
-          productTitle: product.title,
-          webflowId: existing.id,
-          message: "Shopify has images but Webflow SKU has none; forcing SKU sync",
+          evidenceConfidence: evidence.confidence,
+          evidenceReason: evidence.reason,
+          threshold: categoryConfidenceThreshold,
+          bestScore: evidence.bestScore,
+          secondBest: evidence.secondBest,
+          usedLlm: false,
+          resolved,
         });
-        try {
-          await syncFurnitureEcommerceSku(product, existing.id, config);
-        } catch (err) {
-          webflowLog("error", {
-            event: "sync_product.skip_unchanged.repair_missing_images_failed",
-            shopifyProductId,
-            webflowId: existing.id,
-            message: err?.message ?? String(err),
-          });
-          throw err;
-        }
-        cache[shopifyProductId] = {
-          hash: currentHash,
-          contentHash: currentContentHash,
-          webflowId: existing.id,
-          lastQty: qty,
-          vertical,
-          ...cacheSyncMeta(product, cacheEntry, qty),
-        };
-        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
-        return { operation: "update", id: existing.id };
       }
-      if (
-        vertical === "furniture" &&
-        furnitureUsesCmsProducts(config) &&
-        (await furnitureCmsNeedsSkuImageRepairFromShopify(product, existing, config))
-      ) {
+      resolved = applyFurnitureSubcategoryPostOverrides({
+        name,
+        description,
+        productTags,
+        product,
+        resolved,
+      });
+      categoryForMetafield = mapFurnitureCategoryForShopify(resolved);
+    }
+  } else {
+    if (soldNow) {
+      categoryForMetafield = "Recently Sold";
+    } else if (isWristwatchProduct(name, description, product)) {
+      categoryForMetafield = "Accessories";
+      webflowLog("info", {
+        event: "luxury_category.override_wristwatch",
+        shopifyProductId,
+        resolved: categoryForMetafield,
+      });
+    } else {
+      if (luxuryEcommerceOverride) {
+        categoryForMetafield = luxuryEcommerceOverride.category;
         webflowLog("info", {
-          event: "sync_product.skip_unchanged.repair_missing_images",
+          event: "luxury_category.override_tag",
           shopifyProductId,
-          productTitle: product.title,
-          webflowId: existing.id,
-          message: "Shopify has images but Furniture CMS SKU has none; forcing SKU sync",
+          letter: luxuryEcommerceOverride.letter,
+          resolved: categoryForMetafield,
         });
-        try {
-          await syncFurnitureSku(product, existing.id, config);
-        } catch (err) {
-          webflowLog("error", {
-            event: "sync_product.skip_unchanged.repair_missing_images_failed",
+      } else {
+        const luxuryEvidence = detectLuxuryCategoryEvidence(name, description, product);
+        let resolvedLux = luxuryEvidence.category;
+        const needLuxuryLlm =
+          luxuryEvidence.confidence < categoryConfidenceThreshold || luxuryEvidence.category == null;
+
+        if (needLuxuryLlm) {
+          const llmPayload = {};
+          const llmCategory = await classifyCategory(product, "luxury", llmPayload, webflowLog);
+          if (llmCategory?.category) {
+            resolvedLux = llmCategory.category;
+          } else if (!resolvedLux) {
+            if (isShoeProduct(name, description)) resolvedLux = "Other ";
+            else resolvedLux = detectLuxuryCategoryFromTitle(name, description, product) ?? "Other ";
+          }
+          webflowLog("info", {
+            event: "luxury_category.subcategory",
             shopifyProductId,
-            webflowId: existing.id,
-            message: err?.message ?? String(err),
+            evidenceConfidence: luxuryEvidence.confidence,
+            evidenceReason: luxuryEvidence.reason,
+            threshold: categoryConfidenceThreshold,
+            usedLlm: true,
+            resolved: resolvedLux,
+          });
+        } else {
+          webflowLog("info", {
+            event: "luxury_category.subcategory",
+            shopifyProductId,
+            evidenceConfidence: luxuryEvidence.confidence,
+            evidenceReason: luxuryEvidence.reason,
+            threshold: categoryConfidenceThreshold,
+            usedLlm: false,
+            resolved: resolvedLux,
           });
-          throw err;
         }
-        cache[shopifyProductId] = {
-          hash: currentHash,
-          contentHash: currentContentHash,
-          webflowId: existing.id,
-          lastQty: qty,
-          vertical,
-          ...cacheSyncMeta(product, cacheEntry, qty),
-        };
-        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
-        return { operation: "update", id: existing.id };
-      }
-      if (vertical === "luxury" && config?.collectionId && luxuryCmsNeedsImageRepairFromShopify(product, existing)) {
-        webflowLog("info", {
-          event: "sync_product.skip_unchanged.repair_missing_images",
+
+        categoryForMetafield = mapCategoryForShopify(resolvedLux);
+        if (
+          isJewelryProduct(name, description, product) &&
+          !isBagOrAgendaProduct(name, description) &&
+          !isShoeProduct(name, description)
+        ) {
+          categoryForMetafield = detectLuxuryJewelrySubcategory(name, description, product) ?? "Other Jewelry";
+        }
+        else if (isAccessoryProduct(name, description) && !isBagOrAgendaProduct(name, description)) categoryForMetafield = "Accessories";
+        if (isBeltProduct(name, description)) categoryForMetafield = "Belts";
+        if (categoryForMetafield === "Accessories" && isBagOrAgendaProduct(name, description)) {
+          const fromTitle = detectLuxuryCategoryFromTitle(name, description, product);
+          categoryForMetafield = fromTitle ?? "Other ";
+        }
+      }
+    }
+  }
+  return categoryForMetafield;
+}
+
+/**
+ * Classification of a fresh product (no cache, no Webflow placement) — the vertical cascade and category rules of
+ * syncSingleProductCore with the LLM calls injected. Used by the golden-dataset regression harness
+ * (scripts/classification-harness.mjs, LLMs stubbed) and /classify/explain (real LLMs); nothing here writes to
+ * Shopify, Webflow or the cache.
+ * @param {object} product  Shopify REST product payload
+ * @param {{
+ *   classifyVertical?: (product) => Promise<{ category: "LUXURY" | "HOME_INTERIOR" }>,
+ *   classifyCategory?: (product, vertical, logPayload, logFn) => Promise<{ category: string } | null>,
+ * }} [stubs]
+ * @returns {Promise<{
+ *   vertical: string, category: string | null, department: string, reason: string,
+ *   lock: object | null, llmVertical: string | null, evidence: object | null, guardedVertical: string | null,
+ *   claim: object | null, authoritativeCategory: string | null,
+ * }>}
+ */
+export async function classifyProductDecision(product, { classifyVertical, classifyCategory } = {}) {
+  const productTags = getProductTagsArray(product);
+  const ecommerceVerticalTag = getEcommerceVerticalOverrideFromTags(productTags);
+  const hardFhLgLock = getHardFhLgVerticalLock(product);
+  let manualEcommerceLock = hardFhLgLock;
+  let vertical, detectedVertical, verticalCorrected;
+  let reason;
+  let llmDetectedVertical = null;
+  let guarded = null;
+
+  if (hardFhLgLock) {
+    vertical = hardFhLgLock.vertical;
+    detectedVertical = vertical;
+    verticalCorrected = false;
+    reason = "hard_ecommerce_vertical_tag";
+  } else {
+    manualEcommerceLock = getManualEcommerceVerticalLock(product);
+    if (manualEcommerceLock) {
+      vertical = manualEcommerceLock.vertical;
+      detectedVertical = vertical;
+      verticalCorrected = false;
+      reason = manualEcommerceLock.source;
+    } else {
+      // Same fallback as classifyWithLLM without an API key.
+      const llmResult = classifyVertical ? await classifyVertical(product) : { category: "HOME_INTERIOR" };
+      llmDetectedVertical = llmResult?.category === "LUXURY" ? "luxury" : "furniture";
+      guarded = detectVerticalWithEvidenceGuards(product, llmDetectedVertical, { manualEcommerceLock, ecommerceVerticalTag });
+      ({ vertical, detectedVertical, verticalCorrected } = placeVerticalAfterClassifier(product, {
+        detectedVertical: guarded.detectedVertical,
+        cacheEntry: null,
+        manualEcommerceLock,
+        shopifyProductId: product.id ?? null,
+      }));
+      reason = guarded.evidenceVertical.reason;
+    }
+    const beforeFinal = vertical;
+    ({ vertical, detectedVertical, verticalCorrected } = applyFinalVerticalOverrides(
+      product,
+      { vertical, detectedVertical, verticalCorrected },
+      { ecommerceVerticalTag, hardFhLgLock, manualEcommerceLock, shopifyProductId: product.id ?? null }
+    ));
+    if (vertical === "luxury" && productMustBeFurnitureVertical(product) && !productIsLuxuryScarf(product)) {
+      vertical = "furniture";
+    }
+    if (vertical !== beforeFinal) reason = "final_override";
+  }
+
+  const claim = hardFhLgLock ? null : verticalRegistry.claim(product, { tags: productTags });
+  const verticalId = claim?.vertical ?? vertical;
+  if (claim) {
+    vertical = verticalRegistry.layoutOf(verticalId);
+    reason = claim.reason;
+  }
+
+  const name = product.title;
+  const description = product.body_html;
+  let category;
+  if (!verticalRegistry.isBuiltin(verticalId)) {
+    category = await verticalRegistry.classifyCategory(verticalId, product, {
+      dimensions: getDimensionsFromProduct(product),
+      tags: productTags,
+      confidenceThreshold: getCategoryConfidenceThreshold(),
+      log: webflowLog,
+    });
+  } else {
+    category = await resolveCategoryForVertical(product, vertical, {
+      name,
+      description,
+      productTags,
+      dimensions: getDimensionsFromProduct(product),
+      shopifyProductId: product.id ?? null,
+      confidenceThreshold: getCategoryConfidenceThreshold(),
+      classifyCategory: classifyCategory ?? (async () => null),
+    });
+  }
+  if (isWristwatchProduct(name, description, product)) category = "Accessories";
+  const ecommerceClassification = getEcommerceClassification(product);
+  const authoritativeCategory = !verticalRegistry.isBuiltin(verticalId)
+    ? null
+    : vertical === "furniture"
+      ? getFurnitureCategoryOverrideFromEcommerceTags(productTags)?.category
+      : getLuxuryCategoryOverrideFromEcommerceTags(productTags)?.category;
+  const authoritative =
+    ecommerceClassification.tagged && !ecommerceClassification.conflicts.length && authoritativeCategory;
+  if (authoritative) category = authoritativeCategory;
+
+  return {
+    vertical: verticalId,
+    category: category ?? null,
+    department: verticalRegistry.department(verticalId),
+    reason,
+    lock: manualEcommerceLock,
+    llmVertical: llmDetectedVertical,
+    evidence: guarded?.evidenceVertical ?? null,
+    guardedVertical: guarded?.detectedVertical ?? null,
+    claim,
+    authoritativeCategory: authoritative ? authoritativeCategory : null,
+  };
+}
+
+/** Rule predicates behind the vertical/category cascade, evaluated on their own for /classify/explain. */
+const CLASSIFICATION_EXPLAIN_RULES = [
+  ["hard_fh_lg_lock", (p) => getHardFhLgVerticalLock(p)],
+  ["manual_ecommerce_lock", (p) => getManualEcommerceVerticalLock(p)],
+  ["ecommerce_vertical_tag", (p, t) => getEcommerceVerticalOverrideFromTags(t)],
+  ["explicit_furniture_vertical_tag", (p) => hasExplicitFurnitureVerticalTag(p)],
+  ["furniture_accessories_category_tag", (p) => productHasFurnitureAccessoriesCategoryTag(p)],
+  ["added_vertical_claim", (p, t) => verticalRegistry.claim(p, { tags: t })],
+  ["luxury_scarf", (p) => productIsLuxuryScarf(p)],
+  ["wearable_jewelry_title", (p) => productTitleLooksLikeWearableJewelry(p)],
+  ["wearable_jewelry_pendant", (p) => productIsWearableJewelryPendant(p)],
+  ["fine_art_furniture", (p) => productIsFineArtFurnitureVertical(p)],
+  ["must_stay_luxury", (p) => productMustStayInLuxuryVertical(p)],
+  ["must_be_luxury", (p) => productMustBeLuxuryVertical(p)],
+  ["locked_luxury", (p) => isLockedLuxuryProduct(p)],
+  ["must_be_furniture", (p) => productMustBeFurnitureVertical(p)],
+  ["furniture_trap", (p) => productLooksLikeFurnitureTrap(p)],
+  ["furniture_curio", (p) => productLooksLikeFurnitureCurio(p)],
+  ["furniture_doll", (p) => productLooksLikeFurnitureDoll(p)],
+  ["oversize_dimensions", (p) => productDimensionsForceFurniture(p)],
+  ["home_decor_vessel", (p) => productLooksLikeFurnitureHomeDecorVessel(p)],
+  ["home_decor_tray", (p) => productLooksLikeHomeDecorTray(p)],
+  ["lighting_fixture", (p) => productLooksLikeLightingFixture(p)],
+  ["book_film_media", (p) => productLooksLikeBookFilmOrMedia(p)],
+  ["wristwatch", (p) => productLooksLikeWristwatchLuxury(p)],
+  ["jewelry", (p) => isJewelryProduct(p.title || "", p.body_html || "", p)],
+  ["hard_signal_ambiguity", (p) => verticalHardSignalAmbiguity(p)],
+  ["furniture_category_manual_tag", (p, t) => getFurnitureCategoryManualOverride(t, p)],
+  ["furniture_category_ecommerce_tag", (p, t) => getFurnitureCategoryOverrideFromEcommerceTags(t)],
+  ["luxury_category_ecommerce_tag", (p, t) => getLuxuryCategoryOverrideFromEcommerceTags(t)],
+  ["furniture_accessory_title", (p) => furnitureAccessoryCategoryOverrideTitle(p.title || "")],
+];
+
+/**
+ * Why is this product in this vertical/category? Runs the full decision (tag locks, evidence, vertical LLM with its
+ * vision/second-pass audit, category evidence + LLM, post-overrides) and returns every rule that fired with its
+ * inputs. Read-only: no Shopify / Webflow / Google writes and no sync or LLM decision cache update (cached LLM
+ * answers are read; the LLM calls are the only other I/O).
+ * @param {object} product  Shopify REST product payload
+ * @param {{ cacheEntry?: object | null }} [options]  cache row of a synced product, to report its current placement
+ */
+async function explainProductClassification(product, { cacheEntry = null } = {}) {
+  const tags = getProductTagsArray(product);
+  const rules = [];
+  const notFired = [];
+  for (const [rule, check] of CLASSIFICATION_EXPLAIN_RULES) {
+    let value;
+    try {
+      value = check(product, tags);
+    } catch (err) {
+      value = { error: err?.message ?? String(err) };
+    }
+    if (value) rules.push(value === true ? { rule } : { rule, detail: value });
+    else notFired.push(rule);
+  }
+
+  const llm = { vertical: null, category: null };
+  const { result: decision, steps } = await runWithDecisionTrace(() =>
+    classifyProductDecision(product, {
+      classifyVertical: async (p) => {
+        const audit = {};
+        const result = await classifyWithLLMCached(p, audit, webflowLog, { write: false });
+        llm.vertical = { result, audit };
+        return result;
+      },
+      classifyCategory: async (p, vertical, audit = {}, logFn = webflowLog) => {
+        const result = await classifyCategoryWithLLMCached(p, vertical, audit, logFn, { write: false });
+        llm.category = { vertical, result, audit };
+        return result;
+      },
+    })
+  );
+
+  const name = product.title || "";
+  const description = product.body_html || "";
+  const layout = verticalRegistry.layoutOf(decision.vertical);
+  const categoryEvidence = !verticalRegistry.isBuiltin(decision.vertical)
+    ? null
+    : layout === "furniture"
+      ? detectCategoryFurnitureEvidence(name, description, tags, getDimensionsFromProduct(product))
+      : detectLuxuryCategoryEvidence(name, description, product);
+  const placedVertical = getExistingPlacedVertical(product, cacheEntry);
+
+  return {
+    shopifyProductId: product.id != null ? String(product.id) : null,
+    inputs: {
+      title: name,
+      vendor: product.vendor ?? null,
+      productType: product.product_type ?? null,
+      tags,
+      descriptionChars: stripListingDescriptionHtml(description).length,
+      dimensions: getDimensionsFromProduct(product),
+      ecommerceClassification: getEcommerceClassification(product),
+    },
+    rules,
+    notFired,
+    evidence: {
+      vertical: decision.evidence,
+      guardedVertical: decision.guardedVertical,
+      category: categoryEvidence,
+      categoryConfidenceThreshold: getCategoryConfidenceThreshold(),
+    },
+    llm,
+    steps,
+    placement: {
+      cachedVertical: cacheEntry?.vertical ?? null,
+      cachedCategory: cacheEntry?.resolvedCategory ?? null,
+      placedVertical: placedVertical?.vertical ?? null,
+      placementSource: placedVertical?.source ?? null,
+      // /sync-all keeps an already-placed product in its vertical unless FH/LG locks it elsewhere.
+      keptOnSyncAll: Boolean(placedVertical) && !getHardFhLgVerticalLock(product),
+    },
+    decision: {
+      vertical: decision.vertical,
+      department: decision.department,
+      category: decision.category,
+      reason: decision.reason,
+      lock: decision.lock,
+      llmVertical: decision.llmVertical,
+      claim: decision.claim,
+      authoritativeCategory: decision.authoritativeCategory,
+    },
+  };
+}
+
+async function syncSingleProductCore(product, cache, options = {}) {
+  const shopifyProductId = String(product.id);
+  const cacheEntry = getCacheEntry(cache, shopifyProductId);
+  const ecommerceClassification = getEcommerceClassification(product);
+  const ecommerceFingerprintChanged =
+    cacheEntry?.ecommerceClassificationFingerprint !== ecommerceClassification.fingerprint;
+  const taggedTaxonomyNeedsInitialization =
+    ecommerceClassification.tagged &&
+    !ecommerceClassification.conflicts.length &&
+    ecommerceFingerprintChanged;
+  const duplicateEmailSentFor = options.duplicateEmailSentFor ?? null;
+  const shopifyWriteEmailSentFor = options.shopifyWriteEmailSentFor ?? null;
+
+  const currentHash = shopifyHash(product);
+  const currentContentHash = contentHashForLLM(product);
+  const previousContentHash = cacheEntry?.contentHash ?? null;
+  const previousHashForEarlyExit = cacheEntry?.hash ?? null;
+  const shopifyDataUnchangedForCache =
+    previousHashForEarlyExit != null &&
+    JSON.stringify(currentHash) === JSON.stringify(previousHashForEarlyExit);
+  const previousQty = cacheEntry?.lastQty ?? null;
+  const qty = getPrimaryVariantInventoryQuantity(product);
+  // Skip LLM only when classification inputs match cache (title, body, product_type, tags + taxonomy stamps), Shopify snapshot hash matches, and evidence agrees with cached vertical.
+  const nameOrDescriptionUnchanged =
+    (previousContentHash && JSON.stringify(currentContentHash) === JSON.stringify(previousContentHash)) ||
+    (cacheEntry?.webflowId && previousContentHash == null);
+  const forceReclassify = options.forceReclassify === true;
+  const createOnly = options.createOnly === true;
+  const syncTrigger =
+    options.syncTrigger ||
+    (options.fromWebhook === true ? "webhook" : "sync-all");
+  const allowVerticalSwitch = shouldAllowVerticalSwitch(product, cacheEntry, {
+    ...options,
+    syncTrigger,
+    forceReclassify,
+  });
+  const cachedVerticalForSkip = cacheEntry?.vertical ?? "luxury";
+  const manualLockForSkip = getManualEcommerceVerticalLock(product);
+  const evidenceVsCache = manualLockForSkip
+    ? { vertical: manualLockForSkip.vertical, reason: `ecommerce_lock_${manualLockForSkip.tag}` }
+    : resolveVerticalFromEvidence(product, cachedVerticalForSkip);
+  const verticalNeedsCorrection =
+    allowVerticalSwitch && evidenceVsCache.vertical !== cachedVerticalForSkip;
+
+  if (ecommerceClassification.conflicts.length) {
+    webflowLog("error", {
+      event: "ecommerce_taxonomy.conflict",
+      shopifyProductId,
+      productTitle: product.title || "",
+      fingerprint: ecommerceClassification.fingerprint,
+      conflicts: ecommerceClassification.conflicts,
+      message: "Conflicting ecommerce tags; preserving existing taxonomy",
+    });
+  }
+
+  // Do NOT lock vertical from cache when webflowId is missing and qty is 0 — wrong vertical (e.g. luxury) blocked
+  // Webflow index lookup + sold heuristic, causing skip_create_sold while the live listing stays on Furniture unpublished/sold.
+
+  let recoveredFromWebflow = null;
+
+  // Never no-touch skip when Shopify says sold out — stale cache (lastQty/hash already 0) used to skip Webflow sold repair.
+  const shopifySoldBlocksNoTouch =
+    shopifyQtySaysSold(qty) || shouldMarkSoldTransition(previousQty, qty);
+
+  if (
+    WEBFLOW_STRICT_NOOP_UPDATES &&
+    !recoveredFromWebflow &&
+    nameOrDescriptionUnchanged &&
+    shopifyDataUnchangedForCache &&
+    cacheEntry?.webflowId &&
+    !verticalNeedsCorrection &&
+    !taggedTaxonomyNeedsInitialization &&
+    !forceReclassify &&
+    !shopifySoldBlocksNoTouch
+  ) {
+    const vertical = cachedVerticalForSkip;
+    cache[shopifyProductId] = {
+      hash: currentHash,
+      contentHash: currentContentHash,
+      webflowId: cacheEntry.webflowId,
+      lastQty: qty,
+      vertical,
+      ...cacheSyncMeta(product, cacheEntry, qty),
+    };
+    webflowLog("info", {
+      event: "sync_product.skip_unchanged_no_touch",
+      shopifyProductId,
+      productTitle: product.title,
+      webflowId: cacheEntry.webflowId,
+      vertical,
+      message: "Shopify snapshot unchanged; skipping all Webflow read/write touch",
+    });
+    return { operation: "skip", id: cacheEntry.webflowId };
+  }
+
+  if (
+    !recoveredFromWebflow &&
+    nameOrDescriptionUnchanged &&
+    shopifyDataUnchangedForCache &&
+    cacheEntry?.webflowId &&
+    !verticalNeedsCorrection &&
+    !forceReclassify
+  ) {
+    const vertical = cacheEntry.vertical ?? "luxury";
+    const config = getWebflowConfig(vertical);
+    let existing = null;
+    if (vertical === "furniture" && furnitureUsesEcommerceApi(config)) {
+      existing = await getWebflowEcommerceProductById(config.siteId, cacheEntry.webflowId, config.token);
+    } else if (config?.collectionId && config?.token) {
+      existing = await getWebflowItemById(cacheEntry.webflowId, config);
+    }
+    if (existing) {
+      if (vertical === "furniture" && furnitureUsesEcommerceApi(config) && existing.isArchived === true) {
+        const { existing: reactivated, reactivated: didUnarchive } = await reactivateArchivedFurnitureIfNeeded({
+          config,
+          existing,
           shopifyProductId,
           productTitle: product.title,
-          webflowId: existing.id,
-          message: "Shopify has images but Luxury CMS has none; patching images",
+          qty,
         });
-        try {
-          await patchLuxuryCmsImagesFromShopify(product, existing, config);
-        } catch (err) {
-          webflowLog("error", {
-            event: "sync_product.skip_unchanged.repair_missing_images_failed",
+        if (!didUnarchive) {
+          cache[shopifyProductId] = {
+            hash: currentHash,
+            contentHash: currentContentHash,
+            webflowId: existing.id,
+            lastQty: qty,
+            vertical,
+            ...cacheSyncMeta(product, cacheEntry, qty),
+          };
+          webflowLog("info", {
+            event: "sync_product.skip_unchanged_archived",
             shopifyProductId,
+            productTitle: product.title,
             webflowId: existing.id,
-            message: err?.message ?? String(err),
+            message: "Furniture listing is archived; no Webflow PATCH",
           });
-          throw err;
+          return { operation: "skip", id: existing.id };
         }
+        existing = reactivated;
         cache[shopifyProductId] = {
           hash: currentHash,
           contentHash: currentContentHash,
@@ -7530,10 +8524,29 @@ async function syncSingleProductCore(product, cache, options = {}) {
           vertical,
           ...cacheSyncMeta(product, cacheEntry, qty),
         };
-        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
         return { operation: "update", id: existing.id };
       }
-      if (await repairFurnitureEcommerceSkuPriceIfNeeded(product, existing, config, "sync_product.skip_unchanged.repair_sku_price")) {
+      const repairSold = needsWebflowSoldRepair(existing, vertical, qty);
+      const repairNoLongerAvailable = needsNoLongerAvailableRepair(existing, vertical, qty);
+      const mustMarkSold = shouldMarkSoldTransition(previousQty, qty) || repairSold || repairNoLongerAvailable;
+      if (mustMarkSold) {
+        const fromQtyDrop =
+          !repairSold &&
+          !repairNoLongerAvailable &&
+          previousQty != null &&
+          Number(previousQty) > 0 &&
+          shopifyQtySaysSold(qty);
+        webflowLog("info", {
+          event: repairSold || repairNoLongerAvailable ? "sync_product.repair_sold" : "sync_product.newly_sold",
+          shopifyProductId,
+          productTitle: product.title,
+          webflowId: existing.id,
+          vertical,
+          previousQty,
+          currentQty: qty,
+          ...(fromQtyDrop ? { reason: "inventory_1_to_0_or_in_stock_to_sold" } : {}),
+        });
+        await markAsSold(existing, vertical, config);
         cache[shopifyProductId] = {
           hash: currentHash,
           contentHash: currentContentHash,
@@ -7542,20 +8555,153 @@ async function syncSingleProductCore(product, cache, options = {}) {
           vertical,
           ...cacheSyncMeta(product, cacheEntry, qty),
         };
-        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_sku_price", webflowId: existing.id, vertical });
-        return { operation: "update", id: existing.id };
+        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "sold", webflowId: existing.id, vertical });
+        return { operation: "sold", id: existing.id };
       }
-      cache[shopifyProductId] = {
-        hash: currentHash,
-        contentHash: currentContentHash,
-        webflowId: existing.id,
-        lastQty: qty,
-        vertical,
-        ...cacheSyncMeta(product, cacheEntry, qty),
-      };
-      webflowLog("info", { event: "sync_product.skip_unchanged", shopifyProductId, productTitle: product.title, webflowId: existing.id, message: "Name/description/shopify snapshot unchanged; skipped LLM and write" });
-      return { operation: "skip", id: existing.id };
-    }
+      // Already sold in Webflow + Shopify qty 0, but we never PATCH date-sold (e.g. manual SOLD toggle or pre–date-sold deploy) → retention sees no clock; fix without full LLM/write.
+      if (
+        vertical === "furniture" &&
+        webflowListingLooksSold(existing, "furniture") &&
+        shopifyQtySaysSold(qty)
+      ) {
+        const furnSlug = getFurnitureSoldSinceFieldSlug();
+        if (parseSoldTimestampMsFromWebflowField(existing.fieldData || {}, furnSlug) == null) {
+          webflowLog("info", {
+            event: "sync_product.skip_unchanged.patch_missing_date_sold",
+            shopifyProductId,
+            productTitle: product.title,
+            webflowId: existing.id,
+            message: "Sold in Webflow but date-sold empty; patching for retention",
+          });
+          await markAsSold(existing, vertical, config);
+          cache[shopifyProductId] = {
+            hash: currentHash,
+            contentHash: currentContentHash,
+            webflowId: existing.id,
+            lastQty: qty,
+            vertical,
+            ...cacheSyncMeta(product, cacheEntry, qty),
+          };
+          return { operation: "update", id: existing.id };
+        }
+      }
+      if (vertical === "furniture" && furnitureUsesEcommerceApi(config) && furnitureEcommerceNeedsImageRepairFromShopify(product, existing)) {
+        webflowLog("info", {
+          event: "sync_product.skip_unchanged.repair_missing_images",
+          shopifyProductId,
+          productTitle: product.title,
+          webflowId: existing.id,
+          message: "Shopify has images but Webflow SKU has none; forcing SKU sync",
+        });
+        try {
+          await syncFurnitureEcommerceSku(product, existing.id, config);
+        } catch (err) {
+          webflowLog("error", {
+            event: "sync_product.skip_unchanged.repair_missing_images_failed",
+            shopifyProductId,
+            webflowId: existing.id,
+            message: err?.message ?? String(err),
+          });
+          throw err;
+        }
+        cache[shopifyProductId] = {
+          hash: currentHash,
+          contentHash: currentContentHash,
+          webflowId: existing.id,
+          lastQty: qty,
+          vertical,
+          ...cacheSyncMeta(product, cacheEntry, qty),
+        };
+        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
+        return { operation: "update", id: existing.id };
+      }
+      if (
+        vertical === "furniture" &&
+        furnitureUsesCmsProducts(config) &&
+        (await furnitureCmsNeedsSkuImageRepairFromShopify(product, existing, config))
+      ) {
+        webflowLog("info", {
+          event: "sync_product.skip_unchanged.repair_missing_images",
+          shopifyProductId,
+          productTitle: product.title,
+          webflowId: existing.id,
+          message: "Shopify has images but Furniture CMS SKU has none; forcing SKU sync",
+        });
+        try {
+          await syncFurnitureSku(product, existing.id, config);
+        } catch (err) {
+          webflowLog("error", {
+            event: "sync_product.skip_unchanged.repair_missing_images_failed",
+            shopifyProductId,
+            webflowId: existing.id,
+            message: err?.message ?? String(err),
+          });
+          throw err;
+        }
+        cache[shopifyProductId] = {
+          hash: currentHash,
+          contentHash: currentContentHash,
+          webflowId: existing.id,
+          lastQty: qty,
+          vertical,
+          ...cacheSyncMeta(product, cacheEntry, qty),
+        };
+        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
+        return { operation: "update", id: existing.id };
+      }
+      if (vertical === "luxury" && config?.collectionId && luxuryCmsNeedsImageRepairFromShopify(product, existing)) {
+        webflowLog("info", {
+          event: "sync_product.skip_unchanged.repair_missing_images",
+          shopifyProductId,
+          productTitle: product.title,
+          webflowId: existing.id,
+          message: "Shopify has images but Luxury CMS has none; patching images",
+        });
+        try {
+          await patchLuxuryCmsImagesFromShopify(product, existing, config);
+        } catch (err) {
+          webflowLog("error", {
+            event: "sync_product.skip_unchanged.repair_missing_images_failed",
+            shopifyProductId,
+            webflowId: existing.id,
+            message: err?.message ?? String(err),
+          });
+          throw err;
+        }
+        cache[shopifyProductId] = {
+          hash: currentHash,
+          contentHash: currentContentHash,
+          webflowId: existing.id,
+          lastQty: qty,
+          vertical,
+          ...cacheSyncMeta(product, cacheEntry, qty),
+        };
+        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
+        return { operation: "update", id: existing.id };
+      }
+      if (await repairFurnitureEcommerceSkuPriceIfNeeded(product, existing, config, "sync_product.skip_unchanged.repair_sku_price")) {
+        cache[shopifyProductId] = {
+          hash: currentHash,
+          contentHash: currentContentHash,
+          webflowId: existing.id,
+          lastQty: qty,
+          vertical,
+          ...cacheSyncMeta(product, cacheEntry, qty),
+        };
+        webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_sku_price", webflowId: existing.id, vertical });
+        return { operation: "update", id: existing.id };
+      }
+      cache[shopifyProductId] = {
+        hash: currentHash,
+        contentHash: currentContentHash,
+        webflowId: existing.id,
+        lastQty: qty,
+        vertical,
+        ...cacheSyncMeta(product, cacheEntry, qty),
+      };
+      webflowLog("info", { event: "sync_product.skip_unchanged", shopifyProductId, productTitle: product.title, webflowId: existing.id, message: "Name/description/shopify snapshot unchanged; skipped LLM and write" });
+      return { operation: "skip", id: existing.id };
+    }
   }
 
   // When cache is missing (e.g. didn't persist after deploy), don't call LLM — check Webflow first. If item exists there, use it and repopulate cache.
@@ -7702,146 +8848,18 @@ async function syncSingleProductCore(product, cache, options = {}) {
     });
   } else if (!recoveredFromWebflow) {
     const llmLogPayload = {};
-    const llmResult = await classifyWithLLM(product, llmLogPayload, webflowLog);
+    const llmResult = await classifyWithLLMCached(product, llmLogPayload, webflowLog);
     const llmDetectedVertical = llmResult.category === "LUXURY" ? "luxury" : "furniture";
-    const evidenceVertical = resolveVerticalFromEvidence(product, llmDetectedVertical);
-    detectedVertical = evidenceVertical.vertical;
-    if (ecommerceVerticalTag?.vertical === "luxury") {
-      detectedVertical = "luxury";
-    } else if (ecommerceVerticalTag?.vertical === "furniture") {
-      detectedVertical = "furniture";
-    }
-    if (!manualEcommerceLock && isLockedLuxuryProduct(product)) {
-      detectedVertical = "luxury";
-    }
-    // Hard guard: wristwatches/timepieces are always Luxury (never furniture bedroom/other).
-    if (!manualEcommerceLock && productLooksLikeWristwatchLuxury(product)) {
-      detectedVertical = "luxury";
-    }
-    if (
-      !manualEcommerceLock &&
-      !productMustBeFurnitureVertical(product) &&
-      productMustBeLuxuryVertical(product) &&
-      !hasExplicitFurnitureVerticalTag(product)
-    ) {
-      detectedVertical = "luxury";
-    }
-    if (
-      !manualEcommerceLock &&
-      productMustBeFurnitureVertical(product) &&
-      !productIsLuxuryScarf(product) &&
-      !productMustStayInLuxuryVertical(product)
-    ) {
-      detectedVertical = "furniture";
-    }
-    if (!manualEcommerceLock && productIsFineArtFurnitureVertical(product) && !productIsLuxuryScarf(product)) {
-      detectedVertical = "furniture";
-    }
-    // Hard guard: jewelry cues must always live under Luxury Goods in Shopify/Webflow (never overrides books/media, boxes, or lamps).
-    if (
-      !manualEcommerceLock &&
-      !productLooksLikeBookFilmOrMedia(product) &&
-      !productLooksLikeFurnitureHomeDecorVessel(product) &&
-      !productLooksLikeLightingFixture(product) &&
-      !productLooksLikeFurnitureTrap(product) &&
-      !productLooksLikeHomeDecorTray(product) &&
-      isJewelryProduct(product?.title || "", product?.body_html || "", product)
-    ) {
-      detectedVertical = "luxury";
-    }
-    const correctedToLuxury =
-      !manualEcommerceLock &&
-      !productMustBeFurnitureVertical(product) &&
-      cacheEntry?.vertical === "furniture" &&
-      detectedVertical === "luxury" &&
-      !productLooksLikeFurnitureTrap(product) &&
-      !productIsFineArtFurnitureVertical(product);
-    const correctedToFurniture =
-      !manualEcommerceLock &&
-      !isLockedLuxuryProduct(product) &&
-      !productMustStayInLuxuryVertical(product) &&
-      !productIsLuxuryScarf(product) &&
-      cacheEntry?.vertical === "luxury" &&
-      detectedVertical === "furniture";
-    vertical = correctedToLuxury
-      ? "luxury"
-      : correctedToFurniture
-        ? "furniture"
-        : productMustStayInLuxuryVertical(product)
-          ? "luxury"
-          : productMustBeFurnitureVertical(product) || productLooksLikeFurnitureTrap(product)
-            ? "furniture"
-            : (cacheEntry?.vertical ?? detectedVertical);
-    verticalCorrected = correctedToLuxury;
-    if (!manualEcommerceLock && productLooksLikeWristwatchLuxury(product)) {
-      if (vertical !== "luxury") {
-        verticalCorrected = cacheEntry?.vertical === "furniture";
-        webflowLog("info", {
-          event: "vertical.override_wristwatch_cache",
-          shopifyProductId,
-          cacheVertical: cacheEntry?.vertical ?? null,
-          previousVertical: vertical,
-        });
-      }
-      vertical = "luxury";
-      detectedVertical = "luxury";
-    }
-    if (
-      !manualEcommerceLock &&
-      !productMustBeFurnitureVertical(product) &&
-      productMustBeLuxuryVertical(product) &&
-      !hasExplicitFurnitureVerticalTag(product)
-    ) {
-      if (vertical !== "luxury") {
-        verticalCorrected = cacheEntry?.vertical === "furniture";
-        webflowLog("info", {
-          event: "vertical.override_wearable_cache",
-          shopifyProductId,
-          productTitle: product.title || "",
-          cacheVertical: cacheEntry?.vertical ?? null,
-          previousVertical: vertical,
-        });
-      }
-      vertical = "luxury";
-      detectedVertical = "luxury";
-    }
-    if (
-      !manualEcommerceLock &&
-      productMustBeFurnitureVertical(product) &&
-      !productIsLuxuryScarf(product) &&
-      !productMustStayInLuxuryVertical(product)
-    ) {
-      if (vertical !== "furniture") {
-        verticalCorrected = cacheEntry?.vertical === "luxury";
-        webflowLog("info", {
-          event: "vertical.override_furniture_hard_guard",
-          shopifyProductId,
-          productTitle: product.title || "",
-          cacheVertical: cacheEntry?.vertical ?? null,
-          previousVertical: vertical,
-        });
-      }
-      vertical = "furniture";
-      detectedVertical = "furniture";
-    }
-    if (
-      !manualEcommerceLock &&
-      productIsFineArtFurnitureVertical(product) &&
-      !productMustStayInLuxuryVertical(product)
-    ) {
-      if (vertical !== "furniture") {
-        verticalCorrected = cacheEntry?.vertical === "luxury";
-        webflowLog("info", {
-          event: "vertical.override_fine_art_cache",
-          shopifyProductId,
-          productTitle: product.title || "",
-          cacheVertical: cacheEntry?.vertical ?? null,
-          previousVertical: vertical,
-        });
-      }
-      vertical = "furniture";
-      detectedVertical = "furniture";
-    }
+    const guarded = detectVerticalWithEvidenceGuards(product, llmDetectedVertical, { manualEcommerceLock, ecommerceVerticalTag });
+    const { evidenceVertical } = guarded;
+    const placement = placeVerticalAfterClassifier(product, {
+      detectedVertical: guarded.detectedVertical,
+      cacheEntry,
+      manualEcommerceLock,
+      shopifyProductId,
+    });
+    const { correctedToFurniture } = placement;
+    ({ vertical, detectedVertical, verticalCorrected } = placement);
     webflowLog("info", {
     event: "vertical.resolved",
     shopifyProductId,
@@ -7852,6 +8870,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
     llmConfidence: llmResult.confidence,
     llmReasoning: llmResult.reasoning?.slice(0, 120),
     llmOverride: llmLogPayload.override ?? null,
+    llmCached: Boolean(llmLogPayload.cache?.hit),
     });
     if (evidenceVertical.reason !== "llm") {
       webflowLog("info", {
@@ -7881,7 +8900,9 @@ async function syncSingleProductCore(product, cache, options = {}) {
         saveDuplicatePlacementSentId(shopifyProductId);
       } else {
         try {
-          await deleteWebflowEcommerceProduct(furnitureConfig.siteId, cacheEntry.webflowId, furnitureConfig.token);
+          await deleteWebflowEcommerceProduct(furnitureConfig.siteId, cacheEntry.webflowId, furnitureConfig.token, {
+            reason: "vertical_corrected",
+          });
           webflowLog("info", { event: "vertical.corrected.removed", shopifyProductId, webflowId: cacheEntry.webflowId });
         } catch (err) {
           webflowLog("error", { event: "vertical.corrected.archive_failed", shopifyProductId, webflowId: cacheEntry.webflowId, message: err.message });
@@ -7909,6 +8930,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
       try {
         await deleteWebflowCollectionItem(luxuryConfig.collectionId, cacheEntry.webflowId, luxuryConfig.token);
         webflowLog("info", { event: "vertical.corrected_luxury_to_furniture.removed", shopifyProductId, webflowId: cacheEntry.webflowId });
+        await deleteGoogleMerchantLuxuryOffer(shopifyProductId, "vertical_corrected");
       } catch (err) {
         webflowLog("error", { event: "vertical.corrected_luxury_to_furniture.delete_failed", shopifyProductId, webflowId: cacheEntry.webflowId, message: err.message });
       }
@@ -7972,141 +8994,39 @@ async function syncSingleProductCore(product, cache, options = {}) {
   } // end !freezePlacedVertical (classifier / recovered vertical resolution)
 
   if (!freezePlacedVertical && !hardFhLgLock) {
-  if (!manualEcommerceLock && !ecommerceVerticalTag && productLooksLikeWristwatchLuxury(product) && vertical !== "luxury") {
-    webflowLog("info", {
-      event: "vertical.override_wristwatch_final",
-      shopifyProductId,
-      productTitle: product.title || "",
-      previousVertical: vertical,
-    });
-    vertical = "luxury";
-    detectedVertical = "luxury";
+    ({ vertical, detectedVertical, verticalCorrected } = applyFinalVerticalOverrides(
+      product,
+      { vertical, detectedVertical, verticalCorrected },
+      { ecommerceVerticalTag, hardFhLgLock, manualEcommerceLock, shopifyProductId }
+    ));
   }
-  if (!ecommerceVerticalTag && productLooksLikeFurnitureTrap(product) && vertical !== "furniture") {
-    webflowLog("info", {
-      event: "vertical.override_furniture_trap_final",
+
+  if (hardFhLgLock) {
+    vertical = hardFhLgLock.vertical;
+    detectedVertical = hardFhLgLock.vertical;
+    verticalCorrected = false;
+  }
+
+  // Remove copy on the other vertical when tag or classifier places item here (incl. manual FH/LG changes).
+  const slugForCleanup = product.handle || "";
+  const shopifyUrlForCleanup = `https://${process.env.SHOPIFY_STORE || ""}.myshopify.com/products/${slugForCleanup}`;
+
+  if (
+    !freezePlacedVertical &&
+    !hardFhLgLock &&
+    vertical === "luxury" &&
+    productMustBeFurnitureVertical(product) &&
+    !productIsLuxuryScarf(product)
+  ) {
+    webflowLog("warn", {
+      event: "vertical.blocked_luxury_cleanup_for_furniture",
       shopifyProductId,
       productTitle: product.title || "",
-      previousVertical: vertical,
+      message: "Refusing furniture→luxury cleanup for obvious home/furniture item",
     });
     vertical = "furniture";
     detectedVertical = "furniture";
-  }
-  if (!ecommerceVerticalTag && productLooksLikeFurnitureHomeGlassware(product) && vertical !== "furniture") {
-    webflowLog("info", {
-      event: "vertical.override_furniture_glassware_final",
-      shopifyProductId,
-      productTitle: product.title || "",
-      previousVertical: vertical,
-    });
-    vertical = "furniture";
-    detectedVertical = "furniture";
-  }
-  if (
-    !ecommerceVerticalTag &&
-    (productLooksLikeHomeClock(product) ||
-      productLooksLikeFurnitureCurio(product) ||
-      productLooksLikeFurnitureDoll(product)) &&
-    vertical !== "furniture"
-  ) {
-    webflowLog("info", {
-      event: "vertical.override_furniture_home_goods_final",
-      shopifyProductId,
-      productTitle: product.title || "",
-      previousVertical: vertical,
-      homeClock: productLooksLikeHomeClock(product),
-      curio: productLooksLikeFurnitureCurio(product),
-      doll: productLooksLikeFurnitureDoll(product),
-    });
-    vertical = "furniture";
-    detectedVertical = "furniture";
-  }
-  if (
-    !ecommerceVerticalTag &&
-    vertical === "furniture" &&
-    isJewelryProduct(product?.title || "", product?.body_html || "", product) &&
-    !productLooksLikeFurnitureTrap(product) &&
-    !productLooksLikeHomeDecorTray(product) &&
-    !productLooksLikeFurnitureHomeDecorVessel(product) &&
-    !productLooksLikeLightingFixture(product) &&
-    !productLooksLikeBookFilmOrMedia(product)
-  ) {
-    webflowLog("info", {
-      event: "vertical.override_jewelry_final",
-      shopifyProductId,
-      productTitle: product.title || "",
-      previousVertical: vertical,
-      message: "Wearable jewelry in title; not Furniture & Home despite home-decor marketing copy",
-    });
-    vertical = "luxury";
-    detectedVertical = "luxury";
-  }
-
-  if (
-    productMustBeFurnitureVertical(product) &&
-    !productIsLuxuryScarf(product) &&
-    !hardFhLgLock &&
-    !productHasLuxuryEcommerceTag(product) &&
-    vertical !== "furniture"
-  ) {
-    webflowLog("info", {
-      event: "vertical.override_furniture_hard_guard_final",
-      shopifyProductId,
-      productTitle: product.title || "",
-      previousVertical: vertical,
-      ecommerceTag: ecommerceVerticalTag?.tag ?? null,
-    });
-    vertical = "furniture";
-    detectedVertical = "furniture";
-    verticalCorrected = false;
-  }
-
-  if (ecommerceVerticalTag && !hardFhLgLock) {
-    const prevVertical = vertical;
-    vertical = ecommerceVerticalTag.vertical;
-    detectedVertical = ecommerceVerticalTag.vertical;
-    webflowLog("info", {
-      event: "vertical.override_ecommerce_vertical_tag",
-      shopifyProductId,
-      productTitle: product.title || "",
-      tag: ecommerceVerticalTag.tag,
-      previousVertical: prevVertical,
-      vertical: ecommerceVerticalTag.vertical,
-      message:
-        ecommerceVerticalTag.tag === ECOMMERCE_VERTICAL_TAG_FURNITURE
-          ? "Tag FH forces Furniture & Home"
-          : "Tag LG forces Luxury Goods",
-    });
-  }
-
-  } // end !freezePlacedVertical && !hardFhLgLock (final vertical override pass)
-
-  if (hardFhLgLock) {
-    vertical = hardFhLgLock.vertical;
-    detectedVertical = hardFhLgLock.vertical;
-    verticalCorrected = false;
-  }
-
-  // Remove copy on the other vertical when tag or classifier places item here (incl. manual FH/LG changes).
-  const slugForCleanup = product.handle || "";
-  const shopifyUrlForCleanup = `https://${process.env.SHOPIFY_STORE || ""}.myshopify.com/products/${slugForCleanup}`;
-
-  if (
-    !freezePlacedVertical &&
-    !hardFhLgLock &&
-    vertical === "luxury" &&
-    productMustBeFurnitureVertical(product) &&
-    !productIsLuxuryScarf(product)
-  ) {
-    webflowLog("warn", {
-      event: "vertical.blocked_luxury_cleanup_for_furniture",
-      shopifyProductId,
-      productTitle: product.title || "",
-      message: "Refusing furniture→luxury cleanup for obvious home/furniture item",
-    });
-    vertical = "furniture";
-    detectedVertical = "furniture";
-    verticalCorrected = false;
+    verticalCorrected = false;
   }
 
   if (!freezePlacedVertical && vertical === "luxury") {
@@ -8135,7 +9055,9 @@ async function syncSingleProductCore(product, cache, options = {}) {
             manualTag: manualEcommerceLock?.tag ?? null,
           });
           try {
-            await deleteWebflowEcommerceProduct(furnitureConfig.siteId, existingInFurniture.id, furnitureConfig.token);
+            await deleteWebflowEcommerceProduct(furnitureConfig.siteId, existingInFurniture.id, furnitureConfig.token, {
+              reason: "duplicate_cleanup",
+            });
             webflowLog("info", { event: "cleanup.removed_from_furniture", shopifyProductId, webflowId: existingInFurniture.id });
             if (cacheEntry?.vertical === "furniture") delete cache[shopifyProductId];
             if (!manualEcommerceLock) {
@@ -8176,6 +9098,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         try {
           await deleteWebflowCollectionItem(luxuryConfig.collectionId, existingInLuxury.id, luxuryConfig.token);
           webflowLog("info", { event: "cleanup.deleted_from_luxury", shopifyProductId, webflowId: existingInLuxury.id });
+          await deleteGoogleMerchantLuxuryOffer(shopifyProductId, "duplicate_cleanup");
           if (cacheEntry?.vertical === "luxury") delete cache[shopifyProductId];
           if (!manualEcommerceLock) {
             await sendDuplicatePlacementEmail(
@@ -8223,7 +9146,9 @@ async function syncSingleProductCore(product, cache, options = {}) {
         saveDuplicatePlacementSentId(shopifyProductId);
       } else {
         try {
-          await deleteWebflowEcommerceProduct(furnitureConfig.siteId, cacheEntry.webflowId, furnitureConfig.token);
+          await deleteWebflowEcommerceProduct(furnitureConfig.siteId, cacheEntry.webflowId, furnitureConfig.token, {
+            reason: "vertical_corrected",
+          });
           webflowLog("info", {
             event: "vertical.corrected_jewelry_furniture_to_luxury",
             shopifyProductId,
@@ -8251,7 +9176,24 @@ async function syncSingleProductCore(product, cache, options = {}) {
     return { ...result, duplicateCorrected: !alreadyArchived, duplicateLog };
   }
 
-  let config = getWebflowConfig(vertical);
+  // Verticals added through the registry (VERTICALS=…) take the product after the luxury/furniture passes unless
+  // FH/LG locks it. Their CMS listings use the luxury field layout: `vertical` keeps driving layout branches below,
+  // `verticalId` picks the collection, department, category classifier and what the cache records.
+  const addedVerticalClaim = hardFhLgLock ? null : verticalRegistry.claim(product, { tags: getProductTagsArray(product) });
+  let verticalId = addedVerticalClaim?.vertical ?? vertical;
+  if (addedVerticalClaim) {
+    webflowLog("info", {
+      event: "vertical.added_vertical_claim",
+      shopifyProductId,
+      productTitle: product.title || "",
+      previousVertical: vertical,
+      vertical: verticalId,
+      reason: addedVerticalClaim.reason,
+    });
+    vertical = verticalRegistry.layoutOf(verticalId);
+    detectedVertical = verticalId;
+  }
+  let config = getWebflowConfig(verticalId);
 
   // Use name + description FROM Shopify to decide; then write our decision back to Shopify and update the correct Webflow collection (Luxury or Furniture).
   let name = product.title;
@@ -8273,7 +9215,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
 
   // Single source of truth: resolved VERTICAL. Department and category are derived from it everywhere (Webflow + Shopify).
   const productType = (product.product_type ?? "").trim();
-  const department = vertical === "furniture" ? "Furniture & Home" : "Luxury Goods";
+  const department = verticalRegistry.department(verticalId);
   let dimensionsStatus = null;
   const dimensions = getDimensionsFromProduct(product);
   const productTags = getProductTagsArray(product);
@@ -8283,12 +9225,19 @@ async function syncSingleProductCore(product, cache, options = {}) {
   const luxuryEcommerceOverride = vertical === "luxury"
     ? getLuxuryCategoryOverrideFromEcommerceTags(productTags)
     : null;
-  const categoryConfidenceThresholdRaw = parseFloat(process.env.LLM_CATEGORY_CONFIDENCE_THRESHOLD ?? "0.8");
-  const categoryConfidenceThreshold = Number.isFinite(categoryConfidenceThresholdRaw)
-    ? Math.min(1, Math.max(0, categoryConfidenceThresholdRaw))
-    : 0.8;
+  const categoryConfidenceThreshold = getCategoryConfidenceThreshold();
   let categoryForMetafield;
-  if (recoveredFromWebflow) {
+  if (!verticalRegistry.isBuiltin(verticalId)) {
+    categoryForMetafield = soldNow
+      ? "Recently Sold"
+      : await verticalRegistry.classifyCategory(verticalId, product, {
+          dimensions,
+          tags: productTags,
+          confidenceThreshold: categoryConfidenceThreshold,
+          log: webflowLog,
+        });
+    webflowLog("info", { event: "added_vertical_category.resolved", shopifyProductId, vertical: verticalId, resolved: categoryForMetafield });
+  } else if (recoveredFromWebflow) {
     // Cache-missing path: no LLM; use keyword-only category.
     if (vertical === "furniture") {
       if (isWristwatchProduct(name, description, product)) {
@@ -8349,139 +9298,23 @@ async function syncSingleProductCore(product, cache, options = {}) {
         }
       }
     }
-  } else if (vertical === "furniture") {
-    if (isWristwatchProduct(name, description, product)) {
-      categoryForMetafield = "Accessories";
-      webflowLog("warn", {
-        event: "furniture_category.blocked_wristwatch",
-        shopifyProductId,
-        message: "Wristwatch must not use furniture category; forcing Accessories",
-      });
-    } else if (furnitureCategoryManualOverride) {
-      categoryForMetafield = furnitureCategoryManualOverride.category;
-      webflowLog("info", {
-        event: "furniture_category.override_tag",
-        shopifyProductId,
-        letter: furnitureCategoryManualOverride.letter,
-        source: furnitureCategoryManualOverride.source,
-        resolved: categoryForMetafield,
-      });
-    } else {
-      const evidence = detectCategoryFurnitureEvidence(name, description, productTags, dimensions);
-      let resolved = evidence.category;
-      if (evidence.confidence < categoryConfidenceThreshold) {
-        const llmPayload = {};
-        const llmCategory = await classifyCategoryWithLLM(product, "furniture", llmPayload, webflowLog);
-        if (llmCategory?.category) resolved = llmCategory.category;
-        webflowLog("info", {
-          event: "furniture_category.subcategory",
-          shopifyProductId,
-          evidenceConfidence: evidence.confidence,
-          evidenceReason: evidence.reason,
-          threshold: categoryConfidenceThreshold,
-          bestScore: evidence.bestScore,
-          secondBest: evidence.secondBest,
-          usedLlm: true,
-          resolved,
-        });
-      } else {
-        webflowLog("info", {
-          event: "furniture_category.subcategory",
-          shopifyProductId,
-          evidenceConfidence: evidence.confidence,
-          evidenceReason: evidence.reason,
-          threshold: categoryConfidenceThreshold,
-          bestScore: evidence.bestScore,
-          secondBest: evidence.secondBest,
-          usedLlm: false,
-          resolved,
-        });
-      }
-      resolved = applyFurnitureSubcategoryPostOverrides({
-        name,
-        description,
-        productTags,
-        product,
-        resolved,
-      });
-      categoryForMetafield = mapFurnitureCategoryForShopify(resolved);
-    }
   } else {
-    if (soldNow) {
-      categoryForMetafield = "Recently Sold";
-    } else if (isWristwatchProduct(name, description, product)) {
-      categoryForMetafield = "Accessories";
-      webflowLog("info", {
-        event: "luxury_category.override_wristwatch",
-        shopifyProductId,
-        resolved: categoryForMetafield,
-      });
-    } else {
-      if (luxuryEcommerceOverride) {
-        categoryForMetafield = luxuryEcommerceOverride.category;
-        webflowLog("info", {
-          event: "luxury_category.override_tag",
-          shopifyProductId,
-          letter: luxuryEcommerceOverride.letter,
-          resolved: categoryForMetafield,
-        });
-      } else {
-        const luxuryEvidence = detectLuxuryCategoryEvidence(name, description, product);
-        let resolvedLux = luxuryEvidence.category;
-        const needLuxuryLlm =
-          luxuryEvidence.confidence < categoryConfidenceThreshold || luxuryEvidence.category == null;
-
-        if (needLuxuryLlm) {
-          const llmPayload = {};
-          const llmCategory = await classifyCategoryWithLLM(product, "luxury", llmPayload, webflowLog);
-          if (llmCategory?.category) {
-            resolvedLux = llmCategory.category;
-          } else if (!resolvedLux) {
-            if (isShoeProduct(name, description)) resolvedLux = "Other ";
-            else resolvedLux = detectLuxuryCategoryFromTitle(name, description, product) ?? "Other ";
-          }
-          webflowLog("info", {
-            event: "luxury_category.subcategory",
-            shopifyProductId,
-            evidenceConfidence: luxuryEvidence.confidence,
-            evidenceReason: luxuryEvidence.reason,
-            threshold: categoryConfidenceThreshold,
-            usedLlm: true,
-            resolved: resolvedLux,
-          });
-        } else {
-          webflowLog("info", {
-            event: "luxury_category.subcategory",
-            shopifyProductId,
-            evidenceConfidence: luxuryEvidence.confidence,
-            evidenceReason: luxuryEvidence.reason,
-            threshold: categoryConfidenceThreshold,
-            usedLlm: false,
-            resolved: resolvedLux,
-          });
-        }
-
-        categoryForMetafield = mapCategoryForShopify(resolvedLux);
-        if (
-          isJewelryProduct(name, description, product) &&
-          !isBagOrAgendaProduct(name, description)
-        ) {
-          categoryForMetafield = detectLuxuryJewelrySubcategory(name, description, product) ?? "Other Jewelry";
-        }
-        else if (isAccessoryProduct(name, description) && !isBagOrAgendaProduct(name, description)) categoryForMetafield = "Accessories";
-        if (isBeltProduct(name, description)) categoryForMetafield = "Belts";
-        if (categoryForMetafield === "Accessories" && isBagOrAgendaProduct(name, description)) {
-          const fromTitle = detectLuxuryCategoryFromTitle(name, description, product);
-          categoryForMetafield = fromTitle ?? "Other ";
-        }
-      }
-    }
+    categoryForMetafield = await resolveCategoryForVertical(product, vertical, {
+      name,
+      description,
+      productTags,
+      dimensions,
+      soldNow,
+      shopifyProductId,
+      confidenceThreshold: categoryConfidenceThreshold,
+    });
   }
   if (isWristwatchProduct(name, description, product)) {
     categoryForMetafield = "Accessories";
   }
-  const authoritativeCategory =
-    vertical === "furniture"
+  const authoritativeCategory = !verticalRegistry.isBuiltin(verticalId)
+    ? null
+    : vertical === "furniture"
       ? getFurnitureCategoryOverrideFromEcommerceTags(productTags)?.category
       : getLuxuryCategoryOverrideFromEcommerceTags(productTags)?.category;
   const preservedTaggedCategory =
@@ -8634,7 +9467,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
       await updateShopifyMetafields(shopifyProductId, {
         department: shopifyDepartment,
         category: shopifyCategoryValue,
-        vertical: vertical === "furniture" ? "furniture" : "luxury",
+        vertical: verticalId,
         dimensionsStatus: vertical === "furniture" ? dimensionsStatus : undefined,
       });
       // Only pass description if it changed
@@ -8740,7 +9573,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
           contentHash: currentContentHash,
           webflowId: cacheEntry.webflowId,
           lastQty: qty,
-          vertical,
+          vertical: verticalId,
           ...cacheSyncMeta(product, cacheEntry, qty),
         };
         webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: cacheEntry.webflowId, vertical });
@@ -8765,7 +9598,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
           contentHash: currentContentHash,
           webflowId: cacheEntry.webflowId,
           lastQty: qty,
-          vertical,
+          vertical: verticalId,
           ...cacheSyncMeta(product, cacheEntry, qty),
         };
         webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: cacheEntry.webflowId, vertical });
@@ -8785,7 +9618,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
           contentHash: currentContentHash,
           webflowId: cacheEntry.webflowId,
           lastQty: qty,
-          vertical,
+          vertical: verticalId,
           ...cacheSyncMeta(product, cacheEntry, qty),
         };
         webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: cacheEntry.webflowId, vertical });
@@ -8797,7 +9630,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         contentHash: currentContentHash,
         webflowId: cacheEntry.webflowId,
         lastQty: qty,
-        vertical,
+        vertical: verticalId,
         ...cacheSyncMeta(product, cacheEntry, qty),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "skip", webflowId: cacheEntry.webflowId, vertical });
@@ -8869,7 +9702,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         currentContentHash,
         shopifyProductId,
         existing.id,
-        vertical,
+        verticalId,
         qty
       );
       webflowLog("info", {
@@ -8905,6 +9738,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
           });
           existing = luxuryHit;
           vertical = "luxury";
+          verticalId = "luxury";
           detectedVertical = "luxury";
           config = getWebflowConfig("luxury");
         } else {
@@ -8921,7 +9755,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
               contentHash: currentContentHash,
               webflowId: existing.id,
               lastQty: qty,
-              vertical,
+              vertical: verticalId,
               ...cacheSyncMeta(product, cacheEntry, qty),
             };
             webflowLog("info", {
@@ -8960,13 +9794,13 @@ async function syncSingleProductCore(product, cache, options = {}) {
         currentQty: qty,
         ...(fromQtyDrop ? { reason: "inventory_1_to_0_or_in_stock_to_sold" } : {}),
       });
-      await markAsSold(existing, vertical, config);
+      await markAsSold(existing, verticalId, config);
       cache[shopifyProductId] = {
         hash: currentHash,
         contentHash: currentContentHash,
         webflowId: existing.id,
         lastQty: qty,
-        vertical,
+        vertical: verticalId,
         ...cacheSyncMeta(product, cacheEntry, qty),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "sold", webflowId: existing.id, vertical });
@@ -8980,7 +9814,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
 
     if (changed) {
       const fieldData = buildWebflowFieldData({
-        vertical,
+        vertical: verticalId,
         name,
         brand,
         price,
@@ -9016,7 +9850,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
             contentHash: currentContentHash,
             webflowId: existing.id,
             lastQty: qty,
-            vertical,
+            vertical: verticalId,
             ...cacheSyncMeta(product, cacheEntry, qty),
           };
           webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
@@ -9040,7 +9874,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
             contentHash: currentContentHash,
             webflowId: existing.id,
             lastQty: qty,
-            vertical,
+            vertical: verticalId,
             ...cacheSyncMeta(product, cacheEntry, qty),
           };
           webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
@@ -9060,7 +9894,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
             contentHash: currentContentHash,
             webflowId: existing.id,
             lastQty: qty,
-            vertical,
+            vertical: verticalId,
             ...cacheSyncMeta(product, cacheEntry, qty),
           };
           webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
@@ -9106,7 +9940,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
             contentHash: currentContentHash,
             webflowId: existing.id,
             lastQty: qty,
-            vertical,
+            vertical: verticalId,
             ...cacheSyncMeta(product, cacheEntry, qty),
           };
           webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "update_sku", webflowId: existing.id, vertical });
@@ -9118,7 +9952,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
           contentHash: currentContentHash,
           webflowId: existing.id,
           lastQty: qty,
-          vertical,
+          vertical: verticalId,
           ...cacheSyncMeta(product, cacheEntry, qty),
         };
         webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "skip", webflowId: existing.id, vertical });
@@ -9146,16 +9980,18 @@ async function syncSingleProductCore(product, cache, options = {}) {
           });
         }
       } else {
-        await axios.patch(
-          `https://api.webflow.com/v2/collections/${config.collectionId}/items/${existing.id}`,
-          { fieldData },
-          {
-            headers: {
-              Authorization: `Bearer ${config.token}`,
-              "Content-Type": "application/json",
-            },
-          }
-        );
+        if (!interceptSyncWrite("webflow.update", { webflowId: existing.id, diff: fieldDataDiff(fieldData, existing.fieldData) })) {
+          await axios.patch(
+            `https://api.webflow.com/v2/collections/${config.collectionId}/items/${existing.id}`,
+            { fieldData },
+            {
+              headers: {
+                Authorization: `Bearer ${config.token}`,
+                "Content-Type": "application/json",
+              },
+            }
+          );
+        }
         if (vertical === "furniture" && furnitureUsesCmsProducts(config)) {
           await syncFurnitureSku(product, existing.id, config);
           await syncGoogleMerchantFurnitureFromShopifyProduct(
@@ -9164,6 +10000,14 @@ async function syncSingleProductCore(product, cache, options = {}) {
             "furniture_update",
             cache
           );
+        } else if (vertical === "luxury") {
+          await syncGoogleMerchantLuxuryFromShopifyProduct(
+            product,
+            soldNow ? "out of stock" : "in stock",
+            "luxury_update",
+            cache,
+            { ...existing, fieldData: { ...existing.fieldData, ...fieldData } }
+          );
         }
       }
       cache[shopifyProductId] = {
@@ -9171,7 +10015,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         contentHash: currentContentHash,
         webflowId: existing.id,
         lastQty: qty,
-        vertical,
+        vertical: verticalId,
         ...cacheSyncMeta(product, cacheEntry, qty),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "update", webflowId: existing.id, vertical });
@@ -9192,7 +10036,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         contentHash: currentContentHash,
         webflowId: existing.id,
         lastQty: qty,
-        vertical,
+        vertical: verticalId,
         ...cacheSyncMeta(product, cacheEntry, qty),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "skip", webflowId: existing.id, vertical });
@@ -9213,7 +10057,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         contentHash: currentContentHash,
         webflowId: existing.id,
         lastQty: qty,
-        vertical,
+        vertical: verticalId,
         ...cacheSyncMeta(product, cacheEntry, qty),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
@@ -9238,7 +10082,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         contentHash: currentContentHash,
         webflowId: existing.id,
         lastQty: qty,
-        vertical,
+        vertical: verticalId,
         ...cacheSyncMeta(product, cacheEntry, qty),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
@@ -9258,7 +10102,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         contentHash: currentContentHash,
         webflowId: existing.id,
         lastQty: qty,
-        vertical,
+        vertical: verticalId,
         ...cacheSyncMeta(product, cacheEntry, qty),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "repair_images", webflowId: existing.id, vertical });
@@ -9271,7 +10115,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
       contentHash: currentContentHash,
       webflowId: existing.id,
       lastQty: qty,
-      vertical,
+      vertical: verticalId,
       ...cacheSyncMeta(product, cacheEntry, qty),
     };
     webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "skip", webflowId: existing.id, vertical });
@@ -9293,7 +10137,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         contentHash: currentContentHash,
         webflowId: null,
         lastQty: 0,
-        vertical,
+        vertical: verticalId,
         ...soldMarkedAtPayload(cacheEntry, 0),
       };
       webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "skip_sold", webflowId: null, vertical });
@@ -9470,16 +10314,18 @@ async function syncSingleProductCore(product, cache, options = {}) {
         await updateWebflowEcommerceProduct(guardConfig.siteId, guardExisting.id, fieldData, guardConfig.token, guardExisting);
         guardSkuPricing = await syncFurnitureEcommerceSku(product, guardExisting.id, guardConfig);
       } else {
-        await axios.patch(
-          `https://api.webflow.com/v2/collections/${guardConfig.collectionId}/items/${guardExisting.id}`,
-          { fieldData },
-          {
-            headers: {
-              Authorization: `Bearer ${guardConfig.token}`,
-              "Content-Type": "application/json",
-            },
-          }
-        );
+        if (!interceptSyncWrite("webflow.update", { webflowId: guardExisting.id, diff: fieldDataDiff(fieldData, guardExisting.fieldData) })) {
+          await axios.patch(
+            `https://api.webflow.com/v2/collections/${guardConfig.collectionId}/items/${guardExisting.id}`,
+            { fieldData },
+            {
+              headers: {
+                Authorization: `Bearer ${guardConfig.token}`,
+                "Content-Type": "application/json",
+              },
+            }
+          );
+        }
         if (detectedVertical === "furniture" && furnitureUsesCmsProducts(guardConfig)) {
           await syncFurnitureSku(product, guardExisting.id, guardConfig);
         }
@@ -9512,6 +10358,7 @@ async function syncSingleProductCore(product, cache, options = {}) {
         try {
           await deleteWebflowCollectionItem(luxuryConfig.collectionId, alreadyInLuxury.id, luxuryConfig.token);
           webflowLog("info", { event: "sweep.removed_from_luxury", shopifyProductId, webflowId: alreadyInLuxury.id, productTitle: name });
+          await deleteGoogleMerchantLuxuryOffer(shopifyProductId, "duplicate_cleanup");
         } catch (err) {
           webflowLog("error", { event: "sweep.remove_luxury_failed", shopifyProductId, webflowId: alreadyInLuxury.id, message: err.message });
         }
@@ -9700,6 +10547,11 @@ async function syncSingleProductCore(product, cache, options = {}) {
     }
     if (detectedVertical === "furniture") {
       await syncGoogleMerchantFurnitureFromShopifyProduct(product, soldNow ? "out of stock" : "in stock", "furniture_create", cache);
+    } else if (detectedVertical === "luxury" && newId) {
+      await syncGoogleMerchantLuxuryFromShopifyProduct(product, soldNow ? "out of stock" : "in stock", "luxury_create", cache, {
+        id: newId,
+        fieldData: productFieldData,
+      });
     }
     webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "create", webflowId: newId, vertical: detectedVertical });
     return { operation: "create", id: newId };
@@ -9709,9 +10561,33 @@ async function syncSingleProductCore(product, cache, options = {}) {
   return { operation: "skip", id: null };
 }
 
+/** History entry fields for one product sync: before → after from the cache row the core rewrites. */
+function describeProductSyncForHistory(product, before, after, options, result, error) {
+  return {
+    trigger: options.syncTrigger || (options.fromWebhook === true ? "webhook" : "sync-all"),
+    jobId: syncRequestId,
+    title: product?.title ?? null,
+    operation: error ? "failed" : result?.operation ?? null,
+    webflowId: result?.id ?? after?.webflowId ?? before?.webflowId ?? null,
+    ...cacheEntryChanges(before, after),
+    ...(options.forceReclassify === true ? { forceReclassify: true } : {}),
+    ...(result?.duplicateCorrected ? { duplicateCorrected: true } : {}),
+    error: error ? error?.message || String(error) : result?.error ?? null,
+  };
+}
+
 async function syncSingleProduct(product, cache, options = {}) {
   const id = String(product?.id ?? "").trim();
-  const run = () => syncSingleProductCore(product, cache, options);
+  const core = () => syncSingleProductCore(product, cache, options);
+  const run =
+    !id || isSyncDryRun()
+      ? core
+      : () => {
+          const before = cache[id] && typeof cache[id] === "object" ? { ...cache[id] } : null;
+          return productSyncHistory.record(id, core, (result, error) =>
+            describeProductSyncForHistory(product, before, cache[id], options, result, error)
+          );
+        };
   try {
     if (!id) return await run();
     return await runSerializedByShopifyProductId(id, run);
@@ -9724,13 +10600,14 @@ async function syncSingleProduct(product, cache, options = {}) {
       status: err?.response?.status ?? null,
       responseBody: err?.response?.data ?? null,
     });
-    return { operation: "failed", id: null };
+    return { operation: "failed", id: null, error: err?.message || String(err) };
   }
 }
 
 /**
  * One-product sync with the same indexes + cache as sync-all (webhooks: create/update).
  * ACK HTTP before calling; this can take tens of seconds (LLM, Webflow).
+ * Throws when the product sync fails so the durable webhook queue can retry / dead-letter it.
  */
 async function runWebhookSingleProductSync(shopifyProductId, triggerPath) {
   const id = String(shopifyProductId ?? "").trim();
@@ -9789,6 +10666,9 @@ async function runWebhookSingleProductSync(shopifyProductId, triggerPath) {
       webflowId: result?.id ?? null,
       ...(result?.duplicateCorrected && { duplicateCorrected: true }),
     });
+    if (result?.operation === "failed") {
+      throw new Error(`Product sync failed for ${id} (see sync_product.failed)`);
+    }
   } catch (err) {
     webflowLog("error", {
       event: "shopify.webhook.sync_error",
@@ -9796,8 +10676,8 @@ async function runWebhookSingleProductSync(shopifyProductId, triggerPath) {
       shopifyProductId: id,
       message: err.message,
     });
+    throw err;
   } finally {
-    flushGoogleMerchantPriceState();
     syncRequestId = null;
     syncStartTime = null;
   }
@@ -9807,52 +10687,65 @@ async function runWebhookSingleProductSync(shopifyProductId, triggerPath) {
    COMPARE FIELD DATA — skip PATCH when nothing actually changed
    Avoids touching Webflow (no Modified bump, no unpublished changes).
 ====================================================== */
-function fieldDataEffectivelyEqual(newFD, existingFD) {
-  if (!newFD || typeof newFD !== "object") return !existingFD;
-  if (!existingFD || typeof existingFD !== "object") return false;
+function fieldValueEffectivelyEqual(key, n, e) {
+  if (n === e) return true;
+  if (n == null && e == null) return true;
   const strNorm = (v) => (v == null ? "" : String(v).replace(/\s+/g, " ").trim());
   const priceNorm = (v) => {
     if (v == null) return null;
     const num = parseFloat(String(v).replace(/[^0-9.-]/g, ""));
     return Number.isNaN(num) ? String(v) : num;
   };
+  if (typeof n === "object" && n !== null && typeof e === "object" && e !== null) {
+    if (n.url != null && e.url != null && n.url === e.url) return true;
+    if (JSON.stringify(n) === JSON.stringify(e)) return true;
+  }
+  if (key === "description" || key === "body_html" || key === "main-description-2") {
+    if (strNorm(n) === strNorm(e)) return true;
+  }
+  if (key === "price" && priceNorm(n) === priceNorm(e)) return true;
+  if (
+    ["name", "brand", "slug", "shopify-product-id", "shopify-url", "shopify-slug-2", "ec-product-type"].includes(key) &&
+    strNorm(n) === strNorm(e)
+  ) {
+    return true;
+  }
+  if (key === "category") {
+    const nRef = typeof n === "string" && WEBFLOW_ITEM_REF_REGEX.test(n);
+    const eRef = typeof e === "string" && WEBFLOW_ITEM_REF_REGEX.test(e);
+    if (nRef && eRef && n === e) return true;
+    if ((nRef && typeof e === "string" && e.trim()) || (eRef && typeof n === "string" && n.trim())) return true;
+  }
+  if (key === getFurnitureSoldSinceFieldSlug()) {
+    const tn = coerceWebflowDateTimeToMs(n);
+    const te = coerceWebflowDateTimeToMs(e);
+    if (tn != null && te != null && Math.abs(tn - te) < 2000) return true;
+    if (tn == null && te == null) return true;
+  }
+  return String(n) === String(e);
+}
+
+function fieldDataEffectivelyEqual(newFD, existingFD) {
+  if (!newFD || typeof newFD !== "object") return !existingFD;
+  if (!existingFD || typeof existingFD !== "object") return false;
   for (const key of Object.keys(newFD)) {
-    let n = newFD[key];
-    let e = existingFD[key];
-    if (n === e) continue;
-    if (n == null && e == null) continue;
-    if (typeof n === "object" && n !== null && typeof e === "object" && e !== null) {
-      if (n.url != null && e.url != null && n.url === e.url) continue;
-      if (JSON.stringify(n) === JSON.stringify(e)) continue;
-    }
-    if (key === "description" || key === "body_html" || key === "main-description-2") {
-      if (strNorm(n) === strNorm(e)) continue;
-    }
-    if (key === "price" && priceNorm(n) === priceNorm(e)) continue;
-    if (
-      ["name", "brand", "slug", "shopify-product-id", "shopify-url", "shopify-slug-2", "ec-product-type"].includes(key) &&
-      strNorm(n) === strNorm(e)
-    ) {
-      continue;
-    }
-    if (key === "category") {
-      const nRef = typeof n === "string" && WEBFLOW_ITEM_REF_REGEX.test(n);
-      const eRef = typeof e === "string" && WEBFLOW_ITEM_REF_REGEX.test(e);
-      if (nRef && eRef && n === e) continue;
-      if ((nRef && typeof e === "string" && e.trim()) || (eRef && typeof n === "string" && n.trim())) continue;
-    }
-    if (key === getFurnitureSoldSinceFieldSlug()) {
-      const tn = coerceWebflowDateTimeToMs(n);
-      const te = coerceWebflowDateTimeToMs(e);
-      if (tn != null && te != null && Math.abs(tn - te) < 2000) continue;
-      if (tn == null && te == null) continue;
-    }
-    if (String(n) === String(e)) continue;
-    return false;
+    if (!fieldValueEffectivelyEqual(key, newFD[key], existingFD[key])) return false;
   }
   return true;
 }
 
+/** Field-level diff using the same rules as fieldDataEffectivelyEqual (dry-run plans). */
+function fieldDataDiff(newFD, existingFD) {
+  if (!newFD || typeof newFD !== "object") return [];
+  const existing = existingFD && typeof existingFD === "object" ? existingFD : {};
+  const diff = [];
+  for (const key of Object.keys(newFD)) {
+    if (fieldValueEffectivelyEqual(key, newFD[key], existing[key])) continue;
+    diff.push({ field: key, from: existing[key] ?? null, to: newFD[key] ?? null });
+  }
+  return diff;
+}
+
 /** Luxury CMS: featured-image + gallery slots (Webflow L+F Handbags). Slot 6 slug is image-6-2 in Webflow. */
 const LUXURY_CMS_GALLERY_IMAGE_COUNT = 12;
 const LUXURY_CMS_GALLERY_IMAGE_SLUG_DEFAULTS = [
@@ -9959,6 +10852,9 @@ function luxuryCmsFieldDataHasRemoteImageFields(fieldData) {
 async function patchLuxuryCmsItemFieldData(config, itemId, fieldData, { existing = null } = {}) {
   const url = `https://api.webflow.com/v2/collections/${config.collectionId}/items/${itemId}`;
   const payload = stripNullFieldDataValues(fieldData);
+  if (interceptSyncWrite("webflow.update", { webflowId: itemId, diff: fieldDataDiff(payload, existing?.fieldData) })) {
+    return;
+  }
   const headers = {
     Authorization: `Bearer ${config.token}`,
     "Content-Type": "application/json",
@@ -10023,6 +10919,9 @@ async function createOrLinkLuxuryCmsItem({
   if (existingBeforeCreate?.id) {
     return linkExisting(existingBeforeCreate, "precheck_ordered_match");
   }
+  if (interceptSyncWrite("webflow.create", { shopifyProductId, vertical: "luxury", name: productTitle || null, slug })) {
+    return { id: "dry-run", linked: false };
+  }
 
   let lastErr = null;
   for (let attempt = 1; attempt <= 2; attempt++) {
@@ -10122,7 +11021,7 @@ function buildWebflowFieldData(opts) {
     // Ecommerce product category must be an ItemRef (collection item ID), never a display string.
     const categoryRef = resolveFurnitureCategoryRef(category);
     if (categoryRef == null) {
-      const envKey = `FURNITURE_CATEGORY_${category.replace(/\s*\/\s*/g, "_").replace(/\s+/g, "_").toUpperCase().replace(/[^A-Z0-9_]/g, "")}`;
+      const envKey = verticalRegistry.categoryRefEnvKey("furniture", category);
       webflowLog("warn", { event: "build_field_data.category_unassigned", category, envKey, message: `Set ${envKey} to Webflow category item ID` });
     }
     const ex = existingFieldData && typeof existingFieldData === "object" ? existingFieldData : null;
@@ -10156,7 +11055,11 @@ function buildWebflowFieldData(opts) {
 
   // Webflow rejects "Other " (trailing space); use "Other" for Luxury CMS.
   // Only allow known luxury taxonomy values; everything else (including furniture-only categories like "Living Room") becomes "Other ".
-  const isLuxuryCategory = category && LUXURY_TAXONOMY.includes(category);
+  // Added verticals share this layout with their own category labels.
+  const taxonomy = verticalRegistry.isBuiltin(vertical)
+    ? LUXURY_TAXONOMY
+    : [...Object.values(verticalRegistry.get(vertical).categories), "Recently Sold"];
+  const isLuxuryCategory = category && taxonomy.includes(category);
   const luxuryCategory = isLuxuryCategory ? category : "Other ";
   const webflowCategory = (luxuryCategory && luxuryCategory.trimEnd() === "Other") ? "Other" : (luxuryCategory ?? "");
   const luxuryName = soldNow ? (appendNoLongerAvailableToTitle(name) ?? name) : name;
@@ -10177,6 +11080,155 @@ function buildWebflowFieldData(opts) {
   });
 }
 
+/* ======================================================
+   WEBFLOW SCHEMA DRIFT CHECK — boot + GET /webflow/schema-check
+   Expected slugs mirror buildWebflowFieldData / syncFurnitureSku / markAsSold. A renamed or deleted field
+   is reported once here instead of failing every product PATCH. WEBFLOW_SCHEMA_CHECK_BLOCK_SYNC=true
+   refuses live /sync-all runs while drift is detected.
+====================================================== */
+const WEBFLOW_SCHEMA_CHECK_BLOCK_SYNC = process.env.WEBFLOW_SCHEMA_CHECK_BLOCK_SYNC === "true";
+
+const webflowSchemaCheckState = { last: null };
+/** Per collection id: { options: { [slug]: names }, savedAt } from the last check that passed (or was accepted). */
+const webflowSchemaKnownGood = syncStore.namespace(STORE_NS.webflowSchema);
+
+function knownGoodWebflowOptions(collectionId, slug) {
+  return webflowSchemaKnownGood.get(collectionId)?.options?.[slug] ?? [];
+}
+
+const WEBFLOW_IMAGE_FIELD_TYPES = ["Image"];
+const WEBFLOW_SWITCH_FIELD_TYPES = ["Switch"];
+const WEBFLOW_TEXT_FIELD_TYPES = ["PlainText", "RichText"];
+
+/**
+ * Collections to check (only those configured), each with the field map the sync writes. Never derived from the live
+ * schema being checked: slugs are the fixed defaults, Option choices the last known-good copy.
+ */
+function webflowSchemaExpectations() {
+  const out = [];
+  const lux = getWebflowConfig("luxury");
+  if (lux?.collectionId && lux?.token) {
+    out.push({
+      vertical: "luxury",
+      collection: "luxury_cms",
+      collectionId: lux.collectionId,
+      token: lux.token,
+      fields: [
+        { slug: "name", types: ["PlainText"] },
+        { slug: "slug", types: ["PlainText"] },
+        { slug: "brand" },
+        { slug: "price" },
+        { slug: "description", types: WEBFLOW_TEXT_FIELD_TYPES },
+        { slug: "category", types: ["Option", "PlainText"] },
+        { slug: "shopify-product-id", label: "Shopify Product ID", types: ["PlainText"] },
+        { slug: "shopify-url", label: "Shopify URL", types: ["Link", "PlainText"] },
+        { slug: "show-on-webflow", label: "Show on Webflow", types: WEBFLOW_SWITCH_FIELD_TYPES },
+        { slug: getLuxurySoldSinceFieldSlug(), label: "Date Sold", types: ["DateTime"] },
+        { slug: "featured-image", label: "Featured Image", types: WEBFLOW_IMAGE_FIELD_TYPES },
+        ...LUXURY_CMS_GALLERY_IMAGE_SLUG_DEFAULTS.map((slug, i) => ({ slug, label: `Image ${i + 1}`, types: WEBFLOW_IMAGE_FIELD_TYPES })),
+      ],
+    });
+  }
+  const furn = getWebflowConfig("furniture");
+  if (furn?.collectionId && furn?.token) {
+    out.push({
+      vertical: "furniture",
+      collection: "furniture_products",
+      collectionId: furn.collectionId,
+      token: furn.token,
+      fields: [
+        { slug: "name", types: ["PlainText"] },
+        { slug: "slug", types: ["PlainText"] },
+        { slug: "description", types: WEBFLOW_TEXT_FIELD_TYPES },
+        { slug: "main-description-2", label: "Main Description", types: WEBFLOW_TEXT_FIELD_TYPES },
+        { slug: "category", types: ["Reference", "MultiReference"] },
+        { slug: "sold", types: WEBFLOW_SWITCH_FIELD_TYPES },
+        { slug: "shippable", types: WEBFLOW_SWITCH_FIELD_TYPES },
+        { slug: "shopify-product-id", label: "Shopify Product ID", types: ["PlainText"] },
+        { slug: "shopify-slug-2", label: "Shopify Slug", types: ["PlainText"] },
+        {
+          slug: "ec-product-type",
+          label: "EC Product Type",
+          types: ["Option"],
+          options: knownGoodWebflowOptions(furn.collectionId, "ec-product-type"),
+        },
+        { slug: getFurnitureSoldSinceFieldSlug(), label: "Date Sold", types: ["DateTime"] },
+      ],
+    });
+  }
+  if (furn?.skuCollectionId && furn?.token) {
+    out.push({
+      vertical: "furniture",
+      collection: "furniture_skus",
+      collectionId: furn.skuCollectionId,
+      token: furn.token,
+      fields: [
+        { slug: "price", types: ["Price"] },
+        { slug: getFurnitureSkuCompareAtSlug(), label: "Compare-at Price", types: ["Price"] },
+        { slug: "main-image", label: "Main Image", types: WEBFLOW_IMAGE_FIELD_TYPES },
+        { slug: "more-images", label: "More Images", types: ["MultiImage"] },
+        ...["weight", "width", "height", "length"].map((slug) => ({ slug, types: ["Number"] })),
+      ],
+    });
+  }
+  return out;
+}
+
+/**
+ * Fetch every configured collection schema and diff it against the expected field map.
+ * The report is kept in webflowSchemaCheckState.last for GET /webflow/schema-check?cached=1 and the sync-all gate.
+ * A collection that passes (or every collection, with accept: true) has its Option choices stored as known-good.
+ */
+async function runWebflowSchemaCheck({ reason = "on_demand", accept = false } = {}) {
+  const collections = [];
+  for (const exp of webflowSchemaExpectations()) {
+    const base = { vertical: exp.vertical, collection: exp.collection, collectionId: exp.collectionId };
+    try {
+      const resp = await axios.get(`https://api.webflow.com/v2/collections/${exp.collectionId}`, {
+        headers: { Authorization: `Bearer ${exp.token}`, accept: "application/json" },
+      });
+      const liveFields = resp.data?.fields;
+      let fields = exp.fields;
+      if (accept) {
+        const options = optionsSnapshot(fields, liveFields);
+        fields = fields.map((f) => (Array.isArray(f.options) ? { ...f, options: options[f.slug] ?? [] } : f));
+      }
+      const result = compareCollectionSchema(fields, liveFields);
+      if (result.ok || accept) {
+        webflowSchemaKnownGood.set(exp.collectionId, { options: optionsSnapshot(fields, liveFields), savedAt: new Date().toISOString() });
+      }
+      collections.push({ ...base, ...result });
+    } catch (err) {
+      collections.push({
+        ...base,
+        ok: false,
+        error: err.response?.status ? `HTTP ${err.response.status}` : err.message,
+        issues: [],
+      });
+    }
+  }
+  const report = {
+    checkedAt: new Date().toISOString(),
+    reason,
+    ok: collections.every((c) => c.ok),
+    blocksSyncAll: WEBFLOW_SCHEMA_CHECK_BLOCK_SYNC,
+    summary: describeSchemaIssues(collections),
+    collections,
+  };
+  webflowSchemaCheckState.last = report;
+  if (report.ok) {
+    webflowLog("info", { event: "webflow_schema.ok", reason, collections: collections.length });
+  } else {
+    webflowLog("error", {
+      event: "webflow_schema.drift",
+      reason,
+      issues: report.summary,
+      blocksSyncAll: WEBFLOW_SCHEMA_CHECK_BLOCK_SYNC,
+    });
+  }
+  return report;
+}
+
 /* ======================================================
    FACEBOOK MARKETPLACE — GET /api/listing?name=...
    Default: Webflow (Luxury CMS + Furniture ecommerce). Env: WEBFLOW_* / RESALE_*.
@@ -10711,8 +11763,7 @@ function isCanonicalFurnitureSlug(slug) {
 
 async function completeGoogleWeightWithAi({ title, description, shippingWeight }) {
   if (hasValidGoogleShippingWeight(shippingWeight)) return shippingWeight;
-  const key = String(process.env.OPENAI_API_KEY || "").trim();
-  if (!key) return shippingWeight || null;
+  if (!llmClient.isConfigured()) return shippingWeight || null;
   try {
     const model = String(process.env.GOOGLE_MERCHANT_WEIGHT_MODEL || "gpt-4o-mini").trim();
     const prompt = [
@@ -10723,26 +11774,18 @@ async function completeGoogleWeightWithAi({ title, description, shippingWeight }
       `Title: ${String(title || "").slice(0, 300)}`,
       `Description: ${String(description || "").slice(0, 1500)}`,
     ].join("\n");
-    const resp = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model,
-        messages: [
-          { role: "system", content: "You estimate shipping weights for merchant feeds. Return JSON only." },
-          { role: "user", content: prompt },
-        ],
-        temperature: 0,
-        response_format: { type: "json_object" },
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${key}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 30000,
-      }
-    );
-    const raw = resp.data?.choices?.[0]?.message?.content;
+    const resp = await llmClient.chat({
+      purpose: "google_merchant.weight",
+      model,
+      messages: [
+        { role: "system", content: "You estimate shipping weights for merchant feeds. Return JSON only." },
+        { role: "user", content: prompt },
+      ],
+      temperature: 0,
+      json: true,
+      timeoutMs: 30000,
+    });
+    const raw = resp.content;
     if (!raw) return shippingWeight || null;
     const parsed = JSON.parse(raw);
     const lb = Number(parsed?.weightLb);
@@ -10769,14 +11812,15 @@ function setCachedGoogleListingValidation(listingUrl, value, ok) {
   googleListingUrlValidationCache.set(listingUrl, { value, expiresAtMs: Date.now() + ttl });
 }
 
-async function validateGoogleListingUrl(url, expectedSlug = "") {
+/** prefix: listing base URL the link must start with (furniture product prefix unless the luxury shop is passed). */
+async function validateGoogleListingUrl(url, expectedSlug = "", prefixOverride = null) {
   const listingUrl = String(url || "").trim();
   const slug = String(expectedSlug || "").trim();
   if (!listingUrl) return { ok: false, reason: "missing_url" };
   const cached = getCachedGoogleListingValidation(listingUrl);
   if (cached) return cached;
   try {
-    const prefix = (process.env.LISTING_PRODUCT_URL_PREFIX || "https://www.lostandfoundresale.com/product")
+    const prefix = (prefixOverride || process.env.LISTING_PRODUCT_URL_PREFIX || "https://www.lostandfoundresale.com/product")
       .trim()
       .replace(/\/$/, "");
     if (!listingUrl.startsWith(`${prefix}/`)) {
@@ -10825,12 +11869,12 @@ async function validateGoogleListingUrl(url, expectedSlug = "") {
   }
 }
 
-async function validateGoogleListingUrlWithRetry(url, expectedSlug = "") {
+async function validateGoogleListingUrlWithRetry(url, expectedSlug = "", prefixOverride = null) {
   const retries = Math.max(1, parseInt(process.env.GOOGLE_MERCHANT_LISTING_URL_RETRIES || "4", 10) || 4);
   const delayMs = Math.max(250, parseInt(process.env.GOOGLE_MERCHANT_LISTING_URL_RETRY_DELAY_MS || "1500", 10) || 1500);
   let last = { ok: false, reason: "unknown" };
   for (let attempt = 1; attempt <= retries; attempt++) {
-    last = await validateGoogleListingUrl(url, expectedSlug);
+    last = await validateGoogleListingUrl(url, expectedSlug, prefixOverride);
     if (last.ok) return last;
     if (attempt < retries) {
       googleListingUrlValidationCache.delete(String(url || "").trim());
@@ -10843,8 +11887,7 @@ async function validateGoogleListingUrlWithRetry(url, expectedSlug = "") {
 async function completeGoogleDimsWithAi({ title, description, dims }) {
   const merged = { ...(dims || {}) };
   if (hasAllGoogleShippingDims(merged)) return merged;
-  const key = String(process.env.OPENAI_API_KEY || "").trim();
-  if (!key) return merged;
+  if (!llmClient.isConfigured()) return merged;
   try {
     const model = String(process.env.GOOGLE_MERCHANT_DIMENSIONS_MODEL || "gpt-4o-mini").trim();
     const prompt = [
@@ -10855,26 +11898,18 @@ async function completeGoogleDimsWithAi({ title, description, dims }) {
       `Title: ${String(title || "").slice(0, 300)}`,
       `Description: ${String(description || "").slice(0, 1500)}`,
     ].join("\n");
-    const resp = await axios.post(
-      "https://api.openai.com/v1/chat/completions",
-      {
-        model,
-        messages: [
-          { role: "system", content: "You estimate package dimensions for merchant feeds. Return JSON only." },
-          { role: "user", content: prompt },
-        ],
-        temperature: 0,
-        response_format: { type: "json_object" },
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${key}`,
-          "Content-Type": "application/json",
-        },
-        timeout: 30000,
-      }
-    );
-    const raw = resp.data?.choices?.[0]?.message?.content;
+    const resp = await llmClient.chat({
+      purpose: "google_merchant.dimensions",
+      model,
+      messages: [
+        { role: "system", content: "You estimate package dimensions for merchant feeds. Return JSON only." },
+        { role: "user", content: prompt },
+      ],
+      temperature: 0,
+      json: true,
+      timeoutMs: 30000,
+    });
+    const raw = resp.content;
     if (!raw) return merged;
     const parsed = JSON.parse(raw);
     const w = Number(parsed?.width);
@@ -10942,6 +11977,9 @@ function googleMoneyFromCents(cents, currency = null) {
  *
  * Clear sale (current becomes the only price) when restored within $5 of original, same, or higher.
  * Matches Webflow compare-at clearing.
+ *
+ * persist: false computes the same answer without saving the price state (or logging sale changes), for
+ * readers such as the Meta catalog that must not move the Google push's sale tracking.
  */
 function resolveGoogleSalePricing({
   currentPriceCents,
@@ -10949,6 +11987,7 @@ function resolveGoogleSalePricing({
   compareAtCents = null,
   previousPriceCents = null,
   cacheEntry = null,
+  persist = true,
 }) {
   const currency = String(process.env.GOOGLE_MERCHANT_CURRENCY || "USD").trim() || "USD";
   const pid = String(shopifyProductId || "").trim();
@@ -10989,8 +12028,8 @@ function resolveGoogleSalePricing({
       salePriceCents: null,
       highWaterCents,
     };
-    if (pid) setGoogleMerchantPriceState(pid, state);
-    if (cachedList != null || cachedSale != null) {
+    if (pid && persist) setGoogleMerchantPriceState(pid, state);
+    if (persist && (cachedList != null || cachedSale != null)) {
       webflowLog("info", {
         event: "google_merchant.sale_price_cleared",
         shopifyProductId: pid || null,
@@ -11059,6 +12098,7 @@ function resolveGoogleSalePricing({
       salePriceCents: current,
       highWaterCents: listCents,
     };
+    if (!persist) return { price, salePrice, state, onSale: true, reason };
     if (pid) setGoogleMerchantPriceState(pid, state);
     webflowLog("info", {
       event: "google_merchant.sale_price_applied",
@@ -11078,7 +12118,7 @@ function resolveGoogleSalePricing({
   return clearSale("price_restored_near_original", current);
 }
 
-function resolveGoogleSalePricingForShopifyProduct(product, cache = null, pricingHints = null) {
+function resolveGoogleSalePricingForShopifyProduct(product, cache = null, pricingHints = null, { persist = true } = {}) {
   const sid = String(product?.id || "").trim();
   const cacheEntry = cache && sid ? getCacheEntry(cache, sid) : null;
   const currentPriceCents =
@@ -11096,9 +12136,65 @@ function resolveGoogleSalePricingForShopifyProduct(product, cache = null, pricin
     compareAtCents,
     previousPriceCents,
     cacheEntry,
+    persist,
   });
 }
 
+function loadGoogleFurnitureTaxonomy() {
+  const taxonomyFile =
+    String(process.env.GOOGLE_PRODUCT_TAXONOMY_FILE || "").trim() ||
+    path.join(__dirname, "lib", "googleProductTaxonomy.txt");
+  const file =
+    String(process.env.GOOGLE_FURNITURE_TAXONOMY_FILE || "").trim() ||
+    path.join(__dirname, "lib", "googleFurnitureTaxonomy.json");
+  try {
+    const taxonomy = parseGoogleTaxonomyList(fs.readFileSync(taxonomyFile, "utf8"));
+    const out = parseGoogleFurnitureTaxonomy(fs.readFileSync(file, "utf8"), {
+      taxonomy,
+      categories: FURNITURE_TAXONOMY,
+    });
+    if (out.error) webflowLog("error", { event: "google.furniture_taxonomy_invalid", file, message: out.error });
+    return { ...out, file };
+  } catch (err) {
+    webflowLog("error", { event: "google.furniture_taxonomy_load_failed", file, message: err.message });
+    return { value: null, error: err.message, file };
+  }
+}
+
+/** Furniture category → Google taxonomy mapping; null (invalid file) falls back to GOOGLE_MERCHANT_FURNITURE_CATEGORY. */
+const googleFurnitureTaxonomy = loadGoogleFurnitureTaxonomy();
+
+/** googleProductCategory + productTypes for a furniture offer. */
+function googleFurnitureTaxonomyFields(category, title) {
+  if (!googleFurnitureTaxonomy.value) {
+    return {
+      googleProductCategory: String(process.env.GOOGLE_MERCHANT_FURNITURE_CATEGORY || "436").trim() || "436",
+    };
+  }
+  const { googleProductCategory, productTypes } = resolveGoogleFurnitureTaxonomy(
+    googleFurnitureTaxonomy.value,
+    category,
+    title
+  );
+  return { googleProductCategory, productTypes };
+}
+
+/** GOOGLE_FEED_ENABLED: keep the /feeds/google.xml|.tsv file feed up to date (runs the builders without the API push too). */
+function googleFeedEnabled() {
+  return /^(1|true|yes|on)$/i.test(String(process.env.GOOGLE_FEED_ENABLED || "").trim());
+}
+
+/** Furniture offers for the file feed, as last built by the sync (lib/googleFeed.js). */
+const googleFeed = createGoogleFeedStore({
+  persist: syncStore.namespace(STORE_NS.googleFeed),
+  channel: () => ({
+    title: `${String(process.env.GOOGLE_MERCHANT_BRAND_FALLBACK || "Lost and Found Resale").trim()} furniture`,
+    link: (process.env.LISTING_PRODUCT_URL_PREFIX || "https://www.lostandfoundresale.com/product")
+      .trim()
+      .replace(/\/product\/?$/, ""),
+  }),
+});
+
 async function buildGoogleFurnitureProductFromShopify(
   product,
   availability = "in stock",
@@ -11141,6 +12237,11 @@ async function buildGoogleFurnitureProductFromShopify(
   });
   extractedDims = applyGoogleDimFallback(extractedDims);
   const pricing = resolveGoogleSalePricingForShopifyProduct(product, cache, pricingHints);
+  const sid = String(product?.id || "").trim();
+  const category =
+    product?.[RESOLVED_ECOMMERCE_TAXONOMY]?.category ??
+    (cache && sid ? getCacheEntry(cache, sid)?.resolvedCategory : null) ??
+    getExistingPlacedCategory(product, "furniture");
   const out = {
     offerId,
     title: String(product?.title || "").trim(),
@@ -11156,8 +12257,7 @@ async function buildGoogleFurnitureProductFromShopify(
     price: pricing.price,
     brand: String(product?.vendor || process.env.GOOGLE_MERCHANT_BRAND_FALLBACK || "Lost and Found Resale").trim(),
     identifierExists: false,
-    googleProductCategory:
-      String(process.env.GOOGLE_MERCHANT_FURNITURE_CATEGORY || "436").trim() || "436",
+    ...googleFurnitureTaxonomyFields(category, product?.title),
     shippingWeight,
   };
   if (pricing.salePrice) out.salePrice = pricing.salePrice;
@@ -11226,6 +12326,12 @@ function toMerchantApiProductInput(payload) {
     googleProductCategory: payload?.googleProductCategory
       ? String(payload.googleProductCategory)
       : undefined,
+    productTypes: Array.isArray(payload?.productTypes) ? payload.productTypes.filter(Boolean) : undefined,
+    // Luxury (apparel & accessories) attributes; the Merchant API takes gender / age group as enums.
+    gender: payload?.gender ? String(payload.gender).toUpperCase() : undefined,
+    ageGroup: payload?.ageGroup ? String(payload.ageGroup).toUpperCase() : undefined,
+    color: payload?.color || undefined,
+    material: payload?.material || undefined,
   };
   const price = toMerchantApiPrice(payload?.price);
   if (price) productAttributes.price = price;
@@ -11301,6 +12407,7 @@ async function googleMerchantInsertProduct(payload) {
   });
 }
 
+/** true when pushed, "feed" when only recorded in the file feed (API push off), false when skipped or failed. */
 async function syncGoogleMerchantFurnitureFromShopifyProduct(
   product,
   availability = "in stock",
@@ -11309,7 +12416,8 @@ async function syncGoogleMerchantFurnitureFromShopifyProduct(
   pricingHints = null
 ) {
   if (!product) return false;
-  if (!googleMerchantEnabled()) {
+  const pushEnabled = googleMerchantEnabled();
+  if (!pushEnabled && !googleFeedEnabled()) {
     webflowLog("warn", {
       event: "google_merchant.skipped_disabled",
       reason,
@@ -11318,6 +12426,9 @@ async function syncGoogleMerchantFurnitureFromShopifyProduct(
     });
     return false;
   }
+  if (interceptSyncWrite("google.upsert", { shopifyProductId: String(product?.id || "").trim(), availability, reason })) {
+    return false;
+  }
   webflowLog("info", {
     event: "google_merchant.sync_start",
     reason,
@@ -11449,14 +12560,16 @@ async function syncGoogleMerchantFurnitureFromShopifyProduct(
         await sendMissingDimensionsAlertEmail(product, googleDims, "Furniture", googleMissing);
       }
     }
-    await sendGoogleFeedDataIssueEmail({
-      product,
-      issue: "missing_shipping_weight",
-      listingUrl: payload.link || "",
-      canonicalSlug,
-      shippingWeight: payload.shippingWeight || null,
-      reason,
-    });
+    if (pushEnabled) {
+      await sendGoogleFeedDataIssueEmail({
+        product,
+        issue: "missing_shipping_weight",
+        listingUrl: payload.link || "",
+        canonicalSlug,
+        shippingWeight: payload.shippingWeight || null,
+        reason,
+      });
+    }
     webflowLog("warn", {
       event: "google_merchant.skip_missing_weight",
       reason,
@@ -11467,14 +12580,16 @@ async function syncGoogleMerchantFurnitureFromShopifyProduct(
   }
   const urlValidation = await validateGoogleListingUrlWithRetry(payload.link, canonicalSlug);
   if (!urlValidation.ok) {
-    await sendGoogleFeedDataIssueEmail({
-      product,
-      issue: "invalid_listing_url",
-      listingUrl: payload.link || "",
-      canonicalSlug,
-      shippingWeight: payload.shippingWeight || null,
-      reason: `${reason}:${urlValidation.reason}`,
-    });
+    if (pushEnabled) {
+      await sendGoogleFeedDataIssueEmail({
+        product,
+        issue: "invalid_listing_url",
+        listingUrl: payload.link || "",
+        canonicalSlug,
+        shippingWeight: payload.shippingWeight || null,
+        reason: `${reason}:${urlValidation.reason}`,
+      });
+    }
     webflowLog("warn", {
       event: "google_merchant.skip_invalid_url",
       reason,
@@ -11485,6 +12600,8 @@ async function syncGoogleMerchantFurnitureFromShopifyProduct(
     });
     return false;
   }
+  if (googleFeedEnabled()) googleFeed.upsert(payload, { shopifyProductId: sid || null, reason });
+  if (!pushEnabled) return "feed";
   try {
     await googleMerchantInsertProduct(payload);
     clearGoogleGuardEmailSentIds(String(product?.id || ""));
@@ -11511,11 +12628,19 @@ async function syncGoogleMerchantFurnitureFromShopifyProduct(
   }
 }
 
-async function buildGoogleFurnitureOutOfStockFromWebflow(existing) {
+/** Google offer id for a furniture Webflow listing (canonical slug), or null when the slug is not canonical. */
+function googleFurnitureOfferIdForWebflowItem(existing) {
   const fd = existing?.fieldData || {};
   const slug = String(fd["shopify-slug-2"] || fd.slug || "").trim();
   if (!isCanonicalFurnitureSlug(slug)) return null;
-  const offerId = googleOfferIdFromSlugOrHandle(slug, fd["shopify-product-id"] || existing?.id);
+  return googleOfferIdFromSlugOrHandle(slug, fd["shopify-product-id"] || existing?.id);
+}
+
+async function buildGoogleFurnitureOutOfStockFromWebflow(existing) {
+  const fd = existing?.fieldData || {};
+  const slug = String(fd["shopify-slug-2"] || fd.slug || "").trim();
+  const offerId = googleFurnitureOfferIdForWebflowItem(existing);
+  if (!offerId) return null;
   const description = formatGoogleFurnitureDescription(fd.description || fd["main-description-2"] || "", fd.name || "");
   let weight = extractGoogleWeightFromText(description);
   weight = await completeGoogleWeightWithAi({
@@ -11542,6 +12667,12 @@ async function buildGoogleFurnitureOutOfStockFromWebflow(existing) {
     compareAtCents,
     cacheEntry: null,
   });
+  // Same preference as the in-stock builder; the ref lookup needs the category map, which a webhook may not have loaded.
+  let category = sid ? getCacheEntry(loadCache(), sid)?.resolvedCategory ?? null : null;
+  if (!category) {
+    await loadFurnitureCategoryMap();
+    category = furnitureCategoryFromRef(fd.category);
+  }
   const payload = {
     offerId,
     title: String(fd.name || "").trim(),
@@ -11557,8 +12688,7 @@ async function buildGoogleFurnitureOutOfStockFromWebflow(existing) {
     price: pricing.price,
     brand: String(fd.brand || process.env.GOOGLE_MERCHANT_BRAND_FALLBACK || "Lost and Found Resale").trim(),
     identifierExists: false,
-    googleProductCategory:
-      String(process.env.GOOGLE_MERCHANT_FURNITURE_CATEGORY || "436").trim() || "436",
+    ...googleFurnitureTaxonomyFields(category, fd.name),
     shippingWeight: weight,
   };
   if (pricing.salePrice) payload.salePrice = pricing.salePrice;
@@ -11567,7 +12697,17 @@ async function buildGoogleFurnitureOutOfStockFromWebflow(existing) {
 }
 
 async function syncGoogleMerchantFurnitureOutOfStockFromWebflow(existing, reason = "mark_sold") {
-  if (!googleMerchantEnabled()) return false;
+  const pushEnabled = googleMerchantEnabled();
+  if (!pushEnabled && !googleFeedEnabled()) return false;
+  if (
+    interceptSyncWrite("google.out_of_stock", {
+      shopifyProductId: existing?.fieldData?.["shopify-product-id"] || undefined,
+      webflowId: existing?.id,
+      reason,
+    })
+  ) {
+    return false;
+  }
   const payload = await buildGoogleFurnitureOutOfStockFromWebflow(existing);
   if (!payload || !payload.offerId || !payload.title) return false;
   const pseudoProduct = {
@@ -11575,14 +12715,16 @@ async function syncGoogleMerchantFurnitureOutOfStockFromWebflow(existing, reason
     title: payload.title,
   };
   if (!hasValidGoogleShippingWeight(payload.shippingWeight)) {
-    await sendGoogleFeedDataIssueEmail({
-      product: pseudoProduct,
-      issue: "missing_shipping_weight",
-      listingUrl: payload.link || "",
-      canonicalSlug: String(existing?.fieldData?.["shopify-slug-2"] || existing?.fieldData?.slug || "").trim(),
-      shippingWeight: payload.shippingWeight || null,
-      reason,
-    });
+    if (pushEnabled) {
+      await sendGoogleFeedDataIssueEmail({
+        product: pseudoProduct,
+        issue: "missing_shipping_weight",
+        listingUrl: payload.link || "",
+        canonicalSlug: String(existing?.fieldData?.["shopify-slug-2"] || existing?.fieldData?.slug || "").trim(),
+        shippingWeight: payload.shippingWeight || null,
+        reason,
+      });
+    }
     return false;
   }
   const urlValidation = await validateGoogleListingUrlWithRetry(
@@ -11590,16 +12732,22 @@ async function syncGoogleMerchantFurnitureOutOfStockFromWebflow(existing, reason
     String(existing?.fieldData?.["shopify-slug-2"] || existing?.fieldData?.slug || "").trim()
   );
   if (!urlValidation.ok) {
-    await sendGoogleFeedDataIssueEmail({
-      product: pseudoProduct,
-      issue: "invalid_listing_url",
-      listingUrl: payload.link || "",
-      canonicalSlug: String(existing?.fieldData?.["shopify-slug-2"] || existing?.fieldData?.slug || "").trim(),
-      shippingWeight: payload.shippingWeight || null,
-      reason: `${reason}:${urlValidation.reason}`,
-    });
+    if (pushEnabled) {
+      await sendGoogleFeedDataIssueEmail({
+        product: pseudoProduct,
+        issue: "invalid_listing_url",
+        listingUrl: payload.link || "",
+        canonicalSlug: String(existing?.fieldData?.["shopify-slug-2"] || existing?.fieldData?.slug || "").trim(),
+        shippingWeight: payload.shippingWeight || null,
+        reason: `${reason}:${urlValidation.reason}`,
+      });
+    }
     return false;
   }
+  if (googleFeedEnabled()) {
+    googleFeed.upsert(payload, { shopifyProductId: existing?.fieldData?.["shopify-product-id"] || null, reason });
+  }
+  if (!pushEnabled) return "feed";
   try {
     await googleMerchantInsertProduct(payload);
     clearGoogleGuardEmailSentIds(String(pseudoProduct?.id || ""));
@@ -11623,40 +12771,248 @@ async function syncGoogleMerchantFurnitureOutOfStockFromWebflow(existing, reason
   }
 }
 
-async function deleteGoogleMerchantFurnitureByOfferId(offerId, reason = "delete") {
-  if (!googleMerchantEnabled()) return false;
-  const cfg = getGoogleMerchantConfig();
-  if (!cfg.merchantId) return false;
-  const oid = String(offerId || "").trim();
-  if (!oid) return false;
-  try {
-    const token = await getGoogleMerchantAccessToken();
-    if (!token) return false;
-    const lang = String(process.env.GOOGLE_MERCHANT_CONTENT_LANGUAGE || "en").trim() || "en";
-    const country =
-      String(process.env.GOOGLE_MERCHANT_TARGET_COUNTRY || "US").trim().toUpperCase() || "US";
+/* ======================================================
+   GOOGLE MERCHANT — LUXURY (lib/googleLuxuryOffer.js)
+   Opt-in with GOOGLE_MERCHANT_LUXURY_ENABLED=true on top of the furniture Merchant setup. Offers link to the
+   handbags shop (LISTING_LUXURY_URL_PREFIX + Webflow CMS slug); sold listings go out of stock like furniture, and
+   a listing moved to furniture has its luxury offer deleted.
+   Env: GOOGLE_MERCHANT_LUXURY_DEFAULT_GENDER (default female) when the title / description do not say.
+====================================================== */
+function googleMerchantLuxuryEnabled() {
+  const v = String(process.env.GOOGLE_MERCHANT_LUXURY_ENABLED || "").trim().toLowerCase();
+  return (v === "1" || v === "true" || v === "yes" || v === "on") && googleMerchantEnabled();
+}
 
-    let productId;
-    let url;
-    let params;
-    if (cfg.apiMode === "content") {
-      productId = `online:${lang}:${country}:${oid}`;
-      url = `https://shoppingcontent.googleapis.com/content/v2.1/${encodeURIComponent(
-        cfg.merchantId
-      )}/products/${encodeURIComponent(productId)}`;
-      params = undefined;
-    } else {
-      if (!cfg.dataSource) {
-        webflowLog("error", {
-          event: "google_merchant.delete_failed",
-          reason,
-          offerId: oid,
-          message: "GOOGLE_MERCHANT_DATA_SOURCE missing",
-        });
-        return false;
-      }
-      productId = encodeMerchantProductInputId(lang, country, oid);
-      url = `https://merchantapi.googleapis.com/products/v1/accounts/${encodeURIComponent(
+function googleLuxuryListingUrl(slug) {
+  const s = String(slug || "").trim();
+  return s ? `${getLuxuryListingPublicBaseUrl()}/${s}` : null;
+}
+
+function googleLuxuryOfferDefaults() {
+  return {
+    contentLanguage: String(process.env.GOOGLE_MERCHANT_CONTENT_LANGUAGE || "en").trim() || "en",
+    targetCountry: String(process.env.GOOGLE_MERCHANT_TARGET_COUNTRY || "US").trim() || "US",
+    defaultGender: String(process.env.GOOGLE_MERCHANT_LUXURY_DEFAULT_GENDER || "female").trim().toLowerCase() || "female",
+  };
+}
+
+/** Detected brand, else the Shopify vendor (the sync writes "Unknown" there when it found none), else the fallback. */
+function googleLuxuryBrand(title, vendor) {
+  const v = String(vendor || "").trim();
+  return (
+    detectBrandFromProduct(title, vendor) ||
+    (v && v.toLowerCase() !== "unknown" ? v : "") ||
+    String(process.env.GOOGLE_MERCHANT_BRAND_FALLBACK || "Lost and Found Resale").trim()
+  );
+}
+
+/** webflowItem: the luxury CMS item (slug and category fallback). */
+function buildGoogleLuxuryProductFromShopify(product, availability = "in stock", cache = null, webflowItem = null) {
+  const sid = String(product?.id || "").trim();
+  const fd = webflowItem?.fieldData || {};
+  const cacheEntry = cache && sid ? getCacheEntry(cache, sid) : null;
+  const pricing = resolveGoogleSalePricingForShopifyProduct(product, cache);
+  const weight = Number(getDimensionsFromProduct(product || {}).weight);
+  return buildGoogleLuxuryOffer({
+    ...googleLuxuryOfferDefaults(),
+    shopifyProductId: sid,
+    title: product?.title,
+    description: htmlToTextForGoogle(product?.body_html || ""),
+    link: googleLuxuryListingUrl(fd.slug),
+    images: (product?.images || []).map((i) => i?.src),
+    brand: googleLuxuryBrand(product?.title, product?.vendor),
+    category: product?.[RESOLVED_ECOMMERCE_TAXONOMY]?.category ?? cacheEntry?.resolvedCategory ?? fd.category ?? null,
+    isWatch: productLooksLikeWristwatchLuxury(product),
+    availability,
+    price: pricing.price,
+    salePrice: pricing.salePrice,
+    shippingWeight: Number.isFinite(weight) && weight > 0 ? { value: String(weight), unit: "lb" } : null,
+  });
+}
+
+/** Guardrails (listing URL on the luxury shop, title, image) then insert. Never throws. */
+async function upsertGoogleLuxuryOffer(payload, { product, slug, reason, event = "upsert" }) {
+  const shopifyProductId = String(product?.id || "");
+  if (!payload.title || !payload.imageLink) {
+    webflowLog("warn", {
+      event: "google_merchant.skip_invalid_payload",
+      vertical: "luxury",
+      reason,
+      shopifyProductId,
+      offerId: payload.offerId,
+      hasTitle: !!payload.title,
+      hasImage: !!payload.imageLink,
+    });
+    return false;
+  }
+  const urlValidation = await validateGoogleListingUrlWithRetry(payload.link, slug, getLuxuryListingPublicBaseUrl());
+  if (!urlValidation.ok) {
+    await sendGoogleFeedDataIssueEmail({
+      product,
+      issue: "invalid_listing_url",
+      listingUrl: payload.link || "",
+      canonicalSlug: slug,
+      reason: `${reason}:${urlValidation.reason}`,
+    });
+    webflowLog("warn", {
+      event: "google_merchant.skip_invalid_url",
+      vertical: "luxury",
+      reason,
+      urlReason: urlValidation.reason,
+      shopifyProductId,
+      listingUrl: payload.link || null,
+    });
+    return false;
+  }
+  try {
+    await googleMerchantInsertProduct(payload);
+    clearGoogleGuardEmailSentIds(shopifyProductId);
+    webflowLog("info", {
+      event: `google_merchant.${event}_ok`,
+      vertical: "luxury",
+      reason,
+      shopifyProductId,
+      offerId: payload.offerId,
+      availability: payload.availability,
+      googleProductCategory: payload.googleProductCategory,
+    });
+    return true;
+  } catch (err) {
+    webflowLog("error", {
+      event: `google_merchant.${event}_failed`,
+      vertical: "luxury",
+      reason,
+      shopifyProductId,
+      offerId: payload.offerId,
+      status: err?.response?.status ?? null,
+      message: err?.response?.data?.error?.message || err.message,
+    });
+    return false;
+  }
+}
+
+/**
+ * Push one luxury product. webflowItem: the CMS item when the caller just wrote it (slug); otherwise the luxury
+ * index or a CMS lookup finds it. No listing yet → skipped until the next sync.
+ */
+async function syncGoogleMerchantLuxuryFromShopifyProduct(
+  product,
+  availability = "in stock",
+  reason = "sync",
+  cache = null,
+  webflowItem = null
+) {
+  if (!product || !googleMerchantLuxuryEnabled()) return false;
+  const sid = String(product.id || "").trim();
+  if (interceptSyncWrite("google.upsert", { shopifyProductId: sid, availability, reason, vertical: "luxury" })) return false;
+  try {
+    let item = webflowItem?.fieldData?.slug ? webflowItem : luxuryItemIndex?.byShopifyId?.get(sid) ?? null;
+    if (!item) item = await findExistingWebflowItem(sid, null, null, getWebflowConfig("luxury"));
+    const slug = String(item?.fieldData?.slug || "").trim();
+    if (!slug) {
+      webflowLog("warn", {
+        event: "google_merchant.defer_missing_canonical_slug",
+        vertical: "luxury",
+        reason,
+        shopifyProductId: sid,
+        message: "Skipping Google push until the luxury Webflow listing exists",
+      });
+      return false;
+    }
+    const payload = buildGoogleLuxuryProductFromShopify(product, availability, cache, item);
+    return await upsertGoogleLuxuryOffer(payload, { product, slug, reason });
+  } catch (err) {
+    webflowLog("error", {
+      event: "google_merchant.sync_unhandled_error",
+      vertical: "luxury",
+      reason,
+      shopifyProductId: sid,
+      message: err?.message || String(err),
+      status: err?.response?.status ?? null,
+    });
+    return false;
+  }
+}
+
+/** Sold luxury listing → out of stock, built from the Webflow CMS item (markAsSold has no Shopify product). */
+async function syncGoogleMerchantLuxuryOutOfStockFromWebflow(existing, reason = "mark_sold") {
+  if (!googleMerchantLuxuryEnabled()) return false;
+  const fd = existing?.fieldData || {};
+  const sid = String(fd["shopify-product-id"] || "").trim();
+  const slug = String(fd.slug || "").trim();
+  if (!sid || !slug) return false;
+  if (interceptSyncWrite("google.out_of_stock", { shopifyProductId: sid, webflowId: existing?.id, reason, vertical: "luxury" })) {
+    return false;
+  }
+  const title = stripNoLongerAvailableSuffix(String(fd.name || "")).trim();
+  const pricing = resolveGoogleSalePricing({
+    currentPriceCents: parseGooglePriceToCents(fd.price),
+    shopifyProductId: sid,
+    cacheEntry: null,
+  });
+  const payload = buildGoogleLuxuryOffer({
+    ...googleLuxuryOfferDefaults(),
+    shopifyProductId: sid,
+    title,
+    description: htmlToTextForGoogle(fd.description || ""),
+    link: googleLuxuryListingUrl(slug),
+    images: luxuryFieldDataImageUrls(fd),
+    brand: googleLuxuryBrand(title, fd.brand),
+    category: fd.category === "Recently Sold" ? null : fd.category,
+    isWatch: isWristwatchProduct(title, fd.description || ""),
+    availability: "out of stock",
+    price: pricing.price,
+    salePrice: pricing.salePrice,
+  });
+  return upsertGoogleLuxuryOffer(payload, { product: { id: sid, title }, slug, reason, event: "mark_out_of_stock" });
+}
+
+/** Listing left the luxury vertical (moved to furniture): remove its offer. */
+async function deleteGoogleMerchantLuxuryOffer(shopifyProductId, reason = "delete") {
+  const sid = String(shopifyProductId || "").trim();
+  if (!sid || !googleMerchantLuxuryEnabled()) return false;
+  return deleteGoogleMerchantFurnitureByOfferId(googleLuxuryOfferId(sid), reason);
+}
+
+/** Delete one offer by offer id (furniture slug ids and luxury "lux-" ids alike). */
+async function deleteGoogleMerchantFurnitureByOfferId(offerId, reason = "delete") {
+  const feedEnabled = googleFeedEnabled();
+  if (!googleMerchantEnabled() && !feedEnabled) return false;
+  const oid = String(offerId || "").trim();
+  if (!oid) return false;
+  if (interceptSyncWrite("google.delete", { offerId: oid, reason })) return false;
+  if (feedEnabled) googleFeed.remove(oid);
+  if (!googleMerchantEnabled()) return false;
+  const cfg = getGoogleMerchantConfig();
+  if (!cfg.merchantId) return false;
+  try {
+    const token = await getGoogleMerchantAccessToken();
+    if (!token) return false;
+    const lang = String(process.env.GOOGLE_MERCHANT_CONTENT_LANGUAGE || "en").trim() || "en";
+    const country =
+      String(process.env.GOOGLE_MERCHANT_TARGET_COUNTRY || "US").trim().toUpperCase() || "US";
+
+    let productId;
+    let url;
+    let params;
+    if (cfg.apiMode === "content") {
+      productId = `online:${lang}:${country}:${oid}`;
+      url = `https://shoppingcontent.googleapis.com/content/v2.1/${encodeURIComponent(
+        cfg.merchantId
+      )}/products/${encodeURIComponent(productId)}`;
+      params = undefined;
+    } else {
+      if (!cfg.dataSource) {
+        webflowLog("error", {
+          event: "google_merchant.delete_failed",
+          reason,
+          offerId: oid,
+          message: "GOOGLE_MERCHANT_DATA_SOURCE missing",
+        });
+        return false;
+      }
+      productId = encodeMerchantProductInputId(lang, country, oid);
+      url = `https://merchantapi.googleapis.com/products/v1/accounts/${encodeURIComponent(
         cfg.merchantId
       )}/productInputs/${encodeURIComponent(productId)}`;
       params = { dataSource: cfg.dataSource };
@@ -11692,6 +13048,180 @@ async function deleteGoogleMerchantFurnitureByOfferId(offerId, reason = "delete"
   }
 }
 
+/** Google Merchant money ({ value } in Content API, { amountMicros } in Merchant API) → cents. */
+function googleMerchantMoneyToCents(money) {
+  if (!money || typeof money !== "object") return null;
+  if (money.amountMicros != null) {
+    const micros = Number(money.amountMicros);
+    return Number.isFinite(micros) ? Math.round(micros / 10_000) : null;
+  }
+  return parseGooglePriceToCents(money.value);
+}
+
+/**
+ * Every offer in the Merchant Center account (read-only), normalized to { offerId, inStock, priceCents }.
+ * priceCents is the effective price (salePrice when set). Returns null when Google Merchant is not configured.
+ */
+async function googleMerchantListOffers() {
+  if (!googleMerchantEnabled()) return null;
+  const cfg = getGoogleMerchantConfig();
+  if (!cfg.merchantId) return null;
+  const token = await getGoogleMerchantAccessToken();
+  if (!token) throw new Error("google merchant auth unavailable");
+  const offers = [];
+  let pageToken = null;
+  do {
+    const url =
+      cfg.apiMode === "content"
+        ? `https://shoppingcontent.googleapis.com/content/v2.1/${encodeURIComponent(cfg.merchantId)}/products`
+        : `https://merchantapi.googleapis.com/products/v1/accounts/${encodeURIComponent(cfg.merchantId)}/products`;
+    const params =
+      cfg.apiMode === "content"
+        ? { maxResults: 250, ...(pageToken ? { pageToken } : {}) }
+        : { pageSize: 1000, ...(pageToken ? { pageToken } : {}) };
+    const resp = await axios.get(url, {
+      params,
+      headers: { Authorization: `Bearer ${token}`, accept: "application/json" },
+      timeout: 30000,
+    });
+    const rows = cfg.apiMode === "content" ? resp.data?.resources ?? [] : resp.data?.products ?? [];
+    for (const row of rows) {
+      const attrs = row.productAttributes ?? row.attributes ?? row;
+      const availability = String(attrs.availability || "").toLowerCase().replace(/_/g, " ");
+      offers.push({
+        offerId: String(row.offerId || ""),
+        inStock: availability === "in stock",
+        priceCents: googleMerchantMoneyToCents(attrs.salePrice) ?? googleMerchantMoneyToCents(attrs.price),
+      });
+    }
+    pageToken = resp.data?.nextPageToken || null;
+  } while (pageToken);
+  return offers.filter((o) => o.offerId);
+}
+
+/* ======================================================
+   RECONCILIATION REPORT — POST/GET /reports/reconciliation
+   Joins the Shopify catalog, the luxury CMS + furniture ecommerce indexes (fresh load) and Google Merchant
+   offers, and lists every mismatch (lib/reconciliation.js). Read-only; runs in the background and the
+   latest report is kept in DATA_DIR for JSON / CSV download.
+====================================================== */
+const reconciliationJobState = { running: false, startedAt: null, finishedAt: null, error: null };
+
+function luxuryWebflowItemForReconciliation(item) {
+  const fd = item.fieldData || {};
+  return {
+    vertical: "luxury",
+    webflowId: item.id,
+    shopifyProductId: fd["shopify-product-id"] ? String(fd["shopify-product-id"]) : null,
+    name: fd.name ?? null,
+    slug: fd.slug ?? null,
+    sold: webflowListingLooksSold(item, "luxury"),
+    archived: !!item.isArchived,
+    priceCents: parseGooglePriceToCents(fd.price),
+    hasImage: !!fd["featured-image"],
+    offerId: fd["shopify-product-id"] && googleMerchantLuxuryEnabled() ? googleLuxuryOfferId(fd["shopify-product-id"]) : null,
+  };
+}
+
+function furnitureWebflowItemForReconciliation(entry, skuIndex) {
+  const fd = entry.fieldData || {};
+  const skuFd = (entry.skus?.[0] ?? skuIndex?.get(String(entry.id)))?.fieldData || {};
+  return {
+    vertical: "furniture",
+    webflowId: entry.id,
+    shopifyProductId: fd["shopify-product-id"] ? String(fd["shopify-product-id"]) : null,
+    name: fd.name ?? null,
+    slug: fd.slug ?? null,
+    sold: webflowListingLooksSold(entry, "furniture"),
+    archived: !!entry.isArchived,
+    priceCents: webflowSkuMoneyFieldToCents(skuFd.price),
+    hasImage: !!skuFd["main-image"],
+    offerId: googleFurnitureOfferIdForWebflowItem(entry),
+  };
+}
+
+/** Distinct index entries (byShopifyId misses listings without a Shopify id; bySlug has those). */
+function webflowIndexEntries(index) {
+  const byId = new Map();
+  for (const map of [index?.byShopifyId, index?.bySlug]) {
+    for (const entry of map?.values() ?? []) if (entry?.id) byId.set(entry.id, entry);
+  }
+  return [...byId.values()];
+}
+
+async function buildReconciliationReport() {
+  const startedAt = new Date().toISOString();
+  const [products, luxIndex, furnIndex] = await Promise.all([
+    fetchAllShopifyProducts(),
+    loadLuxuryItemIndex({ force: true }),
+    loadFurnitureProductIndex({ force: true }),
+  ]);
+  const furnConfig = getWebflowConfig("furniture");
+  const skuIndex = furnitureUsesEcommerceApi(furnConfig) ? null : await loadFurnitureSkuIndex({ force: true });
+  let google = null;
+  let googleError = null;
+  try {
+    google = await googleMerchantListOffers();
+  } catch (err) {
+    googleError = err.response?.status ? `HTTP ${err.response.status}` : err.message;
+    webflowLog("error", { event: "reconciliation.google_list_failed", message: googleError });
+  }
+  const cache = loadCache();
+  const cacheQtyById = new Map();
+  const shopify = products.map((p) => {
+    const id = String(p.id);
+    const row = cache[id];
+    if (row && typeof row === "object" && row.lastQty != null) cacheQtyById.set(id, row.lastQty);
+    return {
+      id,
+      title: p.title ?? null,
+      status: p.status ?? null,
+      qty: getPrimaryVariantInventoryQuantity(p),
+      priceCents: parseGooglePriceToCents(p.variants?.[0]?.price),
+      imageCount: (p.images || []).length,
+      vertical: row && typeof row === "object" ? row.vertical ?? null : null,
+    };
+  });
+  const webflow = [
+    ...webflowIndexEntries(luxIndex).map(luxuryWebflowItemForReconciliation),
+    ...webflowIndexEntries(furnIndex).map((e) => furnitureWebflowItemForReconciliation(e, skuIndex)),
+  ];
+  const { summary, mismatches } = reconcileCatalogs({ shopify, webflow, google, cacheQtyById });
+  return {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    sources: {
+      shopify: true,
+      luxury: !!luxIndex,
+      furniture: !!furnIndex,
+      google: google ? true : googleError ? `failed: ${googleError}` : "not_configured",
+    },
+    summary,
+    mismatches,
+  };
+}
+
+function saveReconciliationReport(report) {
+  try {
+    ensureDataDir();
+    const tmp = `${RECONCILIATION_REPORT_FILE}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(report, null, 2), "utf8");
+    fs.renameSync(tmp, RECONCILIATION_REPORT_FILE);
+  } catch (err) {
+    webflowLog("error", { event: "reconciliation.save_failed", message: err.message });
+  }
+}
+
+function loadReconciliationReport() {
+  try {
+    if (!fs.existsSync(RECONCILIATION_REPORT_FILE)) return null;
+    return JSON.parse(fs.readFileSync(RECONCILIATION_REPORT_FILE, "utf8"));
+  } catch (err) {
+    webflowLog("error", { event: "reconciliation.load_failed", message: err.message });
+    return null;
+  }
+}
+
 /**
  * Public base URL for luxury/handbag product links (no trailing slash).
  * Matches the live Shopify/handbags storefront, e.g.
@@ -11976,6 +13506,15 @@ async function patchLuxuryCmsImagesFromShopify(product, existing, config) {
   if (!allImages.length) return;
   const fd = stripNullFieldDataValues({ ...(existing.fieldData || {}) });
   applyLuxuryCmsImagesFromShopifyUrlList(fd, allImages);
+  if (
+    interceptSyncWrite("webflow.update", {
+      shopifyProductId: String(product.id),
+      webflowId: existing.id,
+      diff: fieldDataDiff(fd, existing.fieldData),
+    })
+  ) {
+    return;
+  }
   const url = `https://api.webflow.com/v2/collections/${config.collectionId}/items/${existing.id}`;
   await axios.patch(
     url,
@@ -12288,7 +13827,7 @@ app.get("/", (req, res) => {
   );
 });
 
-app.get("/test-resend", async (req, res) => {
+app.get("/test-resend", adminAuth.requireRole("sync"), async (req, res) => {
   try {
     await sendInternalNotification({
       subject: "Resend test from Lost & Found Resale",
@@ -12788,899 +14327,1701 @@ function storeDefaultPackageResult(packages, reason) {
 /** Cheapest box that fits (with slack); store default only for bulky furniture or heavy items. */
 const BOOK_MAX_PLAUSIBLE_WEIGHT_LB = 6;
 
-function selectDeterministicShippingPackage(body, packages) {
-  const facts = buildPackageShippingFacts(body);
-  let itemSorted = facts.sorted;
-  let weightLb = facts.weightLb;
-  // Inventory routinely tags books with bogus 10 lb weights — cap so weight checks don't push books into big boxes.
-  if (weightLb != null && weightLb > BOOK_MAX_PLAUSIBLE_WEIGHT_LB && productLooksLikeBookForShipping(body)) {
-    weightLb = BOOK_MAX_PLAUSIBLE_WEIGHT_LB;
-  }
-  const dimNote = facts.source ? ` (from ${facts.source})` : "";
-  let packedNote = "";
+function selectDeterministicShippingPackage(body, packages) {
+  const facts = buildPackageShippingFacts(body);
+  let itemSorted = facts.sorted;
+  let weightLb = facts.weightLb;
+  // Inventory routinely tags books with bogus 10 lb weights — cap so weight checks don't push books into big boxes.
+  if (weightLb != null && weightLb > BOOK_MAX_PLAUSIBLE_WEIGHT_LB && productLooksLikeBookForShipping(body)) {
+    weightLb = BOOK_MAX_PLAUSIBLE_WEIGHT_LB;
+  }
+  const dimNote = facts.source ? ` (from ${facts.source})` : "";
+  let packedNote = "";
+
+  if (itemSorted && productLooksLikeFoldableTextileForShipping(body)) {
+    const packed = foldableTextileShippingSorted(itemSorted);
+    if (packed) {
+      packedNote = ` Textile ships folded/rolled — packed ~${packed.join("×")} in, not flat display ${itemSorted.join("×")} in.`;
+      itemSorted = packed;
+    }
+  } else if (productLooksLikeRollableLuxuryAccessory(body) && (!itemSorted || itemSorted[0] > 18)) {
+    itemSorted = defaultRollableAccessoryShippingSorted(body);
+    packedNote = ` Rolled accessory — using packed footprint ${itemSorted.join("×")} in.`;
+  }
+
+  if (productIsBulkyFurnitureForShipping(body, itemSorted, weightLb)) {
+    return storeDefaultPackageResult(
+      packages,
+      weightLb != null && weightLb > PACKAGE_MAX_PARCEL_WEIGHT_LB
+        ? `Bulky furniture or ${weightLb} lb exceeds ${PACKAGE_MAX_PARCEL_WEIGHT_LB} lb parcel limit — store default.`
+        : "Bulky furniture — store default / freight handling."
+    );
+  }
+
+  if (!itemSorted) return null;
+
+  const isBook = productLooksLikeBookForShipping(body);
+  const isFlatArt = !isBook && itemSorted[2] <= 6 && productLooksLikeFlatArtForShipping(body);
+
+  const candidates = packages
+    .filter((p) => !isStoreDefaultPackage(p))
+    .filter((p) => !(isBook && isArtworkBoxPackage(p)))
+    .map((pkg) => ({ pkg, boxSorted: sortedPackageBoxDims(pkg) }))
+    .filter((x) => x.boxSorted && packageWeightOk(weightLb, x.pkg))
+    .filter((x) => {
+      const skipLong = isFlatArt && isArtworkShippingPackage(x.pkg);
+      return itemFitsBoxDims(itemSorted, x.boxSorted, { skipLongEdgePadding: skipLong });
+    })
+    .sort((a, b) => {
+      const pa = a.pkg.priceMin != null ? Number(a.pkg.priceMin) : Infinity;
+      const pb = b.pkg.priceMin != null ? Number(b.pkg.priceMin) : Infinity;
+      if (pa !== pb) return pa - pb;
+      return boxFitSlack(itemSorted, a.boxSorted) - boxFitSlack(itemSorted, b.boxSorted);
+    });
+
+  if (isBook) {
+    const bookPreferred = candidates.filter((x) => isBookAllowedPackage(x.pkg));
+    if (bookPreferred.length) {
+      const { pkg, boxSorted } = bookPreferred[0];
+      const label = String(pkg.shopifyLabel || "").trim();
+      return {
+        packageLabel: label,
+        confidence: "high",
+        action: "apply",
+        reason: `Book (${itemSorted.join("×")} in${dimNote}) → ${label} (${boxSorted.join("×")} in). Books ship in Small Box or Flat Art / Print Mailer, never an Artwork Box.${packedNote}`,
+      };
+    }
+  }
+
+  if (!candidates.length) {
+    if (weightLb != null && weightLb > PACKAGE_MAX_PARCEL_WEIGHT_LB) {
+      return storeDefaultPackageResult(packages, `Weight ${weightLb} lb exceeds parcel box limits.`);
+    }
+    return null;
+  }
+
+  const { pkg, boxSorted } = candidates[0];
+  const label = String(pkg.shopifyLabel || "").trim();
+  const fitNote = isFlatArt
+    ? " Flat art uses full long-edge length in artwork boxes."
+    : "";
+  return {
+    packageLabel: label,
+    confidence: "high",
+    action: "apply",
+    reason: `Cheapest closest fit: ${itemSorted.join("×")} in${dimNote} → ${label} (${boxSorted.join("×")} in) with ~${PACKAGE_FIT_DEVIATION_IN} in practical slack.${fitNote}${packedNote}`,
+  };
+}
+
+/**
+ * POST /api/package-assign — Shopify shipping package selection via OpenAI (OPENAI_API_KEY).
+ * Body JSON: title, description, productType, vendor, tags, dimensions {length,width,height,unit},
+ *   weightLb, packages[] { shopifyLabel, priceMin, priceMax, lengthIn, widthIn, heightIn, maxWeightLb }.
+ * Returns { packageLabel, confidence, action, reason, model }.
+ * Model: OPENAI_PACKAGE_MODEL (default gpt-5.2).
+ */
+async function selectPackageWithAi(body) {
+  if (!llmClient.isConfigured()) {
+    const err = new Error("OPENAI_API_KEY is not set on this server");
+    err.code = "openai_missing";
+    err.status = 503;
+    throw err;
+  }
+
+  const enrichedBody = await enrichPackageAssignBodyFromShopify(body && typeof body === "object" ? body : {});
+  const hydratedFromShopify = enrichedBody._hydratedFromShopify === true;
+
+  const title = String(enrichedBody.title || "").trim();
+  const description = String(enrichedBody.description || enrichedBody.body_html || "").trim().slice(0, 2200);
+  const productType = String(enrichedBody.productType || enrichedBody.product_type || "").trim();
+  const vendor = String(enrichedBody.vendor || "").trim();
+  const tags = normalizePackageAssignTags(enrichedBody).slice(0, 80);
+  const dimensions =
+    enrichedBody.dimensions && typeof enrichedBody.dimensions === "object" ? enrichedBody.dimensions : null;
+  const weightLb =
+    enrichedBody.weightLb != null && Number.isFinite(Number(enrichedBody.weightLb))
+      ? Number(enrichedBody.weightLb)
+      : null;
+  const packages = Array.isArray(enrichedBody.packages) ? enrichedBody.packages : Array.isArray(body?.packages) ? body.packages : [];
+
+  if (!packages.length) {
+    const err = new Error("Provide at least one package in packages[]");
+    err.status = 400;
+    throw err;
+  }
+
+  const allowedLabels = packages
+    .map((p) => String(p?.shopifyLabel || "").trim())
+    .filter(Boolean);
+
+  if (!allowedLabels.length) {
+    const err = new Error("Each package must include shopifyLabel");
+    err.status = 400;
+    throw err;
+  }
+
+  const model = String(process.env.OPENAI_PACKAGE_MODEL || "gpt-5.2").trim();
+
+  const packageCatalog = packages.map((p) => ({
+    shopifyLabel: String(p.shopifyLabel || "").trim(),
+    priceMin: p.priceMin != null ? Number(p.priceMin) : null,
+    priceMax: p.priceMax != null ? Number(p.priceMax) : null,
+    lengthIn: p.lengthIn != null ? Number(p.lengthIn) : null,
+    widthIn: p.widthIn != null ? Number(p.widthIn) : null,
+    heightIn: p.heightIn != null ? Number(p.heightIn) : null,
+    maxWeightLb: p.maxWeightLb != null ? Number(p.maxWeightLb) : null,
+  }));
+
+  const shippingBody = { title, description, productType, vendor, tags, dimensions, weightLb };
+  const shippingFacts = buildPackageShippingFacts(shippingBody);
+  const shippingBodyResolved = {
+    ...shippingBody,
+    weightLb: shippingFacts.weightLb,
+    dimensions:
+      shippingFacts.width != null
+        ? { width: shippingFacts.width, height: shippingFacts.height, length: shippingFacts.depth }
+        : dimensions,
+  };
+  const parsedShipping = buildPackageAssignParsedShipping(shippingFacts, hydratedFromShopify);
+  const deterministic = selectDeterministicShippingPackage(shippingBodyResolved, packageCatalog);
+  if (deterministic) {
+    return { ...deterministic, model: `deterministic:${model}`, parsedShipping };
+  }
+
+  const systemPrompt = [
+    "You are an expert shipping logistics coordinator for Lost & Found Resale.",
+    "Pick the single best Shopify shipping package for this item from the provided packages list only.",
+    "Return strict JSON: {\"packageLabel\":string,\"confidence\":\"high\"|\"medium\"|\"low\",\"action\":\"apply\"|\"leave_store_default\"|\"needs_review\",\"reason\":string}.",
+    "",
+    "Core goal: the CHEAPEST box (lowest priceMin) that fits — closest practical fit, not oversized.",
+    "",
+    "Dimensions (mandatory priority — never guess from title when better data exists):",
+    "1) parsedShipping from ecommerce tags (Width:/Height:/Depth:) and description",
+    "2) body.dimensions if sent",
+    "3) Title suffix dimensions (e.g. 11X519H) ONLY as last resort — often typos; ignore absurd values.",
+    "",
+    "Box selection:",
+    "- Compare EVERY package (artwork boxes, flat mailers, standard parcel boxes). Pick lowest priceMin among those that fit.",
+    "- Use practical slack (~2 in total): item + ~2 in padding may still fit if within ~2 in of box interior on any edge (warehouse pro judgment).",
+    "- Flat art in artwork boxes: longest edge may EQUAL box longest interior (72 in art → Artwork Box Large 72 in); padding only on width/depth.",
+    "- 3D decor (vases, lamps, bowls, figurines, tureens, canisters): standard parcel boxes with ~1 in padding per side on all sorted dimensions.",
+    "- Items may be rotated: compare sorted L×W×H to sorted box dimensions.",
+    "- Weight: item may be up to 2× box maxWeightLb when dimensions fit; otherwise step up one size.",
+    "- Small items (longest edge ≤ 42 in and ≤ 25 lb, or ≤ 24 in any weight under 50 lb) always get a parcel box — never Store Default just because product type says Living Room or Furniture.",
+    "- Tapestries, throws, blankets, and thin textiles ship folded or rolled — use packed dimensions (~20–26 in longest edge), NOT flat wall-display width×height from the title.",
+    "- Belts, scarves, and ties ship rolled/coiled in small parcel boxes — never Store Default under 50 lb.",
+    "- Books (hardcover, paperback, coffee-table books, book sets): ALWAYS Small Box – Small Bag or Flat Art / Print Mailer. NEVER any Artwork Box. A \"coffee table book\" is a book, not furniture. Ignore inventory weights over 6 lb for a single book — they are data errors; real books weigh 1-5 lb.",
+    "",
+    "Always Store Default (action leave_store_default, packageLabel \"Store Default\"):",
+    "- Bulky furniture: sofas, sectionals, beds, dressers, armoires, dining tables, large desks, etc.",
+    "- Items over 50 lb or rigid longest edge over 42 in with no foldable-textile exception.",
+    "",
+    "Never invent package names. packageLabel must exactly match one shopifyLabel from the list.",
+    "When several boxes fit, always choose the lowest priceMin — never a pricier box if a cheaper one fits.",
+  ].join("\n");
+
+  const userPayload = {
+    title,
+    description,
+    productType,
+    vendor,
+    tags,
+    dimensions: shippingBodyResolved.dimensions,
+    weightLb: shippingBodyResolved.weightLb,
+    parsedShipping: {
+      dimensionSource: shippingFacts.source,
+      sortedInchesLwh: shippingFacts.sorted,
+      widthIn: shippingFacts.width,
+      heightIn: shippingFacts.height,
+      depthIn: shippingFacts.depth,
+      weightLb: shippingFacts.weightLb,
+    },
+    packages: packageCatalog,
+    allowedPackageLabels: allowedLabels,
+  };
+
+  const resp = await llmClient.chat({
+    purpose: "package_assign",
+    model,
+    messages: [
+      { role: "system", content: systemPrompt },
+      { role: "user", content: JSON.stringify(userPayload) },
+    ],
+    temperature: 0.1,
+    json: true,
+    timeoutMs: 45000,
+  });
+
+  const raw = resp.content;
+  if (!raw) {
+    throw new Error("OpenAI returned no package selection");
+  }
+
+  const parsed = JSON.parse(raw);
+  let packageLabel = String(parsed?.packageLabel || "").trim();
+  const confidence = ["high", "medium", "low"].includes(parsed?.confidence) ? parsed.confidence : "medium";
+  const action = ["apply", "leave_store_default", "needs_review"].includes(parsed?.action)
+    ? parsed.action
+    : "needs_review";
+  const reason = String(parsed?.reason || "Selected by GPT from available Shopify packages.").trim();
+
+  const normalizeLabel = (text) =>
+    String(text || "")
+      .toLowerCase()
+      .replace(/[–—]/g, "-")
+      .replace(/\s*\(\$[\d.\-\s$]+\)\s*/g, "")
+      .replace(/\s+/g, " ")
+      .trim();
+
+  if (!allowedLabels.some((label) => normalizeLabel(label) === normalizeLabel(packageLabel))) {
+    const fuzzy = allowedLabels.find((label) => {
+      const a = normalizeLabel(label);
+      const b = normalizeLabel(packageLabel);
+      return a === b || a.startsWith(b) || b.startsWith(a) || a.split("/")[0].trim() === b.split("/")[0].trim();
+    });
+    if (fuzzy) packageLabel = fuzzy;
+  }
+
+  if (!allowedLabels.some((label) => normalizeLabel(label) === normalizeLabel(packageLabel))) {
+    return {
+      packageLabel: "",
+      confidence: "low",
+      action: "needs_review",
+      reason: `GPT returned "${parsed?.packageLabel || ""}" which is not in the Shopify package list.`,
+      model,
+      parsedShipping,
+    };
+  }
+
+  let canonical = allowedLabels.find((label) => normalizeLabel(label) === normalizeLabel(packageLabel)) || packageLabel;
+  let finalReason = reason;
+
+  // Hard rule: books never ship in an Artwork Box — remap to Small Box / Flat Art mailer.
+  if (productLooksLikeBookForShipping(shippingBodyResolved) && /\bartwork\s*box\b/i.test(canonical)) {
+    const bookOptions = packageCatalog
+      .filter((p) => isBookAllowedPackage(p))
+      .sort((a, b) => (a.priceMin ?? Infinity) - (b.priceMin ?? Infinity));
+    const itemSorted = shippingFacts.sorted;
+    const bookWeightLb =
+      shippingFacts.weightLb != null && shippingFacts.weightLb > BOOK_MAX_PLAUSIBLE_WEIGHT_LB
+        ? BOOK_MAX_PLAUSIBLE_WEIGHT_LB
+        : shippingFacts.weightLb;
+    const replacement =
+      bookOptions.find((p) => {
+        const boxSorted = sortedPackageBoxDims(p);
+        return !itemSorted || (boxSorted && itemFitsBoxDims(itemSorted, boxSorted) && packageWeightOk(bookWeightLb, p));
+      }) || bookOptions[0];
+    if (replacement) {
+      canonical = allowedLabels.find((label) => normalizeLabel(label) === normalizeLabel(replacement.shopifyLabel)) || replacement.shopifyLabel;
+      finalReason = `Book — remapped from an Artwork Box to ${canonical}. Books ship in Small Box or Flat Art / Print Mailer, never an Artwork Box.`;
+    }
+  }
+
+  const llmResult = {
+    packageLabel: canonical,
+    confidence,
+    action,
+    reason: finalReason,
+    model,
+  };
+
+  if (action === "leave_store_default" || packageLabel.toLowerCase().includes("store default")) {
+    const override = selectDeterministicShippingPackage(shippingBodyResolved, packageCatalog);
+    if (override && override.action === "apply") {
+      const overrideLabel =
+        allowedLabels.find((label) => normalizeLabel(label) === normalizeLabel(override.packageLabel)) ||
+        override.packageLabel;
+      return {
+        packageLabel: overrideLabel,
+        confidence: override.confidence,
+        action: "apply",
+        reason: `${override.reason} (Overrode GPT store-default suggestion.)`,
+        model: `deterministic+${model}`,
+        parsedShipping,
+      };
+    }
+  }
+
+  return { ...llmResult, parsedShipping };
+}
+
+app.post("/api/package-assign", async (req, res) => {
+  try {
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const result = await selectPackageWithAi(body);
+    return res.json(result);
+  } catch (err) {
+    const status = err?.status || err?.response?.status || 500;
+    const message = err?.response?.data?.error?.message || err?.message || "package-assign failed";
+    if (err?.code === "openai_missing" || status === 503) {
+      return res.status(503).json({ error: message, code: err?.code || "openai_missing" });
+    }
+    if (status === 400) {
+      return res.status(400).json({ error: message });
+    }
+    webflowLog("warn", { event: "package_assign.failed", message });
+    return res.status(500).json({ error: message });
+  }
+});
+
+/**
+ * POST /api/listing-blurb — Short listing copy via OpenAI (OPENAI_API_KEY).
+ * Body JSON: title, price, vertical, productDescription, pickupAddress, pickupHours, contactEmail,
+ *   isLuxury (bool, optional), luxuryGoodsCategory (optional: Shopify/Webflow child category, e.g. "Jewelry"),
+ *   listingShopPrice (optional: numeric shop/list price for auth-tier rules; used instead of bumped marketplace `price`),
+ *   outputChannel (optional: "facebook" default | "craigslist").
+ * Returns { text } plain text (no URLs for Facebook; Craigslist is standalone body).
+ * Model: OPENAI_LISTING_MODEL (default gpt-4o-mini).
+ */
+app.post("/api/listing-blurb", async (req, res) => {
+  if (!llmClient.isConfigured()) {
+    return res.status(503).json({
+      error: "OPENAI_API_KEY is not set on this server",
+      code: "openai_missing",
+    });
+  }
+
+  const body = req.body && typeof req.body === "object" ? req.body : {};
+  const title = String(body.title || "").trim();
+  const price = body.price != null ? String(body.price).trim() : "";
+  /** Prefer catalog/Shopify list price for auth-tier rules; extension may send bumped marketplace price separately in `price`. */
+  const tierPriceRaw = String(body.listingShopPrice ?? body.price ?? "").trim();
+  const vertical = String(body.vertical || "furniture").trim().toLowerCase();
+  const catalog = String(body.productDescription || "").trim().slice(0, 2200);
+  const pickupAddress = String(body.pickupAddress || "").trim();
+  const pickupHours = String(body.pickupHours || "").trim();
+  const contactEmail = String(body.contactEmail || "info@lostandfoundresale.com").trim();
+  const isLuxury = body.isLuxury === true || vertical === "luxury";
+  const luxuryGoodsCategoryRaw = String(body.luxuryGoodsCategory || "").trim();
+  const isLuxuryJewelry = isLuxury && isLuxuryJewelryCategory(luxuryGoodsCategoryRaw);
+  const listingListPriceNum = Number(String(tierPriceRaw || "").replace(/[^0-9.]/g, ""));
+  const luxuryListPriceParsed = Number.isFinite(listingListPriceNum) ? listingListPriceNum : NaN;
+  /** No authentication / COA copy for Jewelry or any luxury listing at $175 or below (matches extension guarantee tier). */
+  const omitLuxuryAuthenticationCopy =
+    isLuxury &&
+    (isLuxuryJewelry || (Number.isFinite(luxuryListPriceParsed) && luxuryListPriceParsed <= 175));
+  const outputChannel = String(body.outputChannel || "facebook").trim().toLowerCase();
+  const isCraigslist = outputChannel === "craigslist";
+
+  if (!title && !catalog) {
+    return res.status(400).json({ error: "Provide at least title or productDescription" });
+  }
+
+  const model = (process.env.OPENAI_LISTING_MODEL || "gpt-4o-mini").trim();
+  const variationHint = Math.random().toString(36).slice(2, 11);
+  const openingStyles = [
+    "direct seller opener",
+    "friendly conversational opener",
+    "feature-first opener",
+    "condition-first opener",
+  ];
+  const flowStyles = [
+    "two short paragraphs",
+    "single flowing paragraph",
+    "short sentence chain with natural pauses",
+    "statement then detail then logistics",
+  ];
+  const closingStyles = [
+    "link-first close",
+    "showroom-invite close",
+    "questions-then-link close",
+    "checkout-and-details close",
+  ];
+  const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+  const variationProfile = {
+    openingStyle: pick(openingStyles),
+    flowStyle: pick(flowStyles),
+    closingStyle: pick(closingStyles),
+  };
+  const audienceText = `${title} ${catalog}`.toLowerCase();
+  const hasAny = (terms = []) => terms.some((t) => audienceText.includes(t));
+  const heavyWeightMatch = audienceText.match(/(\d{2,4}(?:\.\d+)?)\s*(?:lb|lbs|pounds?)\b/i);
+  const heavyByWeight = heavyWeightMatch ? Number(heavyWeightMatch[1]) > 50 : false;
+  const largeByKeywords = hasAny([
+    "oversized",
+    "over sized",
+    "large",
+    "extra large",
+    "xl",
+    "sectional",
+    "armoire",
+    "china cabinet",
+    "king size",
+    "king-size",
+    "dining table",
+    "72 in",
+    "84 in",
+    "96 in",
+    "7 ft",
+    "8 ft",
+  ]);
+  const moverAssistEligible = heavyByWeight || largeByKeywords;
+  const moverAssistLine =
+    "The movers we use charge ($95/hr) and are a great group, and we can help set delivery up for you.";
+  let audienceLane = "general_local";
+  if (
+    hasAny([
+      "vintage",
+      "mid century",
+      "mid-century",
+      "antique",
+      "rare",
+      "signed",
+      "artist",
+      "original",
+      "collectible",
+      "limited edition",
+      "estate",
+      "museum",
+    ])
+  ) {
+    audienceLane = "collector";
+  } else if (
+    hasAny([
+      "project",
+      "restore",
+      "restoration",
+      "as is",
+      "as-is",
+      "repair",
+      "needs work",
+      "flipper",
+      "reseller",
+      "deal",
+      "priced to move",
+      "clearance",
+    ])
+  ) {
+    audienceLane = "deal_hunter";
+  } else if (
+    hasAny([
+      "dining",
+      "sofa",
+      "sectional",
+      "bedroom",
+      "dresser",
+      "nightstand",
+      "coffee table",
+      "entryway",
+      "home office",
+      "patio",
+      "kitchen",
+      "family room",
+    ])
+  ) {
+    audienceLane = "home_practical";
+  }
+  const audienceGuidance = {
+    collector:
+      "Subtle collector-aware language: mention craftsmanship, provenance-style cues, or era only when explicitly supported by title/catalog. Keep it grounded and concise.",
+    deal_hunter:
+      "Subtle value-oriented language: straightforward condition and usefulness, with practical tone for bargain-minded or project buyers. No hype.",
+    home_practical:
+      "Subtle practical-home language: focus on fit/function in real spaces, comfort, and everyday use when supported by facts.",
+    general_local:
+      "Neutral local resale language: plain and direct, balanced for mixed buyers.",
+  };
+  const retailToneBlock =
+    " Avoid catalog or showroom tone: no introducing, curated, elevate your space, showcase, stunning, visit our website, SKU dumps, pasted spec tables, or pasted legal blocks.";
+
+  let structureGuide;
+  let toneGuide;
+  let avoidPhraseGuide;
+  let logisticsGuide;
+  let maxBodyChars;
+
+  if (isCraigslist) {
+    maxBodyChars = 1400;
+    const clAvoidStorePitch =
+      "Do NOT use or echo: consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence.";
+    structureGuide = isLuxury
+      ? omitLuxuryAuthenticationCopy
+        ? "Write a natural Craigslist for-sale body from title + catalogDescription. Sound like a real person: a few short paragraphs or flowing sentences, not a catalog paste. Keep authentic brand, designer, and maker names from the source when present. Keep concrete details only when supported (materials, wear, hardware, size). If AS IS appears in the source, describe condition plainly. Do not mention authentication, authenticity certificates, COA, or designer verification (not applicable for jewelry/small accessories or for items at this price tier). Weave in one plain pickup sentence that also mentions shipping options are available and full details are on the link below: you can pick it up right by Scottsdale Quarter at Lost and Found Resale Interiors (wayfinding, not a sales pitch). Close by steering questions, purchase, and contact through the store link at the bottom of this posting (do not type URLs in your body), or say they are welcome to come in. Do not ask people to reply here on Craigslist to coordinate. No URLs or phone numbers in your body. No markdown bullets or numbered lists. No em dash."
+        : "Write a natural Craigslist for-sale body from title + catalogDescription. Sound like a real person: a few short paragraphs or flowing sentences, not a catalog paste. Keep authentic brand, designer, and maker names from the source when present. Keep concrete details only when supported (materials, wear, hardware, size). If AS IS appears in the source, describe condition plainly. Weave in one plain pickup sentence that also mentions shipping options are available and full details are on the link below: you can pick it up right by Scottsdale Quarter at Lost and Found Resale Interiors (wayfinding, not a sales pitch). Close by steering questions, purchase, and contact through the store link at the bottom of this posting (do not type URLs in your body), or say they are welcome to come in. Do not ask people to reply here on Craigslist to coordinate. No URLs or phone numbers in your body. No markdown bullets or numbered lists. No em dash."
+      : "Write a natural Craigslist for-sale body from title + catalogDescription. Casual and plain, like a local seller: what it is, honest condition, size or material only if stated. Keep authentic brand, designer, and maker names from the source when present. One plain pickup sentence that also notes shipping options are available and details are on the link below (pickup right by Scottsdale Quarter at Lost and Found Resale Interiors). End by pointing them to the link at the bottom of this post for item details and to contact or buy through the site, or invite them to stop in. Do not ask people to reply here on Craigslist to coordinate. Strip retail or catalog voice down to human language. No URLs or phone numbers in your body. No markdown bullets or numbered lists. No em dash.";
+    toneGuide = isLuxury
+      ? "Collector-aware Craigslist voice: knowledgeable but still local and grounded. Avoid posh showroom tone. Sound like someone talking to collectors, resellers, and value-minded buyers. Use real brand names when they appear in the source."
+      : "Friendly, plain Craigslist seller for mixed local buyers: collectors, yard-sale/value shoppers, and practical home buyers. Not corporate, not showroom. Use real brand/maker names when they appear in the source.";
+    avoidPhraseGuide = isLuxury
+      ? `${clAvoidStorePitch} Keep authentic brand/trademark/designer/maker names from title or catalogDescription in the output when present (Craigslist allows them). Do not invent brands that are not in the source. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'. Do not say: reply here, reply on Craigslist, coordinate through Craigslist, message me here to schedule, or similar.${
+          omitLuxuryAuthenticationCopy
+            ? " Do not mention authentication, authenticity guarantee, certificate of authenticity, COA, designer authentication, or verification documentation."
+            : ""
+        }`
+      : `${clAvoidStorePitch} Keep authentic brand/designer/maker names from title or catalogDescription when present. Do not invent brands. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'. Do not say: reply here, reply on Craigslist, coordinate through Craigslist, message me here to schedule, or similar.`;
+    avoidPhraseGuide += retailToneBlock;
+    logisticsGuide =
+      "Keep logistics human and short. Include exactly one pickup line that names Scottsdale Quarter and Lost and Found Resale Interiors for directions (casual wording, not a brochure), and weave into that same line that shipping options are available with details on the link below. Do not paste the full street address, store hours, URLs, shipping policy, freight brokers, or phone numbers from JSON; a separate block after your text will have address and links. For next steps: tell readers to use the link at the bottom of this posting for full item details and to reach out or purchase through the site, or to come into the showroom. Never ask them to reply here on Craigslist or to coordinate only through Craigslist email.";
+  } else {
+    maxBodyChars = 420;
+    structureGuide = isLuxury
+      ? omitLuxuryAuthenticationCopy
+        ? "Open with the item type and standout style details in premium but natural Marketplace wording. Do NOT include explicit brand names/trademarks. Use 2-4 short lines grounded in title + catalogDescription: condition callout, materials, hardware/finish, silhouette/style, and practical use if supported by catalog facts. Do NOT mention authentication, authenticity certificates, COA, designer verification, or handbag-style guarantees (not offered for jewelry/small accessories or for listings at $175 and under). Do NOT mention pickup, shipping, delivery, movers, or contact info — a fixed shipping paragraph is appended after your text. Never use an em dash; use commas or periods."
+        : "Open with the item type and standout style details in premium but natural Marketplace wording. Do NOT include explicit brand names/trademarks. Use 2-4 short lines grounded in title + catalogDescription: condition callout, materials, hardware/finish, silhouette/style, and practical use if supported by catalog facts. Mention authentication documentation is available. Do NOT mention pickup, shipping, delivery, movers, or contact info — a fixed shipping paragraph is appended after your text. Never use an em dash; use commas or periods."
+      : "Open on the item in normal Marketplace wording (e.g. 'Check out...', 'Selling...') using title + catalogDescription as the factual base: what it is, honest condition, materials, size, and price. No shop name. Do NOT mention pickup, shipping, delivery, movers, Scottsdale Quarter, checkout, phone, or email — a fixed shipping paragraph is appended after your text. Never use an em dash (long dash) in your output; use commas, periods, or 'and' instead.";
+    toneGuide = isLuxury
+      ? "Facebook voice for collectors and smart deal seekers: informed and trustworthy, but not posh, not boutique, not corporate. Short lines, no hype."
+      : "Sounds like a real person on Facebook Marketplace speaking to collectors, yard-sale/value shoppers, flippers, and practical home buyers. Short, plain, conversational.";
+    avoidPhraseGuide = isLuxury
+      ? omitLuxuryAuthenticationCopy
+        ? "Do NOT use or echo: Lost & Found, Lost and Found, consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence. Do not use explicit brand/trademark names from sourceTitle or catalogDescription in output. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'. Do not mention authentication, authenticity guarantee, certificate of authenticity, COA, designer authentication, or verification documentation."
+        : "Do NOT use or echo: Lost & Found, Lost and Found, consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence. Do not use explicit brand/trademark names from sourceTitle or catalogDescription in output. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'."
+      : "Do NOT use or echo: Lost & Found, Lost and Found, consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'.";
+    logisticsGuide = isLuxury
+      ? "Product description ONLY. Do not mention pickup, shipping, delivery, freight, movers, dollar amounts, Scottsdale Quarter, checkout, phone, or email. A fixed shipping paragraph is appended after your text."
+      : "Product description ONLY. Do not mention pickup, shipping, delivery, freight, movers, $95, Scottsdale Quarter, checkout, phone, or email. A fixed shipping paragraph is appended after your text.";
+  }
+  if (isCraigslist) {
+    if (moverAssistEligible) {
+      logisticsGuide += ` Include one short line exactly like this meaning: "${moverAssistLine}"`;
+    } else {
+      logisticsGuide += " Do not mention mover hourly rates or delivery setup services unless the item is clearly heavy/large in JSON.";
+    }
+  }
+
+  const storePolicyInternalOnly = [
+    "MODEL REFERENCE ONLY: do not paste, quote, bullet, or summarize this in your output. It exists so you never contradict checkout reality.",
+    "Site policy (Lost & Found Resale): eligible items get shipping at checkout from size/weight/handling; larger, fragile, or long-distance may need freight preparation or pickup instead of standard shipping.",
+    "After purchase customers should call 480-588-7006 to confirm pickup/delivery; nights/weekends/holidays may mean slower callback.",
+    "Pickup vs freight prep, local third-party delivery coordination, 72-hour coordination window, storage fees, freight prep fee, 48-hour staging notice, broker names (FreightCenter, FreightQuote, uShip), liftgate/no dock, all sales final, and carrier responsibility after pickup: all detailed on the website; your Facebook body must not restate them.",
+  ].join(" ");
+
+  const facts = {
+    variationHint,
+    outputChannel: isCraigslist ? "craigslist" : "facebook",
+    sellerContext: isCraigslist
+      ? "Scottsdale area Craigslist listing for mixed local buyer types. Standalone body text only (no separate footer). Audience can include collectors, resellers/flippers, and value-first shoppers, so keep language practical and credible. You may use one short pickup wayfinding sentence that names Scottsdale Quarter and Lost and Found Resale Interiors. Do not stack store slogans, consignment pitch, or ‘we are Lost & Found’ branding. Do not instruct readers to reply here or coordinate through Craigslist; contact and checkout are through the link that appears after your text, or they can visit the showroom."
+      : "Scottsdale resale listing for Facebook Marketplace's mixed crowd: collectors, deal hunters, flippers, and everyday home buyers. Keep voice practical and human, not posh. Do NOT name the business (no ‘Lost & Found’, no store name, no ‘furniture & home consignment’ tagline) anywhere in your text. That branding lives in the fixed block after your copy.",
+    itemCategoryHint: isLuxury
+      ? omitLuxuryAuthenticationCopy
+        ? isLuxuryJewelry
+          ? "jewelry or small wearable accessory (brooch, scarf clip, etc.); never handbag-style authentication claims"
+          : "luxury accessory at $175 or below list price; never authentication or certificate claims"
+        : "handbags/luxury accessory vibe if it fits the title"
+      : "furniture/home/decor vibe if it fits the title",
+    luxuryGoodsCategory: luxuryGoodsCategoryRaw || null,
+    listPriceNumeric: Number.isFinite(luxuryListPriceParsed) ? luxuryListPriceParsed : null,
+    omitAuthenticationCopy: omitLuxuryAuthenticationCopy,
+    title: title || "(no title)",
+    askingPriceFacebook: price || null,
+    inventoryKind: isLuxury
+      ? isLuxuryJewelry
+        ? "luxury_jewelry_small_goods"
+        : "luxury_handbags_accessories"
+      : "furniture_and_home_resale",
+    pickupArea: isCraigslist
+      ? "Right by Scottsdale Quarter; storefront pickup at Lost and Found Resale Interiors (north Scottsdale / Hayden)."
+      : "Near Scottsdale Quarter (north Scottsdale / Hayden).",
+    pickupAddress: pickupAddress || "15530 N Greenway Hayden Loop Suite 100, Scottsdale, AZ 85260",
+    pickupHours: pickupHours || "MON - SAT 10-5, SUN 12-4",
+    contactEmail,
+    catalogDescription: catalog || "(none supplied)",
+    moverAssistEligible: isCraigslist ? moverAssistEligible : false,
+    moverAssistLine: isCraigslist && moverAssistEligible ? moverAssistLine : "",
+    storePolicyInternalOnly,
+    structure: structureGuide,
+    toneTarget: toneGuide,
+    audienceLane,
+    audienceGuidance: audienceGuidance[audienceLane],
+    avoidPhrases: avoidPhraseGuide,
+    logisticsHint: logisticsGuide,
+    variationProfile,
+    maxBodyChars,
+  };
+
+  const system = isCraigslist
+    ? `You write ONLY the body text for a Craigslist for-sale post (plain text for the description box).
+
+Output rules:
+- No markdown, bullets, numbers, emojis. No URLs or domains. Do not type an email address.
+- Do NOT open with a store name or consignment pitch. Sound like a normal Craigslist seller.
+- Write for a mixed local crowd (collectors, value shoppers, and resellers). Keep it practical and grounded, not posh or luxury-ad voice.
+- Use audienceLane and audienceGuidance as a light touch only. One or two subtle cues are enough; never sound over-the-top, salesy, or role-played.
+- If moverAssistEligible is true in JSON, include one short delivery-help line using moverAssistLine naturally. If false, do not mention mover hourly rates.
+- Do not ask readers to reply here on Craigslist or to coordinate pickup only through Craigslist. Point them to the link block below this text for item details, shipping options, web contact, and checkout, or to visit in person near Scottsdale Quarter at Lost and Found Resale Interiors.
+- Natural length: aim ~400-900 characters unless catalog needs a bit more; respect maxBodyChars hard cap.
+- Only paraphrase catalog facts; never invent damage or brands.
+- Treat logistics and policy facts as hard constraints: do not change or contradict shipping availability, pickup location, AS IS condition language, or checkout/contact direction implied by JSON guidance.
+- If inventoryKind is luxury_handbags_accessories: never include explicit brand or trademark names in output text.
+- If inventoryKind is luxury_jewelry_small_goods: never include explicit brand or trademark names; never claim authentication, COA, designer verification, or certificates (jewelry/small goods).
+- JSON may include storePolicyInternalOnly: treat it as silent context only. Never repeat or summarize it in your reply.
+- Never use an em dash in your output (Unicode U+2014). Use a comma, a period, or the word 'and' instead. Same for en dash (U+2013) as a sentence dash; for number ranges a plain hyphen is OK (e.g. 16-29).
+- At most one exclamation mark in the whole post (usually none).`
+    : `You write ONLY the short main body for a Facebook Marketplace item (plain text before a separate block with links and store info).
+
+Output rules:
+- No markdown, bullets, numbers, emojis. No URLs or domains. Do not type an email address.
+- Do NOT open with or include the business name or a ‘we are a consignment shop’ line. Jump straight into the item like a normal FB seller.
+- Facebook casual: short, direct. Write for collectors and deal-minded buyers, not a posh boutique audience.
+- Use audienceLane and audienceGuidance as a light touch only. Keep language natural and restrained, not over-the-top.
+- Write ONLY the product pitch: what it is, condition, materials, size, and price. Do NOT mention pickup, shipping, delivery, movers, $95, Scottsdale Quarter, checkout, phone, email, or links — a fixed shipping paragraph is appended after your text.
+- HARD LENGTH: aim ~180-340 characters; max 420 characters. Trim fluff if long.
+- Only paraphrase catalog facts; never invent damage or brands.
+- Treat logistics and policy facts as hard constraints: do not change or contradict shipping availability, pickup location, AS IS condition language, or checkout/contact direction implied by JSON guidance.
+- If inventoryKind is luxury_handbags_accessories: never include explicit brand or trademark names in output text.
+- If inventoryKind is luxury_jewelry_small_goods: never include explicit brand or trademark names; never claim authentication, COA, designer verification, or certificates (jewelry/small goods).
+- JSON may include storePolicyInternalOnly: treat it as silent context only. Never repeat or summarize it in your reply.
+- Never use an em dash in your output (Unicode U+2014, often shown as a long dash between clauses). Use a comma, a period, or the word ‘and’ instead. Same for en dash (U+2013) used as a sentence dash; for number ranges a plain hyphen is OK (e.g. 16-29).
+- At most one exclamation mark in the whole post (usually none).`;
 
-  if (itemSorted && productLooksLikeFoldableTextileForShipping(body)) {
-    const packed = foldableTextileShippingSorted(itemSorted);
-    if (packed) {
-      packedNote = ` Textile ships folded/rolled — packed ~${packed.join("×")} in, not flat display ${itemSorted.join("×")} in.`;
-      itemSorted = packed;
-    }
-  } else if (productLooksLikeRollableLuxuryAccessory(body) && (!itemSorted || itemSorted[0] > 18)) {
-    itemSorted = defaultRollableAccessoryShippingSorted(body);
-    packedNote = ` Rolled accessory — using packed footprint ${itemSorted.join("×")} in.`;
-  }
+  const userMsg = isCraigslist
+    ? `Write the Craigslist body using ONLY the JSON. Obey sellerContext and avoidPhrases strictly. Follow structure, toneTarget, logisticsHint. Respect maxBodyChars.
+Use variationHint and variationProfile to make wording and sentence rhythm different from typical prior outputs, while keeping all facts consistent.
+Do not reuse the same opener/closer phrasing every time.
+Apply audienceLane and audienceGuidance with restraint: keep it subtle and natural.
 
-  if (productIsBulkyFurnitureForShipping(body, itemSorted, weightLb)) {
-    return storeDefaultPackageResult(
-      packages,
-      weightLb != null && weightLb > PACKAGE_MAX_PARCEL_WEIGHT_LB
-        ? `Bulky furniture or ${weightLb} lb exceeds ${PACKAGE_MAX_PARCEL_WEIGHT_LB} lb parcel limit — store default.`
-        : "Bulky furniture — store default / freight handling."
-    );
-  }
+Example vibe (do not copy): "Selling a solid wood dining table we used in our dining room for a few years. Seats six comfortably, a few normal scuffs on the legs. Measures about 60 by 36. You can pick it up right by Scottsdale Quarter at Lost and Found Resale Interiors, and shipping options are in the full details on the link at the bottom of this post. You can also swing by the store."
 
-  if (!itemSorted) return null;
+Facts JSON:\n${JSON.stringify(facts)}`
+    : `Write the body using ONLY the JSON. Obey sellerContext and avoidPhrases strictly. Follow structure, toneTarget, logisticsHint. Respect maxBodyChars.
+Use variationHint and variationProfile to keep phrasing fresh between runs (new opener and close style), but do not alter factual meaning.
+Do not reuse the same opener/closer phrasing every time.
+Apply audienceLane and audienceGuidance with restraint: keep it subtle and natural.
 
-  const isBook = productLooksLikeBookForShipping(body);
-  const isFlatArt = !isBook && itemSorted[2] <= 6 && productLooksLikeFlatArtForShipping(body);
+Example vibe (do not copy): "Selling a Forever Patio square dining table, 41 inches square and 29 inches tall. Black powder-coated metal, clean contemporary outdoor style. Asking $300."
 
-  const candidates = packages
-    .filter((p) => !isStoreDefaultPackage(p))
-    .filter((p) => !(isBook && isArtworkBoxPackage(p)))
-    .map((pkg) => ({ pkg, boxSorted: sortedPackageBoxDims(pkg) }))
-    .filter((x) => x.boxSorted && packageWeightOk(weightLb, x.pkg))
-    .filter((x) => {
-      const skipLong = isFlatArt && isArtworkShippingPackage(x.pkg);
-      return itemFitsBoxDims(itemSorted, x.boxSorted, { skipLongEdgePadding: skipLong });
-    })
-    .sort((a, b) => {
-      const pa = a.pkg.priceMin != null ? Number(a.pkg.priceMin) : Infinity;
-      const pb = b.pkg.priceMin != null ? Number(b.pkg.priceMin) : Infinity;
-      if (pa !== pb) return pa - pb;
-      return boxFitSlack(itemSorted, a.boxSorted) - boxFitSlack(itemSorted, b.boxSorted);
-    });
+Facts JSON:\n${JSON.stringify(facts)}`;
 
-  if (isBook) {
-    const bookPreferred = candidates.filter((x) => isBookAllowedPackage(x.pkg));
-    if (bookPreferred.length) {
-      const { pkg, boxSorted } = bookPreferred[0];
-      const label = String(pkg.shopifyLabel || "").trim();
-      return {
-        packageLabel: label,
-        confidence: "high",
-        action: "apply",
-        reason: `Book (${itemSorted.join("×")} in${dimNote}) → ${label} (${boxSorted.join("×")} in). Books ship in Small Box or Flat Art / Print Mailer, never an Artwork Box.${packedNote}`,
-      };
+  try {
+    let completion;
+    try {
+      completion = await llmClient.chat({
+        purpose: "listing_blurb",
+        model,
+        temperature: isCraigslist ? 0.88 : 0.92,
+        max_tokens: isCraigslist ? 700 : 220,
+        messages: [
+          { role: "system", content: system },
+          { role: "user", content: userMsg },
+        ],
+        timeoutMs: 60000,
+      });
+    } catch (err) {
+      if (err?.code === "llm_budget_exceeded") {
+        return res.status(503).json({ error: err.message, code: err.code, budget: err.budget });
+      }
+      if (!err?.response) throw err;
+      const detail = JSON.stringify(err.response.data ?? "");
+      webflowLog("error", { event: "api.listing_blurb.openai_http", status: err.response.status, body: detail.slice(0, 400) });
+      return res.status(502).json({
+        error: `OpenAI request failed (${err.response.status})`,
+        detail: detail.slice(0, 200),
+      });
     }
-  }
 
-  if (!candidates.length) {
-    if (weightLb != null && weightLb > PACKAGE_MAX_PARCEL_WEIGHT_LB) {
-      return storeDefaultPackageResult(packages, `Weight ${weightLb} lb exceeds parcel box limits.`);
+    let text = String(completion.content || "").trim();
+    if (!text) {
+      return res.status(502).json({ error: "OpenAI returned empty text" });
     }
-    return null;
-  }
-
-  const { pkg, boxSorted } = candidates[0];
-  const label = String(pkg.shopifyLabel || "").trim();
-  const fitNote = isFlatArt
-    ? " Flat art uses full long-edge length in artwork boxes."
-    : "";
-  return {
-    packageLabel: label,
-    confidence: "high",
-    action: "apply",
-    reason: `Cheapest closest fit: ${itemSorted.join("×")} in${dimNote} → ${label} (${boxSorted.join("×")} in) with ~${PACKAGE_FIT_DEVIATION_IN} in practical slack.${fitNote}${packedNote}`,
-  };
-}
-
-/**
- * POST /api/package-assign — Shopify shipping package selection via OpenAI (OPENAI_API_KEY).
- * Body JSON: title, description, productType, vendor, tags, dimensions {length,width,height,unit},
- *   weightLb, packages[] { shopifyLabel, priceMin, priceMax, lengthIn, widthIn, heightIn, maxWeightLb }.
- * Returns { packageLabel, confidence, action, reason, model }.
- * Model: OPENAI_PACKAGE_MODEL (default gpt-5.2).
- */
-async function selectPackageWithAi(body) {
-  const key = String(process.env.OPENAI_API_KEY || "").trim();
-  if (!key) {
-    const err = new Error("OPENAI_API_KEY is not set on this server");
-    err.code = "openai_missing";
-    err.status = 503;
-    throw err;
-  }
+    text = text
+      .replace(/\*\*([^*]+)\*\*/g, "$1")
+      .replace(/\*([^*]+)\*/g, "$1")
+      .replace(/^#{1,6}\s+/gm, "")
+      .replace(/\s*\u2014\s*/g, ", ")
+      .replace(/\u2013/g, "-")
+      .replace(/,\s*,/g, ",")
+      .trim();
 
-  const enrichedBody = await enrichPackageAssignBodyFromShopify(body && typeof body === "object" ? body : {});
-  const hydratedFromShopify = enrichedBody._hydratedFromShopify === true;
+    if (omitLuxuryAuthenticationCopy) {
+      text = scrubLuxuryJewelryAuthLanguage(text);
+    }
 
-  const title = String(enrichedBody.title || "").trim();
-  const description = String(enrichedBody.description || enrichedBody.body_html || "").trim().slice(0, 2200);
-  const productType = String(enrichedBody.productType || enrichedBody.product_type || "").trim();
-  const vendor = String(enrichedBody.vendor || "").trim();
-  const tags = normalizePackageAssignTags(enrichedBody).slice(0, 80);
-  const dimensions =
-    enrichedBody.dimensions && typeof enrichedBody.dimensions === "object" ? enrichedBody.dimensions : null;
-  const weightLb =
-    enrichedBody.weightLb != null && Number.isFinite(Number(enrichedBody.weightLb))
-      ? Number(enrichedBody.weightLb)
-      : null;
-  const packages = Array.isArray(enrichedBody.packages) ? enrichedBody.packages : Array.isArray(body?.packages) ? body.packages : [];
+    const cap = isCraigslist ? 1500 : 440;
+    if (text.length > cap) {
+      const slice = text.slice(0, cap);
+      const breakAt = Math.max(slice.lastIndexOf("."), slice.lastIndexOf("!"), slice.lastIndexOf("?"));
+      text = (breakAt > 80 ? slice.slice(0, breakAt + 1) : slice.replace(/\s+\S*$/, "")).trim();
+    }
 
-  if (!packages.length) {
-    const err = new Error("Provide at least one package in packages[]");
-    err.status = 400;
-    throw err;
+    webflowLog("info", {
+      event: "api.listing_blurb.ok",
+      model,
+      titleLen: title.length,
+      catalogLen: catalog.length,
+      outputChannel: isCraigslist ? "craigslist" : "facebook",
+      omitLuxuryAuthenticationCopy,
+    });
+    return res.json({ text, model });
+  } catch (err) {
+    webflowLog("error", { event: "api.listing_blurb.error", message: err?.message });
+    return res.status(500).json({ error: err?.message || "listing-blurb failed" });
   }
+});
 
-  const allowedLabels = packages
-    .map((p) => String(p?.shopifyLabel || "").trim())
-    .filter(Boolean);
+registerSocialCaptionRoute(app, { log: webflowLog });
 
-  if (!allowedLabels.length) {
-    const err = new Error("Each package must include shopifyLabel");
-    err.status = 400;
-    throw err;
+/**
+ * POST /clear-cache — Remove cache entries for given Shopify product IDs so the next sync will
+ * re-resolve vertical and create/update in the correct collection (fixes items stuck as wrong vertical or archived).
+ * Body: { "shopifyProductIds": ["9319055327491", "9319054213379", ...] }
+ */
+app.post("/clear-cache", adminAuth.requireRole("admin"), (req, res) => {
+  try {
+    const ids = req.body?.shopifyProductIds;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        error: "Missing or empty shopifyProductIds",
+        usage: "POST /clear-cache with body: { \"shopifyProductIds\": [\"id1\", \"id2\", ...] }",
+      });
+    }
+    const cache = loadCache();
+    let cleared = 0;
+    for (const id of ids) {
+      const key = String(id).trim();
+      if (key && cache[key] !== undefined) {
+        delete cache[key];
+        cleared++;
+      }
+    }
+    saveCache(cache);
+    webflowLog("info", {
+      event: "clear_cache",
+      cleared,
+      requested: ids.length,
+      shopifyProductIds: ids,
+      adminKeyLabel: req.adminKey?.label ?? null,
+    });
+    res.json({ cleared, totalRequested: ids.length });
+  } catch (err) {
+    webflowLog("error", { event: "clear_cache.error", message: err.message });
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const model = String(process.env.OPENAI_PACKAGE_MODEL || "gpt-5.2").trim();
-
-  const packageCatalog = packages.map((p) => ({
-    shopifyLabel: String(p.shopifyLabel || "").trim(),
-    priceMin: p.priceMin != null ? Number(p.priceMin) : null,
-    priceMax: p.priceMax != null ? Number(p.priceMax) : null,
-    lengthIn: p.lengthIn != null ? Number(p.lengthIn) : null,
-    widthIn: p.widthIn != null ? Number(p.widthIn) : null,
-    heightIn: p.heightIn != null ? Number(p.heightIn) : null,
-    maxWeightLb: p.maxWeightLb != null ? Number(p.maxWeightLb) : null,
-  }));
-
-  const shippingBody = { title, description, productType, vendor, tags, dimensions, weightLb };
-  const shippingFacts = buildPackageShippingFacts(shippingBody);
-  const shippingBodyResolved = {
-    ...shippingBody,
-    weightLb: shippingFacts.weightLb,
-    dimensions:
-      shippingFacts.width != null
-        ? { width: shippingFacts.width, height: shippingFacts.height, length: shippingFacts.depth }
-        : dimensions,
-  };
-  const parsedShipping = buildPackageAssignParsedShipping(shippingFacts, hydratedFromShopify);
-  const deterministic = selectDeterministicShippingPackage(shippingBodyResolved, packageCatalog);
-  if (deterministic) {
-    return { ...deterministic, model: `deterministic:${model}`, parsedShipping };
+/**
+ * GET /llm-cache — LLM decision cache stats: entries, TTL, hits / misses / expired / writes since boot (per classifier).
+ * POST /llm-cache/invalidate — Drop cached decisions: { "shopifyProductIds": [...] }, { "model": "gpt-4o-mini" }
+ * or { "all": true }. The next sync or reclassify of those products calls the LLM again.
+ */
+app.get("/llm-cache", adminAuth.requireRole("read"), (req, res) => {
+  res.json(llmDecisionCache.stats());
+});
+
+app.post("/llm-cache/invalidate", adminAuth.requireRole("admin"), (req, res) => {
+  const { shopifyProductIds, model, all } = req.body || {};
+  const ids = Array.isArray(shopifyProductIds) ? shopifyProductIds.map((id) => String(id).trim()).filter(Boolean) : [];
+  const modelName = typeof model === "string" ? model.trim() : "";
+  if ([ids.length > 0, Boolean(modelName), all === true].filter(Boolean).length !== 1) {
+    return res.status(400).json({
+      error: "Send exactly one of shopifyProductIds, model or all",
+      usage: 'POST /llm-cache/invalidate with { "shopifyProductIds": ["id"] }, { "model": "gpt-4o-mini" } or { "all": true }',
+    });
+  }
+  try {
+    let removed = 0;
+    if (all === true) removed = llmDecisionCache.invalidate({ all: true });
+    else if (modelName) removed = llmDecisionCache.invalidate({ model: modelName });
+    else for (const id of ids) removed += llmDecisionCache.invalidate({ shopifyProductId: id });
+    webflowLog("info", {
+      event: "llm_cache.invalidate_request",
+      removed,
+      shopifyProductIds: ids.length ? ids : undefined,
+      model: modelName || undefined,
+      all: all === true,
+      adminKeyLabel: req.adminKey?.label ?? null,
+    });
+    res.json({ removed, entries: llmDecisionCache.stats().entries });
+  } catch (err) {
+    webflowLog("error", { event: "llm_cache.invalidate_failed", message: err.message });
+    res.status(500).json({ error: err.message });
   }
+});
 
-  const systemPrompt = [
-    "You are an expert shipping logistics coordinator for Lost & Found Resale.",
-    "Pick the single best Shopify shipping package for this item from the provided packages list only.",
-    "Return strict JSON: {\"packageLabel\":string,\"confidence\":\"high\"|\"medium\"|\"low\",\"action\":\"apply\"|\"leave_store_default\"|\"needs_review\",\"reason\":string}.",
-    "",
-    "Core goal: the CHEAPEST box (lowest priceMin) that fits — closest practical fit, not oversized.",
-    "",
-    "Dimensions (mandatory priority — never guess from title when better data exists):",
-    "1) parsedShipping from ecommerce tags (Width:/Height:/Depth:) and description",
-    "2) body.dimensions if sent",
-    "3) Title suffix dimensions (e.g. 11X519H) ONLY as last resort — often typos; ignore absurd values.",
-    "",
-    "Box selection:",
-    "- Compare EVERY package (artwork boxes, flat mailers, standard parcel boxes). Pick lowest priceMin among those that fit.",
-    "- Use practical slack (~2 in total): item + ~2 in padding may still fit if within ~2 in of box interior on any edge (warehouse pro judgment).",
-    "- Flat art in artwork boxes: longest edge may EQUAL box longest interior (72 in art → Artwork Box Large 72 in); padding only on width/depth.",
-    "- 3D decor (vases, lamps, bowls, figurines, tureens, canisters): standard parcel boxes with ~1 in padding per side on all sorted dimensions.",
-    "- Items may be rotated: compare sorted L×W×H to sorted box dimensions.",
-    "- Weight: item may be up to 2× box maxWeightLb when dimensions fit; otherwise step up one size.",
-    "- Small items (longest edge ≤ 42 in and ≤ 25 lb, or ≤ 24 in any weight under 50 lb) always get a parcel box — never Store Default just because product type says Living Room or Furniture.",
-    "- Tapestries, throws, blankets, and thin textiles ship folded or rolled — use packed dimensions (~20–26 in longest edge), NOT flat wall-display width×height from the title.",
-    "- Belts, scarves, and ties ship rolled/coiled in small parcel boxes — never Store Default under 50 lb.",
-    "- Books (hardcover, paperback, coffee-table books, book sets): ALWAYS Small Box – Small Bag or Flat Art / Print Mailer. NEVER any Artwork Box. A \"coffee table book\" is a book, not furniture. Ignore inventory weights over 6 lb for a single book — they are data errors; real books weigh 1-5 lb.",
-    "",
-    "Always Store Default (action leave_store_default, packageLabel \"Store Default\"):",
-    "- Bulky furniture: sofas, sectionals, beds, dressers, armoires, dining tables, large desks, etc.",
-    "- Items over 50 lb or rigid longest edge over 42 in with no foldable-textile exception.",
-    "",
-    "Never invent package names. packageLabel must exactly match one shopifyLabel from the list.",
-    "When several boxes fit, always choose the lowest priceMin — never a pricier box if a cheaper one fits.",
-  ].join("\n");
+/**
+ * GET /usage/llm — LLM calls, tokens and estimated USD cost per UTC day (?days=30) and month (?months=12), split by
+ * feature and model, plus today's spend against LLM_DAILY_BUDGETS_USD. Prices: lib/llmUsage.js + LLM_PRICES_JSON.
+ */
+app.get("/usage/llm", adminAuth.requireRole("read"), (req, res) => {
+  const days = Math.min(400, Math.max(1, parseInt(String(req.query.days || "30"), 10) || 30));
+  const months = Math.min(36, Math.max(1, parseInt(String(req.query.months || "12"), 10) || 12));
+  res.json({ provider: llmClient.provider, ...llmUsage.report({ days, months }) });
+});
 
-  const userPayload = {
-    title,
-    description,
-    productType,
-    vendor,
-    tags,
-    dimensions: shippingBodyResolved.dimensions,
-    weightLb: shippingBodyResolved.weightLb,
-    parsedShipping: {
-      dimensionSource: shippingFacts.source,
-      sortedInchesLwh: shippingFacts.sorted,
-      widthIn: shippingFacts.width,
-      heightIn: shippingFacts.height,
-      depthIn: shippingFacts.depth,
-      weightLb: shippingFacts.weightLb,
-    },
-    packages: packageCatalog,
-    allowedPackageLabels: allowedLabels,
-  };
+/**
+ * POST /webhook/products/delete — Same path as sync-all “disappeared”: confirm Shopify not active, Webflow sold, cache row removed.
+ */
+app.post("/webhook/products/delete", verifyShopifyHmac, async (req, res) => {
+  res.status(200).send("ok");
+  try {
+    const id = req.body?.id != null ? String(req.body.id) : null;
+    if (!id) {
+      webflowLog("warn", {
+        event: "shopify.webhook.product_delete",
+        path: "/webhook/products/delete",
+        reason: "missing_product_id",
+      });
+      return;
+    }
+    webflowLog("info", {
+      event: "shopify.webhook.product_delete",
+      path: "/webhook/products/delete",
+      shopifyProductId: id,
+      topic: req.get("X-Shopify-Topic") ?? "",
+      shop: req.get("X-Shopify-Shop-Domain") ?? "",
+    });
+    const cache = loadCache();
+    const outcome = await processDisappearedShopifyProduct(id, cache, { trigger: "webhook.products_delete" });
+    saveCache(cache);
+    webflowLog("info", {
+      event: "shopify.webhook.product_delete.done",
+      shopifyProductId: id,
+      outcome,
+    });
+  } catch (err) {
+    webflowLog("error", {
+      event: "shopify.webhook.product_delete.error",
+      message: err.message,
+    });
+  }
+});
 
-  const resp = await axios.post(
-    "https://api.openai.com/v1/chat/completions",
+/* ======================================================
+   SHOPIFY INVENTORY LEVEL WEBHOOK — POS sales / manual adjustments
+   inventory_levels/update is the only webhook Shopify sends for a POS sale or a stock adjustment in admin.
+   Payload has inventory_item_id (no product id), so it is mapped back to the product through Admin GraphQL,
+   then the product is re-read (first-variant inventory_quantity is the total across locations, which is
+   what sold state uses). In → sold: markAsSold right away (Webflow + Google out of stock). Sold → in stock:
+   reactivate an archived furniture copy and queue a normal product sync to clear the sold fields.
+====================================================== */
+const INVENTORY_ITEM_PRODUCT_CACHE_MAX = 5000;
+/** inventory_item_id → { shopifyProductId, variantPosition } (stable for the life of a variant). */
+const inventoryItemProductCache = new Map();
+
+async function resolveShopifyInventoryItem(inventoryItemId) {
+  const id = String(inventoryItemId ?? "").trim();
+  if (!/^\d+$/.test(id)) return null;
+  if (inventoryItemProductCache.has(id)) return inventoryItemProductCache.get(id);
+  const res = await postShopifyGraphqlWithRetry(
     {
-      model,
-      messages: [
-        { role: "system", content: systemPrompt },
-        { role: "user", content: JSON.stringify(userPayload) },
-      ],
-      temperature: 0.1,
-      response_format: { type: "json_object" },
+      query: `query InventoryItemProduct($id: ID!) {
+        inventoryItem(id: $id) {
+          variant { legacyResourceId position product { legacyResourceId } }
+        }
+      }`,
+      variables: { id: `gid://shopify/InventoryItem/${id}` },
     },
-    {
-      headers: {
-        Authorization: `Bearer ${key}`,
-        "Content-Type": "application/json",
-      },
-      timeout: 45000,
-    }
+    "inventoryItem",
+    { inventoryItemId: id }
   );
-
-  const raw = resp.data?.choices?.[0]?.message?.content;
-  if (!raw) {
-    throw new Error("OpenAI returned no package selection");
+  const variant = res.data?.data?.inventoryItem?.variant;
+  if (!variant?.product?.legacyResourceId) return null;
+  const resolved = {
+    shopifyProductId: String(variant.product.legacyResourceId),
+    variantPosition: variant.position ?? null,
+  };
+  if (inventoryItemProductCache.size >= INVENTORY_ITEM_PRODUCT_CACHE_MAX) {
+    inventoryItemProductCache.delete(inventoryItemProductCache.keys().next().value);
   }
+  inventoryItemProductCache.set(id, resolved);
+  return resolved;
+}
 
-  const parsed = JSON.parse(raw);
-  let packageLabel = String(parsed?.packageLabel || "").trim();
-  const confidence = ["high", "medium", "low"].includes(parsed?.confidence) ? parsed.confidence : "medium";
-  const action = ["apply", "leave_store_default", "needs_review"].includes(parsed?.action)
-    ? parsed.action
-    : "needs_review";
-  const reason = String(parsed?.reason || "Selected by GPT from available Shopify packages.").trim();
-
-  const normalizeLabel = (text) =>
-    String(text || "")
-      .toLowerCase()
-      .replace(/[–—]/g, "-")
-      .replace(/\s*\(\$[\d.\-\s$]+\)\s*/g, "")
-      .replace(/\s+/g, " ")
-      .trim();
+/**
+ * Apply one product's current stock to Webflow / Google sold state (cache from loadCache(), saved on change).
+ * @returns {Promise<{ operation: string, id?: string | null }>}
+ */
+async function applyShopifyInventoryChange(shopifyProductId, cache, triggerPath) {
+  const product = await fetchShopifyProductById(shopifyProductId);
+  if (!product) return { operation: "skip_unconfirmed" };
+  if (String(product.status || "").toLowerCase() !== "active") {
+    scheduleDebouncedProductWebhookSync(shopifyProductId, triggerPath);
+    return { operation: "queued_sync" };
+  }
+  const qty = getPrimaryVariantInventoryQuantity(product);
+  const entry = getCacheEntry(cache, shopifyProductId);
+  const previousQty = entry?.lastQty ?? null;
+  if (!entry?.webflowId) {
+    // Never synced: the full product path decides vertical / create.
+    scheduleDebouncedProductWebhookSync(shopifyProductId, triggerPath);
+    return { operation: "queued_sync" };
+  }
 
-  if (!allowedLabels.some((label) => normalizeLabel(label) === normalizeLabel(packageLabel))) {
-    const fuzzy = allowedLabels.find((label) => {
-      const a = normalizeLabel(label);
-      const b = normalizeLabel(packageLabel);
-      return a === b || a.startsWith(b) || b.startsWith(a) || a.split("/")[0].trim() === b.split("/")[0].trim();
+  if (shouldMarkSoldTransition(previousQty, qty)) {
+    const { existing, vertical, config } = await locateWebflowListingForShopifyProduct(shopifyProductId, entry);
+    if (!existing) {
+      scheduleDebouncedProductWebhookSync(shopifyProductId, triggerPath);
+      return { operation: "queued_sync" };
+    }
+    webflowLog("info", {
+      event: "shopify.webhook.inventory_level.mark_sold",
+      shopifyProductId,
+      productTitle: product.title,
+      webflowId: existing.id,
+      vertical,
+      previousQty,
+      qty,
     });
-    if (fuzzy) packageLabel = fuzzy;
+    await markAsSold(existing, vertical, config);
+    cache[shopifyProductId] = {
+      ...cache[shopifyProductId],
+      webflowId: existing.id,
+      vertical,
+      lastQty: qty,
+      ...soldMarkedAtPayload(entry, qty),
+    };
+    saveCache(cache);
+    webflowLog("info", { event: "cache.mutated", shopifyProductId, op: "sold", webflowId: existing.id, vertical, reason: "inventory_level" });
+    return { operation: "sold", id: existing.id };
   }
 
-  if (!allowedLabels.some((label) => normalizeLabel(label) === normalizeLabel(packageLabel))) {
-    return {
-      packageLabel: "",
-      confidence: "low",
-      action: "needs_review",
-      reason: `GPT returned "${parsed?.packageLabel || ""}" which is not in the Shopify package list.`,
-      model,
-      parsedShipping,
-    };
+  if (shopifyQtySaysSold(previousQty) && !shopifyQtySaysSold(qty)) {
+    const { existing, vertical, config } = await locateWebflowListingForShopifyProduct(shopifyProductId, entry);
+    let reactivated = false;
+    if (existing && vertical === "furniture" && furnitureUsesEcommerceApi(config)) {
+      ({ reactivated } = await reactivateArchivedFurnitureIfNeeded({
+        config,
+        existing,
+        shopifyProductId,
+        productTitle: product.title,
+        qty,
+      }));
+    }
+    webflowLog("info", {
+      event: "shopify.webhook.inventory_level.back_in_stock",
+      shopifyProductId,
+      productTitle: product.title,
+      webflowId: existing?.id ?? null,
+      vertical,
+      previousQty,
+      qty,
+      reactivated,
+    });
+    // Un-selling (sold flag, "No Longer Available" title, Google in stock) is the regular update path.
+    scheduleDebouncedProductWebhookSync(shopifyProductId, triggerPath);
+    return { operation: reactivated ? "reactivated" : "queued_sync", id: existing?.id ?? null };
   }
 
-  let canonical = allowedLabels.find((label) => normalizeLabel(label) === normalizeLabel(packageLabel)) || packageLabel;
-  let finalReason = reason;
+  return { operation: "skip_no_transition", id: entry.webflowId };
+}
 
-  // Hard rule: books never ship in an Artwork Box — remap to Small Box / Flat Art mailer.
-  if (productLooksLikeBookForShipping(shippingBodyResolved) && /\bartwork\s*box\b/i.test(canonical)) {
-    const bookOptions = packageCatalog
-      .filter((p) => isBookAllowedPackage(p))
-      .sort((a, b) => (a.priceMin ?? Infinity) - (b.priceMin ?? Infinity));
-    const itemSorted = shippingFacts.sorted;
-    const bookWeightLb =
-      shippingFacts.weightLb != null && shippingFacts.weightLb > BOOK_MAX_PLAUSIBLE_WEIGHT_LB
-        ? BOOK_MAX_PLAUSIBLE_WEIGHT_LB
-        : shippingFacts.weightLb;
-    const replacement =
-      bookOptions.find((p) => {
-        const boxSorted = sortedPackageBoxDims(p);
-        return !itemSorted || (boxSorted && itemFitsBoxDims(itemSorted, boxSorted) && packageWeightOk(bookWeightLb, p));
-      }) || bookOptions[0];
-    if (replacement) {
-      canonical = allowedLabels.find((label) => normalizeLabel(label) === normalizeLabel(replacement.shopifyLabel)) || replacement.shopifyLabel;
-      finalReason = `Book — remapped from an Artwork Box to ${canonical}. Books ship in Small Box or Flat Art / Print Mailer, never an Artwork Box.`;
-    }
+async function runInventoryLevelWebhook(inventoryItemId, triggerPath) {
+  const item = await resolveShopifyInventoryItem(inventoryItemId);
+  if (!item) {
+    webflowLog("info", { event: "shopify.webhook.inventory_level.unmapped", inventoryItemId: String(inventoryItemId) });
+    return;
+  }
+  const id = item.shopifyProductId;
+  if (item.variantPosition != null && Number(item.variantPosition) !== 1) {
+    // Sold state follows the first variant only (getPrimaryVariantInventoryQuantity).
+    webflowLog("info", {
+      event: "shopify.webhook.inventory_level.skip_secondary_variant",
+      shopifyProductId: id,
+      variantPosition: item.variantPosition,
+    });
+    return;
   }
+  const options = { syncTrigger: "webhook.inventory_levels" };
+  const result = await runSerializedByShopifyProductId(id, () => {
+    const cache = loadCache();
+    const before = cache[id] && typeof cache[id] === "object" ? { ...cache[id] } : null;
+    return productSyncHistory.record(
+      id,
+      () => applyShopifyInventoryChange(id, cache, triggerPath),
+      (r, error) => describeProductSyncForHistory(null, before, cache[id], options, r, error)
+    );
+  });
+  webflowLog("info", { event: "shopify.webhook.inventory_level.done", shopifyProductId: id, ...result });
+}
 
-  const llmResult = {
-    packageLabel: canonical,
-    confidence,
-    action,
-    reason: finalReason,
-    model,
-  };
+/**
+ * POST /webhook/inventory-levels/update — Shopify inventory_levels/update (POS sale, admin adjustment, transfer).
+ * Subscribe in Shopify admin → Settings → Notifications → Webhooks, or webhookSubscriptionCreate(topic: INVENTORY_LEVELS_UPDATE).
+ * Runs through the durable webhook queue (key inventory_item:<id>), so a restart before it runs replays it.
+ */
+app.post("/webhook/inventory-levels/update", verifyShopifyHmac, (req, res) => {
+  const inventoryItemId = req.body?.inventory_item_id != null ? String(req.body.inventory_item_id) : null;
+  webflowLog("info", {
+    event: "shopify.webhook.inventory_level",
+    path: req.path,
+    topic: req.get("X-Shopify-Topic") ?? "",
+    shop: req.get("X-Shopify-Shop-Domain") ?? "",
+    inventoryItemId,
+    locationId: req.body?.location_id != null ? String(req.body.location_id) : null,
+    available: req.body?.available ?? null,
+  });
+  // Answer after the job is persisted: Shopify does not retry a webhook it got a 200 for.
+  if (inventoryItemId) webhookSyncQueue.enqueue(`${INVENTORY_ITEM_JOB_PREFIX}${inventoryItemId}`, req.path);
+  res.status(200).send("ok");
+});
 
-  if (action === "leave_store_default" || packageLabel.toLowerCase().includes("store default")) {
-    const override = selectDeterministicShippingPackage(shippingBodyResolved, packageCatalog);
-    if (override && override.action === "apply") {
-      const overrideLabel =
-        allowedLabels.find((label) => normalizeLabel(label) === normalizeLabel(override.packageLabel)) ||
-        override.packageLabel;
-      return {
-        packageLabel: overrideLabel,
-        confidence: override.confidence,
-        action: "apply",
-        reason: `${override.reason} (Overrode GPT store-default suggestion.)`,
-        model: `deterministic+${model}`,
-        parsedShipping,
-      };
+function shouldPushProductToGoogleFurniture(product, cacheEntry) {
+  const cachedVertical = cacheEntry?.vertical;
+  if (cachedVertical === "furniture") return true;
+  if (cachedVertical === "luxury") return false;
+  const typeDept = getDepartmentFromType(product?.product_type);
+  const llmGuess = typeDept === "Luxury Goods" ? "luxury" : "furniture";
+  const evidence = resolveVerticalFromEvidence(product, llmGuess);
+  return evidence.vertical === "furniture";
+}
+
+/**
+ * Push every furniture product from Shopify to Google Merchant (availability from Shopify qty); shared by
+ * POST /google/furniture/full-push and the scheduler. limit caps the batch (small test runs).
+ */
+async function runGoogleFurnitureFullPush({ limit = null } = {}) {
+  syncRequestId = crypto.randomUUID().slice(0, 8);
+  syncStartTime = Date.now();
+  try {
+    const products = await fetchAllShopifyProducts();
+    const cache = loadCache();
+    await loadFurnitureProductIndex({ force: true });
+    const requestedLimit = Number(limit);
+    const maxItems =
+      Number.isFinite(requestedLimit) && requestedLimit > 0
+        ? Math.min(Math.floor(requestedLimit), products?.length || 0)
+        : products?.length || 0;
+    let attempted = 0;
+    let pushed = 0;
+    let feedOnly = 0;
+    let failed = 0;
+    let skipped = 0;
+    for (const p of (products || []).slice(0, maxItems)) {
+      const shopifyProductId = String(p?.id || "").trim();
+      if (!shopifyProductId) continue;
+      const cacheEntry = getCacheEntry(cache, shopifyProductId);
+      if (!shouldPushProductToGoogleFurniture(p, cacheEntry)) {
+        skipped++;
+        continue;
+      }
+      attempted++;
+      const soldNow = shopifyQtySaysSold(getPrimaryVariantInventoryQuantity(p));
+      const out = await syncGoogleMerchantFurnitureFromShopifyProduct(
+        p,
+        soldNow ? "out of stock" : "in stock",
+        "full_push",
+        cache
+      );
+      if (out === "feed") feedOnly++;
+      else if (out) pushed++;
+      else failed++;
     }
+    return {
+      status: "ok",
+      totalShopifyProducts: products?.length || 0,
+      maxItems,
+      attempted,
+      pushed,
+      feedOnly,
+      failed,
+      skipped,
+      ...(googleFeedEnabled() ? { feed: googleFeed.stats() } : {}),
+      durationMs: Date.now() - syncStartTime,
+    };
+  } finally {
+    syncRequestId = null;
+    syncStartTime = null;
   }
-
-  return { ...llmResult, parsedShipping };
 }
 
-app.post("/api/package-assign", async (req, res) => {
+app.post("/google/furniture/full-push", adminAuth.requireRole("sync"), async (req, res) => {
+  if (!googleMerchantEnabled() && !googleFeedEnabled()) {
+    return res.status(400).json({ error: "GOOGLE_MERCHANT_ENABLED and GOOGLE_FEED_ENABLED are false" });
+  }
   try {
-    const body = req.body && typeof req.body === "object" ? req.body : {};
-    const result = await selectPackageWithAi(body);
-    return res.json(result);
+    return res.json(await runGoogleFurnitureFullPush({ limit: req.body?.limit }));
   } catch (err) {
-    const status = err?.status || err?.response?.status || 500;
-    const message = err?.response?.data?.error?.message || err?.message || "package-assign failed";
-    if (err?.code === "openai_missing" || status === 503) {
-      return res.status(503).json({ error: message, code: err?.code || "openai_missing" });
-    }
-    if (status === 400) {
-      return res.status(400).json({ error: message });
-    }
-    webflowLog("warn", { event: "package_assign.failed", message });
-    return res.status(500).json({ error: message });
+    webflowLog("error", { event: "google_merchant.full_push_failed", message: err.message });
+    return res.status(500).json({ error: err.message || "google full push failed" });
   }
 });
 
 /**
- * POST /api/listing-blurb — Short listing copy via OpenAI (OPENAI_API_KEY).
- * Body JSON: title, price, vertical, productDescription, pickupAddress, pickupHours, contactEmail,
- *   isLuxury (bool, optional), luxuryGoodsCategory (optional: Shopify/Webflow child category, e.g. "Jewelry"),
- *   listingShopPrice (optional: numeric shop/list price for auth-tier rules; used instead of bumped marketplace `price`),
- *   outputChannel (optional: "facebook" default | "craigslist").
- * Returns { text } plain text (no URLs for Facebook; Craigslist is standalone body).
- * Model: OPENAI_LISTING_MODEL (default gpt-4o-mini).
+ * Push every listed luxury product (cached luxury row with a Webflow item) to Google Merchant; shared by
+ * POST /google/luxury/full-push and the scheduler. limit caps the batch like the furniture push.
  */
-app.post("/api/listing-blurb", async (req, res) => {
-  const key = (process.env.OPENAI_API_KEY || "").trim();
-  if (!key) {
-    return res.status(503).json({
-      error: "OPENAI_API_KEY is not set on this server",
-      code: "openai_missing",
-    });
+async function runGoogleLuxuryFullPush({ limit = null } = {}) {
+  syncRequestId = crypto.randomUUID().slice(0, 8);
+  syncStartTime = Date.now();
+  try {
+    const products = await fetchAllShopifyProducts();
+    const cache = loadCache();
+    await loadLuxuryItemIndex({ force: true });
+    const requestedLimit = Number(limit);
+    const maxItems =
+      Number.isFinite(requestedLimit) && requestedLimit > 0
+        ? Math.min(Math.floor(requestedLimit), products?.length || 0)
+        : products?.length || 0;
+    let attempted = 0;
+    let pushed = 0;
+    let failed = 0;
+    let skipped = 0;
+    for (const p of (products || []).slice(0, maxItems)) {
+      const shopifyProductId = String(p?.id || "").trim();
+      if (!shopifyProductId) continue;
+      const cacheEntry = getCacheEntry(cache, shopifyProductId);
+      if (cacheEntry?.vertical !== "luxury" || !cacheEntry.webflowId) {
+        skipped++;
+        continue;
+      }
+      attempted++;
+      const soldNow = shopifyQtySaysSold(getPrimaryVariantInventoryQuantity(p));
+      const ok = await syncGoogleMerchantLuxuryFromShopifyProduct(p, soldNow ? "out of stock" : "in stock", "full_push", cache);
+      if (ok) pushed++;
+      else failed++;
+    }
+    return {
+      status: "ok",
+      totalShopifyProducts: products?.length || 0,
+      maxItems,
+      attempted,
+      pushed,
+      failed,
+      skipped,
+      durationMs: Date.now() - syncStartTime,
+    };
+  } finally {
+    syncRequestId = null;
+    syncStartTime = null;
   }
+}
 
-  const body = req.body && typeof req.body === "object" ? req.body : {};
-  const title = String(body.title || "").trim();
-  const price = body.price != null ? String(body.price).trim() : "";
-  /** Prefer catalog/Shopify list price for auth-tier rules; extension may send bumped marketplace price separately in `price`. */
-  const tierPriceRaw = String(body.listingShopPrice ?? body.price ?? "").trim();
-  const vertical = String(body.vertical || "furniture").trim().toLowerCase();
-  const catalog = String(body.productDescription || "").trim().slice(0, 2200);
-  const pickupAddress = String(body.pickupAddress || "").trim();
-  const pickupHours = String(body.pickupHours || "").trim();
-  const contactEmail = String(body.contactEmail || "info@lostandfoundresale.com").trim();
-  const isLuxury = body.isLuxury === true || vertical === "luxury";
-  const luxuryGoodsCategoryRaw = String(body.luxuryGoodsCategory || "").trim();
-  const isLuxuryJewelry = isLuxury && isLuxuryJewelryCategory(luxuryGoodsCategoryRaw);
-  const listingListPriceNum = Number(String(tierPriceRaw || "").replace(/[^0-9.]/g, ""));
-  const luxuryListPriceParsed = Number.isFinite(listingListPriceNum) ? listingListPriceNum : NaN;
-  /** No authentication / COA copy for Jewelry or any luxury listing at $175 or below (matches extension guarantee tier). */
-  const omitLuxuryAuthenticationCopy =
-    isLuxury &&
-    (isLuxuryJewelry || (Number.isFinite(luxuryListPriceParsed) && luxuryListPriceParsed <= 175));
-  const outputChannel = String(body.outputChannel || "facebook").trim().toLowerCase();
-  const isCraigslist = outputChannel === "craigslist";
-
-  if (!title && !catalog) {
-    return res.status(400).json({ error: "Provide at least title or productDescription" });
+app.post("/google/luxury/full-push", adminAuth.requireRole("sync"), async (req, res) => {
+  if (!googleMerchantLuxuryEnabled()) {
+    return res.status(400).json({ error: "GOOGLE_MERCHANT_ENABLED or GOOGLE_MERCHANT_LUXURY_ENABLED is false" });
   }
-
-  const model = (process.env.OPENAI_LISTING_MODEL || "gpt-4o-mini").trim();
-  const variationHint = Math.random().toString(36).slice(2, 11);
-  const openingStyles = [
-    "direct seller opener",
-    "friendly conversational opener",
-    "feature-first opener",
-    "condition-first opener",
-  ];
-  const flowStyles = [
-    "two short paragraphs",
-    "single flowing paragraph",
-    "short sentence chain with natural pauses",
-    "statement then detail then logistics",
-  ];
-  const closingStyles = [
-    "link-first close",
-    "showroom-invite close",
-    "questions-then-link close",
-    "checkout-and-details close",
-  ];
-  const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
-  const variationProfile = {
-    openingStyle: pick(openingStyles),
-    flowStyle: pick(flowStyles),
-    closingStyle: pick(closingStyles),
-  };
-  const audienceText = `${title} ${catalog}`.toLowerCase();
-  const hasAny = (terms = []) => terms.some((t) => audienceText.includes(t));
-  const heavyWeightMatch = audienceText.match(/(\d{2,4}(?:\.\d+)?)\s*(?:lb|lbs|pounds?)\b/i);
-  const heavyByWeight = heavyWeightMatch ? Number(heavyWeightMatch[1]) > 50 : false;
-  const largeByKeywords = hasAny([
-    "oversized",
-    "over sized",
-    "large",
-    "extra large",
-    "xl",
-    "sectional",
-    "armoire",
-    "china cabinet",
-    "king size",
-    "king-size",
-    "dining table",
-    "72 in",
-    "84 in",
-    "96 in",
-    "7 ft",
-    "8 ft",
-  ]);
-  const moverAssistEligible = heavyByWeight || largeByKeywords;
-  const moverAssistLine =
-    "The movers we use charge ($95/hr) and are a great group, and we can help set delivery up for you.";
-  let audienceLane = "general_local";
-  if (
-    hasAny([
-      "vintage",
-      "mid century",
-      "mid-century",
-      "antique",
-      "rare",
-      "signed",
-      "artist",
-      "original",
-      "collectible",
-      "limited edition",
-      "estate",
-      "museum",
-    ])
-  ) {
-    audienceLane = "collector";
-  } else if (
-    hasAny([
-      "project",
-      "restore",
-      "restoration",
-      "as is",
-      "as-is",
-      "repair",
-      "needs work",
-      "flipper",
-      "reseller",
-      "deal",
-      "priced to move",
-      "clearance",
-    ])
-  ) {
-    audienceLane = "deal_hunter";
-  } else if (
-    hasAny([
-      "dining",
-      "sofa",
-      "sectional",
-      "bedroom",
-      "dresser",
-      "nightstand",
-      "coffee table",
-      "entryway",
-      "home office",
-      "patio",
-      "kitchen",
-      "family room",
-    ])
-  ) {
-    audienceLane = "home_practical";
+  try {
+    return res.json(await runGoogleLuxuryFullPush({ limit: req.body?.limit }));
+  } catch (err) {
+    webflowLog("error", { event: "google_merchant.full_push_failed", vertical: "luxury", message: err.message });
+    return res.status(500).json({ error: err.message || "google luxury full push failed" });
   }
-  const audienceGuidance = {
-    collector:
-      "Subtle collector-aware language: mention craftsmanship, provenance-style cues, or era only when explicitly supported by title/catalog. Keep it grounded and concise.",
-    deal_hunter:
-      "Subtle value-oriented language: straightforward condition and usefulness, with practical tone for bargain-minded or project buyers. No hype.",
-    home_practical:
-      "Subtle practical-home language: focus on fit/function in real spaces, comfort, and everyday use when supported by facts.",
-    general_local:
-      "Neutral local resale language: plain and direct, balanced for mixed buyers.",
-  };
-  const retailToneBlock =
-    " Avoid catalog or showroom tone: no introducing, curated, elevate your space, showcase, stunning, visit our website, SKU dumps, pasted spec tables, or pasted legal blocks.";
+});
 
-  let structureGuide;
-  let toneGuide;
-  let avoidPhraseGuide;
-  let logisticsGuide;
-  let maxBodyChars;
+/* ======================================================
+   GOOGLE MERCHANT — PRODUCT STATUSES — GET /google/issues, POST /google/issues/refresh
+   Reads back approval status and item-level issues for every offer (lib/googleMerchantStatus.js), stored per
+   offerId. Disapprovals that are new since the last pull are emailed through sendGoogleFeedDataIssueEmail, so
+   they share the once-per-product+issue dedupe with the push guards.
+   Env: SCHEDULE_GOOGLE_STATUSES, GOOGLE_MERCHANT_STATUS_FIXTURE_FILE (read the pull from a JSON file shaped like
+   the Merchant API products list instead of calling Google; for local runs and tests).
+====================================================== */
+const googleStatusStore = createGoogleMerchantStatusStore({
+  persist: syncStore.namespace(STORE_NS.googleProductStatus),
+});
+const googleStatusJobState = { running: false, lastRun: null };
+
+/** Raw status rows for every offer, or null when Google Merchant is not configured (and no fixture file is set). */
+async function googleMerchantListProductStatuses() {
+  const fixtureFile = String(process.env.GOOGLE_MERCHANT_STATUS_FIXTURE_FILE || "").trim();
+  if (fixtureFile) {
+    const data = JSON.parse(fs.readFileSync(fixtureFile, "utf8"));
+    return data.products ?? data.resources ?? [];
+  }
+  if (!googleMerchantEnabled()) return null;
+  const cfg = getGoogleMerchantConfig();
+  if (!cfg.merchantId) return null;
+  const token = await getGoogleMerchantAccessToken();
+  if (!token) throw new Error("google merchant auth unavailable");
+  const rows = [];
+  let pageToken = null;
+  do {
+    // The Merchant API products list carries productStatus; the Content API has a separate productstatuses list.
+    const url =
+      cfg.apiMode === "content"
+        ? `https://shoppingcontent.googleapis.com/content/v2.1/${encodeURIComponent(cfg.merchantId)}/productstatuses`
+        : `https://merchantapi.googleapis.com/products/v1/accounts/${encodeURIComponent(cfg.merchantId)}/products`;
+    const params =
+      cfg.apiMode === "content"
+        ? { maxResults: 250, ...(pageToken ? { pageToken } : {}) }
+        : { pageSize: 1000, ...(pageToken ? { pageToken } : {}) };
+    const resp = await axios.get(url, {
+      params,
+      headers: { Authorization: `Bearer ${token}`, accept: "application/json" },
+      timeout: 30000,
+    });
+    rows.push(...(cfg.apiMode === "content" ? resp.data?.resources ?? [] : resp.data?.products ?? []));
+    pageToken = resp.data?.nextPageToken || null;
+  } while (pageToken);
+  return rows;
+}
 
-  if (isCraigslist) {
-    maxBodyChars = 1400;
-    const clAvoidStorePitch =
-      "Do NOT use or echo: consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence.";
-    structureGuide = isLuxury
-      ? omitLuxuryAuthenticationCopy
-        ? "Write a natural Craigslist for-sale body from title + catalogDescription. Sound like a real person: a few short paragraphs or flowing sentences, not a catalog paste. Keep authentic brand, designer, and maker names from the source when present. Keep concrete details only when supported (materials, wear, hardware, size). If AS IS appears in the source, describe condition plainly. Do not mention authentication, authenticity certificates, COA, or designer verification (not applicable for jewelry/small accessories or for items at this price tier). Weave in one plain pickup sentence that also mentions shipping options are available and full details are on the link below: you can pick it up right by Scottsdale Quarter at Lost and Found Resale Interiors (wayfinding, not a sales pitch). Close by steering questions, purchase, and contact through the store link at the bottom of this posting (do not type URLs in your body), or say they are welcome to come in. Do not ask people to reply here on Craigslist to coordinate. No URLs or phone numbers in your body. No markdown bullets or numbered lists. No em dash."
-        : "Write a natural Craigslist for-sale body from title + catalogDescription. Sound like a real person: a few short paragraphs or flowing sentences, not a catalog paste. Keep authentic brand, designer, and maker names from the source when present. Keep concrete details only when supported (materials, wear, hardware, size). If AS IS appears in the source, describe condition plainly. Weave in one plain pickup sentence that also mentions shipping options are available and full details are on the link below: you can pick it up right by Scottsdale Quarter at Lost and Found Resale Interiors (wayfinding, not a sales pitch). Close by steering questions, purchase, and contact through the store link at the bottom of this posting (do not type URLs in your body), or say they are welcome to come in. Do not ask people to reply here on Craigslist to coordinate. No URLs or phone numbers in your body. No markdown bullets or numbered lists. No em dash."
-      : "Write a natural Craigslist for-sale body from title + catalogDescription. Casual and plain, like a local seller: what it is, honest condition, size or material only if stated. Keep authentic brand, designer, and maker names from the source when present. One plain pickup sentence that also notes shipping options are available and details are on the link below (pickup right by Scottsdale Quarter at Lost and Found Resale Interiors). End by pointing them to the link at the bottom of this post for item details and to contact or buy through the site, or invite them to stop in. Do not ask people to reply here on Craigslist to coordinate. Strip retail or catalog voice down to human language. No URLs or phone numbers in your body. No markdown bullets or numbered lists. No em dash.";
-    toneGuide = isLuxury
-      ? "Collector-aware Craigslist voice: knowledgeable but still local and grounded. Avoid posh showroom tone. Sound like someone talking to collectors, resellers, and value-minded buyers. Use real brand names when they appear in the source."
-      : "Friendly, plain Craigslist seller for mixed local buyers: collectors, yard-sale/value shoppers, and practical home buyers. Not corporate, not showroom. Use real brand/maker names when they appear in the source.";
-    avoidPhraseGuide = isLuxury
-      ? `${clAvoidStorePitch} Keep authentic brand/trademark/designer/maker names from title or catalogDescription in the output when present (Craigslist allows them). Do not invent brands that are not in the source. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'. Do not say: reply here, reply on Craigslist, coordinate through Craigslist, message me here to schedule, or similar.${
-          omitLuxuryAuthenticationCopy
-            ? " Do not mention authentication, authenticity guarantee, certificate of authenticity, COA, designer authentication, or verification documentation."
-            : ""
-        }`
-      : `${clAvoidStorePitch} Keep authentic brand/designer/maker names from title or catalogDescription when present. Do not invent brands. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'. Do not say: reply here, reply on Craigslist, coordinate through Craigslist, message me here to schedule, or similar.`;
-    avoidPhraseGuide += retailToneBlock;
-    logisticsGuide =
-      "Keep logistics human and short. Include exactly one pickup line that names Scottsdale Quarter and Lost and Found Resale Interiors for directions (casual wording, not a brochure), and weave into that same line that shipping options are available with details on the link below. Do not paste the full street address, store hours, URLs, shipping policy, freight brokers, or phone numbers from JSON; a separate block after your text will have address and links. For next steps: tell readers to use the link at the bottom of this posting for full item details and to reach out or purchase through the site, or to come into the showroom. Never ask them to reply here on Craigslist or to coordinate only through Craigslist email.";
-  } else {
-    maxBodyChars = 420;
-    structureGuide = isLuxury
-      ? omitLuxuryAuthenticationCopy
-        ? "Open with the item type and standout style details in premium but natural Marketplace wording. Do NOT include explicit brand names/trademarks. Use 2-4 short lines grounded in title + catalogDescription: condition callout, materials, hardware/finish, silhouette/style, and practical use if supported by catalog facts. Do NOT mention authentication, authenticity certificates, COA, designer verification, or handbag-style guarantees (not offered for jewelry/small accessories or for listings at $175 and under). Do NOT mention pickup, shipping, delivery, movers, or contact info — a fixed shipping paragraph is appended after your text. Never use an em dash; use commas or periods."
-        : "Open with the item type and standout style details in premium but natural Marketplace wording. Do NOT include explicit brand names/trademarks. Use 2-4 short lines grounded in title + catalogDescription: condition callout, materials, hardware/finish, silhouette/style, and practical use if supported by catalog facts. Mention authentication documentation is available. Do NOT mention pickup, shipping, delivery, movers, or contact info — a fixed shipping paragraph is appended after your text. Never use an em dash; use commas or periods."
-      : "Open on the item in normal Marketplace wording (e.g. 'Check out...', 'Selling...') using title + catalogDescription as the factual base: what it is, honest condition, materials, size, and price. No shop name. Do NOT mention pickup, shipping, delivery, movers, Scottsdale Quarter, checkout, phone, or email — a fixed shipping paragraph is appended after your text. Never use an em dash (long dash) in your output; use commas, periods, or 'and' instead.";
-    toneGuide = isLuxury
-      ? "Facebook voice for collectors and smart deal seekers: informed and trustworthy, but not posh, not boutique, not corporate. Short lines, no hype."
-      : "Sounds like a real person on Facebook Marketplace speaking to collectors, yard-sale/value shoppers, flippers, and practical home buyers. Short, plain, conversational.";
-    avoidPhraseGuide = isLuxury
-      ? omitLuxuryAuthenticationCopy
-        ? "Do NOT use or echo: Lost & Found, Lost and Found, consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence. Do not use explicit brand/trademark names from sourceTitle or catalogDescription in output. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'. Do not mention authentication, authenticity guarantee, certificate of authenticity, COA, designer authentication, or verification documentation."
-        : "Do NOT use or echo: Lost & Found, Lost and Found, consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence. Do not use explicit brand/trademark names from sourceTitle or catalogDescription in output. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'."
-      : "Do NOT use or echo: Lost & Found, Lost and Found, consignment (as a store label), Discover, stunning, gorgeous, masterpiece, don't miss out, perfect for anyone, beautifully balances, elevate your space, timeless appeal, artisanal flair, captures the essence, anyone looking to add, yours for just, act fast, limited opportunity, shop with confidence. Do not use em-dash punctuation (Unicode U+2014) or en-dash as a clause dash (U+2013); use commas, periods, or 'and'.";
-    logisticsGuide = isLuxury
-      ? "Product description ONLY. Do not mention pickup, shipping, delivery, freight, movers, dollar amounts, Scottsdale Quarter, checkout, phone, or email. A fixed shipping paragraph is appended after your text."
-      : "Product description ONLY. Do not mention pickup, shipping, delivery, freight, movers, $95, Scottsdale Quarter, checkout, phone, or email. A fixed shipping paragraph is appended after your text.";
+/** offerId → Shopify product id for the furniture listings in the Webflow index (ids there are canonical slugs). */
+async function furnitureShopifyIdsByGoogleOfferId() {
+  await loadFurnitureProductIndex();
+  const out = new Map();
+  for (const entry of webflowIndexEntries(furnitureProductIndex)) {
+    const offerId = googleFurnitureOfferIdForWebflowItem(entry);
+    const sid = String(entry.fieldData?.["shopify-product-id"] || "").trim();
+    if (offerId && sid) out.set(offerId, sid);
   }
-  if (isCraigslist) {
-    if (moverAssistEligible) {
-      logisticsGuide += ` Include one short line exactly like this meaning: "${moverAssistLine}"`;
-    } else {
-      logisticsGuide += " Do not mention mover hourly rates or delivery setup services unless the item is clearly heavy/large in JSON.";
+  return out;
+}
+
+/** Pull statuses, store them and email new disapprovals. */
+async function runGoogleStatusIngest({ trigger = "manual" } = {}) {
+  if (googleStatusJobState.running) return { status: "already_running" };
+  googleStatusJobState.running = true;
+  const startedAt = new Date().toISOString();
+  try {
+    const rows = await googleMerchantListProductStatuses();
+    if (!rows) return { status: "disabled" };
+    const result = googleStatusStore.ingest(rows);
+    let alerted = 0;
+    if (result.newDisapprovals.length) {
+      let furnitureIds = new Map();
+      try {
+        furnitureIds = await furnitureShopifyIdsByGoogleOfferId();
+      } catch (err) {
+        webflowLog("warn", { event: "google_status.furniture_index_failed", message: err.message });
+      }
+      for (const { offerId, title, link, issue } of result.newDisapprovals) {
+        const shopifyProductId = offerId.startsWith("lux-") ? offerId.slice(4) : furnitureIds.get(offerId) || null;
+        webflowLog("warn", { event: "google_status.disapproved", offerId, shopifyProductId, code: issue.code, attribute: issue.attribute });
+        await sendGoogleFeedDataIssueEmail({
+          product: { id: shopifyProductId, title: title || offerId },
+          issue: `merchant_disapproved:${googleIssueKey(issue)}`,
+          listingUrl: link || "",
+          reason: "merchant_center_disapproval",
+          kind: "disapproval",
+          details: [
+            `Offer ID: ${offerId}`,
+            issue.description && `Google says: ${issue.description}`,
+            issue.detail,
+            issue.countries.length && `Countries: ${issue.countries.join(", ")}`,
+            issue.documentation && `Help: ${issue.documentation}`,
+          ].filter(Boolean),
+        });
+        alerted += 1;
+      }
     }
+    const { newDisapprovals, ...counts } = result;
+    const out = { status: "ok", trigger, startedAt, finishedAt: new Date().toISOString(), ...counts, newDisapprovals: newDisapprovals.length, alerted };
+    googleStatusJobState.lastRun = out;
+    webflowLog("info", { event: "google_status.ingested", ...out });
+    return out;
+  } catch (err) {
+    googleStatusJobState.lastRun = { status: "failed", trigger, startedAt, finishedAt: new Date().toISOString(), error: err.message };
+    throw err;
+  } finally {
+    googleStatusJobState.running = false;
   }
+}
 
-  const storePolicyInternalOnly = [
-    "MODEL REFERENCE ONLY: do not paste, quote, bullet, or summarize this in your output. It exists so you never contradict checkout reality.",
-    "Site policy (Lost & Found Resale): eligible items get shipping at checkout from size/weight/handling; larger, fragile, or long-distance may need freight preparation or pickup instead of standard shipping.",
-    "After purchase customers should call 480-588-7006 to confirm pickup/delivery; nights/weekends/holidays may mean slower callback.",
-    "Pickup vs freight prep, local third-party delivery coordination, 72-hour coordination window, storage fees, freight prep fee, 48-hour staging notice, broker names (FreightCenter, FreightQuote, uShip), liftgate/no dock, all sales final, and carrier responsibility after pickup: all detailed on the website; your Facebook body must not restate them.",
-  ].join(" ");
+/**
+ * GET /google/issues — Stored Merchant Center statuses: summary counts, the last pull and one row per offer
+ * (disapproved first). ?status=approved|pending|disapproved, ?severity=disapproved|demoted|not_impacted,
+ * ?offerId= for one offer.
+ */
+app.get("/google/issues", adminAuth.requireRole("read"), (req, res) => {
+  const offerId = String(req.query.offerId || "").trim();
+  if (offerId) {
+    const offer = googleStatusStore.get(offerId);
+    return offer ? res.json(offer) : res.status(404).json({ error: "unknown_offer", offerId });
+  }
+  const status = String(req.query.status || "").trim() || null;
+  const severity = String(req.query.severity || "").trim() || null;
+  res.json({
+    running: googleStatusJobState.running,
+    lastRun: googleStatusJobState.lastRun,
+    summary: googleStatusStore.summary(),
+    offers: googleStatusStore.list({ status, severity }),
+  });
+});
 
-  const facts = {
-    variationHint,
-    outputChannel: isCraigslist ? "craigslist" : "facebook",
-    sellerContext: isCraigslist
-      ? "Scottsdale area Craigslist listing for mixed local buyer types. Standalone body text only (no separate footer). Audience can include collectors, resellers/flippers, and value-first shoppers, so keep language practical and credible. You may use one short pickup wayfinding sentence that names Scottsdale Quarter and Lost and Found Resale Interiors. Do not stack store slogans, consignment pitch, or ‘we are Lost & Found’ branding. Do not instruct readers to reply here or coordinate through Craigslist; contact and checkout are through the link that appears after your text, or they can visit the showroom."
-      : "Scottsdale resale listing for Facebook Marketplace's mixed crowd: collectors, deal hunters, flippers, and everyday home buyers. Keep voice practical and human, not posh. Do NOT name the business (no ‘Lost & Found’, no store name, no ‘furniture & home consignment’ tagline) anywhere in your text. That branding lives in the fixed block after your copy.",
-    itemCategoryHint: isLuxury
-      ? omitLuxuryAuthenticationCopy
-        ? isLuxuryJewelry
-          ? "jewelry or small wearable accessory (brooch, scarf clip, etc.); never handbag-style authentication claims"
-          : "luxury accessory at $175 or below list price; never authentication or certificate claims"
-        : "handbags/luxury accessory vibe if it fits the title"
-      : "furniture/home/decor vibe if it fits the title",
-    luxuryGoodsCategory: luxuryGoodsCategoryRaw || null,
-    listPriceNumeric: Number.isFinite(luxuryListPriceParsed) ? luxuryListPriceParsed : null,
-    omitAuthenticationCopy: omitLuxuryAuthenticationCopy,
-    title: title || "(no title)",
-    askingPriceFacebook: price || null,
-    inventoryKind: isLuxury
-      ? isLuxuryJewelry
-        ? "luxury_jewelry_small_goods"
-        : "luxury_handbags_accessories"
-      : "furniture_and_home_resale",
-    pickupArea: isCraigslist
-      ? "Right by Scottsdale Quarter; storefront pickup at Lost and Found Resale Interiors (north Scottsdale / Hayden)."
-      : "Near Scottsdale Quarter (north Scottsdale / Hayden).",
-    pickupAddress: pickupAddress || "15530 N Greenway Hayden Loop Suite 100, Scottsdale, AZ 85260",
-    pickupHours: pickupHours || "MON - SAT 10-5, SUN 12-4",
-    contactEmail,
-    catalogDescription: catalog || "(none supplied)",
-    moverAssistEligible: isCraigslist ? moverAssistEligible : false,
-    moverAssistLine: isCraigslist && moverAssistEligible ? moverAssistLine : "",
-    storePolicyInternalOnly,
-    structure: structureGuide,
-    toneTarget: toneGuide,
-    audienceLane,
-    audienceGuidance: audienceGuidance[audienceLane],
-    avoidPhrases: avoidPhraseGuide,
-    logisticsHint: logisticsGuide,
-    variationProfile,
-    maxBodyChars,
-  };
+/** POST /google/issues/refresh — Pull statuses now (also the "google-statuses" scheduler job). */
+app.post("/google/issues/refresh", adminAuth.requireRole("sync"), async (req, res) => {
+  try {
+    const out = await runGoogleStatusIngest({ trigger: "manual" });
+    if (out.status === "disabled") return res.status(400).json({ error: "GOOGLE_MERCHANT_ENABLED is false" });
+    res.status(out.status === "already_running" ? 409 : 200).json(out);
+  } catch (err) {
+    webflowLog("error", { event: "google_status.ingest_failed", message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
 
-  const system = isCraigslist
-    ? `You write ONLY the body text for a Craigslist for-sale post (plain text for the description box).
+/* ======================================================
+   GOOGLE SHOPPING FEED FILES — GET /feeds/google.xml, GET /feeds/google.tsv
+   The furniture offers the sync last built for the Merchant API push, as a file (lib/googleFeed.js). A fallback
+   data source when the API credentials break, and a file to diff when checking sale pricing.
+   Env: GOOGLE_FEED_ENABLED (record offers on every sync, also with the API push off). Fill or refresh it with
+   POST /google/furniture/full-push.
+   Auth: "feed" role. Merchant Center's scheduled fetch sends the key as the Basic auth password.
+====================================================== */
+function sendGoogleFeed(res, format) {
+  if (!googleFeedEnabled()) return res.status(404).json({ error: "GOOGLE_FEED_ENABLED is false" });
+  const stats = googleFeed.stats();
+  if (stats.lastUpdatedAt) res.setHeader("Last-Modified", new Date(stats.lastUpdatedAt).toUTCString());
+  if (format === "tsv") {
+    res.setHeader("Content-Type", "text/tab-separated-values; charset=utf-8");
+    res.setHeader("Content-Disposition", 'inline; filename="google.tsv"');
+    return res.send(googleFeed.tsv());
+  }
+  res.setHeader("Content-Type", "application/xml; charset=utf-8");
+  return res.send(googleFeed.xml());
+}
 
-Output rules:
-- No markdown, bullets, numbers, emojis. No URLs or domains. Do not type an email address.
-- Do NOT open with a store name or consignment pitch. Sound like a normal Craigslist seller.
-- Write for a mixed local crowd (collectors, value shoppers, and resellers). Keep it practical and grounded, not posh or luxury-ad voice.
-- Use audienceLane and audienceGuidance as a light touch only. One or two subtle cues are enough; never sound over-the-top, salesy, or role-played.
-- If moverAssistEligible is true in JSON, include one short delivery-help line using moverAssistLine naturally. If false, do not mention mover hourly rates.
-- Do not ask readers to reply here on Craigslist or to coordinate pickup only through Craigslist. Point them to the link block below this text for item details, shipping options, web contact, and checkout, or to visit in person near Scottsdale Quarter at Lost and Found Resale Interiors.
-- Natural length: aim ~400-900 characters unless catalog needs a bit more; respect maxBodyChars hard cap.
-- Only paraphrase catalog facts; never invent damage or brands.
-- Treat logistics and policy facts as hard constraints: do not change or contradict shipping availability, pickup location, AS IS condition language, or checkout/contact direction implied by JSON guidance.
-- If inventoryKind is luxury_handbags_accessories: never include explicit brand or trademark names in output text.
-- If inventoryKind is luxury_jewelry_small_goods: never include explicit brand or trademark names; never claim authentication, COA, designer verification, or certificates (jewelry/small goods).
-- JSON may include storePolicyInternalOnly: treat it as silent context only. Never repeat or summarize it in your reply.
-- Never use an em dash in your output (Unicode U+2014). Use a comma, a period, or the word 'and' instead. Same for en dash (U+2013) as a sentence dash; for number ranges a plain hyphen is OK (e.g. 16-29).
-- At most one exclamation mark in the whole post (usually none).`
-    : `You write ONLY the short main body for a Facebook Marketplace item (plain text before a separate block with links and store info).
+const requireFeedKey = adminAuth.requireRole("feed", { realm: "feeds" });
 
-Output rules:
-- No markdown, bullets, numbers, emojis. No URLs or domains. Do not type an email address.
-- Do NOT open with or include the business name or a ‘we are a consignment shop’ line. Jump straight into the item like a normal FB seller.
-- Facebook casual: short, direct. Write for collectors and deal-minded buyers, not a posh boutique audience.
-- Use audienceLane and audienceGuidance as a light touch only. Keep language natural and restrained, not over-the-top.
-- Write ONLY the product pitch: what it is, condition, materials, size, and price. Do NOT mention pickup, shipping, delivery, movers, $95, Scottsdale Quarter, checkout, phone, email, or links — a fixed shipping paragraph is appended after your text.
-- HARD LENGTH: aim ~180-340 characters; max 420 characters. Trim fluff if long.
-- Only paraphrase catalog facts; never invent damage or brands.
-- Treat logistics and policy facts as hard constraints: do not change or contradict shipping availability, pickup location, AS IS condition language, or checkout/contact direction implied by JSON guidance.
-- If inventoryKind is luxury_handbags_accessories: never include explicit brand or trademark names in output text.
-- If inventoryKind is luxury_jewelry_small_goods: never include explicit brand or trademark names; never claim authentication, COA, designer verification, or certificates (jewelry/small goods).
-- JSON may include storePolicyInternalOnly: treat it as silent context only. Never repeat or summarize it in your reply.
-- Never use an em dash in your output (Unicode U+2014, often shown as a long dash between clauses). Use a comma, a period, or the word ‘and’ instead. Same for en dash (U+2013) used as a sentence dash; for number ranges a plain hyphen is OK (e.g. 16-29).
-- At most one exclamation mark in the whole post (usually none).`;
+app.get("/feeds/google.xml", requireFeedKey, (req, res) => sendGoogleFeed(res, "xml"));
+app.get("/feeds/google.tsv", requireFeedKey, (req, res) => sendGoogleFeed(res, "tsv"));
 
-  const userMsg = isCraigslist
-    ? `Write the Craigslist body using ONLY the JSON. Obey sellerContext and avoidPhrases strictly. Follow structure, toneTarget, logisticsHint. Respect maxBodyChars.
-Use variationHint and variationProfile to make wording and sentence rhythm different from typical prior outputs, while keeping all facts consistent.
-Do not reuse the same opener/closer phrasing every time.
-Apply audienceLane and audienceGuidance with restraint: keep it subtle and natural.
+/* ======================================================
+   META CATALOG FEED — GET /feeds/meta.csv, POST /feeds/meta/rebuild
+   Commerce Manager catalog for both verticals (lib/metaCatalogFeed.js): every listed product with a Webflow
+   listing, built from the Shopify catalog with the same title, URL, image, inventory, sale price and brand logic
+   as the Google push. Built in the background and kept in DATA_DIR; GET serves the last file and starts a rebuild
+   when it is older than META_FEED_MAX_AGE_HOURS.
+   Env: META_FEED_CUSTOM_LABELS_JSON (custom_label_N per vertical / vertical/category), META_FEED_MAX_AGE_HOURS
+   (default 6), SCHEDULE_META_FEED.
+   Auth: "feed" role, sent by Commerce Manager's scheduled feed as the Basic auth password.
+====================================================== */
+const META_FEED_MAX_AGE_MS =
+  Math.max(1, parseInt(process.env.META_FEED_MAX_AGE_HOURS || "6", 10) || 6) * 60 * 60 * 1000;
+const metaFeedCustomLabels = parseMetaCustomLabels(process.env.META_FEED_CUSTOM_LABELS_JSON);
+if (metaFeedCustomLabels.error) {
+  webflowLog("error", { event: "meta_feed.custom_labels_invalid", message: metaFeedCustomLabels.error });
+}
+const metaFeedJobState = { running: false, startedAt: null, finishedAt: null, error: null, result: null };
 
-Example vibe (do not copy): "Selling a solid wood dining table we used in our dining room for a few years. Seats six comfortably, a few normal scuffs on the legs. Measures about 60 by 36. You can pick it up right by Scottsdale Quarter at Lost and Found Resale Interiors, and shipping options are in the full details on the link at the bottom of this post. You can also swing by the store."
+/** Furniture brand: detection, else the Shopify vendor unless the sync left "Unknown" there, else the fallback. */
+function metaFurnitureBrand(product) {
+  const vendor = String(product?.vendor || "").trim();
+  return (
+    detectBrandFromProductFurniture(product?.title, product?.body_html, product?.vendor) ||
+    (vendor && vendor.toLowerCase() !== "unknown" ? vendor : "") ||
+    String(process.env.GOOGLE_MERCHANT_BRAND_FALLBACK || "Lost and Found Resale").trim()
+  );
+}
 
-Facts JSON:\n${JSON.stringify(facts)}`
-    : `Write the body using ONLY the JSON. Obey sellerContext and avoidPhrases strictly. Follow structure, toneTarget, logisticsHint. Respect maxBodyChars.
-Use variationHint and variationProfile to keep phrasing fresh between runs (new opener and close style), but do not alter factual meaning.
-Do not reuse the same opener/closer phrasing every time.
-Apply audienceLane and audienceGuidance with restraint: keep it subtle and natural.
+/** One feed row per listed product; skipped counts by reason. Reads only. */
+async function buildMetaCatalogRows() {
+  const [products] = await Promise.all([
+    fetchAllShopifyProducts(),
+    loadLuxuryItemIndex({ force: true }),
+    loadFurnitureProductIndex({ force: true }),
+  ]);
+  const cache = loadCache();
+  const rows = [];
+  const skipped = {};
+  const skip = (reason) => (skipped[reason] = (skipped[reason] || 0) + 1);
+  for (const product of products) {
+    const sid = String(product.id);
+    const cacheEntry = getCacheEntry(cache, sid);
+    const vertical = cacheEntry?.vertical;
+    if (!cacheEntry?.webflowId || (vertical !== "furniture" && vertical !== "luxury")) {
+      skip("not_listed");
+      continue;
+    }
+    if (String(product.status || "").toLowerCase() !== "active") {
+      skip("not_active");
+      continue;
+    }
+    const inStock = !shopifyQtySaysSold(getPrimaryVariantInventoryQuantity(product));
+    // Sold luxury listings are hidden on the handbags site; sold furniture stays up until retention removes it.
+    if (vertical === "luxury" && !inStock) {
+      skip("sold");
+      continue;
+    }
+    const fd =
+      (vertical === "furniture" ? furnitureProductIndex : luxuryItemIndex)?.byShopifyId?.get(sid)?.fieldData || {};
+    const slug = String(fd.slug || (vertical === "furniture" ? fd["shopify-slug-2"] : "") || "").trim();
+    const link = vertical === "furniture" ? listingFurnitureProductUrlFromSlug(slug) : googleLuxuryListingUrl(slug);
+    if (!link) {
+      skip("no_listing_url");
+      continue;
+    }
+    const images = (product.images || []).map((i) => i?.src).filter(Boolean);
+    if (!images.length) {
+      skip("no_image");
+      continue;
+    }
+    if (!(parseGooglePriceToCents(product.variants?.[0]?.price) > 0)) {
+      skip("no_price");
+      continue;
+    }
+    const category = cacheEntry.resolvedCategory ?? getExistingPlacedCategory(product, vertical);
+    // Same sale rules and price history as the Google push, without moving its saved state.
+    const pricing = resolveGoogleSalePricingForShopifyProduct(product, cache, null, { persist: false });
+    const taxonomy =
+      vertical === "furniture"
+        ? googleFurnitureTaxonomyFields(category, product.title)
+        : {
+            googleProductCategory: googleLuxuryProductCategory(category, {
+              isWatch: productLooksLikeWristwatchLuxury(product),
+            }),
+            productTypes: category ? [`Luxury Goods > ${category}`] : [],
+          };
+    rows.push(
+      buildMetaCatalogRow(
+        {
+          id: sid,
+          vertical,
+          category,
+          title: customerFacingTitle({ title: product.title }),
+          description:
+            vertical === "furniture"
+              ? formatGoogleFurnitureDescription(product.body_html || "", product.title || "")
+              : htmlToTextForGoogle(product.body_html || ""),
+          inStock,
+          price: pricing.price,
+          salePrice: pricing.salePrice,
+          link,
+          images,
+          brand: vertical === "furniture" ? metaFurnitureBrand(product) : googleLuxuryBrand(product.title, product.vendor),
+          googleProductCategory: taxonomy.googleProductCategory,
+          productType: taxonomy.productTypes?.[0] ?? null,
+        },
+        { customLabels: metaFeedCustomLabels.value }
+      )
+    );
+  }
+  return { rows, skipped, totalShopifyProducts: products.length };
+}
 
-Example vibe (do not copy): "Selling a Forever Patio square dining table, 41 inches square and 29 inches tall. Black powder-coated metal, clean contemporary outdoor style. Asking $300."
+/** Build and save the CSV; concurrent callers share the running build. */
+async function runMetaFeedBuild({ trigger = "manual" } = {}) {
+  if (metaFeedJobState.running) return { status: "already_running", startedAt: metaFeedJobState.startedAt };
+  metaFeedJobState.running = true;
+  metaFeedJobState.startedAt = new Date().toISOString();
+  metaFeedJobState.error = null;
+  try {
+    const { rows, skipped, totalShopifyProducts } = await buildMetaCatalogRows();
+    ensureDataDir();
+    const tmp = `${META_FEED_FILE}.tmp`;
+    fs.writeFileSync(tmp, renderMetaCatalogCsv(rows), "utf8");
+    fs.renameSync(tmp, META_FEED_FILE);
+    const inStock = rows.filter((r) => r.availability === "in stock").length;
+    metaFeedJobState.result = { status: "ok", trigger, items: rows.length, inStock, skipped, totalShopifyProducts };
+    webflowLog("info", { event: "meta_feed.built", ...metaFeedJobState.result });
+    return metaFeedJobState.result;
+  } catch (err) {
+    metaFeedJobState.error = err?.message || String(err);
+    webflowLog("error", { event: "meta_feed.build_failed", trigger, message: metaFeedJobState.error });
+    throw err;
+  } finally {
+    metaFeedJobState.running = false;
+    metaFeedJobState.finishedAt = new Date().toISOString();
+  }
+}
 
-Facts JSON:\n${JSON.stringify(facts)}`;
+function startMetaFeedBuild(trigger) {
+  runMetaFeedBuild({ trigger }).catch(() => {});
+}
 
+/**
+ * GET /feeds/meta.csv — Last built catalog (Commerce Manager columns). 202 while the first build runs; a file older
+ * than META_FEED_MAX_AGE_HOURS is still served while a rebuild runs in the background.
+ */
+app.get("/feeds/meta.csv", requireFeedKey, (req, res) => {
+  let stat = null;
   try {
-    const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: `Bearer ${key}`,
-      },
-      body: JSON.stringify({
-        model,
-        temperature: isCraigslist ? 0.88 : 0.92,
-        max_tokens: isCraigslist ? 700 : 220,
-        messages: [
-          { role: "system", content: system },
-          { role: "user", content: userMsg },
-        ],
-      }),
+    stat = fs.statSync(META_FEED_FILE);
+  } catch {
+    stat = null;
+  }
+  if (!stat || Date.now() - stat.mtimeMs > META_FEED_MAX_AGE_MS) {
+    if (!metaFeedJobState.running && !syncAllJobState.running) startMetaFeedBuild(stat ? "stale" : "first_request");
+  }
+  if (!stat) {
+    return res.status(202).json({
+      status: metaFeedJobState.running ? "building" : "not_built",
+      job: { ...metaFeedJobState },
+      message: "The catalog is being built; try again shortly.",
     });
+  }
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", 'inline; filename="meta.csv"');
+  res.setHeader("Last-Modified", stat.mtime.toUTCString());
+  res.send(fs.readFileSync(META_FEED_FILE, "utf8"));
+});
 
-    const raw = await resp.text();
-    if (!resp.ok) {
-      webflowLog("error", { event: "api.listing_blurb.openai_http", status: resp.status, body: raw.slice(0, 400) });
-      return res.status(502).json({
-        error: `OpenAI request failed (${resp.status})`,
-        detail: raw.slice(0, 200),
-      });
-    }
-
-    let json;
-    try {
-      json = JSON.parse(raw);
-    } catch {
-      return res.status(502).json({ error: "OpenAI returned non-JSON" });
-    }
-
-    let text = String(json?.choices?.[0]?.message?.content || "").trim();
-    if (!text) {
-      return res.status(502).json({ error: "OpenAI returned empty text" });
-    }
-    text = text
-      .replace(/\*\*([^*]+)\*\*/g, "$1")
-      .replace(/\*([^*]+)\*/g, "$1")
-      .replace(/^#{1,6}\s+/gm, "")
-      .replace(/\s*\u2014\s*/g, ", ")
-      .replace(/\u2013/g, "-")
-      .replace(/,\s*,/g, ",")
-      .trim();
+/** POST /feeds/meta/rebuild — Rebuild the catalog in the background (also the "meta-feed" scheduler job). */
+app.post("/feeds/meta/rebuild", adminAuth.requireRole("sync"), (req, res) => {
+  // The build reads the whole catalog and force-reloads both Webflow indexes; same guard as GET /feeds/meta.csv.
+  if (syncAllJobState.running) return res.status(409).json({ error: "sync_all_running" });
+  if (metaFeedJobState.running) {
+    return res.status(202).json({ status: "already_running", startedAt: metaFeedJobState.startedAt });
+  }
+  startMetaFeedBuild("manual");
+  res.status(202).json({
+    status: "started",
+    startedAt: metaFeedJobState.startedAt,
+    message: "Meta catalog build started in background. GET /feeds/meta.csv when it finishes.",
+  });
+});
 
-    if (omitLuxuryAuthenticationCopy) {
-      text = scrubLuxuryJewelryAuthLanguage(text);
-    }
+/* ======================================================
+   SYNC-ALL — INCREMENTAL MODE
+   mode "incremental" fetches only products updated since the last successful run (updated_at watermark,
+   re-reading a small overlap) plus products flagged for repair (failed in an earlier run). The catalog-wide
+   passes — disappeared check, Webflow orphan/sold sweep, sold retention — need the full catalog, so an
+   incremental request runs as full when there is no watermark yet or the last sweep is older than
+   SYNC_INCREMENTAL_SWEEP_HOURS.
+====================================================== */
+const SYNC_ALL_MODES = ["full", "incremental"];
+const SYNC_INCREMENTAL_SWEEP_HOURS = Math.max(1, parseInt(process.env.SYNC_INCREMENTAL_SWEEP_HOURS || "24", 10) || 24);
+/** Writes that land while a run is fetching get the next run's updated_at_min; re-read a few minutes to be safe. */
+const SYNC_INCREMENTAL_OVERLAP_MS = 5 * 60 * 1000;
 
-    const cap = isCraigslist ? 1500 : 440;
-    if (text.length > cap) {
-      const slice = text.slice(0, cap);
-      const breakAt = Math.max(slice.lastIndexOf("."), slice.lastIndexOf("!"), slice.lastIndexOf("?"));
-      text = (breakAt > 80 ? slice.slice(0, breakAt + 1) : slice.replace(/\s+\S*$/, "")).trim();
-    }
+function loadSyncAllWatermarkState() {
+  try {
+    return {
+      watermark: syncStore.maps.get(STORE_NS.syncAllState, "watermark"),
+      lastSweepAt: syncStore.maps.get(STORE_NS.syncAllState, "last_sweep_at"),
+      lastMode: syncStore.maps.get(STORE_NS.syncAllState, "last_mode"),
+    };
+  } catch (err) {
+    webflowLog("error", { event: "sync-all.watermark_load_failed", message: err.message });
+    return { watermark: null, lastSweepAt: null, lastMode: null };
+  }
+}
 
-    webflowLog("info", {
-      event: "api.listing_blurb.ok",
-      model,
-      titleLen: title.length,
-      catalogLen: catalog.length,
-      outputChannel: isCraigslist ? "craigslist" : "facebook",
-      omitLuxuryAuthenticationCopy,
+/** Called once per successful run (never in dry run): the watermark is the run's start time. */
+function saveSyncAllWatermarkState({ runStartedAt, mode, sweeps }) {
+  if (isSyncDryRun()) return;
+  try {
+    syncStore.transaction(() => {
+      syncStore.maps.set(STORE_NS.syncAllState, "watermark", runStartedAt);
+      syncStore.maps.set(STORE_NS.syncAllState, "last_mode", mode);
+      if (sweeps) syncStore.maps.set(STORE_NS.syncAllState, "last_sweep_at", runStartedAt);
     });
-    return res.json({ text, model });
   } catch (err) {
-    webflowLog("error", { event: "api.listing_blurb.error", message: err?.message });
-    return res.status(500).json({ error: err?.message || "listing-blurb failed" });
+    webflowLog("error", { event: "sync-all.watermark_save_failed", message: err.message });
   }
-});
+}
 
-registerSocialCaptionRoute(app, { log: webflowLog });
+function listSyncRepairIds() {
+  try {
+    return syncStore.sets.list(STORE_NS.syncRepairIds);
+  } catch {
+    return [];
+  }
+}
 
-/**
- * POST /clear-cache — Remove cache entries for given Shopify product IDs so the next sync will
- * re-resolve vertical and create/update in the correct collection (fixes items stuck as wrong vertical or archived).
- * Body: { "shopifyProductIds": ["9319055327491", "9319054213379", ...] }
- */
-app.post("/clear-cache", (req, res) => {
+/** Product failed in a sync-all run: picked up by the next incremental run even if Shopify does not touch it. */
+function flagProductForSyncRepair(shopifyProductId) {
+  if (isSyncDryRun() || !shopifyProductId) return;
   try {
-    const ids = req.body?.shopifyProductIds;
-    if (!Array.isArray(ids) || ids.length === 0) {
-      return res.status(400).json({
-        error: "Missing or empty shopifyProductIds",
-        usage: "POST /clear-cache with body: { \"shopifyProductIds\": [\"id1\", \"id2\", ...] }",
-      });
-    }
-    const cache = loadCache();
-    let cleared = 0;
-    for (const id of ids) {
-      const key = String(id).trim();
-      if (key && cache[key] !== undefined) {
-        delete cache[key];
-        cleared++;
-      }
-    }
-    saveCache(cache);
-    webflowLog("info", { event: "clear_cache", cleared, requested: ids.length, shopifyProductIds: ids });
-    res.json({ cleared, totalRequested: ids.length });
+    syncStore.sets.add(STORE_NS.syncRepairIds, String(shopifyProductId));
   } catch (err) {
-    webflowLog("error", { event: "clear_cache.error", message: err.message });
-    res.status(500).json({ error: err.message });
+    webflowLog("error", { event: "sync-all.repair_flag_failed", shopifyProductId, message: err.message });
   }
-});
+}
 
-/**
- * POST /webhook/products/delete — Same path as sync-all “disappeared”: confirm Shopify not active, Webflow sold, cache row removed.
- */
-app.post("/webhook/products/delete", verifyShopifyHmac, async (req, res) => {
-  res.status(200).send("ok");
+function clearSyncRepairFlag(shopifyProductId) {
+  if (isSyncDryRun() || !shopifyProductId) return;
   try {
-    const id = req.body?.id != null ? String(req.body.id) : null;
-    if (!id) {
-      webflowLog("warn", {
-        event: "shopify.webhook.product_delete",
-        path: "/webhook/products/delete",
-        reason: "missing_product_id",
-      });
-      return;
-    }
-    webflowLog("info", {
-      event: "shopify.webhook.product_delete",
-      path: "/webhook/products/delete",
-      shopifyProductId: id,
-      topic: req.get("X-Shopify-Topic") ?? "",
-      shop: req.get("X-Shopify-Shop-Domain") ?? "",
-    });
-    const cache = loadCache();
-    const outcome = await processDisappearedShopifyProduct(id, cache, { trigger: "webhook.products_delete" });
-    saveCache(cache);
-    webflowLog("info", {
-      event: "shopify.webhook.product_delete.done",
-      shopifyProductId: id,
-      outcome,
-    });
+    syncStore.sets.remove(STORE_NS.syncRepairIds, String(shopifyProductId));
   } catch (err) {
-    webflowLog("error", {
-      event: "shopify.webhook.product_delete.error",
-      message: err.message,
-    });
+    webflowLog("error", { event: "sync-all.repair_flag_failed", shopifyProductId, message: err.message });
   }
-});
+}
 
-function shouldPushProductToGoogleFurniture(product, cacheEntry) {
-  const cachedVertical = cacheEntry?.vertical;
-  if (cachedVertical === "furniture") return true;
-  if (cachedVertical === "luxury") return false;
-  const typeDept = getDepartmentFromType(product?.product_type);
-  const llmGuess = typeDept === "Luxury Goods" ? "luxury" : "furniture";
-  const evidence = resolveVerticalFromEvidence(product, llmGuess);
-  return evidence.vertical === "furniture";
+function nextSyncSweepDueAt(lastSweepAt) {
+  const t = lastSweepAt ? Date.parse(lastSweepAt) : NaN;
+  return Number.isFinite(t) ? new Date(t + SYNC_INCREMENTAL_SWEEP_HOURS * 3600_000).toISOString() : null;
 }
 
-app.post("/google/furniture/full-push", async (req, res) => {
-  if (!googleMerchantEnabled()) {
-    return res.status(400).json({ error: "GOOGLE_MERCHANT_ENABLED is false" });
+/** Decide how a requested mode actually runs: { mode, requestedMode, reason, updatedSince, sweeps }. */
+function resolveSyncAllRun(requestedMode = "full") {
+  const requested = SYNC_ALL_MODES.includes(requestedMode) ? requestedMode : "full";
+  if (requested === "full") {
+    return { mode: "full", requestedMode: requested, reason: null, updatedSince: null, sweeps: true };
   }
-  syncRequestId = crypto.randomUUID().slice(0, 8);
-  syncStartTime = Date.now();
-  try {
-    const products = await fetchAllShopifyProducts();
-    const cache = loadCache();
-    await loadFurnitureProductIndex({ force: true });
-    const requestedLimit = Number(req.body?.limit);
-    const maxItems =
-      Number.isFinite(requestedLimit) && requestedLimit > 0
-        ? Math.min(Math.floor(requestedLimit), products?.length || 0)
-        : products?.length || 0;
-    let attempted = 0;
-    let pushed = 0;
-    let failed = 0;
-    let skipped = 0;
-    for (const p of (products || []).slice(0, maxItems)) {
-      const shopifyProductId = String(p?.id || "").trim();
-      if (!shopifyProductId) continue;
-      const cacheEntry = getCacheEntry(cache, shopifyProductId);
-      if (!shouldPushProductToGoogleFurniture(p, cacheEntry)) {
-        skipped++;
-        continue;
-      }
-      attempted++;
-      const soldNow = shopifyQtySaysSold(getPrimaryVariantInventoryQuantity(p));
-      const ok = await syncGoogleMerchantFurnitureFromShopifyProduct(
-        p,
-        soldNow ? "out of stock" : "in stock",
-        "full_push",
-        cache
-      );
-      if (ok) pushed++;
-      else failed++;
+  const state = loadSyncAllWatermarkState();
+  const watermarkMs = state.watermark ? Date.parse(state.watermark) : NaN;
+  if (!Number.isFinite(watermarkMs)) {
+    return { mode: "full", requestedMode: requested, reason: "no_watermark", updatedSince: null, sweeps: true };
+  }
+  const dueAt = nextSyncSweepDueAt(state.lastSweepAt);
+  if (!dueAt || Date.parse(dueAt) <= Date.now()) {
+    return { mode: "full", requestedMode: requested, reason: "sweeps_due", updatedSince: null, sweeps: true };
+  }
+  return {
+    mode: "incremental",
+    requestedMode: requested,
+    reason: null,
+    updatedSince: new Date(watermarkMs - SYNC_INCREMENTAL_OVERLAP_MS).toISOString(),
+    sweeps: false,
+  };
+}
+
+/** Products updated since the watermark, plus repair-flagged ids fetched one by one (REST). */
+async function fetchIncrementalShopifyProducts(updatedSince) {
+  const products = await fetchAllShopifyProducts({ updatedSince });
+  const changedCount = products.length;
+  const seen = new Set(products.map((p) => String(p.id)));
+  const repairIds = listSyncRepairIds().filter((id) => !seen.has(id));
+  let repairUnavailable = 0;
+  for (let i = 0; i < repairIds.length; i += 5) {
+    const fetched = await Promise.all(repairIds.slice(i, i + 5).map((id) => fetchShopifyProductById(id)));
+    for (const p of fetched) {
+      if (p) products.push(p);
+      else repairUnavailable++;
     }
-    return res.json({
-      status: "ok",
-      totalShopifyProducts: products?.length || 0,
-      maxItems,
-      attempted,
-      pushed,
-      failed,
-      skipped,
-      durationMs: Date.now() - syncStartTime,
+  }
+  webflowLog("info", {
+    event: "sync-all.incremental_fetched",
+    updatedSince,
+    changedCount,
+    repairCount: repairIds.length,
+    repairUnavailable,
+  });
+  return { products, changedCount, repairCount: repairIds.length };
+}
+
+/** Tell the team a sync-all run held mass changes, with the list and the confirm call. */
+async function sendSyncBreakerEmail(hold) {
+  if (!isResendConfigured()) {
+    webflowLog("warn", { event: "sync-all.breaker_email_skipped", holdId: hold.id, reason: "missing_env" });
+    return;
+  }
+  try {
+    await sendInternalNotification({
+      subject: `[Backend / Webflow sync] Held ${hold.planned} ${hold.category} changes — confirm or dismiss`,
+      text: formatSyncBreakerHold(hold),
     });
+    webflowLog("info", { event: "sync-all.breaker_email_sent", holdId: hold.id, to: parseRecipients(process.env.INTERNAL_NOTIFY_EMAIL) });
   } catch (err) {
-    webflowLog("error", { event: "google_merchant.full_push_failed", message: err.message });
-    return res.status(500).json({ error: err.message || "google full push failed" });
-  } finally {
-    flushGoogleMerchantPriceState();
-    syncRequestId = null;
-    syncStartTime = null;
+    webflowLog("error", { event: "sync-all.breaker_email_failed", holdId: hold.id, message: err.message });
   }
-});
+}
 
 /**
  * Full Shopify → Webflow sync (same logic as before; runs in background after POST /sync-all).
+ * With `plan` (from createSyncPlan) the caller runs this inside runWithSyncPlan: every write is
+ * recorded on the plan instead of executed, and the cache is never saved.
+ * Sold transitions, retention deletes and FH/LG vertical switches go through the circuit breaker (syncBreaker):
+ * a category planned over the limit is held for this run unless `breakerHold` is its confirmed hold.
  */
-async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null, jobId } = {}) {
+async function executeSyncAll({
+  reclassifyAll = false,
+  reclassifyIdsSet = null,
+  jobId,
+  plan = null,
+  run = resolveSyncAllRun("full"),
+  breakerHold = null,
+} = {}) {
   syncRequestId = jobId || crypto.randomUUID().slice(0, 8);
   syncStartTime = Date.now();
-  webflowLog("info", { event: "sync-all.entry", message: "sync-all started", jobId: syncRequestId });
+  const runStartedAt = new Date(syncStartTime).toISOString();
+  webflowLog("info", {
+    event: "sync-all.entry",
+    message: "sync-all started",
+    jobId: syncRequestId,
+    dryRun: !!plan,
+    mode: run.mode,
+    requestedMode: run.requestedMode,
+    modeReason: run.reason,
+    updatedSince: run.updatedSince,
+  });
   let cache = null;
   try {
     if (reclassifyAll || reclassifyIdsSet) {
       webflowLog("info", { event: "sync-all.reclassify", reclassifyAll, reclassifyCount: reclassifyIdsSet?.size ?? "all" });
     }
 
-    const products = await fetchAllShopifyProducts();
-    webflowLog("info", { event: "sync-all.fetched_shopify", productCount: products?.length ?? 0 });
+    let products;
+    let repairCount = 0;
+    if (run.mode === "incremental") {
+      const fetched = await fetchIncrementalShopifyProducts(run.updatedSince);
+      products = fetched.products;
+      repairCount = fetched.repairCount;
+    } else {
+      products = await fetchAllShopifyProducts();
+    }
+    webflowLog("info", { event: "sync-all.fetched_shopify", productCount: products?.length ?? 0, mode: run.mode });
     cache = loadCache();
     webflowLog("info", { event: "sync-all.loaded", productCount: products?.length ?? 0, cacheKeys: Object.keys(cache).length });
 
@@ -13703,9 +16044,16 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
       soldBackfillArchived = 0;
 
     // Disappeared: in cache but not in this run's product list. Only touch Webflow when we've confirmed in Shopify that the product is not active.
+    // Incremental runs only see changed products, so every other cached id would look disappeared — skip until the next full run.
     const previousIds = Object.keys(cache);
     const currentIds = products.map((p) => String(p.id));
-    const disappeared = previousIds.filter((id) => !currentIds.includes(id));
+    const disappeared = run.sweeps ? previousIds.filter((id) => !currentIds.includes(id)) : [];
+    if (run.sweeps) {
+      const currentIdSet = new Set(currentIds);
+      for (const id of listSyncRepairIds()) {
+        if (!currentIdSet.has(id)) clearSyncRepairFlag(id);
+      }
+    }
 
     const disappearedConcurrency = Math.min(10, Math.max(3, disappeared.length));
     webflowLog("info", {
@@ -13716,6 +16064,26 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
       disappearedConcurrency,
     });
 
+    const catalogSize = Math.max(previousIds.length, products.length);
+    /** Circuit breaker outcome per category; false = the planned actions are held (see lib/syncBreaker.js). */
+    const breaker = {};
+    const breakerGuard = async (category, items) => {
+      const out = syncBreaker.check({ jobId: syncRequestId, category, items, catalogSize, confirmedHold: breakerHold, dryRun: !!plan });
+      breaker[category] = { planned: out.planned, limit: out.limit, held: out.held, holdId: out.hold?.id ?? null, confirmedHoldId: out.confirmedHoldId };
+      // A dry run only reports whether a real run would be held; its plan still lists every action.
+      if (!out.held || plan) return true;
+      webflowLog("error", {
+        event: "sync-all.breaker_tripped",
+        category,
+        planned: out.planned,
+        limit: out.limit,
+        holdId: out.hold.id,
+        message: `Holding ${out.planned} planned ${category} changes (limit ${out.limit}) until confirmed`,
+      });
+      await sendSyncBreakerEmail(out.hold);
+      return false;
+    };
+
     // Run Shopify status checks in parallel (capped) so many disappeared don't slow the run.
     const confirmedById = {};
     for (let i = 0; i < disappeared.length; i += disappearedConcurrency) {
@@ -13726,6 +16094,7 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
       });
     }
 
+    const goneConfirmed = [];
     for (const goneId of disappeared) {
       const confirmed = confirmedById[goneId];
       if (confirmed === null || confirmed === undefined) {
@@ -13753,36 +16122,146 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
         });
         continue;
       }
-      const outcome = await processDisappearedShopifyProduct(goneId, cache, { trigger: "sync-all.disappeared" });
+      goneConfirmed.push(goneId);
+    }
+
+    // Sold transitions are planned in full (disappeared + Webflow sold sweep + qty→0 on listed products) before the
+    // breaker decides on them. A lost inventory scope or bad inventory data shows up as a wave of qty→0 mark-solds.
+    const soldSweepActions = run.sweeps ? await planWebflowSoldSweep(products) : [];
+    const goneSet = new Set(goneConfirmed);
+    const soldSweepOnly = soldSweepActions.filter((a) => !goneSet.has(a.shopifyId));
+    const sweptIds = new Set(soldSweepOnly.map((a) => String(a.shopifyId)));
+    const qtySoldItems = [];
+    for (const p of products) {
+      const id = String(p.id);
+      const entry = getCacheEntry(cache, id);
+      if (!entry?.webflowId || sweptIds.has(id)) continue;
+      if (!shouldMarkSoldTransition(entry.lastQty, getPrimaryVariantInventoryQuantity(p))) continue;
+      qtySoldItems.push({ shopifyProductId: id, webflowId: entry.webflowId, vertical: entry.vertical ?? null, title: p.title ?? null, reason: "shopify_qty_zero" });
+    }
+    const soldAllowed = await breakerGuard("sold", [
+      ...goneConfirmed.map((id) => ({
+        shopifyProductId: id,
+        vertical: getCacheEntry(cache, id)?.vertical ?? null,
+        reason: `shopify_${confirmedById[id].status}`,
+      })),
+      ...soldSweepOnly.map((a) => ({
+        shopifyProductId: a.shopifyId,
+        webflowId: a.existing.id,
+        vertical: a.vertical,
+        title: a.existing.fieldData?.name ?? null,
+        reason: a.reason,
+      })),
+      ...qtySoldItems,
+    ]);
+
+    for (const goneId of soldAllowed ? goneConfirmed : []) {
+      const goneVertical = getCacheEntry(cache, goneId)?.vertical ?? null;
+      const outcome = await withDryRunScope({ shopifyProductId: goneId, phase: "disappeared" }, () =>
+        processDisappearedShopifyProduct(goneId, cache, { trigger: "sync-all.disappeared" })
+      );
       if (outcome === "marked_sold") sold++;
+      if (plan) {
+        recordDryRunProductOutcome(plan, goneId, {
+          operation: outcome === "marked_sold" ? "sold" : outcome,
+          vertical: goneVertical,
+          previousVertical: goneVertical,
+        });
+      }
+    }
+
+    if (run.sweeps && soldAllowed) {
+      orphanMarkedSold = await withDryRunScope({ phase: "orphan_sweep" }, () => applyWebflowSoldSweep(soldSweepOnly, cache));
+      sold += orphanMarkedSold;
     }
 
-    orphanMarkedSold = await sweepWebflowOrphansAgainstShopifyCatalog(products, cache);
-    sold += orphanMarkedSold;
+    const concurrency = Math.min(Math.max(1, parseInt(process.env.SYNC_CONCURRENCY || "3", 10) || 1), 15);
+
+    // Vertical switches planned up front: FH/LG tag moves, plus classifier switches on reclassify runs.
+    const verticalSwitchItems = [];
+    for (const p of products) {
+      const placed = getExistingPlacedVertical(p, getCacheEntry(cache, String(p.id)));
+      if (placed && ecommerceTagsAuthorizeVerticalChange(getEcommerceClassification(p), placed.vertical) === true) {
+        verticalSwitchItems.push({
+          shopifyProductId: String(p.id),
+          vertical: placed.vertical,
+          title: p.title ?? null,
+          reason: `tag_${getEcommerceClassification(p).verticalTag}`,
+        });
+      }
+    }
+    if (reclassifyAll || reclassifyIdsSet) {
+      // Classified with the cached LLM path, so the product sync below reuses these answers instead of asking again.
+      const tagSwitchIds = new Set(verticalSwitchItems.map((i) => i.shopifyProductId));
+      const targets = products.filter((p) => {
+        const id = String(p.id);
+        return !tagSwitchIds.has(id) && (reclassifyAll || reclassifyIdsSet.has(id));
+      });
+      for (let i = 0; i < targets.length; i += concurrency) {
+        await Promise.all(
+          targets.slice(i, i + concurrency).map(async (p) => {
+            const placed = getExistingPlacedVertical(p, getCacheEntry(cache, String(p.id)));
+            if (!placed) return;
+            const decision = await classifyProductDecision(p, {
+              classifyVertical: (product) => classifyWithLLMCached(product),
+              classifyCategory: async () => null,
+            }).catch(() => null);
+            if (decision && decision.vertical !== placed.vertical) {
+              verticalSwitchItems.push({
+                shopifyProductId: String(p.id),
+                vertical: placed.vertical,
+                title: p.title ?? null,
+                reason: `reclassify_${decision.reason}`,
+              });
+            }
+          })
+        );
+      }
+    }
+    const heldIds = new Set(soldAllowed ? [] : qtySoldItems.map((i) => i.shopifyProductId));
+    if (!(await breakerGuard("vertical_switch", verticalSwitchItems))) {
+      for (const item of verticalSwitchItems) heldIds.add(item.shopifyProductId);
+    }
+    const productsToSync = heldIds.size ? products.filter((p) => !heldIds.has(String(p.id))) : products;
+    skipped += products.length - productsToSync.length;
 
     const duplicateEmailSentFor = new Set();
     const shopifyWriteEmailSentFor = new Set();
-    const concurrency = Math.min(Math.max(1, parseInt(process.env.SYNC_CONCURRENCY || "3", 10) || 1), 15);
 
-    for (let i = 0; i < products.length; i += concurrency) {
-      const chunk = products.slice(i, i + concurrency);
+    for (let i = 0; i < productsToSync.length; i += concurrency) {
+      const chunk = productsToSync.slice(i, i + concurrency);
+      const previousVerticals = chunk.map((p) => getCacheEntry(cache, String(p.id))?.vertical ?? null);
       const settled = await Promise.allSettled(
         chunk.map((p) =>
-          syncSingleProduct(p, cache, {
-            duplicateEmailSentFor,
-            shopifyWriteEmailSentFor,
-            forceReclassify: reclassifyAll || (reclassifyIdsSet != null && reclassifyIdsSet.has(String(p.id))),
-            skipMissingFieldsAlert: true,
-            syncTrigger: "sync-all",
-          })
+          withDryRunScope({ shopifyProductId: String(p.id), phase: "product_sync" }, () =>
+            syncSingleProduct(p, cache, {
+              duplicateEmailSentFor,
+              shopifyWriteEmailSentFor,
+              forceReclassify: reclassifyAll || (reclassifyIdsSet != null && reclassifyIdsSet.has(String(p.id))),
+              skipMissingFieldsAlert: true,
+              syncTrigger: "sync-all",
+            })
+          )
         )
       );
       const results = settled.map((r) => (r.status === "fulfilled" ? r.value : null));
       for (let j = 0; j < settled.length; j++) {
         const s = settled[j];
+        if (plan) {
+          const p = chunk[j];
+          const r = results[j];
+          recordDryRunProductOutcome(plan, String(p.id), {
+            title: p.title ?? null,
+            operation: r?.operation ?? "failed",
+            vertical: getCacheEntry(cache, String(p.id))?.vertical ?? previousVerticals[j],
+            previousVertical: previousVerticals[j],
+            error: s.status === "rejected" ? s.reason?.message ?? String(s.reason) : r?.error ?? null,
+          });
+        }
         if (s.status === "rejected") {
           failed++;
           const p = chunk[j];
+          flagProductForSyncRepair(p?.id != null ? String(p.id) : null);
           webflowLog("error", {
             event: "sync-all.product_failed_continue",
             shopifyProductId: p?.id != null ? String(p.id) : null,
@@ -13794,8 +16273,10 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
         const result = results[j];
         if (!result || result.operation === "failed") {
           failed++;
+          flagProductForSyncRepair(String(chunk[j].id));
           continue;
         }
+        clearSyncRepairFlag(String(chunk[j].id));
         if (result.duplicateCorrected && result.duplicateLog) {
           webflowLog("info", {
             event: "sync-all.duplicate_placement",
@@ -13820,11 +16301,14 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
       }
     }
 
-    const retentionOut = await archiveLongSoldWebflowListings(cache);
-    archivedLongSold = retentionOut.archived;
-    soldBackfillArchived = retentionOut.soldBackfillArchived;
+    if (run.sweeps) {
+      const retentionOut = await archiveLongSoldWebflowListings(cache, { guard: (items) => breakerGuard("delete", items) });
+      archivedLongSold = retentionOut.archived;
+      soldBackfillArchived = retentionOut.soldBackfillArchived;
+    }
 
     saveCache(cache);
+    saveSyncAllWatermarkState({ runStartedAt, mode: run.mode, sweeps: run.sweeps });
 
     const durationMs = Date.now() - syncStartTime;
     webflowLog("info", {
@@ -13839,9 +16323,20 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
       soldBackfillArchived,
       total: products.length,
       durationMs,
+      dryRun: !!plan,
+      mode: run.mode,
+      repairCount,
+      breakerHeld: Object.keys(breaker).filter((c) => breaker[c].held),
     });
     return {
       status: "ok",
+      ...(plan ? { dryRun: true } : {}),
+      mode: run.mode,
+      requestedMode: run.requestedMode,
+      modeReason: run.reason,
+      updatedSince: run.updatedSince,
+      sweeps: run.sweeps,
+      repairCount,
       total: products.length,
       created,
       updated,
@@ -13851,6 +16346,7 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
       orphanMarkedSold,
       archivedLongSold,
       soldBackfillArchived,
+      breaker,
       durationMs,
     };
   } catch (err) {
@@ -13876,17 +16372,22 @@ async function executeSyncAll({ reclassifyAll = false, reclassifyIdsSet = null,
       }
     }
     throw err;
-  } finally {
-    flushGoogleMerchantPriceState();
   }
 }
 
-app.get("/google/status", (req, res) => {
+app.get("/google/status", adminAuth.requireRole("read"), (req, res) => {
   const cfg = getGoogleMerchantConfig();
   const flag = String(process.env.GOOGLE_MERCHANT_ENABLED || "").trim();
   res.json({
     enabled: googleMerchantEnabled(),
     enabledFlag: flag || null,
+    luxuryEnabled: googleMerchantLuxuryEnabled(),
+    feed: googleFeedEnabled() ? googleFeed.stats() : null,
+    furnitureTaxonomy: {
+      file: googleFurnitureTaxonomy.file,
+      valid: !!googleFurnitureTaxonomy.value,
+      error: googleFurnitureTaxonomy.error,
+    },
     merchantIdConfigured: !!cfg.merchantId,
     dataSourceConfigured: !!cfg.dataSource,
     credentialsConfigured: !!(cfg.clientEmail && cfg.privateKey),
@@ -13894,71 +16395,532 @@ app.get("/google/status", (req, res) => {
   });
 });
 
-app.get("/sync-all/status", (req, res) => {
+app.get("/sync-all/status", adminAuth.requireRole("read"), (req, res) => {
   const elapsedMs =
     syncAllJobState.running && syncStartTime != null ? Date.now() - syncStartTime : null;
+  const watermarkState = loadSyncAllWatermarkState();
   res.json({
     running: syncAllJobState.running,
     jobId: syncAllJobState.jobId,
+    dryRun: syncAllJobState.dryRun,
+    mode: syncAllJobState.mode,
+    requestedMode: syncAllJobState.requestedMode,
+    trigger: syncAllJobState.trigger,
     startedAt: syncAllJobState.startedAt,
     finishedAt: syncAllJobState.finishedAt,
     result: syncAllJobState.result,
     error: syncAllJobState.error,
     ...(elapsedMs != null && { elapsedMs }),
+    incremental: {
+      watermark: watermarkState.watermark,
+      lastMode: watermarkState.lastMode,
+      lastSweepAt: watermarkState.lastSweepAt,
+      nextSweepDueAt: nextSyncSweepDueAt(watermarkState.lastSweepAt),
+      repairFlagged: listSyncRepairIds().length,
+    },
+    breakerPending: syncBreaker.list({ status: "pending" }).length,
   });
 });
 
-app.post("/sync-all", async (req, res) => {
-  if (syncAllJobState.running) {
-    return res.status(202).json({
-      status: "already_running",
-      jobId: syncAllJobState.jobId,
-      startedAt: syncAllJobState.startedAt,
-      message: "Sync already in progress. Poll GET /sync-all/status or server logs.",
-    });
+/**
+ * GET /sync-all/breaker — Circuit breaker thresholds and holds, newest first (?status=pending). GET
+ * /sync-all/breaker/:id returns one hold with its item list.
+ */
+app.get("/sync-all/breaker", adminAuth.requireRole("read"), (req, res) => {
+  const status = req.query.status ? String(req.query.status).trim() : null;
+  res.json({ maxActions: syncBreaker.maxActions, maxPercent: syncBreaker.maxPercent, holds: syncBreaker.list({ status }) });
+});
+
+app.get("/sync-all/breaker/:id", adminAuth.requireRole("read"), (req, res) => {
+  const hold = syncBreaker.get(req.params.id);
+  if (!hold) return res.status(404).json({ error: "hold_not_found", id: req.params.id });
+  res.json(hold);
+});
+
+/**
+ * POST /sync-all/breaker/:id/confirm — Approve a pending hold and start the full sync-all that applies it (202).
+ * That run lets the hold's category through as long as it plans no more than was held (plus the normal limit).
+ */
+app.post("/sync-all/breaker/:id/confirm", adminAuth.requireRole("admin"), async (req, res) => {
+  const hold = syncBreaker.get(req.params.id);
+  if (!hold) return res.status(404).json({ error: "hold_not_found", id: req.params.id });
+  if (hold.status !== "pending") return res.status(409).json({ error: "hold_not_pending", id: hold.id, status: hold.status });
+  const started = await startSyncAllJob({ requestedMode: "full", trigger: "breaker_confirm", breakerHold: hold });
+  if (started.status === "already_running") return res.status(409).json(syncAllAlreadyRunningBody());
+  if (started.status === "catalog_busy") return res.status(409).json(syncAllCatalogBusyBody(started.job));
+  if (started.status === "schema_drift") {
+    return res.status(409).json({ error: "webflow_schema_drift", issues: started.report.summary, checkedAt: started.report.checkedAt });
+  }
+  const confirmed = syncBreaker.confirm(hold.id, { by: req.adminKey?.label ?? null });
+  webflowLog("info", {
+    event: "sync-all.breaker_confirmed",
+    holdId: hold.id,
+    category: hold.category,
+    planned: hold.planned,
+    jobId: started.jobId,
+    adminKeyLabel: req.adminKey?.label ?? null,
+  });
+  res.status(202).json({ status: "started", jobId: started.jobId, hold: { ...confirmed, items: undefined } });
+});
+
+/** POST /sync-all/breaker/:id/dismiss — Drop a pending hold without applying it (the next run plans again). */
+app.post("/sync-all/breaker/:id/dismiss", adminAuth.requireRole("admin"), (req, res) => {
+  try {
+    const hold = syncBreaker.dismiss(req.params.id, { by: req.adminKey?.label ?? null });
+    webflowLog("info", { event: "sync-all.breaker_dismissed", holdId: hold.id, adminKeyLabel: req.adminKey?.label ?? null });
+    res.json({ ...hold, items: undefined });
+  } catch (err) {
+    res.status(err.code === "not_found" ? 404 : 409).json({ error: err.message });
   }
+});
 
-  const reclassify = req.body?.reclassify;
-  const reclassifyAll = reclassify === "all" || reclassify === true;
-  const reclassifyIdsSet =
-    Array.isArray(reclassify) && reclassify.length > 0
-      ? new Set(reclassify.map((id) => String(id)))
-      : null;
+/**
+ * GET /webhook-queue — Durable webhook sync queue: pending/retrying jobs and the dead-letter list.
+ */
+app.get("/webhook-queue", adminAuth.requireRole("read"), (req, res) => {
+  res.json(webhookSyncQueue.snapshot());
+});
+
+/**
+ * POST /webhook-queue/redrive — Re-queue dead-lettered webhook syncs (attempts reset).
+ * Body: { "shopifyProductIds": ["id1", ...] } or {} for every dead-lettered job.
+ */
+app.post("/webhook-queue/redrive", adminAuth.requireRole("sync"), (req, res) => {
+  const rawIds = req.body?.shopifyProductIds;
+  if (rawIds != null && !Array.isArray(rawIds)) {
+    return res.status(400).json({ error: "shopifyProductIds must be an array when provided" });
+  }
+  const redriven = webhookSyncQueue.redrive(rawIds);
+  res.json({ redriven: redriven.length, shopifyProductIds: redriven });
+});
+
+/**
+ * Start a background sync-all; shared by POST /sync-all, the scheduler and breaker confirms (breakerHold: the
+ * confirmed hold whose category the run may apply). Resolves once the job has started or
+ * been refused: { status: "already_running" } | { status: "catalog_busy", job } (an exclusive scheduler job such as
+ * the retention sweep is walking the catalog) | { status: "schema_drift", report } |
+ * { status: "started", jobId, run, dryRun, startedAt, done } where done resolves with { result } or { error }
+ * when the job finishes.
+ */
+async function startSyncAllJob({
+  requestedMode = "full",
+  reclassifyAll = false,
+  reclassifyIdsSet = null,
+  dryRun = false,
+  trigger = "http",
+  breakerHold = null,
+} = {}) {
+  if (syncAllJobState.running) return { status: "already_running" };
+  // Scheduled sync-all runs are exclusive jobs themselves; the scheduler already kept them apart from the others.
+  const catalogJob = trigger === "scheduler" ? null : scheduler.runningExclusiveJob();
+  if (catalogJob) return { status: "catalog_busy", job: catalogJob };
+
+  if (WEBFLOW_SCHEMA_CHECK_BLOCK_SYNC && !dryRun) {
+    const report = await runWebflowSchemaCheck({ reason: "sync_all" });
+    if (!report.ok) return { status: "schema_drift", report };
+    if (syncAllJobState.running) return { status: "already_running" };
+  }
 
   const jobId = crypto.randomUUID().slice(0, 8);
+  const run = resolveSyncAllRun(requestedMode);
+  const plan = dryRun
+    ? createSyncPlan({ jobId, reclassifyAll, reclassifyCount: reclassifyIdsSet?.size ?? 0 })
+    : null;
+  if (plan) plan.options.mode = run.mode;
   syncAllJobState.running = true;
   syncAllJobState.jobId = jobId;
+  syncAllJobState.dryRun = dryRun;
+  syncAllJobState.mode = run.mode;
+  syncAllJobState.requestedMode = run.requestedMode;
+  syncAllJobState.trigger = trigger;
   syncAllJobState.startedAt = new Date().toISOString();
   syncAllJobState.finishedAt = null;
   syncAllJobState.result = null;
   syncAllJobState.error = null;
 
-  res.status(202).json({
-    status: "started",
-    jobId,
-    startedAt: syncAllJobState.startedAt,
-    message: "Sync started in background. Poll GET /sync-all/status or check Render logs.",
-  });
-
-  executeSyncAll({ reclassifyAll, reclassifyIdsSet, jobId })
+  const job = plan
+    ? runWithSyncPlan(plan, () => executeSyncAll({ reclassifyAll, reclassifyIdsSet, jobId, plan, run }))
+    : executeSyncAll({ reclassifyAll, reclassifyIdsSet, jobId, run, breakerHold });
+  const done = job
     .then((result) => {
-      syncAllJobState.result = result;
-      webflowLog("info", { event: "sync-all.background_complete", jobId, ...result });
+      syncAllJobState.result = plan ? { ...result, plan: serializeSyncPlan(plan).summary } : result;
+      webflowLog("info", { event: "sync-all.background_complete", jobId, trigger, ...result });
+      return { result: syncAllJobState.result };
     })
     .catch((err) => {
       syncAllJobState.error = err?.message || String(err);
       webflowLog("error", {
         event: "sync-all.background_error",
         jobId,
+        trigger,
         message: syncAllJobState.error,
       });
+      return { error: syncAllJobState.error };
     })
     .finally(() => {
+      if (plan) {
+        plan.finishedAt = new Date().toISOString();
+        saveSyncPlan(serializeSyncPlan(plan));
+      }
       syncAllJobState.running = false;
       syncAllJobState.finishedAt = new Date().toISOString();
       syncRequestId = null;
       syncStartTime = null;
     });
+  return { status: "started", jobId, run, dryRun, startedAt: syncAllJobState.startedAt, done };
+}
+
+function syncAllAlreadyRunningBody() {
+  return {
+    status: "already_running",
+    jobId: syncAllJobState.jobId,
+    dryRun: syncAllJobState.dryRun,
+    mode: syncAllJobState.mode,
+    trigger: syncAllJobState.trigger,
+    startedAt: syncAllJobState.startedAt,
+    message: "Sync already in progress. Poll GET /sync-all/status or server logs.",
+  };
+}
+
+function syncAllCatalogBusyBody(job) {
+  return {
+    error: "catalog_busy",
+    job,
+    message: `Scheduler job "${job}" is walking the catalog; retry when it finishes (GET /scheduler).`,
+  };
+}
+
+/**
+ * POST /sync-all — Sync in the background (202). Body: { mode?: "full" | "incremental", reclassify?: "all" | string[], dryRun?: boolean }.
+ * mode (default full): incremental only syncs products updated since the last successful run plus repair-flagged
+ * ids; it runs as full when there is no watermark yet or the catalog sweeps are due (see resolveSyncAllRun).
+ * dryRun: classify, hash and read Webflow without any Shopify / Webflow / Google writes; the per-product
+ * plan is downloadable from GET /sync-all/plan/:jobId (JSON or ?format=csv) once the job finishes.
+ */
+app.post("/sync-all", adminAuth.requireRole("sync"), async (req, res) => {
+  if (syncAllJobState.running) return res.status(202).json(syncAllAlreadyRunningBody());
+
+  const reclassify = req.body?.reclassify;
+  const reclassifyAll = reclassify === "all" || reclassify === true;
+  const reclassifyIdsSet =
+    Array.isArray(reclassify) && reclassify.length > 0
+      ? new Set(reclassify.map((id) => String(id)))
+      : null;
+  const dryRun = req.body?.dryRun === true || req.body?.dryRun === "true";
+  const requestedMode = req.body?.mode != null ? String(req.body.mode).trim().toLowerCase() : "full";
+  if (!SYNC_ALL_MODES.includes(requestedMode)) {
+    return res.status(400).json({ error: `mode must be one of: ${SYNC_ALL_MODES.join(", ")}` });
+  }
+
+  const started = await startSyncAllJob({ requestedMode, reclassifyAll, reclassifyIdsSet, dryRun, trigger: "http" });
+  if (started.status === "already_running") return res.status(202).json(syncAllAlreadyRunningBody());
+  if (started.status === "catalog_busy") return res.status(409).json(syncAllCatalogBusyBody(started.job));
+  if (started.status === "schema_drift") {
+    return res.status(409).json({
+      error: "webflow_schema_drift",
+      message:
+        "Webflow collection fields no longer match what the sync writes. Fix the fields in the Designer (or the *_SLUG env overrides), then retry. See GET /webflow/schema-check.",
+      issues: started.report.summary,
+      checkedAt: started.report.checkedAt,
+    });
+  }
+
+  const { jobId, run } = started;
+  res.status(202).json({
+    status: "started",
+    jobId,
+    dryRun,
+    mode: run.mode,
+    ...(run.reason ? { modeReason: run.reason } : {}),
+    startedAt: started.startedAt,
+    ...(dryRun ? { planUrl: `/sync-all/plan/${jobId}` } : {}),
+    message: dryRun
+      ? "Dry run started in background (no writes). Poll GET /sync-all/status, then download the plan."
+      : "Sync started in background. Poll GET /sync-all/status or check Render logs.",
+  });
+});
+
+/**
+ * GET /sync-all/plan/:jobId? — Dry-run plan (omit jobId for the newest). ?format=csv for a spreadsheet download.
+ */
+app.get("/sync-all/plan/:jobId?", adminAuth.requireRole("read"), (req, res) => {
+  const jobId = req.params.jobId ? String(req.params.jobId).trim() : null;
+  if (jobId && !SYNC_PLAN_JOB_ID_REGEX.test(jobId)) {
+    return res.status(400).json({ error: "invalid jobId" });
+  }
+  if (syncAllJobState.running && syncAllJobState.dryRun && (!jobId || jobId === syncAllJobState.jobId)) {
+    return res.status(409).json({
+      error: "dry_run_in_progress",
+      jobId: syncAllJobState.jobId,
+      message: "Plan is still being built. Poll GET /sync-all/status.",
+    });
+  }
+  const plan = loadSyncPlan(jobId);
+  if (!plan) return res.status(404).json({ error: "plan_not_found", jobId });
+  if (String(req.query.format || "").toLowerCase() === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="sync-plan-${plan.jobId}.csv"`);
+    return res.send(syncPlanToCsv(plan));
+  }
+  res.json(plan);
+});
+
+/**
+ * GET /classify/explain?shopifyProductId= — Why a Shopify product gets its vertical and category: every rule that
+ * fired with its inputs, evidence scores, the LLM results (with vision / second-pass audit), the decision log
+ * lines and the final decision. POST /classify/explain takes a raw product ({ product } or the product itself).
+ * Nothing is written; the LLM calls are real when OPENAI_API_KEY is set.
+ */
+app.get("/classify/explain", adminAuth.requireRole("read"), async (req, res) => {
+  const shopifyId = String(req.query.shopifyProductId || "").trim();
+  if (!/^[0-9]{1,20}$/.test(shopifyId)) {
+    return res.status(400).json({ error: "shopifyProductId must be a numeric Shopify product id" });
+  }
+  const product = await fetchShopifyProductById(shopifyId);
+  if (!product) return res.status(404).json({ error: "Shopify product not found", shopifyProductId: shopifyId });
+  try {
+    const cacheEntry = getCacheEntry({ [shopifyId]: syncStore.cache.get(shopifyId) }, shopifyId);
+    res.json(await explainProductClassification(product, { cacheEntry }));
+  } catch (err) {
+    webflowLog("error", { event: "classify_explain.failed", shopifyProductId: shopifyId, message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post("/classify/explain", adminAuth.requireRole("read"), async (req, res) => {
+  const product = req.body?.product ?? req.body;
+  if (!product || typeof product !== "object" || typeof product.title !== "string" || !product.title.trim()) {
+    return res.status(400).json({ error: "Body must be a Shopify product (or { product }) with a title" });
+  }
+  try {
+    res.json(await explainProductClassification(structuredClone(product)));
+  } catch (err) {
+    webflowLog("error", { event: "classify_explain.failed", message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * GET /products/:shopifyId/history — Sync audit trail for one product, newest first.
+ * Query: limit (default 50). Each entry has a one-line summary plus the decisions and writes behind it.
+ */
+app.get("/products/:shopifyId/history", adminAuth.requireRole("read"), (req, res) => {
+  const shopifyId = String(req.params.shopifyId || "").trim();
+  if (!/^[0-9]{1,20}$/.test(shopifyId)) {
+    return res.status(400).json({ error: "shopifyId must be a numeric Shopify product id" });
+  }
+  const limit = Math.max(1, Math.min(500, parseInt(String(req.query.limit || "50"), 10) || 50));
+  const entries = productSyncHistory.read(shopifyId, { limit });
+  res.json({
+    shopifyProductId: shopifyId,
+    retentionDays: productSyncHistory.retentionDays,
+    count: entries.length,
+    timeline: entries.map((e) => `${e.at}  ${e.summary}`),
+    entries,
+  });
+});
+
+/**
+ * Recreate a deleted furniture listing from its snapshot: unarchive when the original product is only archived,
+ * otherwise POST a new product with the snapshot's product and default-SKU field data (original slug). Extra SKUs
+ * are not recreated (furniture listings have one). Returns { status, body } for the route.
+ */
+async function restoreWebflowSnapshot(snapshot, { force = false } = {}) {
+  const config = getWebflowConfig("furniture");
+  if (!config?.siteId || !config?.token) {
+    return { status: 503, body: { error: "furniture Webflow site is not configured" } };
+  }
+  if (snapshot.restoredAt && !force) {
+    return {
+      status: 409,
+      body: { error: "already_restored", restoredAt: snapshot.restoredAt, webflowId: snapshot.restoredWebflowId, hint: "force: true restores again" },
+    };
+  }
+  const fd = snapshot.product?.fieldData || {};
+  const base = { snapshotId: snapshot.id, shopifyProductId: snapshot.shopifyProductId, slug: fd.slug ?? null };
+  const live = await getWebflowEcommerceProductById(config.siteId, snapshot.webflowId, config.token);
+  if (live && live.isArchived !== true) {
+    return { status: 409, body: { error: "still_exists", webflowId: live.id, ...base } };
+  }
+  let webflowId;
+  let mode;
+  if (live) {
+    const refreshed = await unarchiveWebflowEcommerceProduct(config.siteId, live.id, config.token);
+    registerFurnitureEcommerceProductInIndex(refreshed, refreshed?.skus);
+    webflowId = live.id;
+    mode = "unarchived";
+  } else {
+    const created = await createWebflowEcommerceProduct(config.siteId, fd, snapshot.skus[0]?.fieldData ?? {}, config.token);
+    webflowId = created?.product?.id ?? null;
+    registerFurnitureEcommerceProductInIndex(created?.product, created?.skus);
+    mode = "recreated";
+  }
+  webflowSnapshots.markRestored(snapshot.id, webflowId);
+  webflowLog("info", { event: "webflow_restore.restored", ...base, mode, webflowId, previousWebflowId: snapshot.webflowId });
+  return {
+    status: 200,
+    body: { status: mode, webflowId, previousWebflowId: snapshot.webflowId, ...base, skippedSkus: Math.max(0, snapshot.skus.length - 1) },
+  };
+}
+
+/**
+ * GET /webflow/snapshots — Furniture listings snapshotted before a delete / archive, newest first.
+ * Query: webflowId, shopifyProductId, limit (default 100).
+ */
+app.get("/webflow/snapshots", adminAuth.requireRole("read"), (req, res) => {
+  const limit = Math.max(1, Math.min(1000, parseInt(String(req.query.limit || "100"), 10) || 100));
+  const snapshots = webflowSnapshots.list({
+    webflowId: String(req.query.webflowId || "").trim() || null,
+    shopifyProductId: String(req.query.shopifyProductId || "").trim() || null,
+    limit,
+  });
+  res.json({ retentionDays: webflowSnapshots.retentionDays, count: snapshots.length, snapshots });
+});
+
+/**
+ * POST /webflow/restore — Body { snapshotId } or { shopifyProductId } (newest snapshot for that product);
+ * force: true restores a snapshot that was already restored.
+ */
+app.post("/webflow/restore", adminAuth.requireRole("sync"), async (req, res) => {
+  const { snapshotId, shopifyProductId, force } = req.body || {};
+  let id = snapshotId ? String(snapshotId).trim() : null;
+  if (!id && shopifyProductId) {
+    id = webflowSnapshots.list({ shopifyProductId: String(shopifyProductId).trim(), limit: 1 })[0]?.id ?? null;
+  }
+  if (!id && !snapshotId && !shopifyProductId) {
+    return res.status(400).json({ error: "snapshotId or shopifyProductId is required" });
+  }
+  const snapshot = id ? webflowSnapshots.get(id) : null;
+  if (!snapshot) return res.status(404).json({ error: "snapshot_not_found", snapshotId: snapshotId ?? null, shopifyProductId: shopifyProductId ?? null });
+  try {
+    const { status, body } = await restoreWebflowSnapshot(snapshot, { force: force === true });
+    res.status(status).json(body);
+  } catch (err) {
+    webflowLog("error", {
+      event: "webflow_restore.failed",
+      snapshotId: snapshot.id,
+      shopifyProductId: snapshot.shopifyProductId,
+      message: err.response?.data?.message || err.message,
+    });
+    res.status(err.response?.status === 409 ? 409 : 502).json({ error: err.response?.data?.message || err.message, snapshotId: snapshot.id });
+  }
+});
+
+/**
+ * GET /webflow/schema-check — Compare the live Webflow collection schemas with the field slugs the sync writes
+ * (missing, renamed, wrong type, removed ec-product-type options). ?cached=1 returns the last report (boot / sync-all).
+ */
+app.get("/webflow/schema-check", adminAuth.requireRole("read"), async (req, res) => {
+  const cached = req.query.cached === "1" || req.query.cached === "true";
+  if (cached && webflowSchemaCheckState.last) return res.json(webflowSchemaCheckState.last);
+  try {
+    const report = await runWebflowSchemaCheck({ reason: "on_demand" });
+    res.json(report);
+  } catch (err) {
+    webflowLog("error", { event: "webflow_schema.check_failed", message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /webflow/schema-check/accept — Run the check and take the live Option choices (e.g. ec-product-type) as the
+ * new known-good set, after options were renamed or removed on purpose. Missing / renamed fields are still reported.
+ */
+app.post("/webflow/schema-check/accept", adminAuth.requireRole("admin"), async (req, res) => {
+  try {
+    res.json(await runWebflowSchemaCheck({ reason: "accept", accept: true }));
+  } catch (err) {
+    webflowLog("error", { event: "webflow_schema.check_failed", message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/**
+ * POST /reports/reconciliation — Build a fresh Shopify ↔ Webflow ↔ Google Merchant reconciliation report in the
+ * background (202). GET /reports/reconciliation returns the latest one; ?format=csv for a spreadsheet,
+ * ?type=price,sold_state to filter mismatch types.
+ */
+app.post("/reports/reconciliation", adminAuth.requireRole("sync"), (req, res) => {
+  if (reconciliationJobState.running) {
+    return res.status(202).json({ status: "already_running", startedAt: reconciliationJobState.startedAt });
+  }
+  reconciliationJobState.running = true;
+  reconciliationJobState.startedAt = new Date().toISOString();
+  reconciliationJobState.finishedAt = null;
+  reconciliationJobState.error = null;
+  res.status(202).json({
+    status: "started",
+    startedAt: reconciliationJobState.startedAt,
+    message: "Reconciliation started in background. Poll GET /reports/reconciliation.",
+  });
+  buildReconciliationReport()
+    .then((report) => {
+      saveReconciliationReport(report);
+      webflowLog("info", { event: "reconciliation.complete", ...report.summary, sources: report.sources });
+    })
+    .catch((err) => {
+      reconciliationJobState.error = err?.message || String(err);
+      webflowLog("error", { event: "reconciliation.failed", message: reconciliationJobState.error });
+    })
+    .finally(() => {
+      reconciliationJobState.running = false;
+      reconciliationJobState.finishedAt = new Date().toISOString();
+    });
+});
+
+app.get("/reports/reconciliation", adminAuth.requireRole("read"), (req, res) => {
+  const report = loadReconciliationReport();
+  const job = { ...reconciliationJobState };
+  if (!report) {
+    return res.status(job.running ? 202 : 404).json({
+      error: job.running ? "report_in_progress" : "report_not_found",
+      job,
+      message: job.running ? "First report is still being built." : "Start one with POST /reports/reconciliation.",
+    });
+  }
+  const types = String(req.query.type || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+  const view = types.length
+    ? { ...report, mismatches: report.mismatches.filter((m) => types.includes(m.type)) }
+    : report;
+  if (String(req.query.format || "").toLowerCase() === "csv") {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="reconciliation-${String(report.finishedAt || "").slice(0, 10)}.csv"`
+    );
+    return res.send(reconciliationToCsv(view));
+  }
+  res.json({ job, ...view });
+});
+
+/**
+ * Admin API keys (admin role). GET lists keys (no secrets); POST { label, role } issues one and returns the
+ * plaintext key once; DELETE revokes by id. The same store is managed offline by scripts/admin-keys.mjs.
+ */
+app.get("/admin/keys", adminAuth.requireRole("admin"), (req, res) => {
+  res.json({ keys: adminAuth.list() });
+});
+
+app.post("/admin/keys", adminAuth.requireRole("admin"), (req, res) => {
+  try {
+    const issued = adminAuth.issue({
+      label: req.body?.label,
+      role: String(req.body?.role || "").trim(),
+      createdBy: req.adminKey?.label ?? null,
+    });
+    res.status(201).json(issued);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.delete("/admin/keys/:id", adminAuth.requireRole("admin"), (req, res) => {
+  const revoked = adminAuth.revoke(req.params.id, { revokedBy: req.adminKey?.label ?? null });
+  if (!revoked) return res.status(404).json({ error: "key_not_found", id: req.params.id });
+  res.json(revoked);
 });
 
 app.post("/set-categories", (_req, res) => {
@@ -13968,7 +16930,7 @@ app.post("/set-categories", (_req, res) => {
   });
 });
 
-app.post("/sync-by-ids", async (req, res) => {
+app.post("/sync-by-ids", adminAuth.requireRole("sync"), async (req, res) => {
   syncRequestId = crypto.randomUUID().slice(0, 8);
   syncStartTime = Date.now();
   const rawIds = req.body?.shopifyProductIds ?? req.body?.ids ?? [];
@@ -14069,7 +17031,6 @@ app.post("/sync-by-ids", async (req, res) => {
     webflowLog("error", { event: "sync-by-ids.error", message: err.message });
     res.status(500).json({ error: err.message });
   } finally {
-    flushGoogleMerchantPriceState();
     syncRequestId = null;
     syncStartTime = null;
   }
@@ -14110,27 +17071,366 @@ process.on("unhandledRejection", (reason) => {
   });
 });
 
-const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => {
-  console.log(`🔥 Sync server running on ${PORT}`);
-  const host = process.env.RENDER_EXTERNAL_HOSTNAME || `localhost:${PORT}`;
-  const scheme = process.env.RENDER_EXTERNAL_HOSTNAME ? "https" : "http";
-  console.log(`Shopify order webhook: ${scheme}://${host}/shopify/order`);
-  console.log(
-    `Shopify product webhooks: ${scheme}://${host}/webhook/products (create), ${scheme}://${host}/webhook/products/update (update), ${scheme}://${host}/webhook/products/delete (delete)`
-  );
-  console.log(`Facebook listing helper (Webflow default): ${scheme}://${host}/api/listing?name=...`);
-  console.log(`  Shopify mode: ${scheme}://${host}/api/listing?name=...&source=shopify`);
-  console.log(`  Facebook copy (OpenAI): POST ${scheme}://${host}/api/listing-blurb (needs OPENAI_API_KEY)`);
-  console.log(`  Social caption (OpenAI gpt-4o vision): POST ${scheme}://${host}/api/social-caption`);
-  console.log(`  Package assign (OpenAI): POST ${scheme}://${host}/api/package-assign (OPENAI_PACKAGE_MODEL, default gpt-5.2)`);
-  void recoverStaleConsignmentIntakes().catch((err) => {
+/* ======================================================
+   MARKDOWNS — age-based price drops on consigned items (lib/markdownEngine.js)
+   Env: MARKDOWN_POLICIES_JSON (per vertical / vertical/category steps; unset = off), MARKDOWN_EXCLUDE_TAG
+   (default no-markdown), MARKDOWN_ROUND_TO_CENTS (default 100 = whole dollars), SCHEDULE_MARKDOWNS.
+   Only listed, unsold, active single-variant products with a sync cache row are considered. The Shopify write
+   fires products/update, and that sync carries the new price / compare-at to Webflow and Google.
+====================================================== */
+let markdownRunning = false;
+
+/** Reads only: one plan item per listed product (action "markdown" or "skip" with a reason). */
+async function planMarkdowns() {
+  const products = await fetchAllShopifyProducts();
+  const cache = loadCache();
+  const items = [];
+  for (const product of products) {
+    const sid = String(product.id);
+    const cacheEntry = getCacheEntry(cache, sid);
+    if (!cacheEntry?.webflowId || cacheEntry.soldMarkedAt) continue;
+    if (String(product.status || "").toLowerCase() !== "active") continue;
+    if (shopifyQtySaysSold(getPrimaryVariantInventoryQuantity(product))) continue;
+    const variant = product.variants?.[0];
+    items.push(
+      markdownEngine.plan({
+        shopifyProductId: sid,
+        variantId: variant?.id != null ? String(variant.id) : null,
+        variantCount: product.variants?.length ?? 0,
+        title: product.title ?? null,
+        tags: getProductTagsArray(product),
+        listedAt: product.created_at ?? null,
+        vertical: cacheEntry.resolvedVertical ?? cacheEntry.vertical ?? null,
+        category: cacheEntry.resolvedCategory ?? null,
+        priceCents: shopifyMoneyToCents(variant?.price),
+        compareAtCents: shopifyMoneyToCents(variant?.compare_at_price),
+      })
+    );
+  }
+  const markdowns = items.filter((i) => i.action === "markdown");
+  const skipped = {};
+  for (const i of items) if (i.action === "skip") skipped[i.reason] = (skipped[i.reason] || 0) + 1;
+  return { considered: items.length, markdowns, skipped, items };
+}
+
+/** Plan, then write each markdown to Shopify. One failed product is logged and the rest continue. */
+async function runMarkdowns({ trigger = "manual" } = {}) {
+  if (markdownRunning) return { status: "already_running" };
+  markdownRunning = true;
+  try {
+    const { considered, markdowns, skipped } = await planMarkdowns();
+    const applied = [];
+    const failed = [];
+    for (const item of markdowns) {
+      try {
+        await updateShopifyVariantPrice(item.shopifyProductId, item.variantId, {
+          priceCents: item.toPriceCents,
+          compareAtCents: item.compareAtCents,
+        });
+        markdownEngine.record(item);
+        applied.push(item.shopifyProductId);
+        webflowLog("info", {
+          event: "markdown.applied",
+          shopifyProductId: item.shopifyProductId,
+          fromPriceCents: item.priceCents,
+          toPriceCents: item.toPriceCents,
+          compareAtCents: item.compareAtCents,
+          percent: item.step.percent,
+          ageDays: item.ageDays,
+          policy: item.policy,
+          trigger,
+        });
+      } catch (err) {
+        failed.push({ shopifyProductId: item.shopifyProductId, message: err.message });
+        webflowLog("error", {
+          event: "markdown.apply_failed",
+          shopifyProductId: item.shopifyProductId,
+          status: err.response?.status ?? null,
+          message: err.message,
+        });
+      }
+    }
+    const out = { status: "done", trigger, considered, planned: markdowns.length, applied: applied.length, failed, skipped };
+    webflowLog("info", { event: "markdown.run_complete", ...out, failed: failed.length });
+    return out;
+  } finally {
+    markdownRunning = false;
+  }
+}
+
+/**
+ * GET /markdowns/preview — What the next markdown run would change (no writes): per product the listing age,
+ * policy step, current / original / new price. ?all=1 also lists the skipped products with their reason.
+ */
+app.get("/markdowns/preview", adminAuth.requireRole("read"), async (req, res) => {
+  const all = req.query.all === "1" || req.query.all === "true";
+  try {
+    const { considered, markdowns, skipped, items } = await planMarkdowns();
+    res.json({
+      policies: markdownEngine.policies,
+      excludeTag: markdownEngine.excludeTag,
+      roundToCents: markdownEngine.roundToCents,
+      considered,
+      planned: markdowns.length,
+      skipped,
+      items: all ? items : markdowns,
+    });
+  } catch (err) {
+    webflowLog("error", { event: "markdown.preview_failed", message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/** POST /markdowns/apply — Run the markdowns now (same as the "markdowns" scheduler job). */
+app.post("/markdowns/apply", adminAuth.requireRole("sync"), async (req, res) => {
+  if (syncAllJobState.running) return res.status(409).json({ error: "sync_all_running" });
+  try {
+    const out = await runMarkdowns({ trigger: "manual" });
+    res.status(out.status === "already_running" ? 409 : 200).json(out);
+  } catch (err) {
+    webflowLog("error", { event: "markdown.run_failed", message: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+/* ======================================================
+   SCHEDULER — in-process cron for sync-all, retention, Google push and the alert digest
+   Env: SCHEDULE_SYNC_ALL_FULL, SCHEDULE_SYNC_ALL_INCREMENTAL, SCHEDULE_RETENTION_SWEEP, SCHEDULE_GOOGLE_FULL_PUSH,
+   SCHEDULE_GOOGLE_LUXURY_FULL_PUSH, SCHEDULE_GOOGLE_STATUSES, SCHEDULE_META_FEED, SCHEDULE_ALERT_DIGEST,
+   SCHEDULE_MARKDOWNS (cron expressions, unset = off), SCHEDULER_TIMEZONE (default UTC).
+   Admin overrides (PUT /scheduler/jobs/:name) are kept in the sync store and win over env.
+====================================================== */
+
+/** Scheduled sync-all: waits for the background job so the scheduler records its outcome. */
+async function runScheduledSyncAll(requestedMode) {
+  const started = await startSyncAllJob({ requestedMode, trigger: "scheduler" });
+  if (started.status === "already_running") return { status: "already_running", jobId: syncAllJobState.jobId };
+  if (started.status === "schema_drift") throw new Error("webflow_schema_drift: see GET /webflow/schema-check");
+  const { result, error } = await started.done;
+  if (error) throw new Error(error);
+  return { jobId: started.jobId, mode: started.run.mode, ...result };
+}
+
+/**
+ * Sold retention on its own (normally a side effect of a full /sync-all with sweeps). Goes through the same
+ * circuit breaker as sync-all; a held sweep is confirmed with POST /sync-all/breaker/:id/confirm.
+ */
+async function runSoldRetentionSweep() {
+  const cache = loadCache();
+  await loadFurnitureProductIndex({ force: true });
+  const jobId = `retention-${crypto.randomUUID().slice(0, 8)}`;
+  const guard = async (items) => {
+    const check = syncBreaker.check({ jobId, category: "delete", items, catalogSize: Object.keys(cache).length });
+    if (!check.held) return true;
     webflowLog("error", {
-      event: "consignment.intake_recovery_failed",
-      message: err?.message ?? String(err),
+      event: "sold_retention.breaker_tripped",
+      planned: check.planned,
+      limit: check.limit,
+      holdId: check.hold.id,
+      message: `Holding ${check.planned} planned deletes (limit ${check.limit}) until confirmed`,
     });
-  });
+    await sendSyncBreakerEmail(check.hold);
+    return false;
+  };
+  const out = await archiveLongSoldWebflowListings(cache, { guard });
+  saveCache(cache);
+  webflowLog("info", { event: "sold_retention.sweep_complete", ...out });
+  return out;
+}
+
+/** Email the warn/error events since the last digest (skipped when there were none, unless ALERT_DIGEST_SEND_EMPTY). */
+async function sendAlertDigest() {
+  const digest = alertDigest.peek();
+  const sendEmpty = process.env.ALERT_DIGEST_SEND_EMPTY === "true" || process.env.ALERT_DIGEST_SEND_EMPTY === "1";
+  const summary = { total: digest.total, errors: digest.errors, eventTypes: digest.events.length, since: digest.since };
+  if (!digest.total && !sendEmpty) return { sent: false, reason: "nothing_to_report", ...summary };
+  if (!isResendConfigured()) {
+    webflowLog("warn", { event: "alert_digest.email_skipped", reason: "missing_env" });
+    return { sent: false, reason: "missing_env", ...summary };
+  }
+  const subject = `[Backend / Webflow sync] Alert digest: ${digest.errors} errors, ${digest.total - digest.errors} warnings`;
+  await sendInternalNotification({ subject, text: formatAlertDigest(digest) });
+  alertDigest.drain();
+  webflowLog("info", { event: "alert_digest.email_sent", to: parseRecipients(process.env.INTERNAL_NOTIFY_EMAIL), ...summary });
+  return { sent: true, ...summary };
+}
+
+function schedulerTimeZoneFromEnv() {
+  const timeZone = String(process.env.SCHEDULER_TIMEZONE || "UTC").trim() || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return timeZone;
+  } catch {
+    webflowLog("error", { event: "scheduler.invalid_timezone", timeZone, message: "falling back to UTC" });
+    return "UTC";
+  }
+}
+
+const scheduler = createScheduler({
+  jobs: {
+    "sync-all-full": {
+      description: "POST /sync-all (mode full, with the disappeared / sold / retention sweeps)",
+      exclusive: true,
+      run: () => runScheduledSyncAll("full"),
+    },
+    "sync-all-incremental": {
+      description: "POST /sync-all { mode: incremental } (runs as full when the sweeps are due)",
+      exclusive: true,
+      run: () => runScheduledSyncAll("incremental"),
+    },
+    "retention-sweep": {
+      description: "Sold retention sweep on its own (furniture and added verticals with a retention policy)",
+      exclusive: true,
+      run: runSoldRetentionSweep,
+    },
+    "google-full-push": {
+      description: "POST /google/furniture/full-push",
+      exclusive: true,
+      run: async () => {
+        if (!googleMerchantEnabled() && !googleFeedEnabled()) {
+          throw new Error("GOOGLE_MERCHANT_ENABLED and GOOGLE_FEED_ENABLED are false");
+        }
+        return runGoogleFurnitureFullPush();
+      },
+    },
+    "google-luxury-full-push": {
+      description: "POST /google/luxury/full-push",
+      exclusive: true,
+      run: async () => {
+        if (!googleMerchantLuxuryEnabled()) throw new Error("GOOGLE_MERCHANT_ENABLED or GOOGLE_MERCHANT_LUXURY_ENABLED is false");
+        return runGoogleLuxuryFullPush();
+      },
+    },
+    "google-statuses": {
+      description: "POST /google/issues/refresh (Merchant Center statuses; emails new disapprovals)",
+      run: async () => {
+        const out = await runGoogleStatusIngest({ trigger: "scheduler" });
+        if (out.status === "disabled") throw new Error("GOOGLE_MERCHANT_ENABLED is false");
+        if (out.status === "already_running") throw new Error("a status pull is already in progress");
+        return out;
+      },
+    },
+    "meta-feed": {
+      description: "POST /feeds/meta/rebuild (Meta catalog CSV for both verticals)",
+      exclusive: true,
+      run: async () => {
+        const out = await runMetaFeedBuild({ trigger: "scheduler" });
+        if (out.status === "already_running") throw new Error("a Meta catalog build is already in progress");
+        return out;
+      },
+    },
+    "alert-digest": {
+      description: "Email a digest of warn/error log events since the last digest (INTERNAL_NOTIFY_EMAIL)",
+      run: sendAlertDigest,
+    },
+    markdowns: {
+      description: "POST /markdowns/apply (age-based price markdowns written to Shopify)",
+      exclusive: true,
+      run: async () => {
+        const out = await runMarkdowns({ trigger: "scheduler" });
+        if (out.status === "already_running") throw new Error("a markdown run is already in progress");
+        return { ...out, failed: out.failed.length };
+      },
+    },
+  },
+  schedules: {
+    "sync-all-full": process.env.SCHEDULE_SYNC_ALL_FULL,
+    "sync-all-incremental": process.env.SCHEDULE_SYNC_ALL_INCREMENTAL,
+    "retention-sweep": process.env.SCHEDULE_RETENTION_SWEEP,
+    "google-full-push": process.env.SCHEDULE_GOOGLE_FULL_PUSH,
+    "google-luxury-full-push": process.env.SCHEDULE_GOOGLE_LUXURY_FULL_PUSH,
+    "google-statuses": process.env.SCHEDULE_GOOGLE_STATUSES,
+    "meta-feed": process.env.SCHEDULE_META_FEED,
+    "alert-digest": process.env.SCHEDULE_ALERT_DIGEST,
+    markdowns: process.env.SCHEDULE_MARKDOWNS,
+  },
+  persist: syncStore.namespace(STORE_NS.scheduler),
+  timeZone: schedulerTimeZoneFromEnv(),
+  isBusy: () => syncAllJobState.running,
+  log: webflowLog,
+});
+
+/**
+ * GET /scheduler — Jobs with their cron expression (env or admin override), last run (status, trigger, result or
+ * error) and next run time.
+ */
+app.get("/scheduler", adminAuth.requireRole("read"), (req, res) => {
+  res.json(scheduler.snapshot());
 });
 
+/**
+ * PUT /scheduler/jobs/:name — Body { "cron": "0 3 * * *" } to set, { "cron": null } to switch off, or
+ * { "reset": true } to go back to the env schedule. Kept across restarts.
+ */
+app.put("/scheduler/jobs/:name", adminAuth.requireRole("admin"), (req, res) => {
+  const name = String(req.params.name);
+  if (!scheduler.has(name)) return res.status(404).json({ error: "unknown_job", name });
+  const body = req.body || {};
+  if (body.reset !== true && !("cron" in body)) {
+    return res.status(400).json({ error: 'Send { "cron": "<expression>" | null } or { "reset": true }' });
+  }
+  try {
+    const job = scheduler.configure(name, body.reset === true ? { reset: true } : { cron: body.cron });
+    webflowLog("info", { event: "scheduler.configure_request", job: name, cron: job.cron, adminKeyLabel: req.adminKey?.label ?? null });
+    res.json(job);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
 
+/**
+ * POST /scheduler/jobs/:name/run — Run a job now (same overlap rules as a scheduled run). 202 when it started (the
+ * outcome shows up as lastRun in GET /scheduler), 409 when it was skipped because the catalog is busy.
+ */
+app.post("/scheduler/jobs/:name/run", adminAuth.requireRole("sync"), (req, res) => {
+  const name = String(req.params.name);
+  if (!scheduler.has(name)) return res.status(404).json({ error: "unknown_job", name });
+  void scheduler.runJob(name, "manual");
+  const job = scheduler.snapshot().jobs.find((j) => j.name === name);
+  if (!job.running) return res.status(409).json({ status: "skipped", job: name, lastRun: job.lastRun });
+  res.status(202).json({ status: "started", job: name, message: "Poll GET /scheduler for lastRun." });
+});
 
+const PORT = process.env.PORT || 4000;
+// SYNC_SERVER_NO_LISTEN=1: import server.js for its classifiers (scripts/classification-harness.mjs) without booting.
+if (process.env.SYNC_SERVER_NO_LISTEN !== "1") {
+  app.listen(PORT, () => {
+    console.log(`🔥 Sync server running on ${PORT}`);
+    const host = process.env.RENDER_EXTERNAL_HOSTNAME || `localhost:${PORT}`;
+    const scheme = process.env.RENDER_EXTERNAL_HOSTNAME ? "https" : "http";
+    console.log(`Shopify order webhook: ${scheme}://${host}/shopify/order`);
+    console.log(
+      `Shopify product webhooks: ${scheme}://${host}/webhook/products (create), ${scheme}://${host}/webhook/products/update (update), ${scheme}://${host}/webhook/products/delete (delete)`
+    );
+    console.log(`Facebook listing helper (Webflow default): ${scheme}://${host}/api/listing?name=...`);
+    console.log(`  Shopify mode: ${scheme}://${host}/api/listing?name=...&source=shopify`);
+    console.log(`  Facebook copy (OpenAI): POST ${scheme}://${host}/api/listing-blurb (needs OPENAI_API_KEY)`);
+    console.log(`  Social caption (OpenAI gpt-4o vision): POST ${scheme}://${host}/api/social-caption`);
+    console.log(`  Package assign (OpenAI): POST ${scheme}://${host}/api/package-assign (OPENAI_PACKAGE_MODEL, default gpt-5.2)`);
+    if (!adminAuth.enabled) {
+      webflowLog("warn", { event: "admin_auth.disabled", message: "ADMIN_AUTH_DISABLED=true: operational endpoints are open" });
+    } else if (!adminAuth.activeCount()) {
+      webflowLog("warn", {
+        event: "admin_auth.no_keys",
+        message: "No admin API keys issued; operational endpoints will return 401. Run: node scripts/admin-keys.mjs issue --label <label> --role admin",
+      });
+    }
+    webhookSyncQueue.replayPending();
+    void loadLuxuryCmsGalleryImageFieldSlugs()
+      .then(() => runWebflowSchemaCheck({ reason: "boot" }))
+      .catch((err) => {
+        webflowLog("error", { event: "webflow_schema.check_failed", reason: "boot", message: err?.message ?? String(err) });
+      });
+    productSyncHistory.prune();
+    setInterval(() => productSyncHistory.prune(), 24 * 60 * 60 * 1000).unref();
+    webflowSnapshots.prune();
+    setInterval(() => webflowSnapshots.prune(), 24 * 60 * 60 * 1000).unref();
+    scheduler.start();
+    void recoverStaleConsignmentIntakes().catch((err) => {
+      webflowLog("error", {
+        event: "consignment.intake_recovery_failed",
+        message: err?.message ?? String(err),
+      });
+    });
+  });
+}
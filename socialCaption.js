@@ -3,6 +3,7 @@
  * Solo posts: listing text. Set posts (items[]): listing text + optional photos (URLs/base64) for vision.
  * Tuned to match Lost + Found's existing social voice: emojis, location tags, CTAs.
  */
+import { getLlmClient } from "./lib/llmClient.js";
 
 const FRAME_INSTRUCTIONS = {
   pov_driven: `FRAME MODE: POV DRIVEN (voice)
@@ -983,8 +984,7 @@ export function registerSocialCaptionRoute(app, { log } = {}) {
       : (level, payload) => console[level === "error" ? "error" : "log"]("[social-caption]", payload);
 
   app.post("/api/social-caption", async (req, res) => {
-    const key = String(process.env.OPENAI_API_KEY || "").trim();
-    if (!key) {
+    if (!getLlmClient().isConfigured()) {
       return res.status(503).json({
         error: "OPENAI_API_KEY is not set on this server",
         code: "openai_missing",
@@ -1224,17 +1224,14 @@ ${listingBits}`;
         : textPrompt;
 
     try {
-      const resp = await fetch("https://api.openai.com/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${key}`,
-        },
-        body: JSON.stringify({
+      let completion;
+      try {
+        completion = await getLlmClient().chat({
+          purpose: "social_caption",
           model,
           temperature: isSetPost ? 0.95 : 1.05,
           max_tokens: isSetPost ? 2800 : 2200,
-          response_format: { type: "json_object" },
+          json: true,
           messages: [
             {
               role: "system",
@@ -1244,30 +1241,26 @@ ${listingBits}`;
             },
             { role: "user", content: userContent },
           ],
-        }),
-      });
-
-      const raw = await resp.text();
-      if (!resp.ok) {
+          timeoutMs: 120000,
+        });
+      } catch (err) {
+        if (err?.code === "llm_budget_exceeded") {
+          return res.status(503).json({ error: err.message, code: err.code, budget: err.budget });
+        }
+        if (!err?.response) throw err;
+        const detail = JSON.stringify(err.response.data ?? "");
         webflowLog("error", {
           event: "api.social_caption.openai_http",
-          status: resp.status,
-          body: raw.slice(0, 400),
+          status: err.response.status,
+          body: detail.slice(0, 400),
         });
         return res.status(502).json({
-          error: `OpenAI request failed (${resp.status})`,
-          detail: raw.slice(0, 200),
+          error: `OpenAI request failed (${err.response.status})`,
+          detail: detail.slice(0, 200),
         });
       }
 
-      let json;
-      try {
-        json = JSON.parse(raw);
-      } catch {
-        return res.status(502).json({ error: "OpenAI returned invalid JSON wrapper" });
-      }
-
-      const content = json?.choices?.[0]?.message?.content;
+      const content = completion.content;
       if (!content) {
         return res.status(502).json({ error: "OpenAI returned empty content" });
       }
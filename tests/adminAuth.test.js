@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createAdminAuth } from "../lib/adminAuth.js";
+
+function tmpFile() {
+  return path.join(fs.mkdtempSync(path.join(os.tmpdir(), "admin-auth-")), "admin_keys.json");
+}
+
+function callMiddleware(mw, headers = {}) {
+  const req = { method: "POST", path: "/clear-cache", headers };
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  mw(req, res, () => {
+    nextCalled = true;
+  });
+  return { req, res, nextCalled };
+}
+
+test("admin auth: keys are stored hashed and roles are ordered", () => {
+  const filePath = tmpFile();
+  const logs = [];
+  const auth = createAdminAuth({ filePath, log: (level, payload) => logs.push(payload) });
+  const sync = auth.issue({ label: "cron", role: "sync" });
+  assert.match(sync.key, /^wfs_[a-f0-9]{8}_/);
+  assert.equal(fs.readFileSync(filePath, "utf8").includes(sync.key.slice("wfs_00000000_".length)), false);
+
+  const denied = callMiddleware(auth.requireRole("admin"), { authorization: `Bearer ${sync.key}` });
+  assert.equal(denied.res.statusCode, 403);
+  const allowed = callMiddleware(auth.requireRole("read"), { "x-admin-key": sync.key });
+  assert.equal(allowed.nextCalled, true);
+  assert.equal(allowed.req.adminKey.label, "cron");
+  assert.ok(logs.some((l) => l.event === "admin_auth.request" && l.label === "cron"));
+
+  assert.equal(callMiddleware(auth.requireRole("read"), {}).res.statusCode, 401);
+  assert.equal(callMiddleware(auth.requireRole("read"), { authorization: `Bearer ${sync.key}x` }).res.statusCode, 401);
+});
+
+test("admin auth: revoked keys stop working, including keys revoked by another process", () => {
+  const filePath = tmpFile();
+  const server = createAdminAuth({ filePath });
+  const { key, id } = server.issue({ label: "ops", role: "admin" });
+  assert.equal(server.authenticate(key).role, "admin");
+
+  const cli = createAdminAuth({ filePath });
+  fs.utimesSync(filePath, new Date(), new Date(Date.now() - 60_000));
+  assert.equal(cli.revoke(id, { revokedBy: "cli" }).revokedBy, "cli");
+  assert.equal(server.authenticate(key), null);
+  assert.equal(server.activeCount(), 0);
+  assert.throws(() => server.issue({ label: "x", role: "owner" }), /role must be one of/);
+});
+
+test("admin auth: feed keys work as a Basic password on feed routes only", () => {
+  const auth = createAdminAuth({ filePath: tmpFile() });
+  const feed = auth.issue({ label: "merchant center", role: "feed" });
+  const basic = (user, pass) => ({ authorization: `Basic ${Buffer.from(`${user}:${pass}`).toString("base64")}` });
+
+  const fetched = callMiddleware(auth.requireRole("feed", { realm: "feeds" }), basic(feed.id, feed.key));
+  assert.equal(fetched.nextCalled, true);
+  assert.equal(fetched.req.adminKey.role, "feed");
+  assert.equal(callMiddleware(auth.requireRole("read"), basic(feed.id, feed.key)).res.statusCode, 403);
+
+  const challenged = callMiddleware(auth.requireRole("feed", { realm: "feeds" }), basic(feed.id, "wrong"));
+  assert.equal(challenged.res.statusCode, 401);
+  assert.equal(challenged.res.headers["WWW-Authenticate"], 'Basic realm="feeds", charset="UTF-8"');
+  assert.equal(callMiddleware(auth.requireRole("read"), {}).res.headers["WWW-Authenticate"], undefined);
+});
@@ -0,0 +1,27 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createAlertDigest, formatAlertDigest } from "../lib/alertDigest.js";
+
+test("alert digest: counts warn/error events per period with samples, then starts over", () => {
+  let clock = Date.parse("2026-06-01T00:00:00Z");
+  const digest = createAlertDigest({ maxSamples: 2, ignore: ["alert_digest."], now: () => clock });
+  digest.note("info", { event: "sync-all.exit" });
+  digest.note("warn", { event: "sold_retention.full_product_fetch_failed", shopifyProductId: 11, message: "timeout" });
+  digest.note("warn", { event: "sold_retention.full_product_fetch_failed", shopifyProductId: 12, message: "timeout" });
+  digest.note("warn", { event: "sold_retention.full_product_fetch_failed", shopifyProductId: 13, message: "timeout" });
+  digest.note("warn", { event: "alert_digest.email_skipped" });
+  clock += 60_000;
+  digest.note("error", { event: "sync-all.background_error", message: "Webflow 500" });
+
+  const out = digest.drain();
+  assert.deepEqual([out.total, out.errors], [4, 1]);
+  assert.deepEqual(out.events.map((e) => [e.event, e.count]), [["sync-all.background_error", 1], ["sold_retention.full_product_fetch_failed", 3]]);
+  assert.equal(out.events[1].samples.length, 2);
+  const text = formatAlertDigest(out);
+  assert.match(text, /4 warnings\/errors \(1 errors\) across 2 event types/);
+  assert.match(text, /\[warn\] sold_retention\.full_product_fetch_failed × 3/);
+  assert.match(text, /- product 11: timeout/);
+
+  assert.equal(digest.peek().total, 0);
+  assert.equal(digest.peek().since, "2026-06-01T00:01:00.000Z");
+});
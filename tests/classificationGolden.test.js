@@ -0,0 +1,26 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { compareWithBaseline, readGoldenCases, runClassificationCases } from "../lib/classificationHarness.js";
+
+// Same setup as scripts/classification-harness.mjs: server.js for its classifiers only, LLMs stubbed per case.
+process.env.SYNC_SERVER_NO_LISTEN = "1";
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "classification-golden-"));
+process.env.LOG_LEVEL = "error";
+const { classifyProductDecision } = await import("../server.js");
+
+test("classification golden set: the real pipeline passes every case not marked knownFailure", async (t) => {
+  t.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+  const golden = readGoldenCases(new URL("./fixtures/classification-golden.jsonl", import.meta.url).pathname);
+  const results = await runClassificationCases(golden, classifyProductDecision);
+  const show = (r) => `${r.id}: expected ${r.expected.vertical} / ${r.expected.category}, got ${r.actual.vertical} / ${r.actual.category}`;
+
+  assert.deepEqual(results.filter((r) => !r.pass && !r.knownFailure).map(show), []);
+  // A known failure that starts passing should lose its marker so it is guarded from then on.
+  assert.deepEqual(results.filter((r) => r.pass && r.knownFailure).map((r) => r.id), []);
+
+  const baseline = JSON.parse(fs.readFileSync(new URL("./fixtures/classification-baseline.json", import.meta.url), "utf8"));
+  assert.deepEqual(compareWithBaseline(results, baseline).regressed.map((d) => d.id), []);
+});
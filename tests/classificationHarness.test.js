@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  baselineFromResults,
+  compareWithBaseline,
+  formatClassificationReport,
+  readGoldenCases,
+  runClassificationCases,
+  summarizeClassification,
+} from "../lib/classificationHarness.js";
+
+const cases = [
+  { id: "towel-ring", product: { title: "Chrome Towel Ring" }, llm: "HOME_INTERIOR", expected: { vertical: "furniture", category: "Accessories" } },
+  { id: "gold-ring", product: { title: "18k Gold Ring" }, llm: "LUXURY", expected: { vertical: "luxury", category: "Rings" } },
+  { id: "pendant-light", product: { title: "Glass Pendant Light" }, expected: { vertical: "furniture", category: "Lighting" } },
+];
+
+// Stand-in for classifyProductDecision: trusts the stubbed LLM vertical, ring → Rings.
+async function classify(product, { classifyVertical, classifyCategory }) {
+  const vertical = (await classifyVertical(product)).category === "LUXURY" ? "luxury" : "furniture";
+  if (/ring/i.test(product.title)) return { vertical: "luxury", category: "Rings", reason: "ring_word" };
+  const llmCategory = await classifyCategory(product, vertical);
+  return { vertical, category: llmCategory?.category ?? (vertical === "furniture" ? "Accessories" : "Other "), reason: "llm" };
+}
+
+test("classification harness: accuracy, confusion matrix and per-case diff against the baseline", async () => {
+  const results = await runClassificationCases(cases, classify);
+  assert.deepEqual(
+    results.map((r) => [r.id, r.pass]),
+    [["towel-ring", false], ["gold-ring", true], ["pendant-light", false]]
+  );
+  const summary = summarizeClassification(results);
+  assert.equal(summary.passed, 1);
+  assert.equal(summary.accuracy, 0.333);
+  assert.equal(summary.verticalAccuracy, 0.667);
+  assert.deepEqual(summary.confusion, { furniture: { luxury: 1, furniture: 1 }, luxury: { luxury: 1 } });
+
+  const baseline = baselineFromResults(results, "2026-01-01T00:00:00.000Z");
+  assert.deepEqual(compareWithBaseline(results, baseline), { regressed: [], fixed: [], changed: [], added: [], removed: [] });
+
+  const next = await runClassificationCases(
+    [...cases.slice(1).map((c) => (c.id === "pendant-light" ? { ...c, llmCategory: "Lighting" } : c)), { ...cases[1], id: "new-case" }],
+    async (product, stubs) => (product.title.includes("Gold") ? { vertical: "furniture", category: "Accessories" } : classify(product, stubs))
+  );
+  const diff = compareWithBaseline(next, baseline);
+  assert.deepEqual(diff.regressed.map((d) => d.id), ["gold-ring"]);
+  assert.deepEqual(diff.fixed.map((d) => d.id), ["pendant-light"]);
+  assert.deepEqual(diff.added.map((d) => d.id), ["new-case"]);
+  assert.deepEqual(diff.removed, [{ id: "towel-ring" }]);
+
+  const report = formatClassificationReport({ summary: summarizeClassification(next), results: next, diff });
+  assert.match(report, /1\/3 passed/);
+  assert.match(report, /Regressed since baseline:\n {2}gold-ring: luxury \/ Rings → furniture \/ Accessories/);
+});
+
+test("classification harness: knownFailure cases are reported apart from the other failures", async () => {
+  const marked = cases.map((c) => (c.id === "towel-ring" ? { ...c, knownFailure: "ring word wins over bath hardware" } : c));
+  const results = await runClassificationCases(marked, classify);
+  assert.equal(results.find((r) => r.id === "towel-ring").knownFailure, "ring word wins over bath hardware");
+  const report = formatClassificationReport({ summary: summarizeClassification(results), results, diff: null });
+  assert.match(report, /Failing cases:\n {2}pendant-light:/);
+  assert.match(report, /Known failures:\n {2}towel-ring: expected furniture \/ Accessories, got luxury \/ Rings — ring word wins over bath hardware/);
+
+  const passing = await runClassificationCases([{ ...cases[1], knownFailure: "fixed since" }], classify);
+  assert.match(formatClassificationReport({ summary: summarizeClassification(passing), results: passing, diff: null }), /drop the marker\): gold-ring/);
+});
+
+test("classification harness: golden fixture parses and every case has an expected vertical", () => {
+  const golden = readGoldenCases(new URL("./fixtures/classification-golden.jsonl", import.meta.url).pathname);
+  assert.ok(golden.length >= 20);
+  const baseline = JSON.parse(fs.readFileSync(new URL("./fixtures/classification-baseline.json", import.meta.url), "utf8"));
+  assert.deepEqual(Object.keys(baseline.results).sort(), golden.map((c) => c.id).sort());
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "golden-"));
+  const file = path.join(dir, "dup.jsonl");
+  fs.writeFileSync(file, `${JSON.stringify(cases[0])}\n${JSON.stringify(cases[0])}\n`);
+  assert.throws(() => readGoldenCases(file), /listed twice/);
+  fs.writeFileSync(file, `${JSON.stringify({ ...cases[0], knownFailure: " " })}\n`);
+  assert.throws(() => readGoldenCases(file), /knownFailure must be a non-empty reason/);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,12 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { csvCell, renderCsv } from "../lib/csv.js";
+
+test("csv: quotes only when needed, objects as JSON, CRLF lines", () => {
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(12.5), "12.5");
+  assert.equal(csvCell('Walnut "Parsons", 72"'), '"Walnut ""Parsons"", 72"""');
+  assert.equal(csvCell("two\nlines"), '"two\nlines"');
+  assert.equal(csvCell({ a: 1 }), '"{""a"":1}"');
+  assert.equal(renderCsv(["id", "title"], [{ id: 1, title: "Oak, bench" }, { id: 2 }]), 'id,title\r\n1,"Oak, bench"\r\n2,\r\n');
+});
@@ -0,0 +1,21 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { noteDecisionTraceEvent, runWithDecisionTrace } from "../lib/decisionTrace.js";
+
+test("decision trace: collects decision events in order inside a trace only", async () => {
+  noteDecisionTraceEvent("info", { event: "vertical.override_evidence", reason: "outside" });
+
+  const { result, steps } = await runWithDecisionTrace(async () => {
+    noteDecisionTraceEvent("info", { event: "vertical.override_evidence", shopifyProductId: "1", productTitle: "Lamp", reason: "fine_art" });
+    await new Promise((resolve) => setImmediate(resolve));
+    noteDecisionTraceEvent("info", { event: "shopify.fetch_product.failed", status: 404 });
+    noteDecisionTraceEvent("warn", { event: "furniture_category.blocked_wristwatch", evidence: { score: 2 } });
+    return "done";
+  });
+
+  assert.equal(result, "done");
+  assert.deepEqual(steps, [
+    { event: "vertical.override_evidence", level: "info", reason: "fine_art" },
+    { event: "furniture_category.blocked_wristwatch", level: "warn", evidence: { score: 2 } },
+  ]);
+});
@@ -0,0 +1,65 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { GOOGLE_FEED_COLUMNS, createGoogleFeedStore, renderGoogleFeedTsv, renderGoogleFeedXml } from "../lib/googleFeed.js";
+import { memoryPersist } from "./helpers/memoryPersist.js";
+
+const payload = (overrides = {}) => ({
+  offerId: "walnut-dining-table-abc123",
+  title: 'Walnut "Parsons" Dining Table & Leaves',
+  description: "Mid-century walnut table.\tSeats six.",
+  link: "https://www.lostandfoundresale.com/product/walnut-dining-table-abc123",
+  imageLink: "https://cdn/a.jpg",
+  additionalImageLinks: ["https://cdn/b.jpg", "https://cdn/c.jpg"],
+  availability: "in stock",
+  condition: "used",
+  price: { value: "1200.00", currency: "USD" },
+  salePrice: { value: "950.00", currency: "USD" },
+  brand: "Baker",
+  identifierExists: false,
+  googleProductCategory: "4355",
+  productTypes: ["Furniture > Dining Room > Dining Tables"],
+  shippingWeight: { value: "120", unit: "lb" },
+  shippingLength: { value: "72", unit: "in" },
+  ...overrides,
+});
+
+test("google feed: XML uses the g: namespace, escapes text and repeats multi-value attributes", () => {
+  const xml = renderGoogleFeedXml([payload()], { title: "Lost and Found Resale furniture", link: "https://www.lostandfoundresale.com" });
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0" xmlns:g="http:\/\/base.google.com\/ns\/1.0">/);
+  assert.match(xml, /<g:title>Walnut &quot;Parsons&quot; Dining Table &amp; Leaves<\/g:title>/);
+  assert.equal(xml.match(/<g:additional_image_link>/g).length, 2);
+  assert.match(xml, /<g:price>1200.00 USD<\/g:price>/);
+  assert.match(xml, /<g:sale_price>950.00 USD<\/g:sale_price>/);
+  assert.match(xml, /<g:identifier_exists>no<\/g:identifier_exists>/);
+  assert.match(xml, /<g:shipping_weight>120 lb<\/g:shipping_weight>/);
+  assert.doesNotMatch(xml, /shipping_height/);
+});
+
+test("google feed: TSV has one column per attribute and no stray tabs", () => {
+  const [header, row] = renderGoogleFeedTsv([payload({ salePrice: null })]).replace(/\n$/, "").split("\n");
+  assert.deepEqual(header.split("\t"), GOOGLE_FEED_COLUMNS);
+  const cells = row.split("\t");
+  assert.equal(cells.length, GOOGLE_FEED_COLUMNS.length);
+  const col = (name) => cells[GOOGLE_FEED_COLUMNS.indexOf(name)];
+  assert.equal(col("description"), "Mid-century walnut table. Seats six.");
+  assert.equal(col("additional_image_link"), "https://cdn/b.jpg,https://cdn/c.jpg");
+  assert.equal(col("sale_price"), "");
+  assert.equal(col("product_type"), "Furniture > Dining Room > Dining Tables");
+});
+
+test("google feed store: renders are cached until an offer changes", () => {
+  let now = Date.parse("2026-10-01T00:00:00Z");
+  const feed = createGoogleFeedStore({ persist: memoryPersist(), channel: () => ({ title: "t", link: "l" }), now: () => now });
+  feed.upsert(payload(), { shopifyProductId: "101", reason: "sync" });
+  feed.upsert(payload({ offerId: "oak-bench-def456", title: "Oak Bench", availability: "out of stock" }));
+  const first = feed.tsv();
+  assert.equal(feed.tsv(), first);
+  assert.deepEqual(feed.payloads().map((p) => p.offerId), ["oak-bench-def456", "walnut-dining-table-abc123"]);
+
+  now += 60000;
+  assert.equal(feed.remove("oak-bench-def456"), true);
+  assert.equal(feed.remove("oak-bench-def456"), false);
+  assert.notEqual(feed.tsv(), first);
+  assert.doesNotMatch(feed.xml(), /Oak Bench/);
+  assert.deepEqual(feed.stats(), { items: 1, inStock: 1, lastUpdatedAt: "2026-10-01T00:00:00.000Z", changedSinceBoot: "2026-10-01T00:01:00.000Z" });
+});
@@ -0,0 +1,44 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import {
+  parseGoogleFurnitureTaxonomy,
+  parseGoogleTaxonomyList,
+  resolveGoogleFurnitureTaxonomy,
+} from "../lib/googleFurnitureTaxonomy.js";
+
+const CATEGORIES = ["Living Room", "Dining Room", "Office Den", "Rugs", "Art / Mirrors", "Bedroom", "Accessories", "Outdoor / Patio", "Lighting"];
+const taxonomy = parseGoogleTaxonomyList(fs.readFileSync(new URL("../lib/googleProductTaxonomy.txt", import.meta.url), "utf8"));
+
+test("google furniture taxonomy: the bundled mapping validates and covers every category", () => {
+  assert.equal(taxonomy.get("436"), "Furniture");
+  assert.equal(taxonomy.has("# Google_Product_Taxonomy_Version: 2021-09-21"), false);
+  const raw = fs.readFileSync(new URL("../lib/googleFurnitureTaxonomy.json", import.meta.url), "utf8");
+  const { value, error } = parseGoogleFurnitureTaxonomy(raw, { taxonomy, categories: CATEGORIES });
+  assert.equal(error, null);
+  assert.deepEqual(Object.keys(value.categories).sort(), [...CATEGORIES].sort());
+
+  const resolve = (category, title) => resolveGoogleFurnitureTaxonomy(value, category, title);
+  assert.equal(resolve("Rugs", "Persian Wool Rug 8x10").googleProductCategory, "598");
+  assert.equal(resolve("Dining Room", "Set of 6 Walnut Dining Chairs").googleProductCategory, "5886");
+  assert.equal(resolve("Dining Room", "Baker Dining Table with Two Leaves").googleProductCategory, "4355");
+  assert.equal(resolve("Art / Mirrors", "Gilt Wall Mirror").googleProductCategory, "595");
+  assert.equal(resolve("Bedroom", "Bedroom Chair").googleProductCategory, "436");
+  assert.deepEqual(resolve("Lighting", "Brass Table Lamp").productTypes, ["Lighting > Lamps"]);
+  assert.equal(resolve("Living Room", "Sofa Table").source, "Living Room rule 2");
+  assert.deepEqual(resolve("Recently Sold", "Chair"), { googleProductCategory: "436", productTypes: ["Furniture"], source: "default" });
+});
+
+test("google furniture taxonomy: validation names the bad entry", () => {
+  const parse = (obj) => parseGoogleFurnitureTaxonomy(JSON.stringify(obj), { taxonomy, categories: CATEGORIES }).error;
+  const def = { googleProductCategory: "436", productType: "Furniture" };
+  assert.match(parse({ default: def, categories: { Rugs: { googleProductCategory: "99999", productType: "Rugs" } } }), /"Rugs".*99999.*taxonomy/);
+  assert.match(parse({ default: def, categories: { Kitchen: def } }), /unknown furniture category "Kitchen"/);
+  assert.match(parse({ default: def, categories: { Rugs: { googleProductCategory: "598" } } }), /productType is required/);
+  assert.match(
+    parse({ default: def, categories: { Lighting: { ...def, rules: [{ keywords: [], googleProductCategory: "4636", productType: "Lamps" }] } } }),
+    /"Lighting" rule 1: keywords/
+  );
+  assert.match(parse({ default: { ...def, rules: [] }, categories: {} }), /only allowed on categories/);
+  assert.match(parseGoogleFurnitureTaxonomy("{", { taxonomy, categories: CATEGORIES }).error, /not valid JSON/);
+});
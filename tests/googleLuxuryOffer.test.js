@@ -0,0 +1,58 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildGoogleLuxuryOffer,
+  detectLuxuryColor,
+  detectLuxuryGender,
+  detectLuxuryMaterial,
+  googleLuxuryProductCategory,
+} from "../lib/googleLuxuryOffer.js";
+
+test("google luxury: attributes come from the title before the description", () => {
+  assert.equal(detectLuxuryColor("Gucci Black Patent Leather Jackie Bag", "Brown interior"), "Black");
+  assert.equal(detectLuxuryColor("Chanel Classic Flap", "Beige caviar with gold-tone hardware"), "Beige");
+  assert.equal(detectLuxuryColor("Hermes Scarf", ""), null);
+  assert.equal(detectLuxuryMaterial("Gucci Black Patent Leather Jackie Bag"), "Patent Leather");
+  assert.equal(detectLuxuryMaterial("Tiffany Sterling Silver Heart Tag Bracelet"), "Sterling Silver");
+  assert.equal(detectLuxuryMaterial("Louis Vuitton Neverfull", "Monogram coated canvas"), "Coated Canvas");
+  assert.equal(detectLuxuryGender("Prada Men's Nylon Backpack"), "male");
+  assert.equal(detectLuxuryGender("Rolex Womens Datejust"), "female");
+  assert.equal(detectLuxuryGender("Goyard Unisex Card Holder"), "unisex");
+  assert.equal(detectLuxuryGender("Coach Wallet", "", "unisex"), "unisex");
+});
+
+test("google luxury: category map with watch override and Other fallback", () => {
+  assert.equal(googleLuxuryProductCategory("Handbags"), "3032");
+  assert.equal(googleLuxuryProductCategory("Other "), "166");
+  assert.equal(googleLuxuryProductCategory("Recently Sold"), "166");
+  assert.equal(googleLuxuryProductCategory("Other Jewelry", { isWatch: true }), "201");
+});
+
+test("google luxury: offer payload", () => {
+  const offer = buildGoogleLuxuryOffer({
+    shopifyProductId: "8123",
+    title: "Saint Laurent Red Leather Crossbody",
+    description: "",
+    link: "https://www.lostandfoundhandbags.com/shop/saint-laurent-red-crossbody",
+    images: ["https://cdn/a.jpg", "https://cdn/b.jpg"],
+    brand: "Saint Laurent",
+    category: "Crossbody",
+    availability: "out of stock",
+    price: { value: "450.00", currency: "USD" },
+    salePrice: { value: "399.00", currency: "USD" },
+  });
+  assert.equal(offer.offerId, "lux-8123");
+  assert.equal(offer.description, offer.title);
+  assert.equal(offer.imageLink, "https://cdn/a.jpg");
+  assert.deepEqual(offer.additionalImageLinks, ["https://cdn/b.jpg"]);
+  assert.equal(offer.condition, "used");
+  assert.equal(offer.availability, "out of stock");
+  assert.equal(offer.googleProductCategory, "3032");
+  assert.deepEqual(offer.productTypes, ["Luxury Goods > Crossbody"]);
+  assert.equal(offer.gender, "female");
+  assert.equal(offer.ageGroup, "adult");
+  assert.equal(offer.color, "Red");
+  assert.equal(offer.material, "Leather");
+  assert.equal(offer.salePrice.value, "399.00");
+  assert.equal("shippingWeight" in offer, false);
+});
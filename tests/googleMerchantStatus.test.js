@@ -0,0 +1,54 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { createGoogleMerchantStatusStore, normalizeGoogleProductStatus } from "../lib/googleMerchantStatus.js";
+import { memoryPersist } from "./helpers/memoryPersist.js";
+
+const fixture = JSON.parse(fs.readFileSync(new URL("./fixtures/google-merchant-statuses.json", import.meta.url), "utf8"));
+
+test("google merchant status: Merchant API and Content API rows normalize alike", () => {
+  const lux = normalizeGoogleProductStatus(fixture.products[1]);
+  assert.equal(lux.offerId, "lux-8123");
+  assert.equal(lux.status, "disapproved");
+  assert.deepEqual(
+    lux.issues.map((i) => [i.code, i.severity, i.attribute]),
+    [["price_mismatch", "disapproved", "price"], ["image_too_small", "demoted", "image link"]]
+  );
+  assert.equal(normalizeGoogleProductStatus(fixture.products[2]).status, "pending");
+
+  const content = normalizeGoogleProductStatus({
+    productId: "online:en:US:oak-bench-def456",
+    title: "Oak Bench",
+    destinationStatuses: [{ destination: "Shopping", approvedCountries: ["US"] }],
+    itemLevelIssues: [{ code: "image_link_broken", servability: "unaffected", attributeName: "additional image link" }],
+  });
+  assert.equal(content.offerId, "oak-bench-def456");
+  assert.equal(content.status, "approved");
+  assert.equal(content.issues[0].severity, "not_impacted");
+  assert.equal(content.destinations[0].context, "shopping");
+});
+
+test("google merchant status: only new disapprovals are reported; gone offers are dropped", () => {
+  let now = Date.parse("2026-10-01T00:00:00Z");
+  const store = createGoogleMerchantStatusStore({ persist: memoryPersist(), now: () => now });
+
+  const first = store.ingest(fixture.products);
+  assert.deepEqual(
+    { offers: first.offers, approved: first.approved, pending: first.pending, disapproved: first.disapproved },
+    { offers: 3, approved: 1, pending: 1, disapproved: 1 }
+  );
+  assert.deepEqual(first.newDisapprovals.map((d) => [d.offerId, d.issue.code]), [["lux-8123", "price_mismatch"]]);
+
+  now += 3600000;
+  const second = store.ingest(fixture.products.slice(1));
+  assert.equal(second.newDisapprovals.length, 0);
+  assert.equal(second.removed, 1);
+  assert.equal(store.get("walnut-dining-table-abc123"), null);
+  const lux = store.get("lux-8123");
+  assert.equal(lux.disapprovedSince, "2026-10-01T00:00:00.000Z");
+  assert.equal(lux.issues[0].firstSeenAt, "2026-10-01T00:00:00.000Z");
+
+  assert.deepEqual(store.list().map((o) => o.offerId), ["lux-8123", "oak-bench-def456"]);
+  assert.deepEqual(store.list({ severity: "demoted" }).map((o) => o.offerId), ["lux-8123"]);
+  assert.deepEqual(store.summary().issuesByCode, { price_mismatch: 1, image_too_small: 1 });
+});
@@ -0,0 +1,10 @@
+/** In-memory stand-in for syncStore.namespace(ns): the persist adapter the lib/ stores take. */
+export function memoryPersist() {
+  const rows = {};
+  return {
+    get: (k) => rows[k] ?? null,
+    set: (k, v) => (v == null ? delete rows[k] : (rows[k] = v)),
+    remove: (k) => delete rows[k],
+    all: () => ({ ...rows }),
+  };
+}
@@ -0,0 +1,94 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createLlmClient, createLlmClientFromEnv } from "../lib/llmClient.js";
+
+test("llm client: fixture provider answers by purpose and prompt text, JSON mode defaults to {}", async () => {
+  const logs = [];
+  const llm = createLlmClient({
+    provider: "fixture",
+    fixtures: {
+      rules: [
+        { purpose: "llm_vertical", match: "handbag", content: { category: "LUXURY", confidence: 0.95, reasoning: "fixture" } },
+        { purpose: "listing_blurb", error: { status: 429, message: "slow down" } },
+      ],
+    },
+    maxRetries: 1,
+    sleep: async () => {},
+    log: (level, payload) => logs.push(payload.event),
+  });
+  assert.equal(llm.isConfigured(), true);
+
+  const hit = await llm.chat({
+    purpose: "llm_vertical",
+    model: "gpt-4o-mini",
+    messages: [{ role: "user", content: [{ type: "text", text: "Title: Chanel Handbag" }, { type: "image_url", image_url: { url: "https://x/y.jpg" } }] }],
+  });
+  assert.deepEqual(JSON.parse(hit.content), { category: "LUXURY", confidence: 0.95, reasoning: "fixture" });
+  assert.equal(hit.provider, "fixture");
+  assert.ok(hit.usage.promptTokens > 0);
+
+  const miss = await llm.chat({ purpose: "llm_vertical", model: "m", json: true, messages: [{ role: "user", content: "Walnut credenza" }] });
+  assert.equal(miss.content, "{}");
+
+  await assert.rejects(
+    llm.chat({ purpose: "listing_blurb", model: "m", messages: [{ role: "user", content: "x" }] }),
+    (err) => err.response.status === 429 && err.response.data.error.message === "slow down"
+  );
+  assert.deepEqual(logs, ["llm.request", "llm.request", "llm.retry", "llm.failed"]);
+});
+
+test("llm client: openai-compatible provider posts to the base URL, retries 5xx and sends JSON mode", async () => {
+  const bodies = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (c) => (raw += c));
+    req.on("end", () => {
+      bodies.push({ url: req.url, auth: req.headers.authorization ?? null, body: JSON.parse(raw) });
+      if (bodies.length === 1) {
+        res.writeHead(503, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify({ error: { message: "warming up" } }));
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ model: "llama3", choices: [{ message: { content: '{"weightLb":12}' } }], usage: { prompt_tokens: 20, completion_tokens: 5 } }));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  try {
+    const llm = createLlmClientFromEnv(
+      {
+        LLM_PROVIDER: "openai-compatible",
+        LLM_BASE_URL: `http://127.0.0.1:${server.address().port}/v1/`,
+        LLM_MODEL: "llama3",
+        OPENAI_API_KEY: "sk-not-for-local",
+      },
+      { sleep: async () => {} }
+    );
+    const out = await llm.chat({
+      purpose: "google_merchant.weight",
+      model: "gpt-4o-mini",
+      messages: [{ role: "user", content: "Oak side table" }],
+      temperature: 0,
+      json: true,
+    });
+    assert.equal(llm.isConfigured(), true);
+    assert.equal(llm.resolveModel("gpt-4o-mini"), "llama3");
+    assert.equal(out.content, '{"weightLb":12}');
+    assert.equal(out.attempts, 2);
+    assert.deepEqual(out.usage, { promptTokens: 20, completionTokens: 5 });
+    assert.equal(bodies[1].url, "/v1/chat/completions");
+    assert.equal(bodies[1].auth, null);
+    assert.deepEqual(bodies[1].body, {
+      model: "llama3",
+      messages: [{ role: "user", content: "Oak side table" }],
+      temperature: 0,
+      response_format: { type: "json_object" },
+    });
+  } finally {
+    server.close();
+  }
+
+  assert.equal(createLlmClientFromEnv({}).isConfigured(), false);
+  assert.equal(createLlmClientFromEnv({}).resolveModel("gpt-4o-mini"), "gpt-4o-mini");
+  assert.throws(() => createLlmClientFromEnv({ LLM_PROVIDER: "anthropic-ish" }), /Unknown LLM provider/);
+});
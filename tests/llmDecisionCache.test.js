@@ -0,0 +1,52 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { openSyncStore } from "../lib/syncStore.js";
+import { createLlmDecisionCache } from "../lib/llmDecisionCache.js";
+
+const content = { title: "Walnut credenza", body_html: "", taxonomyVersion: 27 };
+const ref = (over = {}) => ({ productId: "101", kind: "vertical", model: "gpt-4o-mini", promptVersion: 1, content, ...over });
+
+test("llm decision cache: keyed on content, model and prompt version, with TTL and stats", () => {
+  const store = openSyncStore({ file: ":memory:" });
+  let clock = Date.parse("2026-03-01T00:00:00Z");
+  const cache = createLlmDecisionCache({ store, ttlMs: 86400000, now: () => clock });
+
+  assert.equal(cache.get(ref()), null);
+  cache.set(ref(), { category: "HOME_INTERIOR", confidence: 0.9 });
+  assert.deepEqual(cache.get(ref()).result, { category: "HOME_INTERIOR", confidence: 0.9 });
+  assert.equal(cache.get(ref({ content: { ...content, title: "Walnut credenza, pair" } })), null);
+  assert.equal(cache.get(ref({ model: "gpt-4o" })), null);
+  assert.equal(cache.get(ref({ promptVersion: 2 })), null);
+  assert.equal(cache.set(ref({ productId: undefined }), { category: "LUXURY" }), false);
+
+  clock += 86400000 + 1;
+  assert.equal(cache.get(ref()), null);
+  const stats = cache.stats();
+  assert.equal(stats.entries, 0);
+  assert.deepEqual(
+    { hits: stats.hits, misses: stats.misses, expired: stats.expired, writes: stats.writes },
+    { hits: 1, misses: 5, expired: 1, writes: 1 }
+  );
+  assert.equal(stats.byKind.vertical.hitRate, 0.167);
+  store.close();
+});
+
+test("llm decision cache: invalidate by product, by model or globally", () => {
+  const store = openSyncStore({ file: ":memory:" });
+  const cache = createLlmDecisionCache({ store, ttlMs: 86400000 });
+  cache.set(ref(), { category: "LUXURY" });
+  cache.set(ref({ kind: "category:luxury" }), { category: "Totes" });
+  cache.set(ref({ productId: "1010" }), { category: "LUXURY" });
+  cache.set(ref({ productId: "202", model: "gpt-4o" }), { category: "HOME_INTERIOR" });
+
+  assert.equal(cache.invalidate({ shopifyProductId: "101" }), 2);
+  assert.ok(cache.get(ref({ productId: "1010" })));
+  assert.equal(cache.invalidate({ model: "gpt-4o" }), 1);
+  assert.equal(cache.stats().entries, 1);
+  cache.set(ref({ productId: "303", model: "openai-compatible:llama3:8b" }), { category: "LUXURY" });
+  assert.equal(cache.invalidate({ model: "llama3:8b" }), 1);
+  assert.equal(cache.invalidate({ all: true }), 1);
+  assert.throws(() => cache.invalidate({}), /required/);
+  assert.throws(() => cache.invalidate({ shopifyProductId: "1", model: "x" }), /not both/);
+  store.close();
+});
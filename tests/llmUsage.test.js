@@ -0,0 +1,56 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { openSyncStore } from "../lib/syncStore.js";
+import { createLlmUsageLedger, llmFeatureForPurpose } from "../lib/llmUsage.js";
+import { createLlmClient } from "../lib/llmClient.js";
+
+test("llm usage: cost per feature and model, daily and monthly rollups", () => {
+  const store = openSyncStore({ file: ":memory:" });
+  let clock = Date.parse("2026-03-31T12:00:00Z");
+  const usage = createLlmUsageLedger({ store, prices: { "gpt-5.2": { input: 1, output: 4 } }, now: () => clock });
+
+  assert.equal(llmFeatureForPurpose("llm_vertical.vision"), "classifier");
+  assert.equal(llmFeatureForPurpose("google_merchant.weight"), "google_merchant");
+
+  assert.equal(usage.record({ provider: "openai", purpose: "llm_vertical", model: "gpt-4o-mini-2024-07-18", promptTokens: 1_000_000, completionTokens: 0 }), 0.15);
+  usage.record({ provider: "openai", purpose: "package_assign", model: "gpt-5.2", promptTokens: 1000, completionTokens: 500 });
+  usage.record({ provider: "openai", purpose: "listing_blurb", model: "mystery-model", promptTokens: 10, completionTokens: 10 });
+  clock = Date.parse("2026-04-01T08:00:00Z");
+  usage.record({ provider: "openai-compatible", purpose: "llm_category", model: "llama3", promptTokens: 400, completionTokens: 20 });
+  usage.record({ provider: "openai", purpose: "llm_category", model: "gpt-4o-mini", failed: true });
+
+  const report = usage.report({ days: 7 });
+  assert.deepEqual(report.daily.map((d) => [d.date, d.calls, d.costUsd]), [["2026-04-01", 2, 0], ["2026-03-31", 3, 0.153]]);
+  assert.deepEqual(report.monthly.map((m) => m.month), ["2026-04", "2026-03"]);
+  assert.equal(report.daily[0].byFeature.classifier.failures, 1);
+  assert.equal(report.daily[1].byModel["gpt-5.2"].costUsd, 0.003);
+  assert.deepEqual(report.unpricedModels, ["mystery-model"]);
+});
+
+test("llm usage: the models the repo defaults to are priced out of the box", () => {
+  const store = openSyncStore({ file: ":memory:" });
+  const usage = createLlmUsageLedger({ store });
+  for (const model of ["gpt-4o-mini", "gpt-4o", "gpt-5.2"]) {
+    assert.ok(usage.record({ provider: "openai", purpose: "package_assign", model, promptTokens: 1000, completionTokens: 100 }) > 0, model);
+  }
+  assert.deepEqual(usage.report({ days: 1 }).unpricedModels, []);
+});
+
+test("llm usage: a feature over its daily budget is refused before the request and resets the next day", async () => {
+  const store = openSyncStore({ file: ":memory:" });
+  let clock = Date.parse("2026-05-10T09:00:00Z");
+  const usage = createLlmUsageLedger({ store, budgets: { social_caption: 0.001 }, now: () => clock });
+  const llm = createLlmClient({ provider: "openai", apiKey: "sk-test", usage, maxRetries: 0 });
+  // Spend past the budget without the network.
+  usage.record({ provider: "openai", purpose: "social_caption", model: "gpt-4o", promptTokens: 400, completionTokens: 10 });
+  assert.equal(llm.budgetStatus("social_caption").exceeded, true);
+  assert.equal(llm.budgetStatus("listing_blurb").exceeded, false);
+  await assert.rejects(
+    llm.chat({ purpose: "social_caption", model: "gpt-4o", messages: [] }),
+    (err) => err.code === "llm_budget_exceeded" && err.status === 503
+  );
+  assert.deepEqual(usage.report().budgets.social_caption, { spentUsd: 0.0011, budgetUsd: 0.001, remainingUsd: 0, exceeded: true });
+
+  clock = Date.parse("2026-05-11T00:00:01Z");
+  assert.equal(llm.budgetStatus("social_caption").exceeded, false);
+});
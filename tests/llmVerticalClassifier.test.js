@@ -0,0 +1,30 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createLlmClient, setLlmClient } from "../lib/llmClient.js";
+import { classifyWithLLM } from "../llmVerticalClassifier.js";
+
+const product = { id: 1, title: "Vintage Object", body_html: "<p>Found at an estate sale.</p>", tags: "", product_type: "", vendor: "" };
+
+function useFixture(content) {
+  setLlmClient(
+    createLlmClient({ provider: "fixture", fixtures: { rules: [{ purpose: "llm_vertical", content }] }, maxRetries: 0, sleep: async () => {} })
+  );
+}
+
+test("vertical classifier: an unparseable reply falls back to the default and is flagged as a fallback", async () => {
+  useFixture("Sure! I think it is probably luxury.");
+  const logPayload = {};
+  const result = await classifyWithLLM(product, logPayload);
+  assert.equal(result.category, "HOME_INTERIOR");
+  assert.equal(logPayload.override, "parse_failed");
+  assert.equal(logPayload.fallback, true);
+  assert.equal(logPayload.error, undefined);
+});
+
+test("vertical classifier: a model answer is not flagged as a fallback", async () => {
+  useFixture({ category: "LUXURY", confidence: 0.9, reasoning: "fixture" });
+  const logPayload = {};
+  const result = await classifyWithLLM(product, logPayload);
+  assert.equal(result.category, "LUXURY");
+  assert.equal(logPayload.fallback, undefined);
+});
@@ -0,0 +1,84 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createMarkdownEngine, markdownStepsFor, parseMarkdownPolicies } from "../lib/markdownEngine.js";
+import { memoryPersist } from "./helpers/memoryPersist.js";
+
+const NOW = Date.parse("2026-06-01T00:00:00Z");
+const daysAgo = (n) => new Date(NOW - n * 86400000).toISOString();
+
+const listing = (overrides = {}) => ({
+  shopifyProductId: "101",
+  variantId: "9001",
+  tags: ["FH"],
+  listedAt: daysAgo(35),
+  vertical: "furniture",
+  category: "Living Room",
+  priceCents: 100000,
+  compareAtCents: null,
+  ...overrides,
+});
+
+test("markdown policies: validated, most specific scope wins", () => {
+  const { value, error } = parseMarkdownPolicies(
+    JSON.stringify({
+      default: [{ days: 60, percent: 20 }, { days: 30, percent: 10 }],
+      Furniture: [{ days: 14, percent: 5 }],
+      "furniture / Rugs": null,
+      "furniture/Art / Mirrors": [{ days: 30, percent: 15 }],
+    })
+  );
+  assert.equal(error, null);
+  assert.deepEqual(value.default.map((s) => s.days), [30, 60]);
+  assert.equal(markdownStepsFor(value, "furniture", "Rugs").steps.length, 0);
+  assert.equal(markdownStepsFor(value, "furniture", "Bedroom").key, "furniture");
+  assert.equal(markdownStepsFor(value, "furniture", "Art / Mirrors").key, "furniture/art/mirrors");
+  assert.equal(markdownStepsFor(value, "luxury", "Handbags").key, "default");
+  assert.match(parseMarkdownPolicies('{"default":[{"days":30,"percent":120}]}').error, /percent/);
+  assert.match(parseMarkdownPolicies("[1]").error, /object/);
+  assert.deepEqual(parseMarkdownPolicies(""), { value: {}, error: null });
+});
+
+test("markdown engine: steps come off the original price and never stack", () => {
+  const { value: policies } = parseMarkdownPolicies('{"default":[{"days":30,"percent":10},{"days":60,"percent":20}]}');
+  let now = NOW;
+  const engine = createMarkdownEngine({ policies, persist: memoryPersist(), now: () => now });
+
+  assert.equal(engine.plan(listing({ listedAt: daysAgo(10) })).reason, "too_new");
+  assert.equal(engine.plan(listing({ tags: ["FH", "No-Markdown"] })).reason, "excluded_tag");
+  assert.equal(engine.plan(listing({ variantCount: 2 })).reason, "multi_variant");
+
+  const first = engine.plan(listing());
+  assert.equal(first.action, "markdown");
+  assert.equal(first.toPriceCents, 90000);
+  assert.equal(first.compareAtCents, 100000);
+  engine.record(first);
+
+  // Same day again: already at the 10% step.
+  assert.equal(engine.plan(listing({ priceCents: 90000, compareAtCents: 100000 })).reason, "at_or_below_step");
+
+  now += 30 * 86400000;
+  const second = engine.plan(listing({ priceCents: 90000, compareAtCents: 100000 }));
+  assert.equal(second.toPriceCents, 80000);
+  assert.equal(second.compareAtCents, 100000);
+  assert.equal(second.manualPriceChange, false);
+
+  // Staff repriced to $700 by hand (no compare-at): the markdown starts over from the new price.
+  const manual = engine.plan(listing({ priceCents: 70000 }));
+  assert.equal(manual.manualPriceChange, true);
+  assert.equal(manual.originalPriceCents, 70000);
+  assert.equal(manual.toPriceCents, 56000);
+});
+
+test("markdown engine: existing compare-at is the original; prices round down", () => {
+  const { value: policies } = parseMarkdownPolicies('{"luxury":[{"days":30,"percent":15}]}');
+  const engine = createMarkdownEngine({ policies, persist: memoryPersist(), now: () => NOW });
+  assert.equal(engine.plan(listing()).reason, "no_policy");
+
+  const item = engine.plan(listing({ vertical: "luxury", category: "Handbags", priceCents: 55000, compareAtCents: 59999 }));
+  assert.equal(item.originalPriceCents, 59999);
+  assert.equal(item.toPriceCents, 50900);
+  assert.equal(item.compareAtCents, 59999);
+
+  const exact = createMarkdownEngine({ policies, roundToCents: 1, persist: memoryPersist(), now: () => NOW });
+  assert.equal(exact.plan(listing({ vertical: "luxury", priceCents: 59999 })).toPriceCents, 50999);
+});
@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  META_FEED_COLUMNS,
+  buildMetaCatalogRow,
+  metaCustomLabelsFor,
+  metaFbProductCategory,
+  parseMetaCustomLabels,
+  renderMetaCatalogCsv,
+} from "../lib/metaCatalogFeed.js";
+
+const input = (overrides = {}) => ({
+  id: "101",
+  vertical: "furniture",
+  category: "Dining Room",
+  title: 'Walnut "Parsons" Dining Table, Leaves',
+  description: "Mid-century walnut table.\nSeats six.",
+  inStock: true,
+  price: { value: "1200.00", currency: "USD" },
+  salePrice: { value: "950.00", currency: "USD" },
+  link: "https://www.lostandfoundresale.com/product/walnut-dining-table-abc123",
+  images: ["https://cdn/a.jpg", "https://cdn/b.jpg", "https://cdn/c.jpg"],
+  brand: "Baker",
+  googleProductCategory: "4355",
+  productType: "Furniture > Dining Room > Dining Tables",
+  ...overrides,
+});
+
+test("meta catalog: custom labels validate and merge from default to vertical/category", () => {
+  assert.deepEqual(parseMetaCustomLabels(""), { value: {}, error: null });
+  assert.match(parseMetaCustomLabels("{").error, /not valid JSON/);
+  assert.match(parseMetaCustomLabels('{"luxury":{"custom_label_9":"x"}}').error, /unknown column "custom_label_9"/);
+
+  const { value, error } = parseMetaCustomLabels(
+    JSON.stringify({
+      default: { custom_label_2: "resale", custom_label_3: "ships" },
+      furniture: { custom_label_3: "local pickup" },
+      "Furniture / Art / Mirrors": { custom_label_1: "Wall decor" },
+    })
+  );
+  assert.equal(error, null);
+  assert.deepEqual(metaCustomLabelsFor(value, "furniture", "Art / Mirrors"), {
+    custom_label_0: "Furniture",
+    custom_label_1: "Wall decor",
+    custom_label_2: "resale",
+    custom_label_3: "local pickup",
+  });
+  assert.deepEqual(metaCustomLabelsFor(value, "luxury", "Handbags"), {
+    custom_label_0: "Luxury",
+    custom_label_1: "Handbags",
+    custom_label_2: "resale",
+    custom_label_3: "ships",
+  });
+});
+
+test("meta catalog: fb_product_category by vertical with a per-vertical fallback", () => {
+  assert.equal(metaFbProductCategory("furniture", "Rugs"), "home");
+  assert.equal(metaFbProductCategory("furniture", "Bedroom"), "furniture");
+  assert.equal(metaFbProductCategory("luxury", "Watches"), "jewelry & watches");
+  assert.equal(metaFbProductCategory("luxury", "Handbags"), "bags & luggage");
+  assert.equal(metaFbProductCategory("shoes", "Boots"), null);
+});
+
+test("meta catalog: rows carry Meta's required columns and the CSV quotes where needed", () => {
+  const row = buildMetaCatalogRow(input());
+  assert.equal(row.availability, "in stock");
+  assert.equal(row.condition, "used");
+  assert.equal(row.price, "1200.00 USD");
+  assert.equal(row.sale_price, "950.00 USD");
+  assert.equal(row.image_link, "https://cdn/a.jpg");
+  assert.equal(row.additional_image_link, "https://cdn/b.jpg,https://cdn/c.jpg");
+  assert.equal(row.fb_product_category, "furniture");
+
+  const sold = buildMetaCatalogRow(input({ id: "102", inStock: false, salePrice: null, description: "", images: ["https://cdn/d.jpg"] }));
+  assert.equal(sold.availability, "out of stock");
+  assert.equal(sold.sale_price, "");
+  assert.equal(sold.description, sold.title);
+  assert.equal(sold.additional_image_link, "");
+
+  const [header, first, second, end] = renderMetaCatalogCsv([row, sold]).split("\r\n");
+  assert.deepEqual(header.split(","), META_FEED_COLUMNS);
+  assert.match(first, /^101,"Walnut ""Parsons"" Dining Table, Leaves","Mid-century walnut table.\nSeats six.",in stock,used,/);
+  assert.match(second, /^102,/);
+  assert.equal(end, "");
+});
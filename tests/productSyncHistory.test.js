@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  cacheEntryChanges,
+  createProductSyncHistory,
+  noteProductHistoryEvent,
+  noteProductHistoryWrite,
+} from "../lib/productSyncHistory.js";
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "product-history-"));
+}
+
+test("product history: session collects decisions and writes into one entry", async () => {
+  const history = createProductSyncHistory({ dir: tmpDir() });
+  await history.record(
+    "123",
+    async () => {
+      noteProductHistoryEvent("info", { event: "vertical.resolved", shopifyProductId: "123", vertical: "furniture" });
+      noteProductHistoryEvent("info", { event: "request", url: "https://api.webflow.com/x" });
+      noteProductHistoryWrite("webflow.update", {
+        webflowId: "wf1",
+        diff: [{ field: "price", from: 100, to: 80 }],
+      });
+      return { operation: "update", id: "wf1" };
+    },
+    (result) => ({
+      trigger: "webhook",
+      operation: result.operation,
+      vertical: { from: "luxury", to: "furniture" },
+      qty: { from: 1, to: 1 },
+    })
+  );
+  assert.equal(noteProductHistoryWrite("webflow.update", {}), false);
+
+  const [entry] = history.read("123");
+  assert.equal(entry.operation, "update");
+  assert.deepEqual(entry.events.map((e) => e.event), ["vertical.resolved"]);
+  assert.deepEqual(entry.writes[0].fields, ["price"]);
+  assert.equal(entry.summary, "webhook: update · vertical luxury → furniture · writes: webflow.update · fields: price");
+});
+
+test("product history: failed syncs are recorded and the error rethrown", async () => {
+  const history = createProductSyncHistory({ dir: tmpDir() });
+  await assert.rejects(
+    history.record(
+      "9",
+      async () => {
+        throw new Error("webflow 500");
+      },
+      (_result, error) => ({ operation: "failed", error: error.message })
+    ),
+    /webflow 500/
+  );
+  assert.equal(history.read("9")[0].error, "webflow 500");
+});
+
+test("product history: retention and max entries trim old rows", () => {
+  const dir = tmpDir();
+  const history = createProductSyncHistory({ dir, retentionDays: 30, maxEntries: 3 });
+  const old = new Date(Date.now() - 40 * 86400000).toISOString();
+  fs.writeFileSync(path.join(dir, "5.json"), JSON.stringify([{ at: old, operation: "create" }]), "utf8");
+  fs.writeFileSync(path.join(dir, "6.json"), JSON.stringify([{ at: old, operation: "create" }]), "utf8");
+
+  for (let i = 0; i < 5; i++) history.appendWrite("5", "webflow.mark_sold", { webflowId: `wf${i}` });
+  const rows = history.read("5");
+  assert.equal(rows.length, 3);
+  assert.equal(rows[0].writes[0].webflowId, "wf4");
+
+  assert.deepEqual(history.prune(), { filesRemoved: 1, entriesRemoved: 1 });
+  assert.equal(fs.existsSync(path.join(dir, "6.json")), false);
+  assert.deepEqual(history.read("not-an-id"), []);
+});
+
+test("product history: an unchanged product rebuilds its hash but does not read as a Shopify change", () => {
+  const hash = () => ({ title: "Oak Bench", price: "450.00", qty: 1, images: ["a.jpg"] });
+  const before = { vertical: "furniture", resolvedCategory: "Living Room", lastQty: 1, hash: hash(), contentHash: { v: 1 } };
+  const same = cacheEntryChanges(before, { ...before, hash: hash(), contentHash: { v: 1 } });
+  assert.equal(same.hashChanged, false);
+  assert.equal(same.contentChanged, false);
+  assert.deepEqual(same.category, { from: "Living Room", to: "Living Room" });
+
+  const repriced = cacheEntryChanges(before, { ...before, hash: { ...hash(), price: "400.00" }, lastQty: 0 });
+  assert.equal(repriced.hashChanged, true);
+  assert.deepEqual(repriced.qty, { from: 1, to: 0 });
+});
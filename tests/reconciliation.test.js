@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { reconcileCatalogs, reconciliationToCsv } from "../lib/reconciliation.js";
+
+const shopify = [
+  { id: "1", title: "Sofa", status: "active", qty: 1, priceCents: 50000, imageCount: 3, vertical: "furniture" },
+  { id: "2", title: "Lamp", status: "active", qty: 0, priceCents: 9000, imageCount: 1, vertical: "furniture" },
+  { id: "3", title: "Clutch", status: "active", qty: 1, priceCents: 20000, imageCount: 2, vertical: "luxury" },
+  { id: "4", title: "Desk", status: "active", qty: 1, priceCents: 10000, imageCount: 1, vertical: "furniture" },
+];
+
+const webflow = [
+  { vertical: "furniture", webflowId: "f1", shopifyProductId: "1", name: "Sofa", sold: false, priceCents: 45000, hasImage: false, offerId: "sofa" },
+  { vertical: "furniture", webflowId: "f2", shopifyProductId: "2", name: "Lamp", sold: false, priceCents: 9000, hasImage: true, offerId: "lamp" },
+  { vertical: "furniture", webflowId: "f3", shopifyProductId: "3", name: "Clutch", sold: false, priceCents: 20000, hasImage: true, offerId: "clutch" },
+  { vertical: "luxury", webflowId: "l9", shopifyProductId: "9", name: "Old bag", sold: false, priceCents: 100, hasImage: true },
+  { vertical: "luxury", webflowId: "l8", shopifyProductId: "8", name: "Archived", sold: false, archived: true },
+];
+
+const google = [
+  { offerId: "sofa", inStock: true, priceCents: 49000 },
+  { offerId: "lamp", inStock: true, priceCents: 9000 },
+  { offerId: "gone-chair", inStock: true, priceCents: 100 },
+];
+
+test("reconciliation: every drift class is listed once per listing", () => {
+  const { summary, mismatches } = reconcileCatalogs({
+    shopify,
+    webflow,
+    google,
+    cacheQtyById: new Map([["1", 2]]),
+  });
+  const found = mismatches.map((m) => `${m.type}:${m.shopifyProductId ?? m.offerId}`).sort();
+  assert.deepEqual(found, [
+    "google_offer_for_sold:2",
+    "google_offer_orphan:gone-chair",
+    "google_price:1",
+    "inventory:1",
+    "missing_images:1",
+    "missing_in_google:3",
+    "missing_in_webflow:4",
+    "price:1",
+    "sold_state:2",
+    "webflow_without_shopify:9",
+    "wrong_vertical:3",
+  ]);
+  assert.equal(summary.webflowItems, 4);
+  assert.equal(summary.byType.price, 1);
+});
+
+test("reconciliation: Google checks are skipped without offers and CSV has one line per mismatch", () => {
+  const report = reconcileCatalogs({ shopify: shopify.slice(3), webflow: [], google: null });
+  assert.deepEqual(report.mismatches.map((m) => m.type), ["missing_in_webflow"]);
+  assert.equal(report.summary.googleOffers, null);
+  const csv = reconciliationToCsv(report).trim().split("\r\n");
+  assert.equal(csv[0], "type,shopifyProductId,title,vertical,webflowId,offerId,shopify,webflow,google,detail");
+  assert.equal(csv[1], 'missing_in_webflow,4,Desk,furniture,,,,,,"active, in-stock Shopify product has no Webflow listing"');
+});
+
+test("reconciliation: luxury listings are matched to their lux- offers", () => {
+  const { mismatches } = reconcileCatalogs({
+    shopify: [
+      { id: "5", title: "Kelly", status: "active", qty: 0, priceCents: 900000, imageCount: 1, vertical: "luxury" },
+      { id: "6", title: "Birkin", status: "active", qty: 1, priceCents: 1200000, imageCount: 1, vertical: "luxury" },
+      { id: "7", title: "Speedy", status: "active", qty: 1, priceCents: 80000, imageCount: 1, vertical: "luxury" },
+    ],
+    webflow: [
+      { vertical: "luxury", webflowId: "l5", shopifyProductId: "5", name: "Kelly", sold: true, priceCents: 900000, hasImage: true, offerId: "lux-5" },
+      { vertical: "luxury", webflowId: "l6", shopifyProductId: "6", name: "Birkin", sold: false, priceCents: 1200000, hasImage: true, offerId: "lux-6" },
+      { vertical: "luxury", webflowId: "l7", shopifyProductId: "7", name: "Speedy", sold: false, priceCents: 80000, hasImage: true, offerId: "lux-7" },
+    ],
+    google: [
+      { offerId: "lux-5", inStock: true, priceCents: 900000 },
+      { offerId: "lux-6", inStock: true, priceCents: 1100000 },
+      { offerId: "lux-99", inStock: true, priceCents: 100 },
+    ],
+  });
+  assert.deepEqual(mismatches.map((m) => `${m.type}:${m.shopifyProductId ?? m.offerId}`).sort(), [
+    "google_offer_for_sold:5",
+    "google_offer_orphan:lux-99",
+    "google_price:6",
+    "missing_in_google:7",
+  ]);
+  assert.equal(mismatches.find((m) => m.type === "missing_in_google").detail, "in-stock luxury listing has no Google offer");
+});
@@ -0,0 +1,96 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createScheduler, nextCronRun, parseCronExpression } from "../lib/scheduler.js";
+import { memoryPersist } from "./helpers/memoryPersist.js";
+
+const iso = (ms) => new Date(ms).toISOString();
+
+test("scheduler: cron parsing and next run time, in UTC and in a store time zone", () => {
+  const at = Date.parse("2026-03-06T10:17:30Z"); // Friday
+  assert.equal(iso(nextCronRun("*/15 * * * *", at)), "2026-03-06T10:30:00.000Z");
+  assert.equal(iso(nextCronRun("0 3 * * *", at)), "2026-03-07T03:00:00.000Z");
+  assert.equal(iso(nextCronRun("30 2 * * mon-wed", at)), "2026-03-09T02:30:00.000Z");
+  assert.equal(iso(nextCronRun("0 0 1 jan *", at)), "2027-01-01T00:00:00.000Z");
+  // dom and dow both restricted: either matches (the 10th or the next Sunday).
+  assert.equal(iso(nextCronRun("0 6 10 * 0", at)), "2026-03-08T06:00:00.000Z");
+  // 03:00 in Phoenix (UTC-7, no DST) is 10:00 UTC.
+  assert.equal(iso(nextCronRun("0 3 * * *", at, "America/Phoenix")), "2026-03-07T10:00:00.000Z");
+  assert.equal(nextCronRun("0 0 31 2 *", at), null);
+  assert.deepEqual([...parseCronExpression("@daily").hour], [0]);
+  assert.deepEqual([...parseCronExpression("0 0 * * 5-7").dayOfWeek], [5, 6, 0]);
+  for (const bad of ["* * * *", "61 * * * *", "*/0 * * * *", "5-1 * * * *", "0 0 * * funday"]) {
+    assert.throws(() => parseCronExpression(bad), /cron/, bad);
+  }
+});
+
+test("scheduler: due jobs run on tick, catalog jobs skip while busy, admin overrides persist", async () => {
+  let clock = Date.parse("2026-03-06T02:59:00Z");
+  let busy = false;
+  const persist = memoryPersist();
+  const ran = [];
+  const make = () =>
+    createScheduler({
+      jobs: {
+        sync: { exclusive: true, run: async () => ran.push("sync") && { created: 1 } },
+        digest: { run: async () => ran.push("digest") },
+        broken: { run: async () => { throw new Error("boom"); } },
+      },
+      schedules: { sync: "0 3 * * *", digest: "0 * * * *", broken: "not a cron" },
+      persist,
+      isBusy: () => busy,
+      now: () => clock,
+      tickMs: 3_600_000,
+    });
+  const scheduler = make();
+  scheduler.start();
+  const snap = scheduler.snapshot();
+  assert.equal(snap.jobs.find((j) => j.name === "sync").nextRunAt, "2026-03-06T03:00:00.000Z");
+  assert.equal(snap.jobs.find((j) => j.name === "broken").enabled, false);
+  assert.match(snap.jobs.find((j) => j.name === "broken").error, /5 fields/);
+
+  clock = Date.parse("2026-03-06T03:00:10Z");
+  busy = true;
+  scheduler.tick();
+  await new Promise((r) => setImmediate(r));
+  assert.deepEqual(ran, ["digest"]);
+  const sync = () => scheduler.snapshot().jobs.find((j) => j.name === "sync");
+  assert.equal(sync().lastRun.status, "skipped");
+  assert.equal(sync().lastRun.reason, "catalog_busy");
+  assert.equal(sync().nextRunAt, "2026-03-07T03:00:00.000Z");
+
+  busy = false;
+  assert.equal((await scheduler.runJob("sync", "manual")).status, "ok");
+  assert.equal((await scheduler.runJob("broken", "manual")).error, "boom");
+
+  assert.throws(() => scheduler.configure("sync", { cron: "every day" }), /cron/);
+  assert.equal(scheduler.configure("sync", { cron: "30 4 * * *" }).nextRunAt, "2026-03-06T04:30:00.000Z");
+  scheduler.configure("digest", { cron: null });
+  scheduler.stop();
+
+  const restarted = make();
+  restarted.start();
+  const jobs = Object.fromEntries(restarted.snapshot().jobs.map((j) => [j.name, j]));
+  assert.deepEqual([jobs.sync.cron, jobs.sync.source, jobs.sync.lastRun.trigger], ["30 4 * * *", "admin", "manual"]);
+  assert.deepEqual([jobs.digest.enabled, jobs.digest.source], [false, "admin"]);
+  assert.equal(restarted.configure("sync", { reset: true }).cron, "0 3 * * *");
+  restarted.stop();
+});
+
+test("scheduler: reports the running exclusive job so other catalog runs can wait for it", async () => {
+  let finish;
+  const scheduler = createScheduler({
+    jobs: {
+      sweep: { exclusive: true, run: () => new Promise((r) => (finish = r)) },
+      digest: { run: async () => {} },
+    },
+    schedules: {},
+  });
+  assert.equal(scheduler.runningExclusiveJob(), null);
+  const run = scheduler.runJob("sweep", "manual");
+  assert.equal(scheduler.runningExclusiveJob(), "sweep");
+  await scheduler.runJob("digest", "manual");
+  assert.equal(scheduler.runningExclusiveJob(), "sweep");
+  finish();
+  await run;
+  assert.equal(scheduler.runningExclusiveJob(), null);
+});
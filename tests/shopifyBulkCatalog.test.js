@@ -0,0 +1,110 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { createShopifyBulkCatalog, readShopifyBulkProducts } from "../lib/shopifyBulkCatalog.js";
+
+const FIXTURE = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "shopify-bulk-products.jsonl");
+
+test("shopify bulk: JSONL fixture reassembles into the REST product shape", async () => {
+  const lines = fs.readFileSync(FIXTURE, "utf8").split("\n");
+  const { products, lineCount, skippedLines } = await readShopifyBulkProducts(lines);
+  assert.equal(lineCount, 10);
+  assert.equal(skippedLines, 0);
+  assert.deepEqual(
+    products.map((p) => [p.id, p.status]),
+    [
+      [7301, "active"],
+      [7302, "draft"],
+    ]
+  );
+
+  const [credenza, bag] = products;
+  assert.equal(credenza.body_html, "<p>Solid walnut, four doors.</p>");
+  assert.equal(credenza.product_type, "Furniture");
+  assert.equal(credenza.tags, "Credenza, Living Room, Width: 72");
+  assert.deepEqual(credenza.images.map((i) => [i.position, i.src]), [
+    [1, "https://cdn.shopify.com/s/files/1/credenza-front.jpg"],
+    [2, "https://cdn.shopify.com/s/files/1/credenza-side.jpg"],
+  ]);
+  assert.equal(credenza.image.id, 90011);
+  const [v] = credenza.variants;
+  assert.equal(v.id, 44001);
+  assert.equal(v.product_id, 7301);
+  assert.equal(v.price, "1295.00");
+  assert.equal(v.compare_at_price, "1800.00");
+  assert.equal(v.inventory_quantity, 1);
+  assert.equal(v.weight, 95);
+  assert.equal(v.weight_unit, "lb");
+  assert.equal(v.inventory_item_id, 51001);
+  assert.deepEqual(
+    credenza.metafields.map((m) => [m.namespace, m.key, m.value, m.owner_id]),
+    [
+      ["custom", "width", "72", 7301],
+      ["custom", "height", "31.5", 7301],
+      ["custom", "length", "18", 7301],
+    ]
+  );
+
+  assert.equal(bag.tags, "");
+  assert.equal(bag.images.length, 0);
+  assert.equal(bag.image, null);
+  assert.equal(bag.variants[0].weight_unit, "kg");
+  assert.equal(bag.variants[0].grams, 2000);
+  assert.equal(bag.metafields[0].key, "category");
+});
+
+test("shopify bulk: children listed before their parent are still attached; junk lines are counted", async () => {
+  const lines = fs.readFileSync(FIXTURE, "utf8").trim().split("\n");
+  const [parent, variant, ...rest] = lines;
+  const { products, skippedLines } = await readShopifyBulkProducts([variant, "{not json", parent, ...rest]);
+  assert.equal(skippedLines, 1);
+  assert.equal(products[0].variants[0].id, 44001);
+  assert.equal(products.length, 2);
+});
+
+test("shopify bulk: run (updated-since filter), poll until completed, stream the result file", async () => {
+  const polls = ["CREATED", "RUNNING", "COMPLETED"];
+  const ops = [];
+  const catalog = createShopifyBulkCatalog({
+    graphql: async (body, op) => {
+      ops.push(op);
+      if (op === "bulkOperationRunQuery") {
+        assert.match(body.variables.query, /metafields/);
+        assert.match(body.variables.query, /products\(query: "updated_at:>'2026-10-01T00:00:00.000Z'"\)/);
+        return { data: { bulkOperationRunQuery: { bulkOperation: { id: "gid://shopify/BulkOperation/1", status: "CREATED" }, userErrors: [] } } };
+      }
+      const status = polls.shift();
+      return {
+        data: {
+          currentBulkOperation: {
+            id: "gid://shopify/BulkOperation/1",
+            status,
+            objectCount: "10",
+            url: status === "COMPLETED" ? "https://storage.example/bulk.jsonl" : null,
+          },
+        },
+      };
+    },
+    openResultStream: async (url) => {
+      assert.equal(url, "https://storage.example/bulk.jsonl");
+      return fs.createReadStream(FIXTURE);
+    },
+    pollIntervalMs: 0,
+    sleep: async () => {},
+  });
+  const products = await catalog.fetchAllProducts({ updatedSince: "2026-10-01T00:00:00.000Z" });
+  assert.deepEqual(ops, ["bulkOperationRunQuery", "currentBulkOperation", "currentBulkOperation", "currentBulkOperation"]);
+  assert.deepEqual(products.map((p) => p.id), [7301, 7302]);
+
+  const failing = createShopifyBulkCatalog({
+    graphql: async (_body, op) =>
+      op === "bulkOperationRunQuery"
+        ? { data: { bulkOperationRunQuery: { bulkOperation: { id: "b2", status: "CREATED" }, userErrors: [] } } }
+        : { data: { currentBulkOperation: { id: "b2", status: "FAILED", errorCode: "INTERNAL_SERVER_ERROR" } } },
+    openResultStream: async () => assert.fail("no result file for a failed operation"),
+    sleep: async () => {},
+  });
+  await assert.rejects(failing.fetchAllProducts(), /failed \(INTERNAL_SERVER_ERROR\)/);
+});
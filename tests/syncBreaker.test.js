@@ -0,0 +1,45 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSyncBreaker, formatSyncBreakerHold } from "../lib/syncBreaker.js";
+import { memoryPersist } from "./helpers/memoryPersist.js";
+
+const items = (n) => Array.from({ length: n }, (_, i) => ({ shopifyProductId: String(1000 + i), vertical: "furniture", reason: "shopify_gone" }));
+
+test("sync breaker: holds a category over the absolute or percentage limit", () => {
+  const breaker = createSyncBreaker({ maxActions: 20, maxPercent: 5, persist: memoryPersist() });
+  assert.equal(breaker.limitFor(1000), 20);
+  assert.equal(breaker.limitFor(200), 10);
+
+  assert.equal(breaker.check({ jobId: "j1", category: "sold", items: items(10), catalogSize: 200 }).held, false);
+  const dry = breaker.check({ jobId: "j1", category: "sold", items: items(11), catalogSize: 200, dryRun: true });
+  assert.equal(dry.held, true);
+  assert.equal(dry.hold, null);
+  assert.deepEqual(breaker.list(), []);
+
+  const out = breaker.check({ jobId: "j1", category: "sold", items: items(30), catalogSize: 200 });
+  assert.equal(out.held, true);
+  assert.equal(out.hold.id, "j1-sold");
+  assert.equal(breaker.list({ status: "pending" })[0].itemCount, 30);
+  assert.match(formatSyncBreakerHold(out.hold), /planned 30 "sold" changes; the limit is 10/);
+
+  const off = createSyncBreaker({ maxActions: 0, maxPercent: 0, persist: memoryPersist() });
+  assert.equal(off.check({ jobId: "j", category: "delete", items: items(500), catalogSize: 10 }).held, false);
+});
+
+test("sync breaker: a confirmed hold lets its category through once", () => {
+  const breaker = createSyncBreaker({ maxActions: 5, maxPercent: 0, persist: memoryPersist() });
+  const { hold } = breaker.check({ jobId: "j1", category: "delete", items: items(12), catalogSize: 100 });
+  const confirmed = breaker.confirm(hold.id, { by: "ops" });
+  assert.equal(confirmed.confirmedBy, "ops");
+  assert.throws(() => breaker.confirm(hold.id), /not pending/);
+
+  // Other categories and a much bigger plan are still held.
+  assert.equal(breaker.check({ jobId: "j2", category: "sold", items: items(12), catalogSize: 100, confirmedHold: confirmed }).held, true);
+  assert.equal(breaker.check({ jobId: "j2", category: "delete", items: items(40), catalogSize: 100, confirmedHold: confirmed }).held, true);
+
+  const out = breaker.check({ jobId: "j3", category: "delete", items: items(14), catalogSize: 100, confirmedHold: confirmed });
+  assert.equal(out.held, false);
+  assert.equal(out.confirmedHoldId, hold.id);
+  assert.equal(breaker.get(hold.id).status, "applied");
+  assert.equal(breaker.get(hold.id).appliedJobId, "j3");
+});
@@ -0,0 +1,63 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  createSyncPlan,
+  isSyncDryRun,
+  recordDryRunProductOutcome,
+  recordDryRunWrite,
+  runWithSyncPlan,
+  serializeSyncPlan,
+  syncPlanToCsv,
+  withDryRunScope,
+} from "../lib/syncDryRun.js";
+
+test("sync dry run: writes outside a plan context are not intercepted", () => {
+  assert.equal(isSyncDryRun(), false);
+  assert.equal(recordDryRunWrite("webflow.update", { webflowId: "wf1" }), false);
+});
+
+test("sync dry run: actions are attributed per product and concurrent work outside stays live", async () => {
+  const plan = createSyncPlan({ jobId: "abc123", reclassifyAll: true });
+  let outsideIntercepted = null;
+  await Promise.all([
+    runWithSyncPlan(plan, async () => {
+      await withDryRunScope({ shopifyProductId: "1", phase: "product_sync" }, async () => {
+        await new Promise((r) => setTimeout(r, 5));
+        assert.equal(
+          recordDryRunWrite("webflow.update", {
+            webflowId: "wf1",
+            diff: [{ field: "name", from: "Chair", to: "Chair (No Longer Available)" }],
+          }),
+          true
+        );
+      });
+      recordDryRunProductOutcome(plan, "1", {
+        title: "Chair",
+        operation: "update",
+        vertical: "luxury",
+        previousVertical: "furniture",
+      });
+      await withDryRunScope({ phase: "orphan_sweep" }, async () => {
+        recordDryRunWrite("webflow.mark_sold", { shopifyProductId: "2", webflowId: "wf2", vertical: "luxury" });
+      });
+    }),
+    (async () => {
+      await new Promise((r) => setTimeout(r, 1));
+      outsideIntercepted = recordDryRunWrite("webflow.update", { webflowId: "wf9" });
+    })(),
+  ]);
+  assert.equal(outsideIntercepted, false);
+
+  const out = serializeSyncPlan(plan);
+  assert.equal(out.products.length, 2);
+  const chair = out.products.find((p) => p.shopifyProductId === "1");
+  assert.equal(chair.verticalSwitch, true);
+  assert.equal(chair.actions[0].phase, "product_sync");
+  assert.equal(out.products.find((p) => p.shopifyProductId === "2").actions[0].phase, "orphan_sweep");
+  assert.deepEqual(out.summary.actions, { "webflow.update": 1, "webflow.mark_sold": 1 });
+  assert.equal(out.summary.verticalSwitches, 1);
+
+  const csv = syncPlanToCsv(out).trim().split("\r\n");
+  assert.equal(csv.length, 3);
+  assert.match(csv[1], /^1,Chair,update,luxury,furniture,yes,webflow\.update,product_sync,wf1,name,Chair,Chair \(No Longer Available\),,$/);
+});
@@ -0,0 +1,83 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { openSyncStore } from "../lib/syncStore.js";
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "sync-store-"));
+}
+
+test("sync store: saveChanges only writes rows this caller changed", () => {
+  const store = openSyncStore({ file: path.join(tmpDir(), "sync.db") });
+  store.cache.put("1", { hash: "a" });
+  store.cache.put("2", { hash: "b" });
+  store.cache.put("3", { hash: "c" });
+
+  const syncAll = store.cache.loadAll();
+  store.cache.put("2", { hash: "webhook" });
+  syncAll["1"] = { hash: "a2" };
+  delete syncAll["3"];
+  syncAll["4"] = { hash: "d" };
+
+  assert.deepEqual(store.cache.saveChanges(syncAll), { upserted: 2, deleted: 1 });
+  assert.deepEqual(store.cache.loadAll(), { 1: { hash: "a2" }, 2: { hash: "webhook" }, 4: { hash: "d" } });
+  assert.deepEqual(store.cache.saveChanges(syncAll), { upserted: 0, deleted: 0 });
+  store.close();
+});
+
+test("sync store: a failed transaction leaves no partial writes", () => {
+  const store = openSyncStore({ file: path.join(tmpDir(), "sync.db") });
+  assert.throws(() =>
+    store.transaction(() => {
+      store.sets.add("sent", "1|weight");
+      throw new Error("boom");
+    })
+  );
+  assert.equal(store.sets.has("sent", "1|weight"), false);
+  store.sets.add("sent", "1|weight");
+  store.sets.add("sent", "12|width");
+  assert.equal(store.sets.removePrefix("sent", "1|"), 1);
+  assert.deepEqual(store.sets.list("sent"), ["12|width"]);
+  store.close();
+});
+
+test("sync store: legacy JSON files are migrated once and renamed", () => {
+  const dir = tmpDir();
+  const cacheFile = path.join(dir, "lastSync.json");
+  const sentFile = path.join(dir, "sent.json");
+  const stateFile = path.join(dir, "state.json");
+  const badFile = path.join(dir, "bad.json");
+  fs.writeFileSync(cacheFile, JSON.stringify({ 10: { webflowId: "wf10" } }), "utf8");
+  fs.writeFileSync(sentFile, JSON.stringify(["10:no_weight"]), "utf8");
+  fs.writeFileSync(stateFile, JSON.stringify({ 10: { listPriceCents: 5000 } }), "utf8");
+  fs.writeFileSync(badFile, "{ not json", "utf8");
+
+  const sources = { cacheFile, sets: { sent: sentFile }, maps: { state: stateFile, bad: badFile } };
+  const store = openSyncStore({ file: path.join(dir, "sync.db") });
+  assert.deepEqual(store.migrateFromJson(sources), { sync_cache: 1, sent: 1, state: 1 });
+  assert.equal(fs.existsSync(`${cacheFile}.migrated`), true);
+  assert.equal(fs.existsSync(badFile), true);
+
+  fs.writeFileSync(cacheFile, JSON.stringify({ 11: {} }), "utf8");
+  assert.deepEqual(store.migrateFromJson(sources), {});
+  assert.deepEqual(store.cache.get("10"), { webflowId: "wf10" });
+  assert.equal(store.cache.get("11"), null);
+  assert.equal(store.sets.has("sent", "10:no_weight"), true);
+  assert.deepEqual(store.maps.get("state", "10"), { listPriceCents: 5000 });
+  store.close();
+});
+
+test("sync store: a namespace adapter is scoped to its maps namespace and removes on null", () => {
+  const store = openSyncStore({ file: path.join(tmpDir(), "sync.db") });
+  const holds = store.namespace("holds");
+  holds.set("a", { status: "held" });
+  store.maps.set("other", "a", 1);
+  assert.deepEqual(holds.all(), { a: { status: "held" } });
+  holds.set("a", null);
+  assert.equal(holds.get("a"), null);
+  assert.deepEqual(holds.all(), {});
+  assert.equal(store.maps.get("other", "a"), 1);
+  store.close();
+});
@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createVerticalRegistry } from "../lib/verticalRegistry.js";
+import { BUILTIN_VERTICALS } from "../lib/verticals/index.js";
+
+const art = {
+  id: "art",
+  label: "Art",
+  department: "Art & Collectibles",
+  pipeline: "cms",
+  webflow: { collectionId: ["ART_COLLECTION_ID"], skuCollectionId: [], token: ["ART_TOKEN"], siteId: [] },
+  ecommerceTag: "AC",
+  categories: { Paintings: "Paintings", Prints: "Prints", Sculpture: "Sculpture" },
+  fallbackCategory: "Paintings",
+  keywords: { strong: { Prints: ["lithograph", "serigraph"], Sculpture: ["bronze"] }, weak: null },
+  sold: { fields: { category: "Recently Sold", "show-on-webflow": false }, dateFieldEnv: null, dateField: "date-sold", nameSuffix: true },
+  retention: { daysEnv: ["ART_SOLD_RETENTION_DAYS"], defaultDays: 30 },
+  claim: (product) => (/\blithograph\b|\boil on canvas\b/i.test(product.title || "") ? "art_title_cue" : null),
+  classifyCategory: async (product, { keywords }) => {
+    const title = String(product.title || "").toLowerCase();
+    for (const [category, words] of Object.entries(keywords.strong)) {
+      if (words.some((w) => title.includes(w))) return category;
+    }
+    return null;
+  },
+};
+
+test("vertical registry: built-in luxury and furniture keep their env names, sold fields and retention", () => {
+  const registry = createVerticalRegistry({
+    builtin: BUILTIN_VERTICALS,
+    env: {
+      WEBFLOW_COLLECTION_ID: "lux-coll",
+      WEBFLOW_TOKEN: "lux-token",
+      WEBFLOW_RESALE_COLLECTION_ID: "legacy-furn-coll",
+      RESALE_TOKEN: " furn-token ",
+      RESALE_WEBFLOW_SITE_ID: "",
+      WEBFLOW_RESALE_SITE_ID: "furn-site",
+      SOLD_RETENTION_DAYS: "5",
+      LUXURY_SOLD_SINCE_FIELD_SLUG: "sold-on",
+    },
+  });
+  assert.deepEqual(registry.ids(), ["luxury", "furniture"]);
+  assert.deepEqual(registry.webflowConfig("luxury"), { collectionId: "lux-coll", skuCollectionId: null, token: "lux-token", siteId: null });
+  assert.deepEqual(registry.webflowConfig("furniture"), {
+    collectionId: "legacy-furn-coll",
+    skuCollectionId: undefined,
+    token: "furn-token",
+    siteId: "furn-site",
+  });
+  assert.deepEqual(registry.webflowConfig("unknown"), registry.webflowConfig("luxury"));
+  assert.equal(registry.department("furniture"), "Furniture & Home");
+  assert.deepEqual(registry.departments(), ["Luxury Goods", "Furniture & Home"]);
+
+  assert.equal(registry.mapCategory("furniture", "ArtMirrors"), "Art / Mirrors");
+  assert.equal(registry.mapCategory("furniture", "Nonsense"), "Accessories");
+  assert.equal(registry.categoryRefEnvKey("furniture", "Art / Mirrors"), "FURNITURE_CATEGORY_ART_MIRRORS");
+  assert.equal(registry.categoryRefEnvKey("luxury", "Handbags"), null);
+
+  assert.deepEqual(registry.soldFieldData("furniture", { name: "Desk", sold: false }), { name: "Desk", sold: true });
+  assert.deepEqual(registry.soldFieldData("luxury", { category: "Totes" }), { category: "Recently Sold", "show-on-webflow": false });
+  assert.equal(registry.soldDateField("luxury"), "sold-on");
+  assert.equal(registry.soldDateField("furniture"), "date-sold");
+  assert.equal(registry.retentionDays("furniture"), 5);
+  assert.equal(registry.retentionDays("luxury"), null);
+
+  assert.equal(registry.claim({ title: "Oil on canvas landscape" }), null);
+});
+
+test("vertical registry: an added vertical claims products, classifies and is validated", async () => {
+  const registry = createVerticalRegistry({
+    builtin: BUILTIN_VERTICALS,
+    extra: [art],
+    env: { ART_COLLECTION_ID: "art-coll", ART_TOKEN: "art-token" },
+  });
+  assert.equal(registry.isBuiltin("art"), false);
+  assert.equal(registry.layoutOf("art"), "luxury");
+  assert.equal(registry.layoutOf("furniture"), "furniture");
+  assert.deepEqual(registry.webflowConfig("art"), { collectionId: "art-coll", skuCollectionId: null, token: "art-token", siteId: null });
+  assert.equal(registry.retentionDays("art"), 30);
+
+  assert.deepEqual(registry.claim({ title: "Chagall lithograph, signed" }), { vertical: "art", reason: "art_title_cue" });
+  assert.deepEqual(registry.claim({ title: "Untitled" }, { tags: ["ac"] }), { vertical: "art", reason: "ecommerce_vertical_tag_ac" });
+  assert.equal(registry.claim({ title: "Walnut credenza" }, { tags: ["FH"] }), null);
+
+  assert.equal(await registry.classifyCategory("art", { title: "Bronze figure" }), "Sculpture");
+  assert.equal(await registry.classifyCategory("art", { title: "Untitled" }), "Paintings");
+
+  assert.throws(
+    () => createVerticalRegistry({ builtin: BUILTIN_VERTICALS, extra: [{ ...art, claim: undefined }] }),
+    /claim\(product\) is required/
+  );
+  assert.throws(
+    () => createVerticalRegistry({ builtin: BUILTIN_VERTICALS, extra: [{ ...art, pipeline: "ecommerce" }] }),
+    /added verticals must use the "cms" pipeline/
+  );
+  assert.throws(() => createVerticalRegistry({ builtin: BUILTIN_VERTICALS, extra: [{ ...art, id: "luxury" }] }), /registered twice/);
+});
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { compareCollectionSchema, describeSchemaIssues, optionsSnapshot } from "../lib/webflowSchemaCheck.js";
+
+const expected = [
+  { slug: "date-sold", label: "Date Sold", types: ["DateTime"] },
+  { slug: "image-6", label: "Image 6", types: ["Image"] },
+  { slug: "sold", types: ["Switch"] },
+  { slug: "ec-product-type", types: ["Option"], options: ["SOFA", "TABLE"] },
+  { slug: "brand" },
+];
+
+test("webflow schema check: clean schema passes", () => {
+  const live = [
+    { slug: "date-sold", type: "DateTime" },
+    { slug: "image-6", type: "Image" },
+    { slug: "sold", type: "Switch" },
+    { slug: "ec-product-type", type: "Option", validations: { options: [{ name: "SOFA" }, { name: "TABLE" }, "LAMP"] } },
+    { slug: "brand", type: "Option" },
+  ];
+  assert.deepEqual(compareCollectionSchema(expected, live), { ok: true, fieldCount: 5, issues: [] });
+});
+
+test("webflow schema check: missing, renamed, wrong type and removed options are reported", () => {
+  const live = [
+    { slug: "sold-date", displayName: "Date Sold", type: "DateTime" },
+    { slug: "image-6-2", displayName: "Image 6", type: "Image" },
+    { slug: "sold", type: "PlainText" },
+    { slug: "ec-product-type", type: "Option", validations: { options: [{ name: "SOFA" }] } },
+  ];
+  const result = compareCollectionSchema(expected, live);
+  assert.equal(result.ok, false);
+  assert.deepEqual(
+    result.issues.map((i) => [i.slug, i.problem, i.liveSlug ?? i.actualType ?? i.options ?? null]),
+    [
+      ["date-sold", "renamed", "sold-date"],
+      ["image-6", "renamed", "image-6-2"],
+      ["sold", "wrong_type", "PlainText"],
+      ["ec-product-type", "options_removed", ["TABLE"]],
+      ["brand", "missing", null],
+    ]
+  );
+  assert.deepEqual(describeSchemaIssues([{ collection: "furniture_products", ...result }, { collection: "furniture_skus", error: "HTTP 401" }]), [
+    "furniture_products.date-sold: renamed? live field is sold-date",
+    "furniture_products.image-6: renamed? live field is image-6-2",
+    "furniture_products.sold: type PlainText, expected Switch",
+    "furniture_products.ec-product-type: options removed: TABLE",
+    "furniture_products.brand: missing",
+    "furniture_skus: schema fetch failed (HTTP 401)",
+  ]);
+});
+
+test("webflow schema check: option choices are snapshotted from a passing schema for the next comparison", () => {
+  const live = [
+    { slug: "ec-product-type", type: "Option", validations: { options: [{ name: "SOFA" }, { name: "TABLE" }] } },
+    { slug: "brand", type: "Option", validations: { options: ["Baker"] } },
+  ];
+  const snapshot = optionsSnapshot(expected, live);
+  assert.deepEqual(snapshot, { "ec-product-type": ["SOFA", "TABLE"] });
+
+  const next = [{ slug: "ec-product-type", type: "Option", validations: { options: [{ name: "SOFA" }, { name: "TABLES" }] } }];
+  const withKnownGood = [{ slug: "ec-product-type", types: ["Option"], options: snapshot["ec-product-type"] }];
+  assert.deepEqual(compareCollectionSchema(withKnownGood, next).issues, [{ slug: "ec-product-type", problem: "options_removed", options: ["TABLE"] }]);
+});
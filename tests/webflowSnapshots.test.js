@@ -0,0 +1,41 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createWebflowSnapshots } from "../lib/webflowSnapshots.js";
+
+const DAY = 86400000;
+
+test("webflow snapshots: save, list, restore marker and retention prune", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webflow-snapshots-"));
+  let clock = Date.parse("2026-05-01T12:00:00Z");
+  const snapshots = createWebflowSnapshots({ dir, retentionDays: 30, now: () => clock });
+  const product = (id, shopifyId) => ({
+    id,
+    isArchived: false,
+    fieldData: { name: "Oak table", slug: "oak-table", "shopify-product-id": shopifyId },
+    skus: [{ id: "sku1", fieldData: { price: { value: 50000, unit: "USD" } } }],
+  });
+
+  const old = snapshots.save({ siteId: "site", reason: "sold_retention", product: product("a".repeat(24), "111") });
+  clock += 20 * DAY;
+  const recent = snapshots.save({ siteId: "site", reason: "duplicate_cleanup", product: product("b".repeat(24), "222") });
+
+  assert.equal(old.slug, "oak-table");
+  assert.equal(old.skuCount, 1);
+  assert.deepEqual(snapshots.list().map((s) => s.id), [recent.id, old.id]);
+  assert.deepEqual(snapshots.list({ shopifyProductId: "111" }).map((s) => s.id), [old.id]);
+
+  const full = snapshots.get(old.id);
+  assert.equal(full.skus[0].fieldData.price.value, 50000);
+  assert.equal(full.product.skus, undefined);
+  assert.equal(snapshots.get("../etc/passwd"), null);
+
+  assert.equal(snapshots.markRestored(old.id, "c".repeat(24)).restoredWebflowId, "c".repeat(24));
+  assert.ok(snapshots.get(old.id).restoredAt);
+
+  clock += 15 * DAY;
+  assert.deepEqual(snapshots.prune(), { removed: 1 });
+  assert.deepEqual(snapshots.list().map((s) => s.id), [recent.id]);
+});
@@ -0,0 +1,101 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createWebhookSyncQueue, webhookSyncRetryDelayMs } from "../lib/webhookSyncQueue.js";
+
+function tmpQueueFile() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "webhook-queue-"));
+  return path.join(dir, "webhook_sync_queue.json");
+}
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("webhook queue: retry backoff doubles and caps", () => {
+  assert.equal(webhookSyncRetryDelayMs(1, 1000, 10_000), 1000);
+  assert.equal(webhookSyncRetryDelayMs(3, 1000, 10_000), 4000);
+  assert.equal(webhookSyncRetryDelayMs(8, 1000, 10_000), 10_000);
+});
+
+test("webhook queue: burst for one product collapses into a single run", async () => {
+  const calls = [];
+  const queue = createWebhookSyncQueue({
+    filePath: tmpQueueFile(),
+    debounceMs: 20,
+    runJob: async (id, label) => calls.push([id, label]),
+  });
+  queue.enqueue("1", "/webhook/products");
+  queue.enqueue("1", "/webhook/products/update");
+  await wait(60);
+  await queue.drain();
+  assert.deepEqual(calls, [["1", "/webhook/products+/webhook/products/update"]]);
+  assert.equal(queue.snapshot().pendingCount, 0);
+  queue.close();
+});
+
+test("webhook queue: failures retry then dead-letter, redrive re-queues", async () => {
+  let attempts = 0;
+  let fail = true;
+  const queue = createWebhookSyncQueue({
+    filePath: tmpQueueFile(),
+    debounceMs: 0,
+    maxAttempts: 2,
+    retryBaseMs: 5,
+    retryMaxMs: 5,
+    runJob: async () => {
+      attempts++;
+      if (fail) throw new Error("webflow 500");
+    },
+  });
+  queue.enqueue("42", "/shopify/order");
+  await wait(60);
+  await queue.drain();
+  let snap = queue.snapshot();
+  assert.equal(attempts, 2);
+  assert.equal(snap.pendingCount, 0);
+  assert.equal(snap.deadLetter[0].shopifyProductId, "42");
+  assert.equal(snap.deadLetter[0].lastError, "webflow 500");
+
+  fail = false;
+  assert.deepEqual(queue.redrive(["42"]), ["42"]);
+  await wait(30);
+  await queue.drain();
+  snap = queue.snapshot();
+  assert.equal(attempts, 3);
+  assert.equal(snap.deadLetterCount, 0);
+  assert.equal(snap.pendingCount, 0);
+  queue.close();
+});
+
+test("webhook queue: pending and interrupted jobs replay after restart", async () => {
+  const filePath = tmpQueueFile();
+  const first = createWebhookSyncQueue({ filePath, debounceMs: 60_000, runJob: async () => {} });
+  first.enqueue("7", "/webhook/products/update");
+  first.enqueue("inventory_item:55", "/webhook/inventory-levels/update");
+  first.close();
+
+  const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  raw.jobs["8"] = {
+    shopifyProductId: "8",
+    paths: [],
+    runningPaths: ["/webhook/products"],
+    status: "running",
+    attempts: 1,
+    runAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(filePath, JSON.stringify(raw), "utf8");
+
+  const calls = [];
+  const second = createWebhookSyncQueue({
+    filePath,
+    debounceMs: 60_000,
+    runJob: async (id, label) => calls.push([id, label]),
+  });
+  assert.equal(second.replayPending(), 3);
+  await wait(30);
+  await second.drain();
+  assert.deepEqual(calls, [["8", "/webhook/products"]]);
+  assert.deepEqual(second.snapshot().pending.map((j) => j.shopifyProductId).sort(), ["7", "inventory_item:55"]);
+  second.close();
+});
@@ -268,7 +268,9 @@ export function productTitleLooksLikeWearableJewelry(product) {
   if (
     /\b(incense|candle|soap|potpourri|smudge)\s+holders?\b/.test(title) ||
     /\bincense\s+burners?\b/.test(title) ||
-    /\btabletop\s+(accessory|accessories|decor)\b/.test(title)
+    /\btabletop\s+(accessory|accessories|decor)\b/.test(title) ||
+    /\b(towel|napkin|curtain|shower)\s+rings?\b/.test(title) ||
+    /\bpendants?\s+(light|lights|lamp|lamps|fixture|fixtures|chandelier|chandeliers)\b/.test(title)
   ) {
     return false;
   }
@@ -308,7 +310,7 @@ export function hasStrongLuxurySignalsInTitle(product) {
   const nameForCheck = `${title} ${typeAndTags}`;
   if (BAG_SUBSTRINGS.some((s) => title.includes(s) || typeAndTags.includes(s))) return true;
   if (TITLE_LUXURY_WORDS.some((w) => matchWordBoundary(nameForCheck, w))) return true;
-  if (SHOE_JEWELRY_TITLE_WORDS.some((w) => matchWordBoundary(nameForCheck, w))) return true;
+  if (productTitleLooksLikeWearableJewelry(product)) return true;
   return false;
 }
 